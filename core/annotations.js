@@ -0,0 +1,119 @@
+/**
+ * Annotations: dimensions (core/dimensions.js), text and leaders (core/text.js) and room tags
+ * (core/roomTags.js). They are tagged by `kind`, sized in paper mm at the drawing scale and kept
+ * out of the spatial index; this module routes the operations the engine and project file need
+ * to the module for each kind.
+ *
+ * Operations take an environment { scaleDenom, holesOf }: the drawing scale 1:N, and the hole
+ * polylines of a room (room tags show its net area).
+ */
+
+import {
+  isDimension,
+  dimensionBounds,
+  distanceToDimension,
+  drawDimension,
+  dimensionToJSON,
+  dimensionFromJSON,
+  reattachedRefs,
+} from './dimensions.js';
+import {
+  isText,
+  isLeader,
+  textBounds,
+  distanceToText,
+  drawText,
+  textPoints,
+  textToJSON,
+  textFromJSON,
+} from './text.js';
+import {
+  isRoomTag,
+  roomTagBounds,
+  distanceToRoomTag,
+  drawRoomTag,
+  roomTagToJSON,
+  roomTagFromJSON,
+  reattachedRoom,
+} from './roomTags.js';
+
+/**
+ * @typedef {{ scaleDenom: number, holesOf: function(Object): Object[] }} AnnotationEnv
+ */
+
+export function isAnnotation(entity) {
+  return isDimension(entity) || isText(entity) || isLeader(entity) || isRoomTag(entity);
+}
+
+/**
+ * World bounding box, or null if degenerate.
+ * @param {Object} annotation
+ * @param {AnnotationEnv} env
+ */
+export function annotationBounds(annotation, env) {
+  if (isDimension(annotation)) return dimensionBounds(annotation, env.scaleDenom);
+  if (isRoomTag(annotation)) return roomTagBounds(annotation, env.scaleDenom, env.holesOf(annotation.room));
+  return textBounds(annotation, env.scaleDenom);
+}
+
+/** @param {AnnotationEnv} env */
+export function distanceToAnnotation(annotation, p, env) {
+  if (isDimension(annotation)) return distanceToDimension(annotation, p, env.scaleDenom);
+  if (isRoomTag(annotation)) {
+    return distanceToRoomTag(annotation, p, env.scaleDenom, env.holesOf(annotation.room));
+  }
+  return distanceToText(annotation, p, env.scaleDenom);
+}
+
+/** @param {AnnotationEnv} env */
+export function drawAnnotation(gfx, viewport, annotation, env, color, lineWidth) {
+  const { scaleDenom } = env;
+  if (isDimension(annotation)) {
+    drawDimension(gfx, viewport, annotation, scaleDenom, color, lineWidth);
+  } else if (isRoomTag(annotation)) {
+    drawRoomTag(gfx, viewport, annotation, scaleDenom, color, env.holesOf(annotation.room));
+  } else {
+    drawText(gfx, viewport, annotation, scaleDenom, color, lineWidth);
+  }
+}
+
+/**
+ * Points an annotation owns, moved when it is dragged and offered as grips. Dimensions and room
+ * tags own none: they follow the geometry they measure or label.
+ */
+export function annotationPoints(annotation) {
+  return isText(annotation) || isLeader(annotation) ? textPoints(annotation) : [];
+}
+
+/**
+ * References to swap in when geometry the annotation is attached to is replaced by pieces rebuilt
+ * from it (trim, fillet, join, explode, region operations); null if none. Dimensions attach to
+ * vertices and curves, room tags to a closed room.
+ * @returns {Object|null} properties to assign
+ */
+export function reattachedAnnotationRefs(annotation, removed, pieces) {
+  if (isDimension(annotation)) return reattachedRefs(annotation, removed, pieces);
+  if (isRoomTag(annotation)) return reattachedRoom(annotation, removed, pieces);
+  return null;
+}
+
+/**
+ * JSON form for the project file, tagged with its kind.
+ * @param {Object} annotation
+ * @param {Object} refs - vertex, curve and polyline references (see dimensionToJSON, roomTagToJSON)
+ */
+export function annotationToJSON(annotation, refs) {
+  let json;
+  if (isDimension(annotation)) json = dimensionToJSON(annotation, refs);
+  else if (isRoomTag(annotation)) json = roomTagToJSON(annotation, refs);
+  else json = textToJSON(annotation);
+  return { kind: annotation.kind, ...json };
+}
+
+/** @returns {Object|null} null if malformed or of an unknown kind */
+export function annotationFromJSON(json, refs) {
+  if (json?.kind === 'dimension') return dimensionFromJSON(json, refs);
+  if (json?.kind === 'roomTag') return roomTagFromJSON(json, refs);
+  if (json?.kind === 'text' || json?.kind === 'leader') return textFromJSON(json.kind, json);
+  return null;
+}
@@ -0,0 +1,126 @@
+/**
+ * Rectangular and polar arrays: the transforms that place each copy of the source entities.
+ * An associative array keeps its sources, copies and parameters so the counts and spacing can be
+ * edited later; the engine regenerates the copies from the sources.
+ *
+ * Rectangular: columns step along +x by columnSpacing, rows along +y by rowSpacing (mm, may be negative).
+ * Polar: count items about centre over fillAngle degrees (360 = full circle); with rotateItems off
+ * the copies are translated only, keeping their orientation.
+ */
+
+import { curveBounds } from './curves.js';
+import { translation, rotationAbout } from '../utils/transform.js';
+
+/**
+ * @typedef {{ mode: 'rectangular'|'polar', rows: number, columns: number, rowSpacing: number,
+ *   columnSpacing: number, count: number, fillAngle: number, rotateItems: boolean,
+ *   centre: {x,y}|null, associative: boolean }} ArrayParams
+ * @typedef {{ params: ArrayParams, sources: Object[], items: Object[] }} ArrayRecord - items are the generated copies
+ */
+
+export const DEFAULT_ARRAY_PARAMS = {
+  mode: 'rectangular',
+  rows: 2,
+  columns: 3,
+  rowSpacing: 1000,
+  columnSpacing: 1000,
+  count: 6,
+  fillAngle: 360,
+  rotateItems: true,
+  centre: null,
+  associative: false,
+};
+
+/** Largest number of items one array may produce (keeps a typo from freezing the page). */
+export const MAX_ARRAY_ITEMS = 10_000;
+
+function count(n, fallback) {
+  const v = Math.round(Number(n));
+  return Number.isFinite(v) && v >= 1 ? v : fallback;
+}
+
+function finite(n, fallback) {
+  const v = Number(n);
+  return Number.isFinite(v) ? v : fallback;
+}
+
+/** Validated copy of params over the defaults. */
+export function normalizeArrayParams(params = {}) {
+  const p = { ...DEFAULT_ARRAY_PARAMS, ...params };
+  return {
+    mode: p.mode === 'polar' ? 'polar' : 'rectangular',
+    rows: count(p.rows, DEFAULT_ARRAY_PARAMS.rows),
+    columns: count(p.columns, DEFAULT_ARRAY_PARAMS.columns),
+    rowSpacing: finite(p.rowSpacing, DEFAULT_ARRAY_PARAMS.rowSpacing),
+    columnSpacing: finite(p.columnSpacing, DEFAULT_ARRAY_PARAMS.columnSpacing),
+    count: count(p.count, DEFAULT_ARRAY_PARAMS.count),
+    fillAngle: Math.max(-360, Math.min(360, finite(p.fillAngle, DEFAULT_ARRAY_PARAMS.fillAngle))),
+    rotateItems: p.rotateItems !== false,
+    centre:
+      p.centre && Number.isFinite(p.centre.x) && Number.isFinite(p.centre.y)
+        ? { x: p.centre.x, y: p.centre.y }
+        : null,
+    associative: !!p.associative,
+  };
+}
+
+/** Number of items including the original. */
+export function arrayItemCount(params) {
+  return params.mode === 'polar' ? params.count : params.rows * params.columns;
+}
+
+/** Centre of the entities' bounding box: the point carried round a polar array without rotation. */
+export function entitiesCentre(entities) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const entity of entities) {
+    const boxes = Array.isArray(entity)
+      ? entity.map((p) => ({ minX: p.x, minY: p.y, maxX: p.x, maxY: p.y }))
+      : [curveBounds(entity)];
+    for (const b of boxes) {
+      minX = Math.min(minX, b.minX);
+      minY = Math.min(minY, b.minY);
+      maxX = Math.max(maxX, b.maxX);
+      maxY = Math.max(maxY, b.maxY);
+    }
+  }
+  return minX === Infinity ? { x: 0, y: 0 } : { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+}
+
+/**
+ * Transforms placing every copy (the original item is not included). Polar arrays need
+ * params.centre; without it there are no copies. Capped at MAX_ARRAY_ITEMS.
+ * @param {ArrayParams} params
+ * @param {Object[]} sources - the entities being arrayed
+ * @returns {import('../utils/transform.js').Transform[]}
+ */
+export function arrayTransforms(params, sources) {
+  const transforms = [];
+  if (arrayItemCount(params) > MAX_ARRAY_ITEMS) return transforms;
+  if (params.mode === 'rectangular') {
+    for (let row = 0; row < params.rows; row++) {
+      for (let col = 0; col < params.columns; col++) {
+        if (row === 0 && col === 0) continue;
+        transforms.push(translation(col * params.columnSpacing, row * params.rowSpacing));
+      }
+    }
+    return transforms;
+  }
+  if (!params.centre) return transforms;
+  // A full circle spaces items evenly with no duplicate at 360°; a partial fill ends on the last item
+  const full = Math.abs(params.fillAngle) >= 360;
+  const stepDeg = params.fillAngle / (full ? params.count : Math.max(1, params.count - 1));
+  const reference = params.rotateItems ? null : entitiesCentre(sources);
+  for (let i = 1; i < params.count; i++) {
+    const rotation = rotationAbout(params.centre, (i * stepDeg * Math.PI) / 180);
+    if (params.rotateItems) {
+      transforms.push(rotation);
+    } else {
+      const moved = rotation.apply(reference);
+      transforms.push(translation(moved.x - reference.x, moved.y - reference.y));
+    }
+  }
+  return transforms;
+}
@@ -0,0 +1,59 @@
+/**
+ * Benchmark drawing: a large synthetic site plan for profiling snapping, hit testing and rendering.
+ * Open the app with `?benchmark` (100k segments) or `?benchmark=<segments>`.
+ */
+
+import { DOCUMENT_FORMAT, DOCUMENT_VERSION } from './document.js';
+
+export const BENCHMARK_SEGMENTS = 100_000;
+
+const CELL_MM = 6000; // one plot per cell
+const SEGMENTS_PER_CELL = 10; // a 4-segment room plus a 6-segment wall run
+
+/** Deterministic pseudo-random numbers so runs are comparable. */
+function createRandom(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s * 1664525 + 1013904223) >>> 0;
+    return s / 0x100000000;
+  };
+}
+
+/**
+ * Project document (see document.js) with roughly `segmentCount` segments laid out on a square grid
+ * of plots, each holding a closed room and an open wall run.
+ * @param {number} [segmentCount]
+ */
+export function createBenchmarkDocument(segmentCount = BENCHMARK_SEGMENTS) {
+  const random = createRandom(1);
+  const cellCount = Math.ceil(segmentCount / SEGMENTS_PER_CELL);
+  const columns = Math.ceil(Math.sqrt(cellCount));
+  const polylines = [];
+  let remaining = segmentCount;
+
+  for (let cell = 0; cell < cellCount && remaining > 0; cell++) {
+    const ox = (cell % columns) * CELL_MM;
+    const oy = Math.floor(cell / columns) * CELL_MM;
+    const w = 2000 + random() * 2500;
+    const h = 2000 + random() * 2500;
+    const room = [
+      { x: ox + 500, y: oy + 500 },
+      { x: ox + 500 + w, y: oy + 500 },
+      { x: ox + 500 + w, y: oy + 500 + h },
+      { x: ox + 500, y: oy + 500 + h },
+      { x: ox + 500, y: oy + 500 },
+    ];
+    const wall = [];
+    for (let i = 0; i <= 6; i++) {
+      wall.push({ x: ox + 200 + i * 900, y: oy + 5200 + (i % 2) * (200 + random() * 400) });
+    }
+    for (const points of [room, wall]) {
+      const take = Math.min(points.length - 1, remaining);
+      if (take <= 0) break;
+      polylines.push({ points: points.slice(0, take + 1), fillColor: null, hatch: null, layerId: null });
+      remaining -= take;
+    }
+  }
+
+  return { format: DOCUMENT_FORMAT, version: DOCUMENT_VERSION, units: 'mm', polylines };
+}
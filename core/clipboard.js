@@ -0,0 +1,156 @@
+/**
+ * Clipboard payload: selected geometry as JSON text, so it can be pasted into another tab of the
+ * app or produced by other tools. Same entry shape as the project file (document.js), but layers
+ * are referenced by name. Coordinates are world mm; `basePoint` is the point that follows the
+ * cursor while pasting. `holes` lists the indices (into `polylines`) of a region's inner rings.
+ *
+ * {
+ *   "format": "wcad-clipboard", "version": 1, "units": "mm",
+ *   "basePoint": { "x", "y" },
+ *   "layers": [{ "name", "color", "linetype", "lineweight" }],
+ *   "polylines": [{ "points": [{ "x", "y" }], "fillColor", "hatch", "layer", "style", "holes" }],
+ *   "curves": [{ "curve": { "type": "circle"|"arc"|"ellipse"|"ellipseArc"|"spline", ... }, "fillColor", "hatch",
+ *     "layer", "style" }]
+ * }
+ */
+
+import { DOCUMENT_FORMAT } from './document.js';
+import { curveToJSON, curveFromJSON } from './curves.js';
+
+export const CLIPBOARD_FORMAT = 'wcad-clipboard';
+export const CLIPBOARD_VERSION = 1;
+
+function isFiniteNumber(n) {
+  return typeof n === 'number' && Number.isFinite(n);
+}
+
+function isPoint(p) {
+  return p != null && isFiniteNumber(p.x) && isFiniteNumber(p.y);
+}
+
+function readProps(entry, layerName) {
+  return {
+    fillColor: typeof entry.fillColor === 'string' ? entry.fillColor : null,
+    hatch:
+      entry.hatch?.pattern && entry.hatch?.color
+        ? { pattern: entry.hatch.pattern, color: entry.hatch.color }
+        : null,
+    layer: layerName,
+    style: entry.style && typeof entry.style === 'object' ? { ...entry.style } : null,
+  };
+}
+
+/**
+ * @param {{ entity: Object, fillColor: string|null, hatch: Object|null, layer: Object, style: Object|null, holes?: Object[]|null }[]} items - layer is the entity's layer object; holes are other items' entities
+ * @param {{x,y}} basePoint
+ * @returns {Object} payload (JSON-serialisable)
+ */
+export function createClipboardPayload(items, basePoint) {
+  const layers = new Map();
+  const polylines = [];
+  const curves = [];
+  const polylineIndex = new Map(
+    items.filter((item) => Array.isArray(item.entity)).map((item, i) => [item.entity, i])
+  );
+  for (const { entity, fillColor, hatch, layer, style, holes } of items) {
+    layers.set(layer.name, {
+      name: layer.name,
+      color: layer.color,
+      linetype: layer.linetype,
+      lineweight: layer.lineweight,
+    });
+    const props = {
+      fillColor: fillColor ?? null,
+      hatch: hatch ? { ...hatch } : null,
+      layer: layer.name,
+      style: style ? { ...style } : null,
+    };
+    if (Array.isArray(entity)) {
+      const holeIndices = (holes ?? []).map((hole) => polylineIndex.get(hole)).filter((i) => i !== undefined);
+      polylines.push({
+        points: entity.map((p) => ({ x: p.x, y: p.y })),
+        ...props,
+        holes: holeIndices.length > 0 ? holeIndices : null,
+      });
+    } else {
+      curves.push({ curve: curveToJSON(entity), ...props });
+    }
+  }
+  return {
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    units: 'mm',
+    basePoint: { x: basePoint.x, y: basePoint.y },
+    layers: [...layers.values()],
+    polylines,
+    curves,
+  };
+}
+
+/**
+ * Parse clipboard text. Also accepts a whole project file (.wcad.json), whose layer ids are
+ * mapped to names. Throws an Error if the text is not a payload; malformed entries are skipped.
+ * @param {string|Object} input
+ * @returns {{ basePoint: {x,y}, layers: Object[], polylines: Object[], curves: Object[] }}
+ */
+export function parseClipboard(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`Clipboard does not hold drawing data: ${err.message}`);
+    }
+  }
+  if (!data || (data.format !== CLIPBOARD_FORMAT && data.format !== DOCUMENT_FORMAT)) {
+    throw new Error('Clipboard does not hold drawing data');
+  }
+  if (!Number.isInteger(data.version) || data.version > CLIPBOARD_VERSION) {
+    throw new Error(`Unsupported clipboard data version: ${data.version}`);
+  }
+  const layers = Array.isArray(data.layers)
+    ? data.layers.filter((l) => l && typeof l.name === 'string')
+    : [];
+  // Project files reference layers by id
+  const layerName = (entry) => {
+    if (data.format === CLIPBOARD_FORMAT) return typeof entry.layer === 'string' ? entry.layer : null;
+    return layers.find((l) => l.id === entry.layerId)?.name ?? null;
+  };
+
+  const polylines = [];
+  const parsedIndex = new Map(); // index in the data → index in polylines (malformed entries are skipped)
+  (Array.isArray(data.polylines) ? data.polylines : []).forEach((entry, i) => {
+    if (!entry || !Array.isArray(entry.points) || entry.points.length < 2) return;
+    if (!entry.points.every(isPoint)) return;
+    parsedIndex.set(i, polylines.length);
+    polylines.push({
+      points: entry.points.map((p) => ({ x: p.x, y: p.y })),
+      ...readProps(entry, layerName(entry)),
+      holes: Array.isArray(entry.holes) ? entry.holes : null,
+    });
+  });
+  for (const entry of polylines) {
+    entry.holes = entry.holes?.map((i) => parsedIndex.get(i)).filter((i) => i !== undefined) ?? null;
+  }
+  const curves = [];
+  for (const entry of Array.isArray(data.curves) ? data.curves : []) {
+    const curve = curveFromJSON(entry?.curve);
+    if (curve) curves.push({ curve, ...readProps(entry, layerName(entry)) });
+  }
+  if (polylines.length === 0 && curves.length === 0) throw new Error('Clipboard data has no geometry');
+
+  let basePoint = isPoint(data.basePoint) ? { x: data.basePoint.x, y: data.basePoint.y } : null;
+  if (!basePoint) {
+    // Default to the lower-left of the content
+    // Curves by their centre, splines by their first point
+    const points = [
+      ...polylines.flatMap((e) => e.points),
+      ...curves.map(({ curve }) => curve.centre ?? curve.points[0]),
+    ];
+    basePoint = points.reduce((m, p) => ({ x: Math.min(m.x, p.x), y: Math.min(m.y, p.y) }), {
+      x: Infinity,
+      y: Infinity,
+    });
+  }
+  return { basePoint, layers, polylines, curves };
+}
@@ -0,0 +1,180 @@
+/**
+ * Typed commands for the command line (ui/commandLine.js): a name or alias, then arguments
+ * separated by spaces (`ZOOM E`, `SCALE 1:50`). Each command calls the engine API and returns the
+ * message to echo ('' for none); bad input throws an Error whose message is echoed instead.
+ */
+
+/**
+ * @typedef {ReturnType<import('./engine.js').createEngine>} Engine
+ * @typedef {{ name: string, aliases: string[], description: string,
+ *   run: function(Engine, string[]): string }} Command
+ */
+
+/** A command that starts a tool; what it asks next comes from the tool's prompt. */
+function toolCommand(name, aliases, toolId, description) {
+  return {
+    name,
+    aliases,
+    description,
+    run(engine) {
+      engine.setTool(toolId);
+      return '';
+    },
+  };
+}
+
+function onOff(arg, current) {
+  if (arg === undefined) return !current;
+  if (/^on$/i.test(arg)) return true;
+  if (/^off$/i.test(arg)) return false;
+  throw new Error(`Expected ON or OFF, not "${arg}"`);
+}
+
+/** @type {Command[]} */
+export const COMMANDS = [
+  toolCommand('SELECT', [], 'select', 'Select objects'),
+  toolCommand('LINE', ['L', 'PLINE', 'PL'], 'line', 'Draw lines and polylines'),
+  toolCommand('CIRCLE', ['C'], 'circle', 'Draw a circle by centre and radius or diameter'),
+  toolCommand('ARC', ['A'], 'arc', 'Draw an arc by centre, start and end or sweep'),
+  toolCommand('REGION', ['REG'], 'filledRegion', 'Draw a filled region outline'),
+  toolCommand('RECTANGLE', ['REC', 'RECTANG'], 'rectangle', 'Draw a rectangle'),
+  toolCommand('POLYGON', ['POL'], 'polygon', 'Draw a regular polygon'),
+  toolCommand('ELLIPSE', ['EL'], 'ellipse', 'Draw an ellipse by centre and axes, or an elliptical arc'),
+  toolCommand('ELLIPSEARC', ['ELA'], 'ellipseArc', 'Draw an elliptical arc'),
+  toolCommand('SPLINE', ['SPL'], 'spline', 'Draw a spline through fit points or by control vertices'),
+  toolCommand('MOVE', ['M'], 'move', 'Move the selection'),
+  toolCommand('COPY', ['CO', 'CP'], 'copy', 'Copy the selection'),
+  toolCommand('ROTATE', ['RO'], 'rotate', 'Rotate the selection'),
+  toolCommand('MIRROR', ['MI'], 'mirror', 'Mirror the selection'),
+  toolCommand('ARRAY', ['AR'], 'array', 'Array the selection'),
+  toolCommand('OFFSET', ['O'], 'offset', 'Offset an object'),
+  toolCommand('TRIM', ['TR'], 'trim', 'Trim to cutting edges'),
+  toolCommand('EXTEND', ['EX'], 'extend', 'Extend to boundary edges'),
+  toolCommand('FILLET', ['F'], 'fillet', 'Fillet two segments'),
+  toolCommand('CHAMFER', ['CHA'], 'chamfer', 'Chamfer two segments'),
+  toolCommand('DIMLINEAR', ['DLI'], 'dimLinear', 'Linear dimension'),
+  toolCommand('DIMALIGNED', ['DAL'], 'dimAligned', 'Aligned dimension'),
+  toolCommand('DIMANGULAR', ['DAN'], 'dimAngular', 'Angular dimension'),
+  toolCommand('DIMRADIUS', ['DRA'], 'dimRadius', 'Radius dimension'),
+  toolCommand('DIMDIAMETER', ['DDI'], 'dimDiameter', 'Diameter dimension'),
+  toolCommand('DIMBASELINE', ['DBA'], 'dimBaseline', 'Baseline dimension'),
+  toolCommand('DIMCONTINUE', ['DCO'], 'dimContinue', 'Continue dimension'),
+  toolCommand('TEXT', ['DT'], 'text', 'Place text'),
+  toolCommand('LEADER', ['LE'], 'leader', 'Draw a leader'),
+  toolCommand('DIST', ['DI'], 'distance', 'Measure the distance between two points'),
+  {
+    name: 'ERASE',
+    aliases: ['E'],
+    description: 'Delete the selection',
+    run(engine) {
+      const count = engine.getSelectedEntities().length + engine.getSelectedAnnotations().length;
+      if (count === 0) throw new Error('Nothing selected');
+      engine.deleteSelection();
+      return `Erased ${count} object${count === 1 ? '' : 's'}`;
+    },
+  },
+  {
+    name: 'SCALE',
+    aliases: ['SC'],
+    description: 'Scale the selection, or SCALE 1:N to set the drawing scale',
+    run(engine, [ratio]) {
+      if (ratio === undefined) {
+        engine.setTool('scale');
+        return '';
+      }
+      const m = /^1:(\d+(?:\.\d+)?)$/.exec(ratio);
+      if (!m || Number(m[1]) <= 0) throw new Error(`Expected a scale like 1:50, not "${ratio}"`);
+      engine.setScaleFromDenom(Number(m[1]));
+      return `Drawing scale 1:${Number(m[1])}`;
+    },
+  },
+  {
+    name: 'ZOOM',
+    aliases: ['Z'],
+    description: 'ZOOM E to fit the drawing, ZOOM W to zoom to a window',
+    run(engine, [mode = '']) {
+      if (/^e(xtents)?$/i.test(mode)) {
+        engine.fitToContent(40);
+        return '';
+      }
+      if (/^w(indow)?$/i.test(mode)) {
+        engine.setTool('zoomWindow');
+        return '';
+      }
+      throw new Error('ZOOM needs E (extents) or W (window)');
+    },
+  },
+  {
+    name: 'GRID',
+    aliases: [],
+    description: 'GRID ON / OFF, or toggle',
+    run(engine, [arg]) {
+      const enabled = onOff(arg, engine.getGridEnabled());
+      engine.setGridEnabled(enabled);
+      return `Grid ${enabled ? 'on' : 'off'}`;
+    },
+  },
+  {
+    name: 'ROTATEVIEW',
+    aliases: [],
+    description: 'Rotate the view 90° clockwise',
+    run(engine) {
+      engine.rotateView(-90);
+      return '';
+    },
+  },
+  {
+    name: 'AREA',
+    aliases: ['AA'],
+    description: 'Area of the selected closed shape',
+    run(engine) {
+      const info = engine.getSelectionAreaInfo();
+      if (!info) throw new Error('Select a closed shape first');
+      return `Area = ${info.area.toFixed(2)} m²`;
+    },
+  },
+  {
+    name: 'UNDO',
+    aliases: ['U'],
+    description: 'Undo the last change',
+    run(engine) {
+      if (!engine.canUndo()) throw new Error('Nothing to undo');
+      engine.undo();
+      return '';
+    },
+  },
+  {
+    name: 'REDO',
+    aliases: [],
+    description: 'Redo the last undone change',
+    run(engine) {
+      if (!engine.canRedo()) throw new Error('Nothing to redo');
+      engine.redo();
+      return '';
+    },
+  },
+];
+
+const COMMANDS_BY_NAME = new Map(COMMANDS.flatMap((c) => [c.name, ...c.aliases].map((n) => [n, c])));
+
+/**
+ * The command a name or alias stands for, case-insensitive.
+ * @returns {Command|null}
+ */
+export function findCommand(name) {
+  return COMMANDS_BY_NAME.get(name.toUpperCase()) ?? null;
+}
+
+/**
+ * Run a typed command line.
+ * @param {Engine} engine
+ * @param {string} line - e.g. 'zoom e'
+ * @returns {string} message to echo ('' for none)
+ * @throws {Error} unknown command or bad arguments
+ */
+export function runCommand(engine, line) {
+  const [name, ...args] = line.trim().split(/\s+/);
+  const command = findCommand(name ?? '');
+  if (!command) throw new Error(`Unknown command "${name}"`);
+  return command.run(engine, args);
+}
@@ -0,0 +1,786 @@
+/**
+ * Parametric curve entities (circle, arc, ellipse, elliptical arc, spline). Stored exactly
+ * (centre, radii, angles; spline points) rather than as tessellated polylines; tessellation is
+ * only produced on demand for hatching and consumers that need points.
+ *
+ * Angles are radians in world coordinates. An arc runs from startAngle with increasing angle
+ * to endAngle. Ellipse angles are parameters: the point at angle t lies radiusX·cos t along the
+ * ellipse's rotation and radiusY·sin t across it; an elliptical arc runs like a circular one.
+ *
+ * Circles and arcs are solved exactly. Ellipses and splines are handled as a point function of a
+ * parameter (pathOf): their snaps, bounds and intersections are found numerically and their
+ * tessellation adapts to the curvature.
+ */
+
+import {
+  distance,
+  segmentIntersectsBox,
+  pointToSegmentDistance,
+  segmentIntersection,
+  polygonArea,
+  lineCircleIntersections,
+  circleCircleIntersections,
+} from '../utils/math.js';
+import {
+  createSpline,
+  splineBeziers,
+  bezierPoint,
+  bezierDerivative,
+  minSplinePoints,
+  SPLINE_METHODS,
+} from './splines.js';
+
+const TWO_PI = Math.PI * 2;
+/** Default chord tolerance (mm) for tessellation. */
+export const TESSELLATION_TOLERANCE = 0.5;
+const MAX_TESSELLATION_SEGMENTS = 720;
+/** Chord tolerance (mm) for lengths and areas measured on a tessellation. */
+const MEASURE_TOLERANCE = 0.01;
+/** Samples per half turn of an ellipse, and per spline segment, when searching a path. */
+const ELLIPSE_SAMPLES = 32;
+const SEGMENT_SAMPLES = 16;
+/** Halvings of a tessellation step before its chord error is accepted regardless. */
+const MAX_SUBDIVISION_DEPTH = 14;
+/** Chord tolerance (mm) where two tessellations are crossed, and chords per bounded run there. */
+const CROSSING_TOLERANCE = 0.1;
+const CHORD_RUN = 8;
+
+/**
+ * @typedef {{ type: 'circle', centre: {x,y}, radius: number }} Circle
+ * @typedef {{ type: 'arc', centre: {x,y}, radius: number, startAngle: number, endAngle: number }} Arc
+ * @typedef {{ type: 'ellipse', centre: {x,y}, radiusX: number, radiusY: number, rotation: number }} Ellipse
+ *   - rotation: world angle of the radiusX axis
+ * @typedef {{ type: 'ellipseArc', centre: {x,y}, radiusX: number, radiusY: number, rotation: number,
+ *   startAngle: number, endAngle: number }} EllipseArc
+ * @typedef {import('./splines.js').Spline} Spline
+ * @typedef {Circle|Arc|Ellipse|EllipseArc|Spline} Curve
+ */
+
+export function createCircle(centre, radius) {
+  return { type: 'circle', centre: { x: centre.x, y: centre.y }, radius };
+}
+
+export function createArc(centre, radius, startAngle, endAngle) {
+  return {
+    type: 'arc',
+    centre: { x: centre.x, y: centre.y },
+    radius,
+    startAngle: normalizeRad(startAngle),
+    endAngle: normalizeRad(endAngle),
+  };
+}
+
+export function createEllipse(centre, radiusX, radiusY, rotation = 0) {
+  return { type: 'ellipse', centre: { x: centre.x, y: centre.y }, radiusX, radiusY, rotation: normalizeRad(rotation) };
+}
+
+export function createEllipseArc(centre, radiusX, radiusY, rotation, startAngle, endAngle) {
+  return {
+    ...createEllipse(centre, radiusX, radiusY, rotation),
+    type: 'ellipseArc',
+    startAngle: normalizeRad(startAngle),
+    endAngle: normalizeRad(endAngle),
+  };
+}
+
+/** True for circles and arcs: one radius (radius / diameter dimensions, Offset, Trim, Extend). */
+export function isCircular(curve) {
+  return curve.type === 'circle' || curve.type === 'arc';
+}
+
+function isElliptical(curve) {
+  return curve.type === 'ellipse' || curve.type === 'ellipseArc';
+}
+
+/** Normalise radians to [0, 2π). */
+export function normalizeRad(a) {
+  const r = a % TWO_PI;
+  return r < 0 ? r + TWO_PI : r;
+}
+
+/** Angular extent of an arc in (0, 2π]. */
+export function arcSweep(arc) {
+  const sweep = normalizeRad(arc.endAngle - arc.startAngle);
+  return sweep === 0 ? TWO_PI : sweep;
+}
+
+/** True if the (world) angle lies on the arc. */
+export function angleOnArc(arc, angle) {
+  return normalizeRad(angle - arc.startAngle) <= arcSweep(arc) + 1e-9;
+}
+
+export function pointOnCircle(centre, radius, angle) {
+  return { x: centre.x + radius * Math.cos(angle), y: centre.y + radius * Math.sin(angle) };
+}
+
+export function pointOnEllipse(ellipse, angle) {
+  const { centre, radiusX, radiusY, rotation } = ellipse;
+  const x = radiusX * Math.cos(angle);
+  const y = radiusY * Math.sin(angle);
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return { x: centre.x + x * cos - y * sin, y: centre.y + x * sin + y * cos };
+}
+
+function ellipseDerivative(ellipse, angle) {
+  const x = -ellipse.radiusX * Math.sin(angle);
+  const y = ellipse.radiusY * Math.cos(angle);
+  const cos = Math.cos(ellipse.rotation);
+  const sin = Math.sin(ellipse.rotation);
+  return { x: x * cos - y * sin, y: x * sin + y * cos };
+}
+
+/** Ellipse angle of the point where the ray from the centre through p meets the ellipse. */
+export function ellipseAngleOf(ellipse, p) {
+  const dx = p.x - ellipse.centre.x;
+  const dy = p.y - ellipse.centre.y;
+  const cos = Math.cos(ellipse.rotation);
+  const sin = Math.sin(ellipse.rotation);
+  const x = dx * cos + dy * sin;
+  const y = -dx * sin + dy * cos;
+  return normalizeRad(Math.atan2(y / ellipse.radiusY, x / ellipse.radiusX));
+}
+
+/** Point at an angle of a circle, arc, ellipse or elliptical arc. */
+function pointAtAngle(curve, angle) {
+  return isElliptical(curve) ? pointOnEllipse(curve, angle) : pointOnCircle(curve.centre, curve.radius, angle);
+}
+
+/**
+ * An ellipse or spline as a point function of t0 ≤ t ≤ t1 (ellipse angle; spline segment index
+ * plus the position along it) with its derivative, and how finely to sample it when searching.
+ * Null for circles and arcs.
+ * @returns {{ t0: number, t1: number, closed: boolean, steps: number, at: function(number): {x,y},
+ *   d: function(number): {x,y} }|null}
+ */
+function pathOf(curve) {
+  if (isElliptical(curve)) {
+    const full = curve.type === 'ellipse';
+    const t0 = full ? 0 : curve.startAngle;
+    const sweep = full ? TWO_PI : arcSweep(curve);
+    return {
+      t0,
+      t1: t0 + sweep,
+      closed: full,
+      steps: Math.max(4, Math.ceil((ELLIPSE_SAMPLES * sweep) / Math.PI)),
+      at: (t) => pointOnEllipse(curve, t),
+      d: (t) => ellipseDerivative(curve, t),
+    };
+  }
+  if (curve.type === 'spline') {
+    const beziers = splineBeziers(curve);
+    const n = beziers.length;
+    // Which segment t falls in, and how far along it
+    const locate = (t) => {
+      const u = curve.closed ? ((t % n) + n) % n : t;
+      const i = Math.max(0, Math.min(n - 1, Math.floor(u)));
+      return { bezier: beziers[i], u: u - i };
+    };
+    return {
+      t0: 0,
+      t1: n,
+      closed: curve.closed,
+      steps: n * SEGMENT_SAMPLES,
+      at: (t) => {
+        const { bezier, u } = locate(t);
+        return bezierPoint(bezier, u);
+      },
+      d: (t) => {
+        const { bezier, u } = locate(t);
+        return bezierDerivative(bezier, u);
+      },
+    };
+  }
+  return null;
+}
+
+function pathSamples(path) {
+  const out = [];
+  for (let k = 0; k <= path.steps; k++) out.push(path.t0 + ((path.t1 - path.t0) * k) / path.steps);
+  return out;
+}
+
+/** Parameters where f changes sign along the path, refined by bisection. */
+function pathRoots(path, f) {
+  const ts = pathSamples(path);
+  const roots = [];
+  let prevT = ts[0];
+  let prev = f(prevT);
+  if (prev === 0) roots.push(prevT);
+  for (let k = 1; k < ts.length; k++) {
+    const t = ts[k];
+    const v = f(t);
+    // A closed path's last sample is its first again
+    if (v === 0 && !(path.closed && k === ts.length - 1)) roots.push(t);
+    else if (prev !== 0 && v !== 0 && prev < 0 !== v < 0) roots.push(bisect(f, prevT, t, prev));
+    prevT = t;
+    prev = v;
+  }
+  return roots;
+}
+
+function bisect(f, a, b, fa) {
+  for (let i = 0; i < 50; i++) {
+    const m = (a + b) / 2;
+    const fm = f(m);
+    if (fm === 0) return m;
+    if (fm < 0 === fa < 0) {
+      a = m;
+      fa = fm;
+    } else {
+      b = m;
+    }
+  }
+  return (a + b) / 2;
+}
+
+/** Parameter of the point on the path nearest p: best sample, then golden-section search. */
+function nearestPathParam(path, p) {
+  const d2 = (t) => {
+    const q = path.at(t);
+    return (q.x - p.x) ** 2 + (q.y - p.y) ** 2;
+  };
+  let best = path.t0;
+  let bestD = Infinity;
+  for (const t of pathSamples(path)) {
+    const d = d2(t);
+    if (d < bestD) {
+      best = t;
+      bestD = d;
+    }
+  }
+  const h = (path.t1 - path.t0) / path.steps;
+  let lo = path.closed ? best - h : Math.max(path.t0, best - h);
+  let hi = path.closed ? best + h : Math.min(path.t1, best + h);
+  const g = (Math.sqrt(5) - 1) / 2;
+  for (let i = 0; i < 60; i++) {
+    const m1 = hi - g * (hi - lo);
+    const m2 = lo + g * (hi - lo);
+    if (d2(m1) < d2(m2)) hi = m2;
+    else lo = m1;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Points along the path, each step halved until its chord is within tolerance of the curve (at
+ * least twice, so an S-bend whose middle lies on the chord is not missed).
+ */
+function tessellatePath(path, tolerance) {
+  const pieces = Math.max(1, Math.round(path.steps / SEGMENT_SAMPLES));
+  const out = [path.at(path.t0)];
+  const refine = (ta, pa, tb, pb, depth) => {
+    const tm = (ta + tb) / 2;
+    const pm = path.at(tm);
+    if (depth < MAX_SUBDIVISION_DEPTH && (depth < 2 || pointToSegmentDistance(pm, pa, pb) > tolerance)) {
+      refine(ta, pa, tm, pm, depth + 1);
+      refine(tm, pm, tb, pb, depth + 1);
+    } else {
+      out.push(pb);
+    }
+  };
+  for (let k = 0; k < pieces; k++) {
+    const ta = path.t0 + ((path.t1 - path.t0) * k) / pieces;
+    const tb = path.t0 + ((path.t1 - path.t0) * (k + 1)) / pieces;
+    refine(ta, out[out.length - 1], tb, path.at(tb), 0);
+  }
+  if (path.closed) out[out.length - 1] = { x: out[0].x, y: out[0].y };
+  return out;
+}
+
+/** Ellipse angles, or spline parameters, where the infinite line through a–b meets the path. */
+function pathLineRoots(path, a, b) {
+  if (a.x === b.x && a.y === b.y) return [];
+  return pathRoots(path, (t) => {
+    const q = path.at(t);
+    return (b.x - a.x) * (q.y - a.y) - (b.y - a.y) * (q.x - a.x);
+  });
+}
+
+function withoutDuplicates(points) {
+  return points.filter((p, i) => points.findIndex((q) => distance(p, q) < 1e-6) === i);
+}
+
+export function isClosedCurve(curve) {
+  return curve.type === 'circle' || curve.type === 'ellipse' || (curve.type === 'spline' && curve.closed);
+}
+
+/** Enclosed area in mm² (0 for open curves); exact except for splines (fine tessellation). */
+export function curveArea(curve) {
+  if (!isClosedCurve(curve)) return 0;
+  if (curve.type === 'circle') return Math.PI * curve.radius * curve.radius;
+  if (curve.type === 'ellipse') return Math.PI * curve.radiusX * curve.radiusY;
+  return polygonArea(tessellateCurve(curve, MEASURE_TOLERANCE).slice(0, -1));
+}
+
+/** Length in mm; exact for circles and arcs, measured on a fine tessellation otherwise. */
+export function curveLength(curve) {
+  if (curve.type === 'circle') return TWO_PI * curve.radius;
+  if (curve.type === 'arc') return curve.radius * arcSweep(curve);
+  const pts = tessellateCurve(curve, MEASURE_TOLERANCE);
+  let length = 0;
+  for (let i = 1; i < pts.length; i++) length += distance(pts[i - 1], pts[i]);
+  return length;
+}
+
+/** Arc (circular or elliptical) start / end points. */
+export function arcEndpoints(arc) {
+  return [pointAtAngle(arc, arc.startAngle), pointAtAngle(arc, arc.endAngle)];
+}
+
+/** Spline start / end points (the same point when closed). */
+function splineEndpoints(spline) {
+  const beziers = splineBeziers(spline);
+  return [beziers[0][0], beziers[beziers.length - 1][3]];
+}
+
+/** Quadrant angles (0°, 90°, 180°, 270°) that lie on a circle, arc, ellipse or elliptical arc. */
+function quadrantAngles(curve) {
+  const all = [0, Math.PI / 2, Math.PI, (3 * Math.PI) / 2];
+  return curve.type === 'circle' || curve.type === 'ellipse' ? all : all.filter((a) => angleOnArc(curve, a));
+}
+
+export function curveBounds(curve) {
+  const path = pathOf(curve);
+  let pts;
+  if (path) {
+    // Ends, and where the curve turns back in x or y
+    const ts = [path.t0, path.t1, ...pathRoots(path, (t) => path.d(t).x), ...pathRoots(path, (t) => path.d(t).y)];
+    pts = ts.map(path.at);
+  } else {
+    pts = quadrantAngles(curve).map((a) => pointOnCircle(curve.centre, curve.radius, a));
+    if (curve.type === 'arc') pts.push(...arcEndpoints(curve));
+  }
+  return {
+    minX: Math.min(...pts.map((p) => p.x)),
+    minY: Math.min(...pts.map((p) => p.y)),
+    maxX: Math.max(...pts.map((p) => p.x)),
+    maxY: Math.max(...pts.map((p) => p.y)),
+  };
+}
+
+/** Point halfway along an elliptical arc, by length. */
+function ellipseArcMidpoint(arc) {
+  const pts = tessellateCurve(arc, MEASURE_TOLERANCE);
+  let half = curveLength(arc) / 2;
+  for (let i = 1; i < pts.length; i++) {
+    const step = distance(pts[i - 1], pts[i]);
+    if (step >= half && step > 0) {
+      const t = half / step;
+      return { x: pts[i - 1].x + (pts[i].x - pts[i - 1].x) * t, y: pts[i - 1].y + (pts[i].y - pts[i - 1].y) * t };
+    }
+    half -= step;
+  }
+  return pts[pts.length - 1];
+}
+
+/**
+ * Object-snap candidates: centre, quadrants (ellipses: the ends of the axes), and for arcs end
+ * and mid points; the ends of an open spline.
+ * @returns {{ point: {x,y}, type: string }[]}
+ */
+export function curveSnapPoints(curve) {
+  if (curve.type === 'spline') {
+    if (curve.closed) return [];
+    const [start, end] = splineEndpoints(curve);
+    return [
+      { point: start, type: 'End' },
+      { point: end, type: 'End' },
+    ];
+  }
+  const out = [{ point: curve.centre, type: 'Centre' }];
+  for (const a of quadrantAngles(curve)) {
+    out.push({ point: pointAtAngle(curve, a), type: 'Quadrant' });
+  }
+  if (curve.type === 'arc' || curve.type === 'ellipseArc') {
+    const [start, end] = arcEndpoints(curve);
+    out.push({ point: start, type: 'End' }, { point: end, type: 'End' });
+    const mid =
+      curve.type === 'arc'
+        ? pointOnCircle(curve.centre, curve.radius, curve.startAngle + arcSweep(curve) / 2)
+        : ellipseArcMidpoint(curve);
+    out.push({ point: mid, type: 'Mid' });
+  }
+  return out;
+}
+
+/**
+ * Points where a line from p meets the curve at a right angle (circles: on the line through the
+ * centre).
+ */
+export function curvePerpendicularPoints(curve, p) {
+  const path = pathOf(curve);
+  if (path) {
+    const roots = pathRoots(path, (t) => {
+      const q = path.at(t);
+      const d = path.d(t);
+      return (q.x - p.x) * d.x + (q.y - p.y) * d.y;
+    });
+    return withoutDuplicates(roots.map(path.at));
+  }
+  const angle = Math.atan2(p.y - curve.centre.y, p.x - curve.centre.x);
+  return [angle, angle + Math.PI]
+    .filter((a) => curve.type === 'circle' || angleOnArc(curve, a))
+    .map((a) => pointOnCircle(curve.centre, curve.radius, a));
+}
+
+/** Points where a line from p touches the curve; none when p is on or inside a circle or ellipse. */
+export function curveTangentPoints(curve, p) {
+  const path = pathOf(curve);
+  if (path) {
+    const roots = pathRoots(path, (t) => {
+      const q = path.at(t);
+      const d = path.d(t);
+      return (q.x - p.x) * d.y - (q.y - p.y) * d.x;
+    });
+    // p itself, if it is on the curve, is no tangent point
+    return withoutDuplicates(roots.map(path.at).filter((q) => distance(q, p) > 1e-6));
+  }
+  const d = distance(p, curve.centre);
+  if (d <= curve.radius) return [];
+  const angle = Math.atan2(p.y - curve.centre.y, p.x - curve.centre.x);
+  const spread = Math.acos(curve.radius / d);
+  return [angle + spread, angle - spread]
+    .filter((a) => curve.type === 'circle' || angleOnArc(curve, a))
+    .map((a) => pointOnCircle(curve.centre, curve.radius, a));
+}
+
+/** Closest point on the curve to p. */
+export function nearestPointOnCurve(curve, p) {
+  const path = pathOf(curve);
+  if (path) return path.at(nearestPathParam(path, p));
+  const angle = Math.atan2(p.y - curve.centre.y, p.x - curve.centre.x);
+  if (curve.type === 'circle' || angleOnArc(curve, angle)) {
+    return pointOnCircle(curve.centre, curve.radius, angle);
+  }
+  const [start, end] = arcEndpoints(curve);
+  return distance(p, start) <= distance(p, end) ? start : end;
+}
+
+export function distanceToCurve(curve, p) {
+  return distance(p, nearestPointOnCurve(curve, p));
+}
+
+/**
+ * Points along the curve with chord error below tolerance (mm). Closed curves are returned closed
+ * (first point repeated at the end).
+ */
+export function tessellateCurve(curve, tolerance = TESSELLATION_TOLERANCE) {
+  const path = pathOf(curve);
+  if (path) return tessellatePath(path, tolerance);
+  const r = curve.radius;
+  const sweep = curve.type === 'circle' ? TWO_PI : arcSweep(curve);
+  const start = curve.type === 'circle' ? 0 : curve.startAngle;
+  const maxStep = r > tolerance ? 2 * Math.acos(1 - tolerance / r) : Math.PI / 2;
+  const n = Math.min(MAX_TESSELLATION_SEGMENTS, Math.max(8, Math.ceil(sweep / maxStep)));
+  const pts = [];
+  for (let i = 0; i <= n; i++) pts.push(pointOnCircle(curve.centre, r, start + (sweep * i) / n));
+  if (curve.type === 'circle') pts[n] = { x: pts[0].x, y: pts[0].y };
+  return pts;
+}
+
+/** Crossing-selection test: does the curve touch the box? */
+export function curveIntersectsBox(curve, box) {
+  const minX = Math.min(box.x1, box.x2);
+  const maxX = Math.max(box.x1, box.x2);
+  const minY = Math.min(box.y1, box.y2);
+  const maxY = Math.max(box.y1, box.y2);
+  const b = curveBounds(curve);
+  if (b.maxX < minX || b.minX > maxX || b.maxY < minY || b.minY > maxY) return false;
+  const extent = Math.max(b.maxX - b.minX, b.maxY - b.minY);
+  const pts = tessellateCurve(curve, Math.max(TESSELLATION_TOLERANCE, extent / 400));
+  for (let i = 0; i < pts.length - 1; i++) {
+    if (segmentIntersectsBox(pts[i], pts[i + 1], box)) return true;
+  }
+  return false;
+}
+
+/** Window-selection test: is the whole curve inside the box? */
+export function curveInBox(curve, box) {
+  const b = curveBounds(curve);
+  return (
+    b.minX >= Math.min(box.x1, box.x2) &&
+    b.maxX <= Math.max(box.x1, box.x2) &&
+    b.minY >= Math.min(box.y1, box.y2) &&
+    b.maxY <= Math.max(box.y1, box.y2)
+  );
+}
+
+/**
+ * Editing grips. 'centre' moves the curve, 'radius' changes the radius, 'radiusX' / 'radiusY' an
+ * ellipse's radii, 'start' / 'end' change arc angles, 'vertex' moves a spline's fit point or
+ * control vertex `index`.
+ * @returns {{ kind: string, point: {x,y}, index?: number }[]}
+ */
+export function curveGrips(curve) {
+  if (curve.type === 'spline') return curve.points.map((point, index) => ({ kind: 'vertex', point, index }));
+  const grips = [{ kind: 'centre', point: curve.centre }];
+  if (curve.type === 'ellipse') {
+    grips.push(
+      ...[0, Math.PI].map((a) => ({ kind: 'radiusX', point: pointOnEllipse(curve, a) })),
+      ...[Math.PI / 2, (3 * Math.PI) / 2].map((a) => ({ kind: 'radiusY', point: pointOnEllipse(curve, a) }))
+    );
+  } else if (curve.type === 'ellipseArc') {
+    const [start, end] = arcEndpoints(curve);
+    grips.push(
+      { kind: 'start', point: start },
+      { kind: 'end', point: end },
+      { kind: 'radiusX', point: pointOnEllipse(curve, 0) },
+      { kind: 'radiusY', point: pointOnEllipse(curve, Math.PI / 2) }
+    );
+  } else if (curve.type === 'circle') {
+    for (const a of quadrantAngles(curve)) {
+      grips.push({ kind: 'radius', point: pointOnCircle(curve.centre, curve.radius, a) });
+    }
+  } else {
+    const [start, end] = arcEndpoints(curve);
+    const midAngle = curve.startAngle + arcSweep(curve) / 2;
+    grips.push(
+      { kind: 'start', point: start },
+      { kind: 'end', point: end },
+      { kind: 'radius', point: pointOnCircle(curve.centre, curve.radius, midAngle) }
+    );
+  }
+  return grips;
+}
+
+/**
+ * Apply a grip drag to the curve (mutates it).
+ * @param {{ kind: string, index?: number }} grip - as given by curveGrips
+ */
+export function applyCurveGrip(curve, grip, worldPoint) {
+  const { kind } = grip;
+  if (kind === 'vertex') {
+    curve.points[grip.index].x = worldPoint.x;
+    curve.points[grip.index].y = worldPoint.y;
+    return;
+  }
+  const angle = isElliptical(curve)
+    ? ellipseAngleOf(curve, worldPoint)
+    : Math.atan2(worldPoint.y - curve.centre.y, worldPoint.x - curve.centre.x);
+  // Distance from the centre along an ellipse axis (the other axis turned a quarter)
+  const along = (turn) => {
+    const a = curve.rotation + turn;
+    const d = (worldPoint.x - curve.centre.x) * Math.cos(a) + (worldPoint.y - curve.centre.y) * Math.sin(a);
+    return Math.max(1, Math.abs(d));
+  };
+  if (kind === 'centre') {
+    curve.centre.x = worldPoint.x;
+    curve.centre.y = worldPoint.y;
+  } else if (kind === 'radius') {
+    curve.radius = Math.max(1, distance(curve.centre, worldPoint));
+  } else if (kind === 'radiusX') {
+    curve.radiusX = along(0);
+  } else if (kind === 'radiusY') {
+    curve.radiusY = along(Math.PI / 2);
+  } else if (kind === 'start') {
+    curve.startAngle = normalizeRad(angle);
+  } else if (kind === 'end') {
+    curve.endAngle = normalizeRad(angle);
+  }
+}
+
+/** Copy of the curve's geometry so it can be restored by restoreCurve (undo). */
+export function snapshotCurve(curve) {
+  const copy = { ...curve };
+  if (curve.centre) copy.centre = { x: curve.centre.x, y: curve.centre.y };
+  if (curve.points) copy.points = curve.points.map((p) => ({ x: p.x, y: p.y }));
+  return copy;
+}
+
+/** Write a snapshot back into the same curve object (identity preserved). */
+export function restoreCurve(curve, snapshot) {
+  const { centre, points, ...rest } = snapshot;
+  Object.assign(curve, rest);
+  if (centre) {
+    curve.centre.x = centre.x;
+    curve.centre.y = centre.y;
+  }
+  if (points) curve.points = points.map((p) => ({ x: p.x, y: p.y }));
+}
+
+/** Add the curve to the current canvas path in screen space. */
+export function traceCurve(gfx, viewport, curve) {
+  if (curve.type === 'spline') {
+    // Béziers map to Béziers: trace the segments through their screen control points
+    const beziers = splineBeziers(curve);
+    if (beziers.length === 0) return;
+    const start = viewport.toScreen(beziers[0][0]);
+    gfx.moveTo(start.x, start.y);
+    for (const [, p1, p2, p3] of beziers) {
+      const [s1, s2, s3] = [p1, p2, p3].map((p) => viewport.toScreen(p));
+      gfx.bezierCurveTo(s1.x, s1.y, s2.x, s2.y, s3.x, s3.y);
+    }
+    return;
+  }
+  const c = viewport.toScreen(curve.centre);
+  if (isElliptical(curve)) {
+    const scale = viewport.getScale();
+    const rotation = curve.rotation - viewport.getRotationRad();
+    const from = curve.type === 'ellipse' ? 0 : curve.startAngle;
+    const sweep = curve.type === 'ellipse' ? TWO_PI : arcSweep(curve);
+    const s = viewport.toScreen(pointOnEllipse(curve, from));
+    gfx.moveTo(s.x, s.y);
+    // Canvas ellipse angles are parameters too, measured from the rotated radiusX axis
+    gfx.ellipse(c.x, c.y, curve.radiusX * scale, curve.radiusY * scale, rotation, from, from + sweep);
+    return;
+  }
+  const r = curve.radius * viewport.getScale();
+  // World angles map to screen angles minus the view rotation (uniform scale, no mirroring)
+  const rot = viewport.getRotationRad();
+  if (curve.type === 'circle') {
+    gfx.moveTo(c.x + r * Math.cos(-rot), c.y + r * Math.sin(-rot));
+    gfx.arc(c.x, c.y, r, -rot, TWO_PI - rot);
+  } else {
+    const start = curve.startAngle - rot;
+    const s = { x: c.x + r * Math.cos(start), y: c.y + r * Math.sin(start) };
+    gfx.moveTo(s.x, s.y);
+    gfx.arc(c.x, c.y, r, start, start + arcSweep(curve));
+  }
+}
+
+/**
+ * The curve mapped through a transform (utils/transform.js), as a new curve. Arc ends are mapped
+ * as points; a mirror reverses the direction, so start and end swap. Spline points are mapped.
+ */
+export function transformCurve(curve, transform) {
+  if (curve.type === 'spline') {
+    return createSpline(curve.points.map((p) => transform.apply(p)), curve.method, curve.closed);
+  }
+  const centre = transform.apply(curve.centre);
+  if (isElliptical(curve)) {
+    const axis = transform.apply(pointOnEllipse(curve, 0));
+    const rotation = Math.atan2(axis.y - centre.y, axis.x - centre.x);
+    const args = [centre, curve.radiusX * transform.scale, curve.radiusY * transform.scale, rotation];
+    const ellipse = createEllipse(...args);
+    if (curve.type === 'ellipse') return ellipse;
+    const [start, end] = arcEndpoints(curve).map((p) => ellipseAngleOf(ellipse, transform.apply(p)));
+    return transform.mirrored ? createEllipseArc(...args, end, start) : createEllipseArc(...args, start, end);
+  }
+  const radius = curve.radius * transform.scale;
+  if (curve.type === 'circle') return createCircle(centre, radius);
+  const [start, end] = arcEndpoints(curve).map((p) => transform.apply(p));
+  const angleOf = (p) => Math.atan2(p.y - centre.y, p.x - centre.x);
+  return transform.mirrored
+    ? createArc(centre, radius, angleOf(end), angleOf(start))
+    : createArc(centre, radius, angleOf(start), angleOf(end));
+}
+
+/**
+ * Points where the infinite line through a–b meets the curve (arcs: only within the arc).
+ * @returns {{ point: {x,y}, t: number, angle?: number }[]} t along a→b; angle on a circle or arc
+ */
+export function curveLineIntersections(curve, a, b) {
+  const path = pathOf(curve);
+  if (path) {
+    const l2 = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+    return withoutDuplicates(pathLineRoots(path, a, b).map(path.at)).map((point) => ({
+      point,
+      t: ((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) / l2,
+    }));
+  }
+  return lineCircleIntersections(a, b, curve.centre, curve.radius)
+    .map((hit) => ({ ...hit, angle: Math.atan2(hit.point.y - curve.centre.y, hit.point.x - curve.centre.x) }))
+    .filter((hit) => curve.type === 'circle' || angleOnArc(curve, hit.angle));
+}
+
+/** A fine tessellation in runs of chords, each with its bounds, for crossing tests. */
+function chordRuns(curve) {
+  const pts = tessellateCurve(curve, CROSSING_TOLERANCE);
+  const runs = [];
+  for (let i = 0; i < pts.length - 1; i += CHORD_RUN) {
+    const run = pts.slice(i, i + CHORD_RUN + 1);
+    const xs = run.map((p) => p.x);
+    const ys = run.map((p) => p.y);
+    runs.push({ run, minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) });
+  }
+  return runs;
+}
+
+function boundsOverlap(a, b) {
+  return a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+}
+
+/**
+ * Points where an ellipse or spline crosses another curve: exactly against a circle or arc, else
+ * where their fine tessellations cross.
+ */
+function pathCurveIntersections(curve, other) {
+  const path = pathOf(curve);
+  if (isCircular(other)) {
+    const { centre, radius } = other;
+    const roots = pathRoots(path, (t) => distance(path.at(t), centre) - radius);
+    return roots
+      .map(path.at)
+      .filter((p) => other.type === 'circle' || angleOnArc(other, Math.atan2(p.y - centre.y, p.x - centre.x)));
+  }
+  const hits = [];
+  const otherRuns = chordRuns(other);
+  for (const a of chordRuns(curve)) {
+    for (const b of otherRuns) {
+      if (!boundsOverlap(a, b)) continue;
+      for (let i = 0; i < a.run.length - 1; i++) {
+        for (let j = 0; j < b.run.length - 1; j++) {
+          const hit = segmentIntersection(a.run[i], a.run[i + 1], b.run[j], b.run[j + 1]);
+          if (hit) hits.push(hit.point);
+        }
+      }
+    }
+  }
+  return hits;
+}
+
+/** Points where two curves cross (within both arcs). */
+export function curveCurveIntersections(c1, c2) {
+  if (!isCircular(c1)) return withoutDuplicates(pathCurveIntersections(c1, c2));
+  if (!isCircular(c2)) return withoutDuplicates(pathCurveIntersections(c2, c1));
+  const onCurve = (curve, p) =>
+    curve.type === 'circle' || angleOnArc(curve, Math.atan2(p.y - curve.centre.y, p.x - curve.centre.x));
+  return circleCircleIntersections(c1.centre, c1.radius, c2.centre, c2.radius).filter(
+    (p) => onCurve(c1, p) && onCurve(c2, p)
+  );
+}
+
+/**
+ * Concentric copy with the radius changed by delta (positive = outwards), or null when the
+ * radius would vanish or the curve is an ellipse or spline (whose offsets are neither).
+ */
+export function offsetCurve(curve, delta) {
+  if (!isCircular(curve)) return null;
+  const radius = curve.radius + delta;
+  if (!(radius > 0)) return null;
+  return curve.type === 'circle'
+    ? createCircle(curve.centre, radius)
+    : createArc(curve.centre, radius, curve.startAngle, curve.endAngle);
+}
+
+/** Plain JSON form (for save, clipboard and export). Angles stay in radians. */
+export function curveToJSON(curve) {
+  return snapshotCurve(curve);
+}
+
+/** Validate and rebuild a curve from JSON; returns null if malformed. */
+export function curveFromJSON(data) {
+  const ok = (n) => typeof n === 'number' && Number.isFinite(n);
+  if (data?.type === 'spline') {
+    const points = Array.isArray(data.points) ? data.points : [];
+    if (!SPLINE_METHODS.includes(data.method) || typeof data.closed !== 'boolean') return null;
+    if (points.length < minSplinePoints(data.closed) || !points.every((p) => p && ok(p.x) && ok(p.y))) return null;
+    return createSpline(points, data.method, data.closed);
+  }
+  if (data?.type === 'ellipse' || data?.type === 'ellipseArc') {
+    const { centre, radiusX, radiusY, rotation } = data;
+    if (!centre || !ok(centre.x) || !ok(centre.y) || !ok(radiusX) || !ok(radiusY) || !ok(rotation)) return null;
+    if (radiusX <= 0 || radiusY <= 0) return null;
+    if (data.type === 'ellipse') return createEllipse(centre, radiusX, radiusY, rotation);
+    if (!ok(data.startAngle) || !ok(data.endAngle)) return null;
+    return createEllipseArc(centre, radiusX, radiusY, rotation, data.startAngle, data.endAngle);
+  }
+  if (!data || !data.centre || !ok(data.centre.x) || !ok(data.centre.y) || !ok(data.radius)) return null;
+  if (data.radius <= 0) return null;
+  if (data.type === 'circle') return createCircle(data.centre, data.radius);
+  if (data.type === 'arc' && ok(data.startAngle) && ok(data.endAngle)) {
+    return createArc(data.centre, data.radius, data.startAngle, data.endAngle);
+  }
+  return null;
+}
@@ -0,0 +1,524 @@
+/**
+ * Dimension annotations: linear (horizontal / vertical), aligned, angular, radius and diameter.
+ *
+ * Dimensions are associative: their points are the vertex objects of polylines (and a radial
+ * dimension holds the curve itself), so moving a vertex with a grip, a drag or Move re-measures
+ * every dimension attached to it. Points that were not snapped to a vertex belong to the dimension.
+ * Edits that rebuild polylines or curves (trim, fillet, join, explode, deleting segments) hand the
+ * dimension over to the new vertex at the same place, or the new arc on the same circle (see
+ * reattachedRefs); where none is left the dimension keeps the old position.
+ * Placement is stored relative to the measured points (an offset, a radius, an angle), so the
+ * dimension line travels with the geometry.
+ *
+ * Text height, arrows and gaps are in paper mm and scaled by the drawing scale (1:N), so dimensions
+ * read the same on paper at 1:50 and 1:100. Geometry is built in world mm; text is drawn in screen
+ * space so it stays upright.
+ */
+
+import { distance, lineIntersection, pointToSegmentDistance } from '../utils/math.js';
+import { curveToJSON, curveFromJSON, isCircular } from './curves.js';
+
+export const DIMENSION_TEXT_HEIGHT_MM = 2.5;
+export const DIMENSION_ARROW_MM = 2.5;
+export const BASELINE_SPACING_MM = 6; // between stacked baseline dimensions
+const EXTENSION_GAP_MM = 0.625; // between the measured point and its extension line
+const EXTENSION_BEYOND_MM = 1.25; // extension line past the dimension line
+const TEXT_GAP_MM = 0.8; // dimension line to text
+const TWO_PI = Math.PI * 2;
+
+/**
+ * @typedef {Object} Dimension
+ * @property {'dimension'} kind
+ * @property {'linear'|'aligned'|'angular'|'radius'|'diameter'} type
+ * @property {{x,y}[]} points - linear / aligned: [first, second]; angular: two lines [a1, a2, b1, b2]
+ * @property {number} [offset] - linear / aligned: dimension line distance from the first point along
+ *   the normal (mm)
+ * @property {'horizontal'|'vertical'} [direction] - linear only
+ * @property {number[]} [sides] - angular: 1 or -1 per line, which way its ray leaves the vertex
+ * @property {number} [radius] - angular: arc radius (mm)
+ * @property {import('./curves.js').Curve} [curve] - radius / diameter
+ * @property {number} [angle] - radius / diameter: direction of the dimension line (radians)
+ */
+
+export const DIMENSION_TYPES = ['linear', 'aligned', 'angular', 'radius', 'diameter'];
+
+export function isDimension(entity) {
+  return entity?.kind === 'dimension';
+}
+
+/** @returns {Dimension} */
+export function createDimension(type, props) {
+  return { kind: 'dimension', type, points: [], ...props };
+}
+
+function unit(from, to) {
+  const len = distance(from, to);
+  return len > 1e-9 ? { x: (to.x - from.x) / len, y: (to.y - from.y) / len } : null;
+}
+
+function along(p, u, d) {
+  return { x: p.x + u.x * d, y: p.y + u.y * d };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y;
+}
+
+/** Anticlockwise angle from direction a to direction b, in [0, 2π). */
+function sweepBetween(a, b) {
+  const s = Math.atan2(b.y, b.x) - Math.atan2(a.y, a.x);
+  return ((s % TWO_PI) + TWO_PI) % TWO_PI;
+}
+
+/** Measuring direction u and the normal n the offset is taken along. */
+function linearFrame(dim) {
+  if (dim.type === 'linear') {
+    return dim.direction === 'vertical'
+      ? { u: { x: 0, y: 1 }, n: { x: -1, y: 0 } }
+      : { u: { x: 1, y: 0 }, n: { x: 0, y: 1 } };
+  }
+  const u = unit(dim.points[0], dim.points[1]) ?? { x: 1, y: 0 };
+  return { u, n: { x: -u.y, y: u.x } };
+}
+
+/** Vertex and ray directions of an angular dimension, or null if its lines are parallel. */
+function angularFrame(dim) {
+  const [a1, a2, b1, b2] = dim.points;
+  const hit = lineIntersection(a1, a2, b1, b2);
+  const ua = unit(a1, a2);
+  const ub = unit(b1, b2);
+  if (!hit || !ua || !ub) return null;
+  const [sa, sb] = dim.sides ?? [1, 1];
+  return { vertex: hit.point, ra: { x: ua.x * sa, y: ua.y * sa }, rb: { x: ub.x * sb, y: ub.y * sb } };
+}
+
+/** Start direction and anticlockwise sweep (under a half turn) of the angle between two rays. */
+function minorSector(ra, rb) {
+  const sweep = sweepBetween(ra, rb);
+  return sweep <= Math.PI ? { from: ra, sweep } : { from: rb, sweep: TWO_PI - sweep };
+}
+
+/**
+ * Horizontal or vertical, from where the dimension line is dragged: off the ends of the points'
+ * x range reads as vertical, above or below as horizontal (as in AutoCAD DIMLINEAR).
+ */
+function linearDirection(p1, p2, at) {
+  const outside = (v, a, b) => Math.max(0, Math.min(a, b) - v, v - Math.max(a, b));
+  return outside(at.x, p1.x, p2.x) > outside(at.y, p1.y, p2.y) ? 'vertical' : 'horizontal';
+}
+
+/**
+ * The dimension with its placement taken from a point the user dragged to: the dimension line
+ * through it (linear, aligned), the arc through it in the angle that contains it (angular), or
+ * the dimension line towards it (radius, diameter). Linear dimensions also pick their direction.
+ * @param {Dimension} dim
+ * @param {{x,y}} at
+ * @returns {Dimension}
+ */
+export function placeDimension(dim, at) {
+  const { type, points } = dim;
+  if (type === 'linear' || type === 'aligned') {
+    const next = { ...dim };
+    if (type === 'linear') next.direction = linearDirection(points[0], points[1], at);
+    const { n } = linearFrame(next);
+    next.offset = dot({ x: at.x - points[0].x, y: at.y - points[0].y }, n);
+    return next;
+  }
+  if (type === 'angular') {
+    const base = angularFrame({ ...dim, sides: [1, 1] });
+    if (!base) return dim;
+    const d = unit(base.vertex, at);
+    let sides = [1, 1];
+    for (const candidate of [
+      [1, 1],
+      [1, -1],
+      [-1, 1],
+      [-1, -1],
+    ]) {
+      const ra = { x: base.ra.x * candidate[0], y: base.ra.y * candidate[0] };
+      const rb = { x: base.rb.x * candidate[1], y: base.rb.y * candidate[1] };
+      const { from, sweep } = minorSector(ra, rb);
+      if (d && sweepBetween(from, d) <= sweep) {
+        sides = candidate;
+        break;
+      }
+    }
+    return { ...dim, sides, radius: distance(base.vertex, at) };
+  }
+  const { centre } = dim.curve;
+  return { ...dim, angle: Math.atan2(at.y - centre.y, at.x - centre.x) };
+}
+
+/**
+ * The next dimension of a baseline or continued chain (AutoCAD DIMBASELINE / DIMCONTINUE) from a
+ * linear or aligned one: baseline measures from the same first point with its dimension line one
+ * spacing further out; continue measures on from the second point along the same line.
+ * @param {Dimension} base
+ * @param {{x,y}} point - the new second point
+ * @param {'baseline'|'continue'} mode
+ * @param {number} scaleDenom - sets the baseline spacing
+ * @returns {Dimension}
+ */
+export function chainDimension(base, point, mode, scaleDenom) {
+  const props = base.type === 'linear' ? { direction: base.direction } : {};
+  if (mode === 'baseline') {
+    const side = Math.sign(base.offset) || 1;
+    return createDimension(base.type, {
+      ...props,
+      points: [base.points[0], point],
+      offset: base.offset + side * BASELINE_SPACING_MM * scaleDenom,
+    });
+  }
+  const [p1, p2] = base.points;
+  const { n } = linearFrame(base);
+  // Same dimension line: keep its distance along the normal, measured now from p2
+  const offset =
+    base.type === 'linear' ? base.offset + dot({ x: p1.x - p2.x, y: p1.y - p2.y }, n) : base.offset;
+  return createDimension(base.type, { ...props, points: [p2, point], offset });
+}
+
+/**
+ * The measured value: mm for linear, aligned, radius and diameter; degrees for angular.
+ * @returns {number|null} null if the geometry is degenerate (parallel angular lines)
+ */
+export function measureDimension(dim) {
+  const { type, points } = dim;
+  if (type === 'linear' || type === 'aligned') {
+    const { u } = linearFrame(dim);
+    return Math.abs(dot({ x: points[1].x - points[0].x, y: points[1].y - points[0].y }, u));
+  }
+  if (type === 'angular') {
+    const frame = angularFrame(dim);
+    return frame ? (minorSector(frame.ra, frame.rb).sweep * 180) / Math.PI : null;
+  }
+  return type === 'diameter' ? dim.curve.radius * 2 : dim.curve.radius;
+}
+
+/** Dimension text: whole mm, R / Ø prefixes for radial dimensions, degrees to 0.1°. */
+export function dimensionText(dim) {
+  const value = measureDimension(dim);
+  if (value === null) return '';
+  if (dim.type === 'angular') return `${Math.round(value * 10) / 10}°`;
+  const mm = String(Math.round(value));
+  if (dim.type === 'radius') return `R${mm}`;
+  if (dim.type === 'diameter') return `Ø${mm}`;
+  return mm;
+}
+
+/** Extension line from a measured point p to the dimension line point d, with the usual gap and overshoot. */
+function extensionLine(p, d, gap, beyond) {
+  const e = unit(p, d);
+  if (!e || distance(p, d) <= gap) return null;
+  return [along(p, e, gap), along(d, e, beyond)];
+}
+
+/**
+ * World geometry of a dimension at a drawing scale.
+ * @param {Dimension} dim
+ * @param {number} scaleDenom - drawing scale 1:N (world mm per paper mm)
+ * @returns {{ lines: {x,y}[][], arcs: { centre, radius, start, sweep }[], arrows: { tip, dir }[],
+ *   text: { at, dir, content, height, gap } }|null} arrows point along dir into their tip; text sits
+ *   on the side of at facing up when read along dir; null if degenerate
+ */
+export function dimensionGeometry(dim, scaleDenom) {
+  const arrow = DIMENSION_ARROW_MM * scaleDenom;
+  const gap = EXTENSION_GAP_MM * scaleDenom;
+  const beyond = EXTENSION_BEYOND_MM * scaleDenom;
+  const text = {
+    content: dimensionText(dim),
+    height: DIMENSION_TEXT_HEIGHT_MM * scaleDenom,
+    gap: TEXT_GAP_MM * scaleDenom,
+  };
+  const lines = [];
+  const arcs = [];
+  const arrows = [];
+
+  if (dim.type === 'linear' || dim.type === 'aligned') {
+    const [p1, p2] = dim.points;
+    const { u, n } = linearFrame(dim);
+    const d1 = along(p1, n, dim.offset ?? 0);
+    const d2 = along(d1, u, dot({ x: p2.x - p1.x, y: p2.y - p1.y }, u));
+    for (const [p, d] of [
+      [p1, d1],
+      [p2, d2],
+    ]) {
+      const ext = extensionLine(p, d, gap, beyond);
+      if (ext) lines.push(ext);
+    }
+    const dir = unit(d1, d2) ?? u;
+    const back = { x: -dir.x, y: -dir.y };
+    // Too short for arrows inside: put them outside, pointing in
+    if (distance(d1, d2) < arrow * 3) {
+      lines.push([along(d1, back, arrow * 2), along(d2, dir, arrow * 2)]);
+      arrows.push({ tip: d1, dir }, { tip: d2, dir: back });
+    } else {
+      lines.push([d1, d2]);
+      arrows.push({ tip: d1, dir: back }, { tip: d2, dir });
+    }
+    return { lines, arcs, arrows, text: { ...text, at: along(d1, dir, distance(d1, d2) / 2), dir } };
+  }
+
+  if (dim.type === 'angular') {
+    const frame = angularFrame(dim);
+    if (!frame) return null;
+    const { vertex, ra, rb } = frame;
+    const r = dim.radius ?? 0;
+    const { from, sweep } = minorSector(ra, rb);
+    const start = Math.atan2(from.y, from.x);
+    arcs.push({ centre: vertex, radius: r, start, sweep });
+    // Extension lines where the arc ends beyond (or short of) the measured segments
+    const [a1, a2, b1, b2] = dim.points;
+    for (const [ray, p, q] of [
+      [ra, a1, a2],
+      [rb, b1, b2],
+    ]) {
+      const t1 = dot({ x: p.x - vertex.x, y: p.y - vertex.y }, ray);
+      const t2 = dot({ x: q.x - vertex.x, y: q.y - vertex.y }, ray);
+      const far = Math.max(t1, t2);
+      const near = Math.min(t1, t2);
+      if (r > far + gap) lines.push([along(vertex, ray, far + gap), along(vertex, ray, r + beyond)]);
+      else if (r < near - gap) lines.push([along(vertex, ray, near - gap), along(vertex, ray, r - beyond)]);
+    }
+    const radial = (a) => ({ x: Math.cos(a), y: Math.sin(a) });
+    const tangent = (a) => ({ x: -Math.sin(a), y: Math.cos(a) });
+    const end = start + sweep;
+    arrows.push(
+      { tip: along(vertex, radial(start), r), dir: { x: Math.sin(start), y: -Math.cos(start) } },
+      { tip: along(vertex, radial(end), r), dir: tangent(end) }
+    );
+    const mid = start + sweep / 2;
+    return { lines, arcs, arrows, text: { ...text, at: along(vertex, radial(mid), r), dir: tangent(mid) } };
+  }
+
+  const { centre, radius } = dim.curve;
+  const dir = { x: Math.cos(dim.angle ?? 0), y: Math.sin(dim.angle ?? 0) };
+  const tip = along(centre, dir, radius);
+  if (dim.type === 'radius') {
+    lines.push([centre, tip]);
+    arrows.push({ tip, dir });
+    return { lines, arcs, arrows, text: { ...text, at: along(centre, dir, radius / 2), dir } };
+  }
+  const other = along(centre, dir, -radius);
+  lines.push([other, tip]);
+  arrows.push({ tip, dir }, { tip: other, dir: { x: -dir.x, y: -dir.y } });
+  return { lines, arcs, arrows, text: { ...text, at: centre, dir } };
+}
+
+/** Half width of the text box, estimated from the character count (no canvas needed). */
+function textHalfWidth(text) {
+  return (text.content.length * text.height * 0.6) / 2;
+}
+
+/** Points to bound a dimension: line ends, arc ends and middle, arrow tips and the text box. */
+function outlinePoints(geometry) {
+  const { lines, arcs, arrows, text } = geometry;
+  const points = [...lines.flat(), ...arrows.map((a) => a.tip)];
+  for (const { centre, radius, start, sweep } of arcs) {
+    for (const a of [start, start + sweep / 2, start + sweep]) {
+      points.push(along(centre, { x: Math.cos(a), y: Math.sin(a) }, radius));
+    }
+  }
+  const w = textHalfWidth(text);
+  const up = text.gap + text.height;
+  const n = { x: -text.dir.y, y: text.dir.x };
+  for (const [s, t] of [
+    [-w, -up],
+    [w, -up],
+    [-w, up],
+    [w, up],
+  ]) {
+    points.push(along(along(text.at, text.dir, s), n, t));
+  }
+  return points;
+}
+
+/** World bounding box, or null if degenerate. */
+export function dimensionBounds(dim, scaleDenom) {
+  const geometry = dimensionGeometry(dim, scaleDenom);
+  if (!geometry) return null;
+  const points = outlinePoints(geometry);
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/** Distance from p to the dimension's lines, arcs or text (0 inside the text box). */
+export function distanceToDimension(dim, p, scaleDenom) {
+  const geometry = dimensionGeometry(dim, scaleDenom);
+  if (!geometry) return Infinity;
+  const { lines, arcs, text } = geometry;
+  let best = Infinity;
+  for (const [a, b] of lines) best = Math.min(best, pointToSegmentDistance(p, a, b));
+  for (const { centre, radius, start, sweep } of arcs) {
+    const from = { x: Math.cos(start), y: Math.sin(start) };
+    if (sweepBetween(from, { x: p.x - centre.x, y: p.y - centre.y }) <= sweep) {
+      best = Math.min(best, Math.abs(distance(p, centre) - radius));
+    }
+  }
+  // Text may sit either side of its line once turned upright
+  const rel = { x: p.x - text.at.x, y: p.y - text.at.y };
+  const s = Math.abs(dot(rel, text.dir));
+  const t = Math.abs(rel.x * -text.dir.y + rel.y * text.dir.x);
+  if (s <= textHalfWidth(text) && t <= text.gap + text.height) best = 0;
+  return best;
+}
+
+/**
+ * Closed filled arrowhead, one third as wide as long, in the current fill style.
+ * @param {{x,y}} tip
+ * @param {{x,y}} dir - unit direction the arrow points in
+ * @param {number} length - world mm
+ */
+export function drawArrowhead(gfx, viewport, tip, dir, length) {
+  const base = along(tip, dir, -length);
+  const n = { x: -dir.y, y: dir.x };
+  const corners = [tip, along(base, n, length / 6), along(base, n, -length / 6)].map((p) => viewport.toScreen(p));
+  gfx.beginPath();
+  gfx.moveTo(corners[0].x, corners[0].y);
+  gfx.lineTo(corners[1].x, corners[1].y);
+  gfx.lineTo(corners[2].x, corners[2].y);
+  gfx.closePath();
+  gfx.fill();
+}
+
+/**
+ * Draw a dimension.
+ * @param {CanvasRenderingContext2D} gfx
+ * @param {*} viewport - toScreen() and getScale()
+ * @param {Dimension} dim
+ * @param {number} scaleDenom
+ * @param {string} color
+ * @param {number} [lineWidth] - screen px
+ */
+export function drawDimension(gfx, viewport, dim, scaleDenom, color, lineWidth = 1) {
+  const geometry = dimensionGeometry(dim, scaleDenom);
+  if (!geometry) return;
+  const { lines, arcs, arrows, text } = geometry;
+  const scale = viewport.getScale();
+  gfx.strokeStyle = color;
+  gfx.fillStyle = color;
+  gfx.lineWidth = lineWidth;
+  gfx.beginPath();
+  for (const [a, b] of lines) {
+    const sa = viewport.toScreen(a);
+    const sb = viewport.toScreen(b);
+    gfx.moveTo(sa.x, sa.y);
+    gfx.lineTo(sb.x, sb.y);
+  }
+  gfx.stroke();
+  for (const { centre, radius, start, sweep } of arcs) {
+    // Trace in world steps so a rotated view stays correct
+    const steps = Math.max(8, Math.ceil((sweep / TWO_PI) * 64));
+    gfx.beginPath();
+    for (let i = 0; i <= steps; i++) {
+      const a = start + (sweep * i) / steps;
+      const s = viewport.toScreen(along(centre, { x: Math.cos(a), y: Math.sin(a) }, radius));
+      if (i === 0) gfx.moveTo(s.x, s.y);
+      else gfx.lineTo(s.x, s.y);
+    }
+    gfx.stroke();
+  }
+  for (const { tip, dir } of arrows) drawArrowhead(gfx, viewport, tip, dir, DIMENSION_ARROW_MM * scaleDenom);
+  const heightPx = text.height * scale;
+  if (heightPx < 1 || !text.content) return;
+  const at = viewport.toScreen(text.at);
+  const ahead = viewport.toScreen(along(text.at, text.dir, 1));
+  let angle = Math.atan2(ahead.y - at.y, ahead.x - at.x);
+  // Keep text upright: never read from right to left
+  if (angle > Math.PI / 2 + 1e-9 || angle <= -Math.PI / 2) angle += Math.PI;
+  gfx.save();
+  gfx.translate(at.x, at.y);
+  gfx.rotate(angle);
+  gfx.font = `${heightPx}px Arial`;
+  gfx.textAlign = 'center';
+  gfx.textBaseline = 'bottom';
+  gfx.fillText(text.content, 0, -text.gap * scale);
+  gfx.restore();
+}
+
+/**
+ * New references for a dimension whose geometry is being replaced: each point that is a vertex of
+ * a removed polyline becomes the vertex of the new polylines at the same place, and a removed
+ * circle or arc the new circle or arc with the same centre and radius. Null if nothing changes.
+ * @param {Dimension} dim
+ * @param {Object[]} removed - polylines and curves going
+ * @param {Object[]} pieces - polylines and curves replacing them
+ * @returns {{ points: {x,y}[], curve?: import('./curves.js').Curve }|null}
+ */
+export function reattachedRefs(dim, removed, pieces) {
+  const goneVertices = new Set(removed.filter(Array.isArray).flat());
+  const vertices = pieces.filter(Array.isArray).flat();
+  let changed = false;
+  const points = dim.points.map((p) => {
+    if (!goneVertices.has(p)) return p;
+    const match = vertices.find((v) => distance(v, p) < 1e-6);
+    if (match) changed = true;
+    return match ?? p;
+  });
+  const next = { points };
+  if (dim.curve && removed.includes(dim.curve)) {
+    const { centre, radius } = dim.curve;
+    const sameCircle = (c) => distance(c.centre, centre) < 1e-6 && Math.abs(c.radius - radius) < 1e-6;
+    const match = pieces.find((c) => !Array.isArray(c) && isCircular(c) && sameCircle(c));
+    if (match) {
+      next.curve = match;
+      changed = true;
+    }
+  }
+  return changed ? next : null;
+}
+
+/**
+ * JSON form for the project file. Points on polylines are stored as vertex references so the
+ * dimension is still attached when the file is opened again; other points as coordinates.
+ * @param {Dimension} dim
+ * @param {{ pointRef: function({x,y}): ({ polyline: number, vertex: number }|null),
+ *   curveRef: function(Object): ({ curve: number }|null) }} refs
+ */
+export function dimensionToJSON(dim, refs) {
+  const json = {
+    type: dim.type,
+    points: dim.points.map((p) => refs.pointRef(p) ?? { x: p.x, y: p.y }),
+  };
+  if (dim.offset != null) json.offset = dim.offset;
+  if (dim.direction) json.direction = dim.direction;
+  if (dim.sides) json.sides = [...dim.sides];
+  if (dim.radius != null) json.radius = dim.radius;
+  if (dim.angle != null) json.angle = dim.angle;
+  if (dim.curve) json.curve = refs.curveRef(dim.curve) ?? { geometry: curveToJSON(dim.curve) };
+  return json;
+}
+
+/**
+ * Rebuild a dimension from dimensionToJSON output.
+ * @param {Object} json
+ * @param {{ pointAt: function({ polyline: number, vertex: number }): ({x,y}|undefined),
+ *   curveAt: function(number): (Object|undefined) }} refs
+ * @returns {Dimension|null} null if malformed or a reference does not resolve
+ */
+export function dimensionFromJSON(json, refs) {
+  if (!json || !DIMENSION_TYPES.includes(json.type) || !Array.isArray(json.points)) return null;
+  const isNumber = (n) => typeof n === 'number' && Number.isFinite(n);
+  const points = json.points.map((ref) => {
+    if (Number.isInteger(ref?.polyline) && Number.isInteger(ref?.vertex)) return refs.pointAt(ref);
+    return isNumber(ref?.x) && isNumber(ref?.y) ? { x: ref.x, y: ref.y } : undefined;
+  });
+  if (points.some((p) => !p)) return null;
+  const dim = createDimension(json.type, { points });
+  if (json.type === 'linear' || json.type === 'aligned') {
+    if (points.length !== 2 || !isNumber(json.offset)) return null;
+    dim.offset = json.offset;
+    if (json.type === 'linear') dim.direction = json.direction === 'vertical' ? 'vertical' : 'horizontal';
+    return dim;
+  }
+  if (json.type === 'angular') {
+    const sides = Array.isArray(json.sides) ? json.sides.map((s) => (s < 0 ? -1 : 1)) : [1, 1];
+    if (points.length !== 4 || !isNumber(json.radius) || sides.length !== 2) return null;
+    return Object.assign(dim, { sides, radius: json.radius });
+  }
+  const curve = Number.isInteger(json.curve?.curve)
+    ? refs.curveAt(json.curve.curve)
+    : curveFromJSON(json.curve?.geometry);
+  if (!curve || !isNumber(json.angle)) return null;
+  return Object.assign(dim, { curve, angle: json.angle });
+}
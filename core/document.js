@@ -0,0 +1,182 @@
+/**
+ * Native project file (.wcad.json): a versioned snapshot of the whole drawing that round-trips
+ * exactly, unlike the structured rooms/walls export. Coordinates in mm.
+ */
+
+import { curveToJSON, curveFromJSON } from './curves.js';
+import { annotationToJSON, annotationFromJSON } from './annotations.js';
+
+export const DOCUMENT_FORMAT = 'wcad';
+export const DOCUMENT_VERSION = 1;
+export const DOCUMENT_EXTENSION = '.wcad.json';
+
+/**
+ * Build the serialisable document from engine state.
+ * Per-polyline properties reference polylines by index into `polylines`, as do a region's `holes`.
+ * Dimensions reference the vertices and curves they measure by index (see core/dimensions.js), room
+ * tags their room polyline (see core/roomTags.js).
+ * @param {Object} state - engine state
+ * @param {{ getScale, getOffset, getRotationRad }} viewport
+ */
+export function serializeDocument(state, viewport) {
+  const polylines = state.polylines.map((line) => ({
+    points: line.map((p) => ({ x: p.x, y: p.y })),
+    fillColor: state.polylineFillColors.get(line) ?? null,
+    hatch: state.polylineHatch.get(line) ? { ...state.polylineHatch.get(line) } : null,
+    layerId: state.polylineLayer.get(line) ?? null,
+    style: state.polylineStyle.get(line) ? { ...state.polylineStyle.get(line) } : null,
+    holes: state.polylineHoles.has(line)
+      ? state.polylineHoles
+          .get(line)
+          .map((hole) => state.polylines.indexOf(hole))
+          .filter((i) => i !== -1)
+      : null,
+  }));
+  const curves = state.curves.map((curve) => ({
+    curve: curveToJSON(curve),
+    fillColor: state.polylineFillColors.get(curve) ?? null,
+    hatch: state.polylineHatch.get(curve) ? { ...state.polylineHatch.get(curve) } : null,
+    layerId: state.polylineLayer.get(curve) ?? null,
+    style: state.polylineStyle.get(curve) ? { ...state.polylineStyle.get(curve) } : null,
+  }));
+  // Associative arrays reference their entities by index; deleted members are dropped
+  const ref = (entity) =>
+    Array.isArray(entity)
+      ? { polyline: state.polylines.indexOf(entity) }
+      : { curve: state.curves.indexOf(entity) };
+  const live = (r) => (r.polyline ?? r.curve) !== -1;
+  const vertexRefs = new Map();
+  if (state.annotations.length > 0) {
+    state.polylines.forEach((line, polyline) =>
+      line.forEach((p, vertex) => {
+        if (!vertexRefs.has(p)) vertexRefs.set(p, { polyline, vertex });
+      })
+    );
+  }
+  const annotationRefs = {
+    pointRef: (p) => vertexRefs.get(p) ?? null,
+    polylineRef: (line) => state.polylines.indexOf(line),
+    curveRef: (curve) => {
+      const i = state.curves.indexOf(curve);
+      return i === -1 ? null : { curve: i };
+    },
+  };
+  const annotations = state.annotations.map((annotation) => ({
+    ...annotationToJSON(annotation, annotationRefs),
+    layerId: state.polylineLayer.get(annotation) ?? null,
+  }));
+  const arrays = state.arrays
+    .map((a) => ({
+      params: { ...a.params },
+      sources: a.sources.map(ref).filter(live),
+      items: a.items.map(ref).filter(live),
+    }))
+    .filter((a) => a.sources.length > 0);
+  return {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    units: 'mm',
+    polylines,
+    curves,
+    annotations,
+    arrays,
+    layers: state.layers.map((l) => ({ ...l })),
+    currentLayerId: state.currentLayerId,
+    keyRefModel: JSON.parse(JSON.stringify(state.keyRefModel)),
+    activeViewId: state.activeViewId,
+    settings: {
+      gridEnabled: state.gridEnabled,
+      buildingGridlinesEnabled: state.buildingGridlinesEnabled,
+      angleSnapMode: state.angleSnapMode,
+      scaleDenom: state.scaleDenom,
+      lineweightsEnabled: state.lineweightsEnabled,
+      currentStyle: { ...state.currentStyle },
+      textStyle: { ...state.textStyle },
+      osnaps: { ...state.osnaps },
+      polarIncrement: state.polarIncrement,
+      snapTrackingEnabled: state.snapTrackingEnabled,
+    },
+    viewport: {
+      scale: viewport.getScale(),
+      offset: viewport.getOffset(),
+      rotationRad: viewport.getRotationRad(),
+    },
+  };
+}
+
+function isFiniteNumber(n) {
+  return typeof n === 'number' && Number.isFinite(n);
+}
+
+function isPoint(p) {
+  return p != null && isFiniteNumber(p.x) && isFiniteNumber(p.y);
+}
+
+/**
+ * Parse and validate a project file. Throws an Error describing the first problem found.
+ * @param {string|Object} input - JSON text or already-parsed object
+ * @returns {Object} normalised document (same shape as serializeDocument output)
+ */
+export function parseDocument(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`Not a valid JSON file: ${err.message}`);
+    }
+  }
+  if (!doc || doc.format !== DOCUMENT_FORMAT) {
+    throw new Error('Not a Web CAD project file (missing "format": "wcad")');
+  }
+  if (!Number.isInteger(doc.version) || doc.version > DOCUMENT_VERSION) {
+    throw new Error(`Unsupported project file version: ${doc.version}`);
+  }
+  if (!Array.isArray(doc.polylines)) {
+    throw new Error('Project file has no "polylines" array');
+  }
+  doc.polylines.forEach((entry, i) => {
+    if (!entry || !Array.isArray(entry.points) || !entry.points.every(isPoint)) {
+      throw new Error(`Polyline ${i} has invalid points`);
+    }
+    const isIndex = (h) => Number.isInteger(h) && h >= 0 && h < doc.polylines.length && h !== i;
+    if (entry.holes != null && !(Array.isArray(entry.holes) && entry.holes.every(isIndex))) {
+      throw new Error(`Polyline ${i} has invalid holes`);
+    }
+  });
+  if (doc.curves != null) {
+    if (!Array.isArray(doc.curves)) throw new Error('Project file "curves" must be an array');
+    doc.curves.forEach((entry, i) => {
+      if (!curveFromJSON(entry?.curve)) throw new Error(`Curve ${i} is invalid`);
+    });
+  }
+  if (doc.annotations != null) {
+    if (!Array.isArray(doc.annotations)) throw new Error('Project file "annotations" must be an array');
+    const refs = {
+      pointAt: (ref) => doc.polylines[ref.polyline]?.points[ref.vertex],
+      polylineAt: (i) => doc.polylines[i]?.points,
+      curveAt: (i) => curveFromJSON(doc.curves?.[i]?.curve),
+    };
+    doc.annotations.forEach((entry, i) => {
+      if (!annotationFromJSON(entry, refs)) throw new Error(`Annotation ${i} is invalid`);
+    });
+  }
+  if (doc.arrays != null) {
+    const isRef = (r) => Number.isInteger(r?.polyline) || Number.isInteger(r?.curve);
+    const isArray = (a) =>
+      a && Array.isArray(a.sources) && Array.isArray(a.items) && [...a.sources, ...a.items].every(isRef);
+    if (!Array.isArray(doc.arrays) || !doc.arrays.every(isArray)) {
+      throw new Error('Project file has an invalid "arrays" table');
+    }
+  }
+  if (doc.layers != null) {
+    if (!Array.isArray(doc.layers) || !doc.layers.every((l) => l && typeof l.id === 'string')) {
+      throw new Error('Project file has an invalid "layers" table');
+    }
+  }
+  const vp = doc.viewport;
+  if (vp && !(isFiniteNumber(vp.scale) && vp.scale > 0 && isPoint(vp.offset))) {
+    throw new Error('Project file has an invalid viewport');
+  }
+  return doc;
+}
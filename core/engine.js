@@ -8,6 +8,57 @@ import { buildStructuredDrawing } from './export.js';
 import { renderHatch } from '../patterns/hatch.js';
 import { getSheetLayout, hitTestSheet, getSheetsBounds } from './sheetLayout.js';
 import { rotateViewByAnimated } from './rotation.js';
+import { createHistory, snapshotPoints, restorePoints } from './history.js';
+import { serializeDocument, parseDocument } from './document.js';
+import { parseStructuredDrawing } from './import.js';
+import {
+  curveBounds,
+  curveArea,
+  isClosedCurve,
+  tessellateCurve,
+  traceCurve,
+  curveFromJSON,
+  curveGrips,
+  snapshotCurve,
+  restoreCurve,
+  transformCurve,
+} from './curves.js';
+import {
+  LINETYPES,
+  DEFAULT_LAYER_ID,
+  createLayer,
+  createDefaultLayers,
+  isLayerVisible,
+  isLayerEditable,
+  reserveLayerIds,
+} from './layers.js';
+import { createLineStyle, resolveLineStyle } from './lineStyles.js';
+import { createSpatialIndex } from './spatialIndex.js';
+import { createClipboardPayload, parseClipboard } from './clipboard.js';
+import { normalizeArrayParams, arrayTransforms } from './arrays.js';
+import { normalizeShapeParams } from './shapes.js';
+import { SPLINE_METHODS } from './splines.js';
+import { removeSegments, explodePolyline, joinPolylines } from './polylineOps.js';
+import { combineRegions } from './regions.js';
+import {
+  isAnnotation,
+  drawAnnotation,
+  annotationBounds,
+  distanceToAnnotation,
+  annotationFromJSON,
+  annotationPoints,
+  reattachedAnnotationRefs,
+} from './annotations.js';
+import { isText, isLeader, leaderText, normalizeTextStyle, textScreenFrame } from './text.js';
+import { isRoomTag, createRoomTag, roomTagText } from './roomTags.js';
+import { DEFAULT_OSNAPS, normalizeOsnaps, findObjectSnap, drawSnapMarker } from './snaps.js';
+import {
+  DEFAULT_POLAR_INCREMENT,
+  normalizePolarIncrement,
+  acquirePoint,
+  findTrackingSnap,
+  drawTracking,
+} from './tracking.js';
 import {
   initKeyRefModel,
   drawBuildingGridlines as drawBuildingGridlinesModule,
@@ -18,32 +69,75 @@ import {
   distance,
   SNAP_DIST,
   HANDLE_SIZE,
+  HIT_TOLERANCE,
   GRID_SPACING,
   snapToGrid,
   distanceToGrid,
+  angleBetween,
   isClosedPolyline,
   polygonArea,
   MM2_TO_M2,
 } from '../utils/math.js';
+import { translation } from '../utils/transform.js';
 
 /**
  * @param {HTMLCanvasElement} canvasEl
- * @param {{ initialScale?: number, initialOffset?: {x,y}, onToolChange?: (id: string) => void }} options
+ * @param {{ initialScale?: number, initialOffset?: {x,y}, onToolChange?: (id: string) => void,
+ *   onMessage?: (message: string) => void }} options - onMessage: results tools report (measured
+ *   distances), for the command line
  */
 export function createEngine(canvasEl, options = {}) {
-  const viewport = createViewport(canvasEl, options);
-  const ctx = viewport.ctx;
+  // --- Render scheduling: frames are drawn only when something changed ---
+  // Static content (sheets, grids, gridlines, geometry, hatches) is cached in an offscreen canvas and
+  // rebuilt only when invalidated; hover, selection, tool preview, snap and cursor are an overlay pass.
+  let frameRequested = false;
+  let staticDirty = true;
+  const staticCanvas = document.createElement('canvas');
+  const staticCtx = staticCanvas.getContext('2d');
+
+  const viewport = createViewport(canvasEl, { ...options, onChange: () => requestRender(true) });
+  const mainCtx = viewport.ctx;
+  let ctx = mainCtx; // drawing target; points at staticCtx while the cache is rebuilt
 
   const state = {
     polylines: [],
-    polylineFillColors: new Map(), // Map<polyline, fillColor> for solid fills
-    polylineHatch: new Map(), // Map<polyline, { pattern: string, color: string }>
+    curves: [], // parametric circles, arcs, ellipses and splines (see core/curves.js)
+    annotations: [], // dimensions, text and leaders (see core/annotations.js); not in the spatial index
+    // Side maps below are keyed by entity: a polyline (point array) or a curve object
+    polylineFillColors: new Map(), // Map<entity, fillColor> for solid fills
+    polylineHatch: new Map(), // Map<entity, { pattern: string, color: string }>
+    polylineLayer: new Map(), // Map<entity, layerId>
+    polylineStyle: new Map(), // Map<entity, LineStyle> (see core/lineStyles.js)
+    polylineHoles: new Map(), // Map<polyline, polyline[]>: inner rings of a region (see core/regions.js)
+    layers: createDefaultLayers(), // draw order: first = bottom
+    currentLayerId: DEFAULT_LAYER_ID,
+    scaleDenom: 100, // drawing scale 1:N, used to size paper-mm dashes and pens
+    currentStyle: createLineStyle(), // line style given to new geometry
+    textStyle: normalizeTextStyle(), // font, paper-mm height, rotation, justification for new text
+    lineweightsEnabled: false, // false = 1px wireframe, true = pens at paper width
     selectedSegments: [], // [{ polyline, segmentIndex }, ...] for segment-level selection
+    selectedCurves: [], // curve entities
+    selectedAnnotations: [],
     hoveredLine: null,
     hoveredSegment: null, // { polyline, segmentIndex } for segment hover
+    hoveredCurve: null,
+    hoveredAnnotation: null,
+    paste: null, // parsed clipboard payload (see clipboard.js) while pasted geometry follows the cursor
+    arrays: [], // associative arrays: [{ params, sources, items }] (see core/arrays.js)
+    arrayParams: normalizeArrayParams(), // settings for the next Array command
+    offsetCorners: 'mitre', // 'mitre' | 'fillet' outside corners made by Offset
+    shapeParams: normalizeShapeParams(), // Rectangle and Polygon modes, corners and sides
+    splineMethod: 'fit', // 'fit' | 'control': what the Spline tool's points are (core/splines.js)
     mouse: { x: 0, y: 0 },
     snapPoint: null,
     snapType: null,
+    snapRef: null, // endpoint an Extension snap runs from (drawn as a tracking line)
+    snapGuides: [], // polar / alignment lines of a tracking snap (see core/tracking.js)
+    snapLabel: null, // readout shown instead of the snap type (tracking distance < angle)
+    acquiredPoints: [], // snap points acquired by hovering, for object-snap tracking and Extension
+    osnaps: { ...DEFAULT_OSNAPS }, // object snap modes on/off
+    polarIncrement: DEFAULT_POLAR_INCREMENT, // degrees between polar tracking angles
+    snapTrackingEnabled: true, // alignment lines through acquired points
     gridEnabled: true,
     gridSpacing: options.gridSpacing ?? GRID_SPACING,
     angleSnapMode: 'always', // 'off' | 'shift' | 'always'
@@ -67,6 +161,962 @@ export function createEngine(canvasEl, options = {}) {
   const tools = createTools({ getState: () => state, viewport });
   const toolsById = Object.fromEntries(tools.map((t) => [t.id, t]));
   let currentToolId = 'select';
+  let previousToolId = 'select'; // to go back to after a one-off tool (zoom window)
+
+  const history = createHistory({
+    onChange: () => {
+      requestRender(true);
+      options.onHistoryChange?.();
+    },
+  });
+  let pointEdit = null; // { points, before, curves, curvesBefore } while a drag or grip move is in progress
+  let keyRefEditBefore = null; // keyRefModel snapshot while an alignment handle is dragged
+  // Kept in sync with state.polylines / state.curves; geometry edited in place must be invalidated
+  const spatial = createSpatialIndex();
+  // Recent timings (ms) for the benchmark readout: whole frames, static layer redraws, mouse-move handling
+  const timings = { draw: [], static: [], pointer: [] };
+
+  // --- Document edits: every mutation goes through these so it can be undone ---
+
+  /** Polylines are point arrays, annotations are tagged by kind; everything else is a curve entity. */
+  function listFor(entity) {
+    if (isAnnotation(entity)) return state.annotations;
+    return Array.isArray(entity) ? state.polylines : state.curves;
+  }
+
+  /** Put an entity into its document list (and geometry into the spatial index) at index. */
+  function placeEntity(entity, index) {
+    listFor(entity).splice(index, 0, entity);
+    if (!isAnnotation(entity)) spatial.insert(entity);
+  }
+
+  /** Per-entity properties kept in side maps (fill, hatch, layer, line style, region holes). */
+  function getEntityProps(entity) {
+    return {
+      fillColor: state.polylineFillColors.get(entity) ?? null,
+      hatch: state.polylineHatch.get(entity) ?? null,
+      layerId: state.polylineLayer.get(entity) ?? DEFAULT_LAYER_ID,
+      style: state.polylineStyle.get(entity) ?? null,
+      holes: state.polylineHoles.get(entity) ?? null,
+    };
+  }
+
+  function applyEntityProps(entity, props) {
+    if (props.fillColor) state.polylineFillColors.set(entity, props.fillColor);
+    else state.polylineFillColors.delete(entity);
+    if (props.hatch) state.polylineHatch.set(entity, props.hatch);
+    else state.polylineHatch.delete(entity);
+    state.polylineLayer.set(entity, props.layerId ?? DEFAULT_LAYER_ID);
+    if (props.style) state.polylineStyle.set(entity, props.style);
+    else state.polylineStyle.delete(entity);
+    if (props.holes?.length) state.polylineHoles.set(entity, props.holes);
+    else state.polylineHoles.delete(entity);
+  }
+
+  /** Hole polylines of a region that are still in the document. */
+  function holesOf(entity) {
+    return (state.polylineHoles.get(entity) ?? []).filter((hole) => state.polylines.includes(hole));
+  }
+
+  /** Drawing scale and room holes, for sizing and labelling annotations (see core/annotations.js). */
+  const annotationEnv = {
+    get scaleDenom() {
+      return state.scaleDenom;
+    },
+    holesOf,
+  };
+
+  /** The entities plus the holes of any regions among them. */
+  function withHoles(entities) {
+    return [...new Set(entities.flatMap((entity) => [entity, ...holesOf(entity)]))];
+  }
+
+  /**
+   * Add a polyline or curve to the document. New geometry goes on the current layer with the
+   * current line style unless props say otherwise.
+   * @param {{x,y}[]|import('./curves.js').Curve} entity
+   * @param {{ fillColor?, hatch?, layerId?, style?, holes? }} [props]
+   */
+  function insertEntity(entity, props = {}, index = listFor(entity).length) {
+    const fullProps = {
+      fillColor: null,
+      hatch: null,
+      layerId: getDrawingLayerId(),
+      style: { ...state.currentStyle },
+      ...props,
+    };
+    placeEntity(entity, index);
+    applyEntityProps(entity, fullProps);
+    history.record(
+      {
+        undo: () => removeEntityRaw(entity),
+        redo: () => {
+          placeEntity(entity, index);
+          applyEntityProps(entity, fullProps);
+        },
+      },
+      'Add'
+    );
+  }
+
+  function insertPolyline(points, props, index) {
+    insertEntity(points, props, index);
+  }
+
+  function removeEntityRaw(entity) {
+    const list = listFor(entity);
+    const index = list.indexOf(entity);
+    if (index !== -1) list.splice(index, 1);
+    spatial.remove(entity);
+    state.polylineFillColors.delete(entity);
+    state.polylineHatch.delete(entity);
+    state.polylineLayer.delete(entity);
+    state.polylineStyle.delete(entity);
+    state.polylineHoles.delete(entity);
+    return index;
+  }
+
+  /** Remove polylines, curves and/or annotations as one undo step; room tags go with their rooms. */
+  function removeEntities(entities, label = 'Delete') {
+    const tags = state.annotations.filter((a) => isRoomTag(a) && entities.includes(a.room));
+    history.transact(label, () => {
+      for (const entity of new Set([...entities, ...tags])) {
+        const props = getEntityProps(entity);
+        const index = removeEntityRaw(entity);
+        if (index === -1) continue;
+        history.record({
+          undo: () => {
+            placeEntity(entity, index);
+            applyEntityProps(entity, props);
+          },
+          redo: () => removeEntityRaw(entity),
+        });
+      }
+    });
+    pruneSelection();
+  }
+
+  function removePolylines(lines) {
+    removeEntities(lines);
+  }
+
+  function setMapValue(map, key, value, label) {
+    const before = map.get(key);
+    const apply = (v) => (v ? map.set(key, v) : map.delete(key));
+    apply(value);
+    if (before === value) return;
+    history.record({ undo: () => apply(before), redo: () => apply(value) }, label);
+  }
+
+  function setPolylineFillColor(polyline, color) {
+    setMapValue(state.polylineFillColors, polyline, color || null, 'Fill');
+  }
+
+  function setPolylineHatch(polyline, pattern, color) {
+    setMapValue(state.polylineHatch, polyline, pattern && color ? { pattern, color } : null, 'Hatch');
+  }
+
+  // --- Layers ---
+
+  function notifyLayers() {
+    requestRender(true);
+    options.onLayersChange?.();
+  }
+
+  function getLayer(id) {
+    return state.layers.find((l) => l.id === id) ?? null;
+  }
+
+  function getEntityLayer(entity) {
+    return getLayer(state.polylineLayer.get(entity)) ?? getLayer(DEFAULT_LAYER_ID) ?? state.layers[0];
+  }
+
+  /** Visible and unlocked: may be hovered, selected, snapped to and edited. */
+  function isEntityEditable(entity) {
+    return isLayerEditable(getEntityLayer(entity));
+  }
+
+  /** Layer for new geometry: the current layer, or layer 0 if the current one was frozen. */
+  function getDrawingLayerId() {
+    const layer = getLayer(state.currentLayerId);
+    return layer && !layer.frozen ? layer.id : DEFAULT_LAYER_ID;
+  }
+
+  function setCurrentLayer(id) {
+    const layer = getLayer(id);
+    if (!layer || layer.frozen) return false;
+    state.currentLayerId = id;
+    notifyLayers();
+    return true;
+  }
+
+  function addLayer(props = {}) {
+    const layer = createLayer({
+      ...props,
+      name: props.name ?? `Layer ${state.layers.length}`,
+    });
+    state.layers.push(layer);
+    history.record(
+      {
+        undo: () => {
+          state.layers.splice(state.layers.indexOf(layer), 1);
+          if (state.currentLayerId === layer.id) state.currentLayerId = DEFAULT_LAYER_ID;
+          notifyLayers();
+        },
+        redo: () => {
+          state.layers.push(layer);
+          notifyLayers();
+        },
+      },
+      'New layer'
+    );
+    notifyLayers();
+    return layer;
+  }
+
+  /**
+   * Change layer properties (name, visible, locked, frozen, color, linetype, lineweight).
+   * The current layer cannot be frozen.
+   */
+  function updateLayer(id, patch) {
+    const layer = getLayer(id);
+    if (!layer) return false;
+    if (patch.frozen && id === state.currentLayerId) return false;
+    const before = { ...layer };
+    const next = { ...layer, ...patch, id: layer.id };
+    if (!LINETYPES[next.linetype]) next.linetype = before.linetype;
+    const apply = (values) => {
+      Object.assign(layer, values);
+      pruneSelection();
+      notifyLayers();
+    };
+    apply(next);
+    history.record({ undo: () => apply(before), redo: () => apply(next) }, 'Layer properties');
+    return true;
+  }
+
+  /** Move a layer up (+1) or down (-1) in draw order. */
+  function moveLayer(id, delta) {
+    const from = state.layers.findIndex((l) => l.id === id);
+    const to = from + delta;
+    if (from === -1 || to < 0 || to >= state.layers.length) return false;
+    const swap = (a, b) => {
+      [state.layers[a], state.layers[b]] = [state.layers[b], state.layers[a]];
+      notifyLayers();
+    };
+    swap(from, to);
+    history.record({ undo: () => swap(to, from), redo: () => swap(from, to) }, 'Reorder layers');
+    return true;
+  }
+
+  /** Id of the layer with this name, created from `defs` (a file's layer table) when missing. */
+  function layerIdForName(name, defs = []) {
+    if (!name) return getDrawingLayerId();
+    const existing = state.layers.find((l) => l.name === name);
+    if (existing) return existing.id;
+    const { id, ...def } = defs.find((l) => l.name === name) ?? { name };
+    return addLayer({ ...def, frozen: false }).id;
+  }
+
+  function setEntitiesLayer(entities, layerId) {
+    if (!getLayer(layerId)) return;
+    history.transact('Change layer', () => {
+      for (const entity of entities) setMapValue(state.polylineLayer, entity, layerId, 'Change layer');
+    });
+    pruneSelection();
+  }
+
+  // --- Clipboard: copy / cut / paste / duplicate ---
+
+  let clipboardText = null; // last copy, for when the system clipboard is unavailable
+
+  function getSelectedEntities() {
+    return [...new Set(state.selectedSegments.map((s) => s.polyline)), ...state.selectedCurves];
+  }
+
+  /** Clipboard payload for whole polylines of the selected segments plus selected curves, or null. */
+  function buildSelectionPayload() {
+    const entities = withHoles(getSelectedEntities());
+    if (entities.length === 0) return null;
+    let basePoint = { x: Infinity, y: Infinity };
+    const items = entities.map((entity) => {
+      const b = Array.isArray(entity) ? null : curveBounds(entity);
+      for (const p of b ? [{ x: b.minX, y: b.minY }] : entity) {
+        basePoint = { x: Math.min(basePoint.x, p.x), y: Math.min(basePoint.y, p.y) };
+      }
+      const { fillColor, hatch, style } = getEntityProps(entity);
+      return { entity, fillColor, hatch, style, holes: holesOf(entity), layer: getEntityLayer(entity) };
+    });
+    // The lower-left corner of the selection follows the cursor when pasting
+    return createClipboardPayload(items, basePoint);
+  }
+
+  /** Copy the selection; returns the JSON text written to the clipboard, or null if nothing is selected. */
+  function copySelection() {
+    const payload = buildSelectionPayload();
+    if (!payload) return null;
+    clipboardText = JSON.stringify(payload);
+    return clipboardText;
+  }
+
+  /** Copy the selection, then delete it as one undo step. */
+  function cutSelection() {
+    const text = copySelection();
+    if (text) removeEntities(getSelectedEntities(), 'Cut');
+    return text;
+  }
+
+  /**
+   * Delete the selected segments, curves and annotations as one undo step. A polyline with only
+   * some of its segments selected is split into the runs that remain.
+   */
+  function deleteSelection() {
+    const byPolyline = new Map();
+    for (const { polyline, segmentIndex } of state.selectedSegments) {
+      if (!byPolyline.has(polyline)) byPolyline.set(polyline, []);
+      byPolyline.get(polyline).push(segmentIndex);
+    }
+    const others = [...state.selectedCurves, ...state.selectedAnnotations];
+    history.transact('Delete', () => {
+      for (const [polyline, indices] of byPolyline) {
+        replaceEntities([polyline], removeSegments(polyline, indices), 'Delete');
+      }
+      if (others.length > 0) removeEntities(others);
+    });
+    state.selectedSegments.length = 0;
+    state.selectedCurves.length = 0;
+    state.selectedAnnotations.length = 0;
+  }
+
+  /** Split each selected polyline into one polyline per segment; the segments stay selected. */
+  function explodeSelection() {
+    const polylines = getSelectedEntities().filter((e) => Array.isArray(e) && e.length > 2);
+    if (polylines.length === 0) return false;
+    const pieces = [];
+    history.transact('Explode', () => {
+      for (const polyline of polylines) {
+        const segments = explodePolyline(polyline);
+        replaceEntities([polyline], segments, 'Explode');
+        pieces.push(...segments);
+      }
+    });
+    selectEntities(pieces);
+    return true;
+  }
+
+  /**
+   * Join the selected open polylines where their ends touch or their end segments are collinear;
+   * a chain whose ends meet is closed. The joined polylines are selected.
+   */
+  function joinSelection() {
+    const chains = joinPolylines(getSelectedEntities().filter(Array.isArray));
+    if (chains.length === 0) return false;
+    history.transact('Join', () => {
+      for (const { points, sources } of chains) replaceEntities(sources, [points], 'Join');
+    });
+    selectEntities(chains.map((chain) => chain.points));
+    return true;
+  }
+
+  /**
+   * Union, subtract or intersect the selected closed polylines and circles (with their holes). The
+   * first selected region is the primary one: subtract takes the others away from it, and the
+   * results keep its fill or hatch, layer and style. The results are selected.
+   * @param {'union'|'subtract'|'intersect'} op
+   * @returns {boolean} false if fewer than two closed regions are selected
+   */
+  function combineSelection(op) {
+    const selected = getSelectedEntities();
+    const holes = new Set(selected.flatMap(holesOf));
+    const operands = selected.filter(
+      (e) => !holes.has(e) && (Array.isArray(e) ? isClosedPolyline(e) : isClosedCurve(e))
+    );
+    if (operands.length < 2) return false;
+    const rings = operands.map((e) => (Array.isArray(e) ? [e, ...holesOf(e)] : [tessellateCurve(e)]));
+    const regions = combineRegions(op, rings);
+    const primary = getEntityProps(operands[0]);
+    const label = { union: 'Union', subtract: 'Subtract', intersect: 'Intersect' }[op];
+    const outers = [];
+    history.transact(label, () => {
+      // Room tags move to the outer ring of the first result
+      reattachAnnotations(operands, regions.map((region) => region.outer));
+      removeEntities(withHoles(operands), label);
+      for (const region of regions) {
+        for (const hole of region.holes) insertEntity(hole, { layerId: primary.layerId, style: primary.style });
+        insertEntity(region.outer, { ...primary, holes: region.holes.length ? region.holes : null });
+        outers.push(region.outer);
+      }
+    });
+    selectEntities(outers);
+    return true;
+  }
+
+  /**
+   * Start pasting: the geometry follows the cursor (with snapping) until a click places it.
+   * @param {string|Object} [input] - clipboard JSON; defaults to the last copy in this tab
+   * @throws {Error} if the input is not clipboard data
+   */
+  function beginPaste(input = clipboardText) {
+    if (input == null) return false;
+    state.paste = parseClipboard(input);
+    state.selectedSegments.length = 0;
+    state.selectedCurves.length = 0;
+    state.selectedAnnotations.length = 0;
+    requestRender();
+    return true;
+  }
+
+  /** Copy the selection and start pasting it, leaving the clipboard untouched. */
+  function duplicateSelection() {
+    const payload = buildSelectionPayload();
+    return payload ? beginPaste(payload) : false;
+  }
+
+  function cancelPaste() {
+    state.paste = null;
+    requestRender();
+  }
+
+  /** Translation that puts the paste base point on the target point. */
+  function pasteDelta(target) {
+    return { x: target.x - state.paste.basePoint.x, y: target.y - state.paste.basePoint.y };
+  }
+
+  /** Insert the pasted geometry with its base point at target, as one undo step, and select it. */
+  function placePaste(target) {
+    const { polylines, curves, layers } = state.paste;
+    const d = pasteDelta(target);
+    state.paste = null;
+    const layerIdFor = (name) => {
+      const id = layerIdForName(name, layers);
+      return isLayerEditable(getLayer(id)) ? id : getDrawingLayerId();
+    };
+    const propsFor = (entry) => ({
+      fillColor: entry.fillColor,
+      hatch: entry.hatch,
+      layerId: layerIdFor(entry.layer),
+      ...(entry.style ? { style: createLineStyle(entry.style) } : {}),
+    });
+    const placedLines = [];
+    const placedCurves = [];
+    history.transact('Paste', () => {
+      for (const entry of polylines) {
+        const line = entry.points.map((p) => ({ x: p.x + d.x, y: p.y + d.y }));
+        insertEntity(line, propsFor(entry));
+        placedLines.push(line);
+      }
+      polylines.forEach((entry, i) => {
+        if (entry.holes?.length) {
+          setMapValue(state.polylineHoles, placedLines[i], entry.holes.map((h) => placedLines[h]), 'Paste');
+        }
+      });
+      for (const entry of curves) {
+        const curve = transformCurve(entry.curve, translation(d.x, d.y));
+        insertEntity(curve, propsFor(entry));
+        placedCurves.push(curve);
+      }
+    });
+    selectEntities([...placedLines, ...placedCurves]);
+  }
+
+  /** Replace the selection with whole polylines (all segments), curves and annotations. */
+  function selectEntities(entities) {
+    state.selectedSegments.length = 0;
+    state.selectedCurves.length = 0;
+    state.selectedAnnotations.length = 0;
+    for (const entity of entities) {
+      if (isAnnotation(entity)) {
+        state.selectedAnnotations.push(entity);
+        continue;
+      }
+      if (!Array.isArray(entity)) {
+        state.selectedCurves.push(entity);
+        continue;
+      }
+      for (let i = 0; i < entity.length - 1; i++) state.selectedSegments.push({ polyline: entity, segmentIndex: i });
+    }
+  }
+
+  /** Nearest editable annotation within the hit tolerance of a world point, or null. */
+  function pickAnnotation(point) {
+    let best = null;
+    let bestDist = HIT_TOLERANCE / viewport.getScale();
+    for (const annotation of state.annotations) {
+      if (!isEntityEditable(annotation)) continue;
+      const d = distanceToAnnotation(annotation, point, annotationEnv);
+      if (d < bestDist) {
+        best = annotation;
+        bestDist = d;
+      }
+    }
+    return best;
+  }
+
+  /** Editable annotations inside a selection box (window), or whose bounds it touches (crossing). */
+  function annotationsInBox(box, crossing) {
+    const minX = Math.min(box.x1, box.x2);
+    const maxX = Math.max(box.x1, box.x2);
+    const minY = Math.min(box.y1, box.y2);
+    const maxY = Math.max(box.y1, box.y2);
+    return state.annotations.filter((annotation) => {
+      const b = isEntityEditable(annotation) && annotationBounds(annotation, annotationEnv);
+      if (!b) return false;
+      return crossing
+        ? b.minX <= maxX && b.maxX >= minX && b.minY <= maxY && b.maxY >= minY
+        : b.minX >= minX && b.maxX <= maxX && b.minY >= minY && b.maxY <= maxY;
+    });
+  }
+
+  // --- Move / Copy / Rotate / Scale / Mirror ---
+
+  /**
+   * Apply a transform (utils/transform.js) to polylines and curves as one undo step. Entities keep
+   * their identity, so fill, hatch, layer and style stay attached; with copy, transformed copies
+   * are added with the same properties and the originals are left alone. Holes of regions in
+   * the list are transformed (or copied) with them.
+   * @param {Object[]} entities
+   * @param {import('../utils/transform.js').Transform} transform
+   * @param {{ copy?: boolean, label?: string }} [opts]
+   * @returns {Object[]} the transformed entities (the copies when copying)
+   */
+  function transformEntities(entities, transform, { copy = false, label = copy ? 'Copy' : 'Move' } = {}) {
+    const result = [];
+    const all = withHoles(entities);
+    const clones = new Map();
+    if (copy) {
+      for (const entity of all) {
+        const clone = Array.isArray(entity) ? entity.map((p) => transform.apply(p)) : transformCurve(entity, transform);
+        clones.set(entity, clone);
+      }
+    }
+    history.transact(label, () => {
+      for (const entity of all) {
+        const isLine = Array.isArray(entity);
+        if (copy) {
+          const clone = clones.get(entity);
+          const props = getEntityProps(entity);
+          const holes = props.holes?.map((hole) => clones.get(hole)).filter(Boolean);
+          insertEntity(clone, { ...props, holes });
+          result.push(clone);
+          continue;
+        }
+        const snapshot = isLine ? () => snapshotPoints(entity) : () => snapshotCurve(entity);
+        const restore = isLine ? (s) => restorePoints(entity, s) : (s) => restoreCurve(entity, s);
+        const before = snapshot();
+        // Targets are computed before writing, so a point object shared by two vertices moves once
+        if (isLine) restorePoints(entity, entity.map((p) => transform.apply(p)));
+        else restoreCurve(entity, transformCurve(entity, transform));
+        const after = snapshot();
+        spatial.invalidate(entity);
+        history.record({
+          undo: () => {
+            restore(before);
+            spatial.invalidate(entity);
+          },
+          redo: () => {
+            restore(after);
+            spatial.invalidate(entity);
+          },
+        });
+        result.push(entity);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Add new entities that take their layer and line style from source (offsets, trims), as one
+   * undo step. Fill and hatch are not carried over.
+   */
+  function addEntitiesLike(entities, source, label = 'Add') {
+    const { layerId, style } = getEntityProps(source);
+    history.transact(label, () => {
+      for (const entity of entities) insertEntity(entity, { layerId, style });
+    });
+  }
+
+  /**
+   * Replace entities with new geometry made from them (trimmed pieces, filleted or joined
+   * polylines), at the first entity's place in the list, as one undo step. The new geometry takes
+   * the first entity's layer and line style; its fill and hatch stay only on closed results.
+   * Dimensions and room tags attached to the old geometry stay attached to the new.
+   */
+  function replaceEntities(entities, pieces, label = 'Edit') {
+    const source = entities[0];
+    const props = getEntityProps(source);
+    history.transact(label, () => {
+      reattachAnnotations(entities, pieces);
+      const index = listFor(source).indexOf(source);
+      removeEntities(entities, label);
+      const at = Math.min(index, listFor(source).length);
+      pieces.forEach((piece, i) => {
+        const closed = Array.isArray(piece) ? isClosedPolyline(piece) : isClosedCurve(piece);
+        const kept = closed ? props : { layerId: props.layerId, style: props.style };
+        const sameList = listFor(piece) === listFor(source);
+        insertEntity(piece, kept, sameList && index !== -1 ? at + i : listFor(piece).length);
+      });
+    });
+  }
+
+  /**
+   * Hand dimensions and room tags on removed geometry over to the pieces rebuilt from it, undoably.
+   * A new room takes one tag, that of the first removed room; the other tags go with their rooms.
+   */
+  function reattachAnnotations(removed, pieces) {
+    const order = (a) => (isRoomTag(a) ? removed.indexOf(a.room) : -1);
+    const tagged = new Set();
+    for (const annotation of [...state.annotations].sort((a, b) => order(a) - order(b))) {
+      const next = reattachedAnnotationRefs(annotation, removed, pieces);
+      if (!next || tagged.has(next.room)) continue;
+      if (next.room) tagged.add(next.room);
+      const before = Object.fromEntries(Object.keys(next).map((key) => [key, annotation[key]]));
+      Object.assign(annotation, next);
+      history.record({ undo: () => Object.assign(annotation, before), redo: () => Object.assign(annotation, next) });
+    }
+  }
+
+  // --- Arrays ---
+
+  function entityExists(entity) {
+    return listFor(entity).includes(entity);
+  }
+
+  function setArrays(next) {
+    const before = state.arrays;
+    state.arrays = next;
+    history.record({ undo: () => (state.arrays = before), redo: () => (state.arrays = next) });
+  }
+
+  /** Insert one transformed copy of the sources per array item; returns the copies. */
+  function placeArrayCopies(sources, params) {
+    const items = [];
+    for (const transform of arrayTransforms(params, sources)) {
+      items.push(...transformEntities(sources, transform, { copy: true }));
+    }
+    return items;
+  }
+
+  /**
+   * Array the sources as one undo step. Copies keep the sources' fill, hatch, layer and style.
+   * With params.associative the set is remembered so updateArray can change it later.
+   * @param {Object[]} sources
+   * @param {Partial<import('./arrays.js').ArrayParams>} params
+   * @returns {Object[]} the copies
+   */
+  function createArray(sources, params) {
+    const p = normalizeArrayParams(params);
+    return history.transact('Array', () => {
+      const items = placeArrayCopies(sources, p);
+      if (p.associative && items.length > 0) {
+        setArrays([...state.arrays, { params: p, sources: [...sources], items }]);
+      }
+      return items;
+    });
+  }
+
+  /** Associative array the entity belongs to (as a source or a copy), or null. */
+  function getArrayOf(entity) {
+    return state.arrays.find((a) => a.sources.includes(entity) || a.items.includes(entity)) ?? null;
+  }
+
+  function getSelectedArray() {
+    for (const entity of getSelectedEntities()) {
+      const record = getArrayOf(entity);
+      if (record) return record;
+    }
+    return null;
+  }
+
+  /**
+   * Change an associative array's parameters: its copies are regenerated from the sources as one
+   * undo step and the whole array is selected. Returns the new record, or null if it is gone.
+   */
+  function updateArray(record, patch) {
+    if (!state.arrays.includes(record)) return null;
+    const params = normalizeArrayParams({ ...record.params, ...patch, associative: true });
+    const sources = record.sources.filter(entityExists);
+    const next = history.transact('Edit array', () => {
+      removeEntities(record.items.filter(entityExists));
+      const rest = state.arrays.filter((a) => a !== record);
+      if (sources.length === 0) {
+        setArrays(rest);
+        return null;
+      }
+      const updated = { params, sources, items: placeArrayCopies(sources, params) };
+      setArrays([...rest, updated]);
+      return updated;
+    });
+    if (next) selectEntities([...next.sources, ...next.items]);
+    return next;
+  }
+
+  /** Outline of the pending paste at the cursor. */
+  function drawPastePreview() {
+    const target = getSnap()?.point ?? viewport.toWorld(state.mouse);
+    const d = pasteDelta(target);
+    for (const entry of state.paste.polylines) {
+      drawLine(entry.points.map((p) => ({ x: p.x + d.x, y: p.y + d.y })), '#2980b9', 1, [6, 4]);
+    }
+    for (const entry of state.paste.curves) {
+      drawCurve(transformCurve(entry.curve, translation(d.x, d.y)), '#2980b9', 1, [6, 4]);
+    }
+  }
+
+  function isTextField(el) {
+    return !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+  }
+
+  // Clipboard events (Ctrl+C / X / V) carry the payload as text, so it works across tabs
+  document.addEventListener('copy', (e) => {
+    if (isTextField(e.target)) return;
+    const text = copySelection();
+    if (!text) return;
+    e.clipboardData?.setData('text/plain', text);
+    e.preventDefault();
+  });
+  document.addEventListener('cut', (e) => {
+    if (isTextField(e.target)) return;
+    const text = cutSelection();
+    if (!text) return;
+    e.clipboardData?.setData('text/plain', text);
+    e.preventDefault();
+  });
+  document.addEventListener('paste', (e) => {
+    if (isTextField(e.target)) return;
+    const text = e.clipboardData ? e.clipboardData.getData('text/plain') : clipboardText;
+    try {
+      if (beginPaste(text || null)) e.preventDefault();
+    } catch {
+      // Not drawing data: leave the event alone
+    }
+  });
+
+  // --- Line styles ---
+
+  /** @returns {import('./lineStyles.js').LineStyle} */
+  function getEntityStyle(entity) {
+    return state.polylineStyle.get(entity) ?? createLineStyle();
+  }
+
+  /** Change line type / pen / pattern of existing entities as one undo step. */
+  function setEntitiesStyle(entities, patch) {
+    history.transact('Change style', () => {
+      for (const entity of entities) {
+        const before = getEntityStyle(entity);
+        const next = createLineStyle({ ...before, ...patch });
+        if (Object.keys(next).every((k) => next[k] === before[k])) continue;
+        setMapValue(state.polylineStyle, entity, next, 'Change style');
+      }
+    });
+  }
+
+  /** Line style for geometry drawn from now on (not an undoable edit). */
+  function setCurrentStyle(patch) {
+    state.currentStyle = createLineStyle({ ...state.currentStyle, ...patch });
+  }
+
+  // --- Text ---
+
+  /** Change an annotation's own properties (content, font, ...) as one undo step. */
+  function setAnnotationProps(annotation, patch, label = 'Edit text') {
+    const before = Object.fromEntries(Object.keys(patch).map((key) => [key, annotation[key]]));
+    if (Object.keys(patch).every((key) => patch[key] === before[key])) return;
+    Object.assign(annotation, patch);
+    history.record(
+      { undo: () => Object.assign(annotation, before), redo: () => Object.assign(annotation, patch) },
+      label
+    );
+  }
+
+  /**
+   * Text style for text and leaders placed from now on. Also applied to the selected text and
+   * leaders as one undo step (leaders take the font and height only).
+   * @param {{ font?: string, height?: number, rotation?: number, justify?: string }} patch - height in
+   *   paper mm, rotation in radians
+   */
+  function setTextStyle(patch) {
+    state.textStyle = normalizeTextStyle({ ...state.textStyle, ...patch });
+    history.transact('Text style', () => {
+      for (const annotation of state.selectedAnnotations) {
+        if (!isText(annotation) && !isLeader(annotation)) continue;
+        const next = normalizeTextStyle({ ...annotation, ...patch });
+        const keys = Object.keys(patch).filter(
+          (key) => key in next && (isText(annotation) || key === 'font' || key === 'height')
+        );
+        setAnnotationProps(annotation, Object.fromEntries(keys.map((key) => [key, next[key]])), 'Text style');
+      }
+    });
+    requestRender(true);
+  }
+
+  /**
+   * Edit text in place with the page's editor (options.textEditor), laid over where it is drawn.
+   * @param {import('./text.js').Text} text
+   * @param {function(string): void} onCommit - called with the edited content
+   */
+  function editText(text, onCommit) {
+    const { topLeft, angle, fontPx } = textScreenFrame(viewport, text, state.scaleDenom);
+    options.textEditor?.open({ at: topLeft, angle, fontPx, font: text.font, value: text.content, onCommit });
+  }
+
+  /**
+   * Edit a text's or leader's content in place (text left empty is deleted), or a room tag's name
+   * and number (first and second line).
+   */
+  function editAnnotationText(annotation) {
+    if (isRoomTag(annotation)) {
+      const shown = roomTagText(annotation, holesOf(annotation.room));
+      editText({ ...shown, content: `${annotation.name}\n${annotation.number}` }, (content) => {
+        if (!state.annotations.includes(annotation)) return;
+        const [name = '', number = ''] = content.split('\n').map((line) => line.trim());
+        setAnnotationProps(annotation, { name, number }, 'Edit room tag');
+      });
+      return;
+    }
+    const shown = isLeader(annotation)
+      ? leaderText({ ...annotation, content: annotation.content || ' ' }, state.scaleDenom)
+      : annotation;
+    editText(shown, (content) => {
+      if (!state.annotations.includes(annotation)) return;
+      if (isText(annotation) && !content.trim()) removeEntities([annotation], 'Delete text');
+      else setAnnotationProps(annotation, { content });
+    });
+  }
+
+  /**
+   * Tag rooms (closed polylines that are not a region's hole) that have no tag yet: the selected
+   * ones, or all of them when nothing is selected. Tags are numbered on from the highest number
+   * in use, as one undo step.
+   * @returns {number} tags added
+   */
+  function tagRooms() {
+    const selected = getSelectedEntities();
+    const tags = state.annotations.filter(isRoomTag);
+    const tagged = new Set(tags.map((tag) => tag.room));
+    const holes = new Set(state.polylines.flatMap(holesOf));
+    const rooms = (selected.length > 0 ? selected : state.polylines).filter(
+      (line) =>
+        Array.isArray(line) && isClosedPolyline(line) && !holes.has(line) && !tagged.has(line) && isEntityEditable(line)
+    );
+    let next = Math.max(0, ...tags.map((tag) => parseInt(tag.number, 10) || 0)) + 1;
+    history.transact('Tag rooms', () => {
+      for (const room of rooms) insertEntity(createRoomTag(room, 'Room', String(next++)), { style: null });
+    });
+    return rooms.length;
+  }
+
+  function setLineweightsEnabled(enabled) {
+    state.lineweightsEnabled = !!enabled;
+    requestRender(true);
+  }
+
+  /**
+   * Start an interactive edit of existing points and/or curves (drag, grip move); ends with endPointEdit.
+   * @param {{x,y}[]} points - point objects that will be mutated in place
+   * @param {string} [label]
+   * @param {Object[]} [curves] - curve entities that will be mutated in place
+   */
+  function beginPointEdit(points, label = 'Move', curves = []) {
+    if (pointEdit) endPointEdit();
+    history.begin(label);
+    const moving = new Set(points);
+    pointEdit = {
+      points,
+      before: snapshotPoints(points),
+      curves,
+      curvesBefore: curves.map(snapshotCurve),
+      // Entities whose index entries go stale as the points move
+      entities: [...state.polylines.filter((line) => line.some((p) => moving.has(p))), ...curves],
+    };
+  }
+
+  function invalidateEntities(entities) {
+    entities.forEach((entity) => spatial.invalidate(entity));
+  }
+
+  function endPointEdit() {
+    if (!pointEdit) return;
+    const { points, before, curves, curvesBefore, entities } = pointEdit;
+    pointEdit = null;
+    invalidateEntities(entities);
+    const after = snapshotPoints(points);
+    const curvesAfter = curves.map(snapshotCurve);
+    const moved =
+      after.some((p, i) => p.x !== before[i].x || p.y !== before[i].y) ||
+      JSON.stringify(curvesAfter) !== JSON.stringify(curvesBefore);
+    if (moved) {
+      history.record({
+        undo: () => {
+          restorePoints(points, before);
+          curves.forEach((c, i) => restoreCurve(c, curvesBefore[i]));
+          invalidateEntities(entities);
+        },
+        redo: () => {
+          restorePoints(points, after);
+          curves.forEach((c, i) => restoreCurve(c, curvesAfter[i]));
+          invalidateEntities(entities);
+        },
+      });
+    }
+    history.commit();
+  }
+
+  function snapshotKeyRefModel() {
+    return JSON.parse(JSON.stringify(state.keyRefModel));
+  }
+
+  function restoreKeyRefModel(snapshot) {
+    for (const key of Object.keys(snapshot)) Object.assign(state.keyRefModel[key], snapshot[key]);
+  }
+
+  function endKeyRefEdit() {
+    if (!keyRefEditBefore) return;
+    const before = keyRefEditBefore;
+    keyRefEditBefore = null;
+    const after = snapshotKeyRefModel();
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    history.record(
+      { undo: () => restoreKeyRefModel(before), redo: () => restoreKeyRefModel(after) },
+      'Move gridline'
+    );
+  }
+
+  /** Drop selection/hover entries that no longer exist after an undo, redo or delete. */
+  function pruneSelection() {
+    const valid = (s) =>
+      state.polylines.includes(s.polyline) &&
+      s.segmentIndex < s.polyline.length - 1 &&
+      isEntityEditable(s.polyline);
+    const kept = state.selectedSegments.filter(valid);
+    state.selectedSegments.length = 0;
+    state.selectedSegments.push(...kept);
+    const validCurve = (c) => state.curves.includes(c) && isEntityEditable(c);
+    const keptCurves = state.selectedCurves.filter(validCurve);
+    state.selectedCurves.length = 0;
+    state.selectedCurves.push(...keptCurves);
+    const validAnnotation = (a) => state.annotations.includes(a) && isEntityEditable(a);
+    const keptAnnotations = state.selectedAnnotations.filter(validAnnotation);
+    state.selectedAnnotations.length = 0;
+    state.selectedAnnotations.push(...keptAnnotations);
+    if (state.hoveredSegment && !valid(state.hoveredSegment)) state.hoveredSegment = null;
+    if (state.hoveredLine && !state.polylines.includes(state.hoveredLine)) state.hoveredLine = null;
+    if (state.hoveredCurve && !validCurve(state.hoveredCurve)) state.hoveredCurve = null;
+    if (state.hoveredAnnotation && !validAnnotation(state.hoveredAnnotation)) state.hoveredAnnotation = null;
+  }
+
+  function undo() {
+    if (pointEdit || keyRefEditBefore) return false;
+    const label = history.undo();
+    pruneSelection();
+    return label !== null;
+  }
+
+  function redo() {
+    if (pointEdit || keyRefEditBefore) return false;
+    const label = history.redo();
+    pruneSelection();
+    return label !== null;
+  }
 
   function getSnap() {
     if (!state.snapPoint) return null;
@@ -76,6 +1126,9 @@ export function createEngine(canvasEl, options = {}) {
   function findSnap(worldMouse) {
     state.snapPoint = null;
     state.snapType = null;
+    state.snapRef = null;
+    state.snapGuides = [];
+    state.snapLabel = null;
     const scale = viewport.getScale();
 
     // When drawing a polyline (line or filledRegion), prefer snapping to first point for closing
@@ -92,29 +1145,43 @@ export function createEngine(canvasEl, options = {}) {
       }
     }
 
-    for (const line of state.polylines) {
-      for (let i = 0; i < line.length - 1; i++) {
-        const a = line[i];
-        const b = line[i + 1];
-
-        if (distance(worldMouse, a) < SNAP_DIST / scale) {
-          state.snapPoint = a;
-          state.snapType = 'End';
-          return getSnap();
-        }
-        if (distance(worldMouse, b) < SNAP_DIST / scale) {
-          state.snapPoint = b;
-          state.snapType = 'End';
-          return getSnap();
-        }
+    // Only geometry near the cursor can supply a snap; the closest candidate wins
+    const snapDist = SNAP_DIST / scale;
+    const nearby = spatial.queryPoint(worldMouse, snapDist).filter(({ entity }) => isEntityEditable(entity));
+    const tool = getCurrentTool();
+    const base = tool?.getBasePoint?.() ?? null;
+    const best = findObjectSnap(worldMouse, nearby, {
+      aperture: snapDist,
+      modes: state.osnaps,
+      from: base,
+      acquired: state.acquiredPoints,
+    });
+    // Selecting and dragging grips does not track; drawing and modify commands do
+    const tracking = currentToolId !== 'select';
+    if (best) {
+      if (tracking) state.acquiredPoints = acquirePoint(state.acquiredPoints, best);
+      state.snapPoint = best.point;
+      state.snapType = best.type;
+      state.snapRef = best.ref ?? null;
+      return getSnap();
+    }
 
-        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
-        if (distance(worldMouse, mid) < SNAP_DIST / scale) {
-          state.snapPoint = mid;
-          state.snapType = 'Mid';
-          return getSnap();
-        }
-      }
+    // Polar tracking from the base point, alignment with acquired points
+    const picked = tool?.getCurrentPoints?.() ?? [];
+    const tracked = tracking && findTrackingSnap(worldMouse, {
+      aperture: snapDist,
+      base,
+      baseAngle: picked.length >= 2 ? angleBetween(picked[picked.length - 2], picked[picked.length - 1]) : null,
+      increment: state.polarIncrement,
+      polar: state.angleSnapMode === 'always' || (state.angleSnapMode === 'shift' && state.shiftKey),
+      acquired: state.snapTrackingEnabled ? state.acquiredPoints : [],
+    });
+    if (tracked) {
+      state.snapPoint = tracked.point;
+      state.snapType = tracked.type;
+      state.snapGuides = tracked.guides;
+      state.snapLabel = tracked.label;
+      return getSnap();
     }
 
     // Phase 2: grid snapping (lowest priority)
@@ -133,13 +1200,26 @@ export function createEngine(canvasEl, options = {}) {
       mouse: state.mouse,
       worldMouse,
       polylines: state.polylines,
+      curves: state.curves,
       selectedSegments: state.selectedSegments,
+      selectedCurves: state.selectedCurves,
+      annotations: state.annotations,
+      selectedAnnotations: state.selectedAnnotations,
+      scaleDenom: state.scaleDenom,
       angleSnapMode: state.angleSnapMode,
       shiftKey: state.shiftKey,
       setSelectedSegments(segments) {
         state.selectedSegments.length = 0;
         state.selectedSegments.push(...segments);
       },
+      setSelectedCurves(curves) {
+        state.selectedCurves.length = 0;
+        state.selectedCurves.push(...curves);
+      },
+      setSelectedAnnotations(annotations) {
+        state.selectedAnnotations.length = 0;
+        state.selectedAnnotations.push(...annotations);
+      },
       setSelectedLines(lines) {
         // Legacy: convert polylines to all their segments
         const segments = [];
@@ -150,6 +1230,7 @@ export function createEngine(canvasEl, options = {}) {
         }
         state.selectedSegments.length = 0;
         state.selectedSegments.push(...segments);
+        state.selectedCurves.length = 0;
       },
       setHoveredLine(line) {
         state.hoveredLine = line;
@@ -159,33 +1240,69 @@ export function createEngine(canvasEl, options = {}) {
         state.hoveredSegment = segment;
         state.hoveredLine = segment?.polyline ?? null;
       },
+      setHoveredCurve(curve) {
+        state.hoveredCurve = curve;
+      },
+      setHoveredAnnotation(annotation) {
+        state.hoveredAnnotation = annotation;
+      },
+      pickAnnotation,
+      annotationsInBox,
       getSnap,
       addPolyline(points) {
-        state.polylines.push(points);
+        insertPolyline(points);
       },
-      setPolylineFillColor(polyline, color) {
-        if (color) {
-          state.polylineFillColors.set(polyline, color);
-        } else {
-          state.polylineFillColors.delete(polyline);
-        }
+      addCurve(curve) {
+        insertEntity(curve);
+      },
+      addAnnotation(annotation) {
+        insertEntity(annotation, { style: null }); // pen and colour from the layer
       },
+      textStyle: state.textStyle,
+      editText,
+      setPolylineFillColor,
       getPolylineFillColor(polyline) {
         return state.polylineFillColors.get(polyline) || null;
       },
-      removePolylines(lines) {
-        state.polylines = state.polylines.filter((l) => !lines.includes(l));
-        state.selectedSegments = state.selectedSegments.filter(
-          (s) => !lines.includes(s.polyline)
-        );
-        lines.forEach((line) => {
-          state.polylineFillColors.delete(line);
-          state.polylineHatch.delete(line);
-        });
+      removePolylines,
+      queryEntities: spatial.query,
+      beginPointEdit,
+      endPointEdit,
+      isEntityEditable,
+      getSelectedEntities,
+      selectEntities,
+      transformEntities,
+      arrayParams: state.arrayParams,
+      createArray,
+      offsetCorners: state.offsetCorners,
+      shapeParams: state.shapeParams,
+      setShapeParams,
+      splineMethod: state.splineMethod,
+      setSplineMethod,
+      addEntitiesLike,
+      replaceEntities,
+      echo(message) {
+        options.onMessage?.(message);
+      },
+      zoomToWindow(box) {
+        viewport.fitToBounds(box, 0);
+        setTool(previousToolId);
       },
     };
   }
 
+  /** @param {Partial<import('./shapes.js').ShapeParams>} patch */
+  function setShapeParams(patch) {
+    state.shapeParams = normalizeShapeParams({ ...state.shapeParams, ...patch });
+    requestRender();
+  }
+
+  /** @param {'fit'|'control'} method */
+  function setSplineMethod(method) {
+    state.splineMethod = SPLINE_METHODS.includes(method) ? method : 'fit';
+    requestRender();
+  }
+
   function getCurrentTool() {
     return toolsById[currentToolId];
   }
@@ -195,19 +1312,61 @@ export function createEngine(canvasEl, options = {}) {
     if (id === currentToolId) return;
     const prev = toolsById[currentToolId];
     if (prev?.deactivate) prev.deactivate();
+    previousToolId = currentToolId;
     currentToolId = id;
     const next = toolsById[currentToolId];
     if (next?.activate) next.activate();
+    state.acquiredPoints = [];
     options.onToolChange?.(currentToolId);
+    requestRender();
+  }
+
+  /**
+   * What the current tool asks for next, for the command line.
+   * @returns {{ prompt: string|null, options: {key: string, label: string}[] }}
+   */
+  function getToolPrompt() {
+    const tool = getCurrentTool();
+    return { prompt: tool.prompt ?? null, options: tool.options ?? [] };
+  }
+
+  /**
+   * Choose an option of the current tool by key or label (case-insensitive), as typed at the
+   * command line.
+   * @returns {boolean} false if the tool has no such option now or did not take it
+   */
+  function chooseToolOption(text) {
+    const tool = getCurrentTool();
+    const typed = text.trim().toLowerCase();
+    const option = (tool.options ?? []).find((o) => o.key.toLowerCase() === typed || o.label.toLowerCase() === typed);
+    if (!option || !tool.onOption) return false;
+    requestRender();
+    return tool.onOption(buildToolContext(viewport.toWorld(state.mouse)), option.key);
+  }
+
+  /**
+   * A value entered at the command line for the current tool: its keys as if typed over the
+   * canvas, then Enter.
+   * @returns {boolean} false if the tool did not take every key
+   */
+  function sendToolInput(text) {
+    const tool = getCurrentTool();
+    if (!tool.onKeyDown) return false;
+    const toolCtx = buildToolContext(viewport.toWorld(state.mouse));
+    requestRender();
+    return [...text.trim(), 'Enter'].every((key) => tool.onKeyDown({ ...toolCtx, key, ctrlKey: false }));
   }
 
   viewport.installWheelHandler();
 
+  // Any key may change tool state or selection; the frame runs after all handlers
   window.addEventListener('keydown', (e) => {
     if (e.key === 'Shift') state.shiftKey = true;
+    requestRender();
   });
   window.addEventListener('keyup', (e) => {
     if (e.key === 'Shift') state.shiftKey = false;
+    requestRender();
   });
 
   function hitTestKeyRefHandle(screenX, screenY) {
@@ -230,6 +1389,7 @@ export function createEngine(canvasEl, options = {}) {
   canvasEl.addEventListener('mousemove', (e) => {
     state.mouse.x = e.offsetX;
     state.mouse.y = e.offsetY;
+    requestRender();
     if (state.panning && state.panStart) {
       const dx = e.offsetX - state.panStart.screenX;
       const dy = e.offsetY - state.panStart.screenY;
@@ -250,6 +1410,7 @@ export function createEngine(canvasEl, options = {}) {
         state.paperEdgePadMm
       );
       canvasEl.style.cursor = 'move';
+      requestRender(true);
       return;
     }
 
@@ -260,12 +1421,18 @@ export function createEngine(canvasEl, options = {}) {
     } else {
       canvasEl.style.cursor = 'default';
     }
+    const pointerStart = performance.now();
     const worldMouse = viewport.toWorld(state.mouse);
     findSnap(worldMouse);
 
     const tool = getCurrentTool();
     const toolCtx = buildToolContext(worldMouse);
-    if (tool.onMouseMove) tool.onMouseMove(toolCtx);
+    if (tool.onMouseMove && !state.paste) tool.onMouseMove(toolCtx);
+    if (pointEdit) {
+      invalidateEntities(pointEdit.entities);
+      requestRender(true);
+    }
+    recordTiming(timings.pointer, performance.now() - pointerStart);
   });
 
   document.body.addEventListener('keydown', (e) => {
@@ -283,6 +1450,7 @@ export function createEngine(canvasEl, options = {}) {
 
   canvasEl.addEventListener('mousedown', (e) => {
     if (e.button !== 0) return;
+    requestRender();
     if (document.body.dataset.spaceDown === '1') {
       state.panning = true;
       state.panStart = {
@@ -294,9 +1462,11 @@ export function createEngine(canvasEl, options = {}) {
       e.preventDefault();
       return;
     }
+    if (state.paste) return; // placed on click
     const handleHit = hitTestKeyRefHandle(e.offsetX, e.offsetY);
     if (handleHit) {
       state.draggingKeyRef = handleHit;
+      keyRefEditBefore = snapshotKeyRefModel();
       canvasEl.style.cursor = 'move';
       return;
     }
@@ -314,6 +1484,7 @@ export function createEngine(canvasEl, options = {}) {
     }
     if (state.draggingKeyRef) {
       state.draggingKeyRef = null;
+      endKeyRefEdit();
       canvasEl.style.cursor = 'default';
       return true;
     }
@@ -321,7 +1492,9 @@ export function createEngine(canvasEl, options = {}) {
   }
 
   canvasEl.addEventListener('mouseup', () => {
+    requestRender();
     if (endPanOrKeyRefDrag()) return;
+    if (state.paste) return;
     const worldMouse = viewport.toWorld(state.mouse);
     const tool = getCurrentTool();
     const toolCtx = buildToolContext(worldMouse);
@@ -329,11 +1502,19 @@ export function createEngine(canvasEl, options = {}) {
   });
 
   window.addEventListener('mouseup', () => {
+    requestRender();
     endPanOrKeyRefDrag();
+    // A drag released outside the canvas still has to land in history
+    if (pointEdit) endPointEdit();
   });
 
   canvasEl.addEventListener('click', (e) => {
+    requestRender();
     const worldMouse = viewport.toWorld({ x: e.offsetX, y: e.offsetY });
+    if (state.paste) {
+      if (!state.panning) placePaste(getSnap()?.point ?? worldMouse);
+      return;
+    }
     const tool = getCurrentTool();
     const toolCtx = buildToolContext(worldMouse);
     toolCtx.shiftKey = e.shiftKey; // Pass shift key state for multi-select
@@ -342,29 +1523,55 @@ export function createEngine(canvasEl, options = {}) {
     if (state.sheets && state.multiViewEnabled) {
       const hit = hitTestSheet(state.sheets, worldMouse);
       if (hit && hit !== state.activeViewId) {
-        state.activeViewId = hit;
+        setActiveViewId(hit);
         options.onActiveViewChange?.(state.activeViewId);
       }
     }
   });
 
   canvasEl.addEventListener('dblclick', () => {
+    requestRender();
+    if (currentToolId === 'select') {
+      const annotation = pickAnnotation(viewport.toWorld(state.mouse));
+      if (isText(annotation) || isLeader(annotation) || isRoomTag(annotation)) editAnnotationText(annotation);
+      return;
+    }
     if (currentToolId === 'filledRegion') {
       const filledTool = toolsById['filledRegion'];
       const pts = filledTool?.finish?.();
-      if (pts && pts.length >= 3) state.polylines.push(pts);
+      if (pts && pts.length >= 3) insertPolyline(pts);
       return;
     }
     const lineTool = toolsById['line'];
     if (currentToolId !== 'line' || !lineTool) return;
     const current = lineTool.getCurrentPoints?.() ?? [];
     if (current.length >= 2) {
-      state.polylines.push(current.map((p) => ({ x: p.x, y: p.y })));
+      insertPolyline(current.map((p) => ({ x: p.x, y: p.y })));
       lineTool.deactivate?.();
     }
   });
 
   window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && state.paste) {
+      cancelPaste();
+      return;
+    }
+    const tool = getCurrentTool();
+    if (tool.onKeyDown && !isTextField(e.target)) {
+      const toolCtx = buildToolContext(viewport.toWorld(state.mouse));
+      toolCtx.key = e.key;
+      toolCtx.ctrlKey = e.ctrlKey || e.metaKey;
+      if (tool.onKeyDown(toolCtx)) {
+        e.preventDefault();
+        return;
+      }
+    }
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'd' || e.key === 'D') && !isTextField(e.target)) {
+      e.preventDefault();
+      duplicateSelection();
+      return;
+    }
+
     if (e.key === 'Escape') {
       const lineTool = toolsById['line'];
       const filledTool = toolsById['filledRegion'];
@@ -388,7 +1595,7 @@ export function createEngine(canvasEl, options = {}) {
         return;
       }
       if (currentLine.length >= 2) {
-        state.polylines.push(currentLine.map((p) => ({ x: p.x, y: p.y })));
+        insertPolyline(currentLine.map((p) => ({ x: p.x, y: p.y })));
         lineTool.deactivate?.();
         return;
       }
@@ -396,8 +1603,14 @@ export function createEngine(canvasEl, options = {}) {
         lineTool?.deactivate?.();
         return;
       }
-      if (state.selectedSegments.length > 0) {
+      if (
+        state.selectedSegments.length > 0 ||
+        state.selectedCurves.length > 0 ||
+        state.selectedAnnotations.length > 0
+      ) {
         state.selectedSegments.length = 0;
+        state.selectedCurves.length = 0;
+        state.selectedAnnotations.length = 0;
         return;
       }
       if (currentToolId === 'line') {
@@ -406,17 +1619,35 @@ export function createEngine(canvasEl, options = {}) {
       }
     }
 
-    if ((e.key === 'Delete' || e.key === 'Backspace') && state.selectedSegments.length > 0) {
-      // Delete selected segments by removing their polylines (for now - could split polylines later)
-      const polylinesToRemove = [...new Set(state.selectedSegments.map((s) => s.polyline))];
-      state.polylines = state.polylines.filter((l) => !polylinesToRemove.includes(l));
-      state.selectedSegments.length = 0;
+    // Past here keys edit the drawing; in a text field (a panel input such as the array count) they edit
+    // the field: Backspace must not erase the selection, Ctrl+Z not undo the drawing
+    if (isTextField(e.target)) return;
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+      return;
+    }
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || e.key === 'Y')) {
+      e.preventDefault();
+      redo();
+      return;
+    }
+
+    if (
+      (e.key === 'Delete' || e.key === 'Backspace') &&
+      (state.selectedSegments.length > 0 ||
+        state.selectedCurves.length > 0 ||
+        state.selectedAnnotations.length > 0)
+    ) {
+      deleteSelection();
     }
   });
 
-  function drawLine(points, strokeStyle, lineWidth) {
+  function drawLine(points, strokeStyle, lineWidth, dashPx = []) {
     ctx.strokeStyle = strokeStyle;
     ctx.lineWidth = lineWidth;
+    ctx.setLineDash(dashPx);
     ctx.beginPath();
     points.forEach((p, i) => {
       const s = viewport.toScreen(p);
@@ -424,6 +1655,24 @@ export function createEngine(canvasEl, options = {}) {
       else ctx.lineTo(s.x, s.y);
     });
     ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  /** Screen pixels per paper mm at the current zoom and drawing scale. */
+  function getPxPerPaperMm() {
+    return viewport.getScale() * state.scaleDenom;
+  }
+
+  function getLinetypeDashPx(linetype) {
+    const pxPerMm = getPxPerPaperMm();
+    return (LINETYPES[linetype] ?? []).map((mm) => Math.max(1, mm * pxPerMm));
+  }
+
+  /** Screen stroke width and dash for an entity: its pen at paper width when Lineweights is on. */
+  function getStrokeStyle(entity, layer) {
+    const { penMm, linetype } = resolveLineStyle(state.polylineStyle.get(entity), layer);
+    const width = state.lineweightsEnabled ? Math.max(1, penMm * getPxPerPaperMm()) : 1;
+    return { width, dashPx: getLinetypeDashPx(linetype) };
   }
 
   const SHEET_GRID_SPACING_MM = 10; // 10mm grid inside sheets (1m at 1:100)
@@ -516,51 +1765,160 @@ export function createEngine(canvasEl, options = {}) {
     drawBuildingGridlinesModule(ctx, viewport, state.sheets, state.keyRefModel, state.paperEdgePadMm);
   }
 
-  function drawFilledPolygon(points, fillColor) {
+  function drawFilledPolygon(points, fillColor, holes = []) {
     if (points.length < 3) return;
     ctx.fillStyle = fillColor;
     ctx.beginPath();
-    points.forEach((p, i) => {
-      const s = viewport.toScreen(p);
-      if (i === 0) ctx.moveTo(s.x, s.y);
-      else ctx.lineTo(s.x, s.y);
-    });
-    ctx.closePath();
-    ctx.fill();
+    for (const ring of [points, ...holes]) {
+      ring.forEach((p, i) => {
+        const s = viewport.toScreen(p);
+        if (i === 0) ctx.moveTo(s.x, s.y);
+        else ctx.lineTo(s.x, s.y);
+      });
+      ctx.closePath();
+    }
+    ctx.fill('evenodd');
   }
 
-  function draw() {
+  function drawCurve(curve, strokeStyle, lineWidth, dashPx = []) {
+    ctx.strokeStyle = strokeStyle;
+    ctx.lineWidth = lineWidth;
+    ctx.setLineDash(dashPx);
+    ctx.beginPath();
+    traceCurve(ctx, viewport, curve);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  /** Solid fill or hatch behind a closed polyline (less its holes) or circle. */
+  function drawEntityFill(entity) {
+    const hatch = state.polylineHatch.get(entity);
+    const fillColor = hatch?.pattern === 'SOLID' ? hatch.color : state.polylineFillColors.get(entity);
+    if (hatch && hatch.pattern && hatch.color && hatch.pattern !== 'SOLID') {
+      // Hatch clipping works on polygons; a fine tessellation is indistinguishable on screen
+      const outline = Array.isArray(entity)
+        ? entity
+        : tessellateCurve(entity, 0.5 / viewport.getScale());
+      renderHatch(ctx, viewport, outline, hatch.pattern, hatch.color, holesOf(entity));
+    } else if (fillColor) {
+      if (Array.isArray(entity)) {
+        drawFilledPolygon(entity, fillColor, holesOf(entity));
+      } else {
+        ctx.fillStyle = fillColor;
+        ctx.beginPath();
+        traceCurve(ctx, viewport, entity);
+        ctx.fill();
+      }
+    }
+  }
+
+  /** Grip squares for selected curves (centre, quadrants / arc ends, spline points). */
+  function drawCurveGrips(curve) {
+    if (curve.type === 'spline' && curve.method === 'control') {
+      // The control polygon the vertices pull the curve along
+      drawLine(curve.closed ? [...curve.points, curve.points[0]] : curve.points, 'red', 1, [4, 4]);
+    }
+    for (const grip of curveGrips(curve)) {
+      const s = viewport.toScreen(grip.point);
+      ctx.fillStyle = grip.kind === 'centre' ? 'red' : 'white';
+      ctx.strokeStyle = 'red';
+      ctx.lineWidth = 1;
+      ctx.fillRect(s.x - HANDLE_SIZE / 2, s.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+      ctx.strokeRect(s.x - HANDLE_SIZE / 2, s.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+    }
+  }
+
+  function recordTiming(list, ms) {
+    list.push(ms);
+    if (list.length > 120) list.shift();
+  }
+
+  function summarizeTimings(list) {
+    if (list.length === 0) return { avg: 0, max: 0 };
+    return { avg: list.reduce((a, b) => a + b, 0) / list.length, max: Math.max(...list) };
+  }
+
+  /**
+   * Average / worst timings over the last ~120 frames and mouse moves, plus indexed segment count.
+   * drawMs is a whole frame, staticMs only frames that rebuilt the static cache.
+   */
+  function getFrameStats() {
+    return {
+      drawMs: summarizeTimings(timings.draw),
+      staticMs: summarizeTimings(timings.static),
+      pointerMs: summarizeTimings(timings.pointer),
+      segments: spatial.getSegmentCount(),
+    };
+  }
+
+  /**
+   * Schedule a frame (coalesced to one per animation frame).
+   * @param {boolean} [invalidateStatic] - also rebuild the cached static layers (document, view or settings changed)
+   */
+  function requestRender(invalidateStatic = false) {
+    if (invalidateStatic) staticDirty = true;
+    if (frameRequested) return;
+    frameRequested = true;
+    requestAnimationFrame(draw);
+  }
+
+  /** Sheets, grids, gridlines and committed geometry with fills and hatches. */
+  function drawStatic() {
     ctx.fillStyle = '#444';
     ctx.fillRect(0, 0, canvasEl.width, canvasEl.height);
-    const scale = viewport.getScale();
 
     if (state.multiViewEnabled) drawSheets();
     if (state.multiViewEnabled && state.gridEnabled) drawSheetGrids();
     if (state.buildingGridlinesEnabled) drawKeyRefs();
 
-    // Draw filled / hatched regions first (behind strokes)
+    // Geometry is drawn layer by layer in layer order; within a layer, fills go behind strokes
+    const linesByLayer = new Map(state.layers.map((l) => [l.id, []]));
+    const curvesByLayer = new Map(state.layers.map((l) => [l.id, []]));
+    const annotationsByLayer = new Map(state.layers.map((l) => [l.id, []]));
     state.polylines.forEach((line) => {
-      if (!isClosedPolyline(line)) return;
-      const hatch = state.polylineHatch.get(line);
-      const fillColor = state.polylineFillColors.get(line);
-
-      if (hatch && hatch.pattern && hatch.color) {
-        if (hatch.pattern === 'SOLID') {
-          drawFilledPolygon(line, hatch.color);
-        } else {
-          renderHatch(ctx, viewport, line, hatch.pattern, hatch.color);
-        }
-      } else if (fillColor) {
-        // Legacy solid fill
-        drawFilledPolygon(line, fillColor);
-      }
+      linesByLayer.get(getEntityLayer(line).id)?.push(line);
     });
-
-    // Draw all polylines (strokes)
-    state.polylines.forEach((line) => {
-      drawLine(line, 'black', 1);
+    state.curves.forEach((curve) => {
+      curvesByLayer.get(getEntityLayer(curve).id)?.push(curve);
+    });
+    state.annotations.forEach((annotation) => {
+      annotationsByLayer.get(getEntityLayer(annotation).id)?.push(annotation);
     });
+    for (const layer of state.layers) {
+      if (!isLayerVisible(layer)) continue;
+      const lines = linesByLayer.get(layer.id);
+      const curves = curvesByLayer.get(layer.id);
+      const annotations = annotationsByLayer.get(layer.id);
+      if (lines.length === 0 && curves.length === 0 && annotations.length === 0) continue;
+      // Locked layers are faded, as in most CAD packages
+      ctx.globalAlpha = layer.locked ? 0.5 : 1;
+
+      lines.forEach((line) => {
+        if (isClosedPolyline(line)) drawEntityFill(line);
+      });
+      curves.forEach((curve) => {
+        if (isClosedCurve(curve)) drawEntityFill(curve);
+      });
 
+      lines.forEach((line) => {
+        const { width, dashPx } = getStrokeStyle(line, layer);
+        drawLine(line, layer.color, width, dashPx);
+      });
+      curves.forEach((curve) => {
+        const { width, dashPx } = getStrokeStyle(curve, layer);
+        drawCurve(curve, layer.color, width, dashPx);
+      });
+      // Annotations on top of the layer's geometry, always solid
+      annotations.forEach((annotation) => {
+        const { width } = getStrokeStyle(annotation, layer);
+        drawAnnotation(ctx, viewport, annotation, annotationEnv, layer.color, width);
+      });
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  /** Hover and selection highlights, grips, tool preview, snap marker and crosshair. */
+  function drawOverlay() {
     // Highlight hovered segment
     if (state.hoveredSegment) {
       const { polyline, segmentIndex } = state.hoveredSegment;
@@ -570,6 +1928,18 @@ export function createEngine(canvasEl, options = {}) {
     } else if (state.hoveredLine) {
       drawLine(state.hoveredLine, 'blue', 2);
     }
+    if (state.hoveredCurve) drawCurve(state.hoveredCurve, 'blue', 2);
+    if (state.hoveredAnnotation) {
+      drawAnnotation(ctx, viewport, state.hoveredAnnotation, annotationEnv, 'blue', 2);
+    }
+    state.selectedAnnotations.forEach((annotation) => {
+      drawAnnotation(ctx, viewport, annotation, annotationEnv, 'red', 2);
+    });
+
+    state.selectedCurves.forEach((curve) => {
+      drawCurve(curve, 'red', 2);
+      drawCurveGrips(curve);
+    });
 
     // Highlight selected segments
     const selectedPoints = new Set();
@@ -580,6 +1950,9 @@ export function createEngine(canvasEl, options = {}) {
         selectedPoints.add(polyline[segmentIndex + 1]);
       }
     });
+    for (const annotation of state.selectedAnnotations) {
+      annotationPoints(annotation).forEach((p) => selectedPoints.add(p));
+    }
 
     // Draw handles for selected segment endpoints
     selectedPoints.forEach((p) => {
@@ -596,17 +1969,16 @@ export function createEngine(canvasEl, options = {}) {
     const toolCtx = buildToolContext(worldMouse);
     const tool = getCurrentTool();
     if (tool.draw) tool.draw(toolCtx);
+    if (state.paste) drawPastePreview();
 
+    drawTracking(ctx, viewport, state.snapGuides, state.snapPoint, state.acquiredPoints);
     if (state.snapPoint) {
       const s = viewport.toScreen(state.snapPoint);
-      ctx.fillStyle = 'orange';
-      ctx.beginPath();
-      ctx.arc(s.x, s.y, 5, 0, Math.PI * 2);
-      ctx.fill();
-      if (state.snapType) {
+      drawSnapMarker(ctx, s, state.snapType, state.snapRef && viewport.toScreen(state.snapRef));
+      if (state.snapLabel || state.snapType) {
         ctx.fillStyle = 'black';
         ctx.font = '12px Arial';
-        ctx.fillText(state.snapType, state.mouse.x + 15, state.mouse.y - 15);
+        ctx.fillText(state.snapLabel ?? state.snapType, state.mouse.x + 15, state.mouse.y - 15);
       }
     }
 
@@ -617,32 +1989,226 @@ export function createEngine(canvasEl, options = {}) {
     ctx.moveTo(0, state.mouse.y);
     ctx.lineTo(canvasEl.width, state.mouse.y);
     ctx.stroke();
+  }
 
-    requestAnimationFrame(draw);
+  function draw() {
+    frameRequested = false;
+    const frameStart = performance.now();
+    if (staticCanvas.width !== canvasEl.width || staticCanvas.height !== canvasEl.height) {
+      staticCanvas.width = canvasEl.width;
+      staticCanvas.height = canvasEl.height;
+      staticDirty = true;
+    }
+    if (staticDirty) {
+      staticDirty = false;
+      ctx = staticCtx;
+      try {
+        drawStatic();
+      } finally {
+        ctx = mainCtx;
+      }
+      recordTiming(timings.static, performance.now() - frameStart);
+    }
+    ctx.drawImage(staticCanvas, 0, 0);
+    drawOverlay();
+    recordTiming(timings.draw, performance.now() - frameStart);
   }
 
-  draw();
+  requestRender(true);
 
   /** Phase 1: Export drawing to structured JSON */
   function exportDrawing() {
-    const structured = buildStructuredDrawing(state.polylines);
+    const structured = buildStructuredDrawing(state.polylines, {
+      curves: state.curves,
+      annotations: state.annotations,
+      layers: state.layers,
+      getLayer: getEntityLayer,
+      getStyle: (entity) => resolveLineStyle(state.polylineStyle.get(entity), getEntityLayer(entity)),
+      getHoles: holesOf,
+      getRoomTag: (polyline) => state.annotations.find((a) => isRoomTag(a) && a.room === polyline),
+    });
     return JSON.stringify(structured, null, 2);
   }
 
+  /** Save the whole drawing as a native project file (JSON text). */
+  function saveDocument() {
+    return JSON.stringify(serializeDocument(state, viewport), null, 2);
+  }
+
+  /**
+   * Replace the current drawing with a saved project file. Clears undo history.
+   * @param {string|Object} input - project file JSON text or parsed object
+   * @throws {Error} if the file is not a valid project document
+   */
+  function loadDocument(input) {
+    const doc = parseDocument(input);
+    const tool = getCurrentTool();
+    tool?.deactivate?.();
+
+    state.layers = doc.layers?.length ? doc.layers.map((l) => createLayer(l)) : createDefaultLayers();
+    if (!getLayer(DEFAULT_LAYER_ID)) state.layers.unshift(createLayer({ id: DEFAULT_LAYER_ID, name: '0' }));
+    reserveLayerIds(state.layers);
+    state.currentLayerId = getLayer(doc.currentLayerId) ? doc.currentLayerId : DEFAULT_LAYER_ID;
+
+    state.polylines = [];
+    state.curves = [];
+    spatial.clear();
+    state.polylineFillColors.clear();
+    state.polylineHatch.clear();
+    state.polylineLayer.clear();
+    state.polylineStyle.clear();
+    state.polylineHoles.clear();
+    for (const entry of doc.polylines) {
+      const line = entry.points.map((p) => ({ x: p.x, y: p.y }));
+      state.polylines.push(line);
+      spatial.insert(line);
+      if (entry.fillColor) state.polylineFillColors.set(line, entry.fillColor);
+      if (entry.hatch?.pattern && entry.hatch?.color) {
+        state.polylineHatch.set(line, { pattern: entry.hatch.pattern, color: entry.hatch.color });
+      }
+      state.polylineLayer.set(line, getLayer(entry.layerId) ? entry.layerId : DEFAULT_LAYER_ID);
+      if (entry.style) state.polylineStyle.set(line, createLineStyle(entry.style));
+    }
+    doc.polylines.forEach((entry, i) => {
+      if (entry.holes?.length) {
+        state.polylineHoles.set(state.polylines[i], entry.holes.map((h) => state.polylines[h]));
+      }
+    });
+    for (const entry of doc.curves ?? []) {
+      const curve = curveFromJSON(entry.curve);
+      state.curves.push(curve);
+      spatial.insert(curve);
+      applyEntityProps(curve, {
+        fillColor: entry.fillColor,
+        hatch: entry.hatch?.pattern && entry.hatch?.color ? { ...entry.hatch } : null,
+        layerId: getLayer(entry.layerId) ? entry.layerId : DEFAULT_LAYER_ID,
+        style: entry.style ? createLineStyle(entry.style) : null,
+      });
+    }
+    const refs = {
+      pointAt: (ref) => state.polylines[ref.polyline]?.[ref.vertex],
+      curveAt: (i) => state.curves[i],
+      polylineAt: (i) => state.polylines[i],
+    };
+    state.annotations = (doc.annotations ?? []).map((entry) => {
+      const annotation = annotationFromJSON(entry, refs);
+      applyEntityProps(annotation, { layerId: getLayer(entry.layerId) ? entry.layerId : DEFAULT_LAYER_ID });
+      return annotation;
+    });
+    const entityAt = (ref) => (ref.polyline != null ? state.polylines[ref.polyline] : state.curves[ref.curve]);
+    state.arrays = (doc.arrays ?? [])
+      .map((entry) => ({
+        params: normalizeArrayParams({ ...entry.params, associative: true }),
+        sources: entry.sources.map(entityAt).filter(Boolean),
+        items: entry.items.map(entityAt).filter(Boolean),
+      }))
+      .filter((record) => record.sources.length > 0);
+    state.selectedSegments.length = 0;
+    state.selectedCurves.length = 0;
+    state.selectedAnnotations.length = 0;
+    state.hoveredLine = null;
+    state.hoveredSegment = null;
+    state.hoveredCurve = null;
+    state.hoveredAnnotation = null;
+
+    state.keyRefModel = doc.keyRefModel ?? initKeyRefModel(state.sheets);
+    if (doc.settings) {
+      if (doc.settings.gridEnabled != null) setGridEnabled(doc.settings.gridEnabled);
+      if (doc.settings.buildingGridlinesEnabled != null) {
+        setBuildingGridlinesEnabled(doc.settings.buildingGridlinesEnabled);
+      }
+      if (doc.settings.angleSnapMode) setAngleSnapMode(doc.settings.angleSnapMode);
+      if (doc.settings.scaleDenom > 0) state.scaleDenom = doc.settings.scaleDenom;
+      if (doc.settings.lineweightsEnabled != null) setLineweightsEnabled(doc.settings.lineweightsEnabled);
+      if (doc.settings.currentStyle) state.currentStyle = createLineStyle(doc.settings.currentStyle);
+      if (doc.settings.textStyle) state.textStyle = normalizeTextStyle(doc.settings.textStyle);
+      if (doc.settings.osnaps) state.osnaps = normalizeOsnaps(doc.settings.osnaps);
+      if (doc.settings.polarIncrement) state.polarIncrement = normalizePolarIncrement(doc.settings.polarIncrement);
+      if (doc.settings.snapTrackingEnabled != null) setSnapTrackingEnabled(doc.settings.snapTrackingEnabled);
+    }
+    if (doc.viewport) {
+      viewport.setScale(doc.viewport.scale);
+      viewport.setOffset(doc.viewport.offset);
+      viewport.setRotationRad(doc.viewport.rotationRad ?? 0);
+    }
+    if (doc.activeViewId) {
+      setActiveViewId(doc.activeViewId);
+      options.onActiveViewChange?.(state.activeViewId);
+    }
+
+    tool?.activate?.();
+    history.clear();
+    notifyLayers();
+    return doc;
+  }
+
+  /**
+   * Import structured rooms/walls JSON (export.js format). One undo step; replace clears the whole
+   * drawing first.
+   * @param {string|Object} input
+   * @param {{ mode?: 'merge'|'replace' }} [opts]
+   * @returns {{ rooms: number, walls: number, errors: string[], units: string }}
+   * @throws {Error} if the file as a whole is unreadable
+   */
+  function importStructuredDrawing(input, opts = {}) {
+    const parsed = parseStructuredDrawing(input);
+    history.transact('Import', () => {
+      if (opts.mode === 'replace') {
+        removeEntities([...state.polylines, ...state.curves, ...state.annotations]);
+        setArrays([]);
+      }
+      // Entries tagged with a layer name go on that layer (created from the file's layer table if new)
+      const layerIdFor = (name) => layerIdForName(name, parsed.layers);
+      for (const entry of [...parsed.rooms, ...parsed.walls]) {
+        const layerId = layerIdFor(entry.layer);
+        for (const hole of entry.holes ?? []) insertPolyline(hole, { layerId });
+        insertPolyline(entry.points, { layerId, holes: entry.holes?.length ? entry.holes : null });
+        if (entry.name != null || entry.number != null) {
+          insertEntity(createRoomTag(entry.points, entry.name ?? 'Room', entry.number ?? ''), { layerId, style: null });
+        }
+      }
+      for (const entry of parsed.curves) {
+        insertEntity(entry.curve, { layerId: layerIdFor(entry.layer) });
+      }
+    });
+    return {
+      rooms: parsed.rooms.length,
+      walls: parsed.walls.length,
+      curves: parsed.curves.length,
+      errors: parsed.errors,
+      units: parsed.units,
+    };
+  }
+
   /** Phase 2: When exactly one closed polygon is selected, return area in m²; otherwise null */
   function getSelectionAreaInfo() {
-    // Check if all selected segments form a single closed polyline
-    const uniquePolylines = [...new Set(state.selectedSegments.map((s) => s.polyline))];
-    if (uniquePolylines.length !== 1) return null;
-    const line = uniquePolylines[0];
-    if (!isClosedPolyline(line)) return null;
-    const areaMm2 = polygonArea(line);
+    const target = getSelectedFillTarget();
+    if (!target) return null;
+    // Net area: a region's holes are not part of it
+    const areaMm2 = Array.isArray(target)
+      ? holesOf(target).reduce((area, hole) => area - polygonArea(hole), polygonArea(target))
+      : curveArea(target);
     const areaM2 = areaMm2 * MM2_TO_M2;
     return { area: areaM2 };
   }
 
+  /**
+   * The single selected closed shape (closed polyline or circle) that can take a fill, or null.
+   * Holes selected along with their region do not count.
+   */
+  function getSelectedFillTarget() {
+    const selected = getSelectedEntities();
+    const holes = new Set(selected.flatMap(holesOf));
+    const entities = selected.filter((entity) => !holes.has(entity));
+    if (entities.length !== 1) return null;
+    const entity = entities[0];
+    const closed = Array.isArray(entity) ? isClosedPolyline(entity) : isClosedCurve(entity);
+    return closed ? entity : null;
+  }
+
   function setGridEnabled(enabled) {
     state.gridEnabled = !!enabled;
+    requestRender(true);
   }
 
   function getGridEnabled() {
@@ -650,25 +2216,15 @@ export function createEngine(canvasEl, options = {}) {
   }
 
   function getBounds() {
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    for (const line of state.polylines) {
-      for (const p of line) {
-        minX = Math.min(minX, p.x);
-        minY = Math.min(minY, p.y);
-        maxX = Math.max(maxX, p.x);
-        maxY = Math.max(maxY, p.y);
-      }
-    }
-    if (minX === Infinity && state.multiViewEnabled && state.sheets) {
+    const content = spatial.getBounds();
+    if (content) return content;
+    if (state.multiViewEnabled && state.sheets) {
       const b = getSheetsBounds(state.sheets, state.radiusMm);
       return { minX: b.minX, minY: b.minY, maxX: b.maxX, maxY: b.maxY };
     }
-    if (minX === Infinity) {
-      const c = viewport.toWorld({ x: canvasEl.width / 2, y: canvasEl.height / 2 });
-      const pad = 10000;
-      return { minX: c.x - pad, minY: c.y - pad, maxX: c.x + pad, maxY: c.y + pad };
-    }
-    return { minX, minY, maxX, maxY };
+    const c = viewport.toWorld({ x: canvasEl.width / 2, y: canvasEl.height / 2 });
+    const pad = 10000;
+    return { minX: c.x - pad, minY: c.y - pad, maxX: c.x + pad, maxY: c.y + pad };
   }
 
   function fitToContent(padding = 40) {
@@ -687,6 +2243,7 @@ export function createEngine(canvasEl, options = {}) {
 
   function setActiveViewId(id) {
     if (state.sheets && state.sheets[id]) state.activeViewId = id;
+    requestRender(true);
   }
 
   function rotateView(deltaDeg = 90) {
@@ -694,17 +2251,39 @@ export function createEngine(canvasEl, options = {}) {
     rotateViewByAnimated(viewport, pivot, deltaDeg, { durationMs: 220 });
   }
 
+  /**
+   * Turn object snap modes on or off.
+   * @param {Object<string, boolean>} patch - by mode id (see OSNAP_MODES in core/snaps.js)
+   */
+  function setOsnaps(patch) {
+    state.osnaps = normalizeOsnaps({ ...state.osnaps, ...patch });
+    requestRender();
+  }
+
+  /** @param {number} increment - degrees, one of POLAR_INCREMENTS (core/tracking.js) */
+  function setPolarIncrement(increment) {
+    state.polarIncrement = normalizePolarIncrement(increment);
+  }
+
+  function setSnapTrackingEnabled(enabled) {
+    state.snapTrackingEnabled = !!enabled;
+    if (!enabled) state.acquiredPoints = [];
+    requestRender();
+  }
+
   function setAngleSnapMode(mode) {
     state.angleSnapMode = mode === 'off' || mode === 'shift' || mode === 'always' ? mode : 'shift';
   }
 
   function setScaleFromDenom(denom) {
     const d = Number(denom) || 100;
+    state.scaleDenom = d;
     viewport.setScale(1 / d);
   }
 
   function setBuildingGridlinesEnabled(enabled) {
     state.buildingGridlinesEnabled = !!enabled;
+    requestRender(true);
   }
 
   function getBuildingGridlinesEnabled() {
@@ -715,6 +2294,9 @@ export function createEngine(canvasEl, options = {}) {
     viewport,
     setTool,
     getCurrentToolId: () => currentToolId,
+    getToolPrompt,
+    chooseToolOption,
+    sendToolInput,
     getTools: () => tools,
     getPolylines: () => state.polylines,
     getSelectedSegments: () => state.selectedSegments,
@@ -722,24 +2304,93 @@ export function createEngine(canvasEl, options = {}) {
       // Legacy: return unique polylines from selected segments
       return [...new Set(state.selectedSegments.map((s) => s.polyline))];
     },
-    setPolylineFillColor: (polyline, color) => {
-      if (color) {
-        state.polylineFillColors.set(polyline, color);
-      } else {
-        state.polylineFillColors.delete(polyline);
-      }
+    getCurves: () => state.curves,
+    getSelectedCurves: () => state.selectedCurves,
+    getAnnotations: () => state.annotations,
+    getSelectedAnnotations: () => state.selectedAnnotations,
+    /** Selected polylines and curves. */
+    getSelectedEntities,
+    copySelection,
+    cutSelection,
+    /** Paste clipboard JSON (default: last copy); follows the cursor until a click places it. */
+    paste: beginPaste,
+    duplicateSelection,
+    /** Delete selected segments (splitting their polylines) and curves. */
+    deleteSelection,
+    explodeSelection,
+    joinSelection,
+    combineSelection,
+    tagRooms,
+    cancelPaste,
+    isPasting: () => state.paste !== null,
+    /** Settings used by the next Array command. */
+    getArrayParams: () => ({ ...state.arrayParams }),
+    setArrayParams: (patch) => {
+      state.arrayParams = normalizeArrayParams({ ...state.arrayParams, ...patch });
+      requestRender();
     },
-    getPolylineFillColor: (polyline) => state.polylineFillColors.get(polyline) || null,
-    setPolylineHatch: (polyline, pattern, color) => {
-      if (pattern && color) {
-        state.polylineHatch.set(polyline, { pattern, color });
-      } else {
-        state.polylineHatch.delete(polyline);
-      }
+    /** Settings for the Rectangle and Polygon tools. */
+    getShapeParams: () => ({ ...state.shapeParams }),
+    setShapeParams,
+    /** Whether the Spline tool places fit points or control vertices. */
+    getSplineMethod: () => state.splineMethod,
+    setSplineMethod,
+    getOffsetCorners: () => state.offsetCorners,
+    /** @param {'mitre'|'fillet'} corners - how Offset joins outside corners */
+    setOffsetCorners: (corners) => {
+      state.offsetCorners = corners === 'fillet' ? 'fillet' : 'mitre';
+      requestRender();
     },
+    /** Associative array containing a selected entity, or null. */
+    getSelectedArray,
+    updateArray,
+    getSelectedFillTarget,
+    setPolylineFillColor,
+    getPolylineFillColor: (polyline) => state.polylineFillColors.get(polyline) || null,
+    setPolylineHatch,
     getPolylineHatch: (polyline) => state.polylineHatch.get(polyline) || null,
+    getLayers: () => state.layers,
+    getLayer,
+    getCurrentLayerId: () => state.currentLayerId,
+    setCurrentLayer,
+    addLayer,
+    updateLayer,
+    moveLayer,
+    getEntityLayer,
+    setEntitiesLayer,
+    /** @deprecated use getEntityLayer */
+    getPolylineLayer: getEntityLayer,
+    getEntityStyle,
+    setEntitiesStyle,
+    getCurrentStyle: () => ({ ...state.currentStyle }),
+    setCurrentStyle,
+    getTextStyle: () => ({ ...state.textStyle }),
+    setTextStyle,
+    setLineweightsEnabled,
     exportDrawing,
+    saveDocument,
+    loadDocument,
+    importStructuredDrawing,
+    getSettings: () => ({
+      gridEnabled: state.gridEnabled,
+      buildingGridlinesEnabled: state.buildingGridlinesEnabled,
+      angleSnapMode: state.angleSnapMode,
+      scaleDenom: state.scaleDenom,
+      lineweightsEnabled: state.lineweightsEnabled,
+      osnaps: { ...state.osnaps },
+      polarIncrement: state.polarIncrement,
+      snapTrackingEnabled: state.snapTrackingEnabled,
+    }),
     getSelectionAreaInfo,
+    getFrameStats,
+    /** Redraw on the next animation frame (e.g. after the canvas is resized). */
+    requestRender: () => requestRender(true),
+    undo,
+    redo,
+    canUndo: () => history.canUndo(),
+    canRedo: () => history.canRedo(),
+    /** Group several edits into one undo step. */
+    transact: (label, fn) => history.transact(label, fn),
     setGridEnabled,
     getGridEnabled,
     getBounds,
@@ -749,6 +2400,10 @@ export function createEngine(canvasEl, options = {}) {
     setActiveViewId,
     rotateView,
     setAngleSnapMode,
+    getOsnaps: () => ({ ...state.osnaps }),
+    setOsnaps,
+    setPolarIncrement,
+    setSnapTrackingEnabled,
     setScaleFromDenom,
     setBuildingGridlinesEnabled,
     getBuildingGridlinesEnabled,
@@ -4,35 +4,170 @@
  */
 
 import { isClosedPolyline, polygonArea, MM2_TO_M2 } from '../utils/math.js';
+import { curveArea, curveLength, isClosedCurve, tessellateCurve } from './curves.js';
+import { isDimension, measureDimension } from './dimensions.js';
+import { isText, isLeader } from './text.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+/** Optional `layer` name field. */
+function layerField(entity, options) {
+  const layer = options.getLayer?.(entity);
+  return layer ? { layer: layer.name } : {};
+}
+
+/** Optional per-entity `layer` name and `style` fields. */
+function entityFields(entity, options) {
+  const fields = layerField(entity, options);
+  const style = options.getStyle?.(entity);
+  if (style) fields.style = { ...style };
+  return fields;
+}
 
 /**
  * @param {Object[][]} polylines - Array of point arrays {x,y} in mm
- * @returns {{ units: string, areaUnit: string, rooms: { id: number, vertices: {x,y}[], area: number }[], walls: { id: number, vertices: {x,y}[] }[] }}
+ * @param {{ curves?: Object[], annotations?: Object[], layers?: Object[], getLayer?: (entity) => Object, getStyle?: (entity) => Object, getHoles?: (polyline) => Object[][], getRoomTag?: (polyline) => Object }} [options] - circles, arcs, ellipses and splines, annotations (dimensions, text, leaders), layer table and per-entity lookups (style = resolved lineType, penMm, linetype; holes = inner rings of a region, exported with it rather than as rooms; room tag = name and number of a room)
+ * @returns {{ units: string, areaUnit: string, angleUnit: string, layers?: Object[], rooms: { id: number, name?: string, number?: string, vertices: {x,y}[], holes?: {x,y}[][], area: number, layer?: string, style?: Object }[], walls: { id: number, vertices: {x,y}[], layer?: string, style?: Object }[], circles: Object[], arcs: Object[], ellipses: Object[], ellipseArcs: Object[], splines: Object[], dimensions: { id: number, type: string, value: number, points: {x,y}[], centre?: {x,y}, layer?: string }[], texts: { id: number, content: string, position: {x,y}, font: string, height: number, rotation: number, justify: string, layer?: string }[], leaders: { id: number, points: {x,y}[], content: string, font: string, height: number, layer?: string }[] }} - text heights in paper mm
  */
-export function buildStructuredDrawing(polylines) {
+export function buildStructuredDrawing(polylines, options = {}) {
   const rooms = [];
   const walls = [];
   let roomId = 1;
   let wallId = 1;
+  const holeSet = new Set(polylines.flatMap((points) => options.getHoles?.(points) ?? []));
 
   for (const points of polylines) {
-    if (!points || points.length < 2) continue;
+    if (!points || points.length < 2 || holeSet.has(points)) continue;
 
     const vertices = points.map((p) => ({ x: p.x, y: p.y }));
+    const fields = entityFields(points, options);
 
     if (isClosedPolyline(points)) {
-      const areaMm2 = polygonArea(vertices);
+      const holes = (options.getHoles?.(points) ?? []).map((hole) => hole.map((p) => ({ x: p.x, y: p.y })));
+      // Net area: holes are not part of the room
+      const areaMm2 = holes.reduce((area, hole) => area - polygonArea(hole), polygonArea(vertices));
       const areaM2 = areaMm2 * MM2_TO_M2;
-      rooms.push({ id: roomId++, vertices, area: areaM2 });
+      if (holes.length > 0) fields.holes = holes;
+      const tag = options.getRoomTag?.(points);
+      const label = tag ? { name: tag.name, number: tag.number } : {};
+      rooms.push({ id: roomId++, ...label, vertices, area: areaM2, ...fields });
     } else {
-      walls.push({ id: wallId++, vertices });
+      walls.push({ id: wallId++, vertices, ...fields });
     }
   }
 
-  return {
+  // Circles and arcs stay parametric: centre + radius (+ angles in degrees), not point lists.
+  // Ellipses and splines too, with `vertices` along them for consumers that need polylines.
+  const circles = [];
+  const arcs = [];
+  const ellipses = [];
+  const ellipseArcs = [];
+  const splines = [];
+  for (const curve of options.curves ?? []) {
+    const fields = entityFields(curve, options);
+    const vertices = () => tessellateCurve(curve).map((p) => ({ x: p.x, y: p.y }));
+    const measures = () => ({
+      ...(isClosedCurve(curve) ? { area: curveArea(curve) * MM2_TO_M2 } : { length: curveLength(curve) }),
+      vertices: vertices(),
+    });
+    if (curve.type === 'spline') {
+      const points = curve.points.map((p) => ({ x: p.x, y: p.y }));
+      const { method, closed } = curve;
+      splines.push({ id: splines.length + 1, method, closed, points, ...measures(), ...fields });
+      continue;
+    }
+    const centre = { x: curve.centre.x, y: curve.centre.y };
+    if (curve.type === 'ellipse' || curve.type === 'ellipseArc') {
+      const entry = {
+        centre,
+        radiusX: curve.radiusX,
+        radiusY: curve.radiusY,
+        rotation: curve.rotation * RAD_TO_DEG,
+      };
+      if (curve.type === 'ellipse') {
+        ellipses.push({ id: ellipses.length + 1, ...entry, ...measures(), ...fields });
+      } else {
+        const angles = { startAngle: curve.startAngle * RAD_TO_DEG, endAngle: curve.endAngle * RAD_TO_DEG };
+        ellipseArcs.push({ id: ellipseArcs.length + 1, ...entry, ...angles, ...measures(), ...fields });
+      }
+    } else if (curve.type === 'circle') {
+      circles.push({
+        id: circles.length + 1,
+        centre,
+        radius: curve.radius,
+        area: curveArea(curve) * MM2_TO_M2,
+        ...fields,
+      });
+    } else if (curve.type === 'arc') {
+      arcs.push({
+        id: arcs.length + 1,
+        centre,
+        radius: curve.radius,
+        startAngle: curve.startAngle * RAD_TO_DEG,
+        endAngle: curve.endAngle * RAD_TO_DEG,
+        length: curveLength(curve),
+        ...fields,
+      });
+    }
+  }
+
+  // Dimensions as measured now: value in mm (angular: degrees) and the points they measure
+  const annotations = options.annotations ?? [];
+  const dimensions = [];
+  for (const dim of annotations.filter(isDimension)) {
+    const value = measureDimension(dim);
+    if (value === null) continue;
+    const points = dim.points.map((p) => ({ x: p.x, y: p.y }));
+    const entry = { id: dimensions.length + 1, type: dim.type, value, points };
+    if (dim.curve) entry.centre = { x: dim.curve.centre.x, y: dim.curve.centre.y };
+    dimensions.push({ ...entry, ...layerField(dim, options) });
+  }
+
+  // Text and leaders: content, insertion or leader points, and text style
+  const texts = annotations.filter(isText).map((text, i) => ({
+    id: i + 1,
+    content: text.content,
+    position: { x: text.position.x, y: text.position.y },
+    font: text.font,
+    height: text.height,
+    rotation: text.rotation * RAD_TO_DEG,
+    justify: text.justify,
+    ...layerField(text, options),
+  }));
+  const leaders = annotations.filter(isLeader).map((leader, i) => ({
+    id: i + 1,
+    points: leader.points.map((p) => ({ x: p.x, y: p.y })),
+    content: leader.content,
+    font: leader.font,
+    height: leader.height,
+    ...layerField(leader, options),
+  }));
+
+  const structured = {
     units: 'mm',
     areaUnit: 'm²',
+    angleUnit: 'deg',
     rooms,
     walls,
+    circles,
+    arcs,
+    ellipses,
+    ellipseArcs,
+    splines,
+    dimensions,
+    texts,
+    leaders,
   };
+  if (options.layers) {
+    structured.layers = options.layers.map((l) => ({
+      name: l.name,
+      visible: l.visible,
+      locked: l.locked,
+      frozen: l.frozen,
+      color: l.color,
+      linetype: l.linetype,
+      lineweight: l.lineweight,
+    }));
+  }
+  return structured;
 }
@@ -0,0 +1,237 @@
+/**
+ * Fillet and chamfer corners between two polyline segments. Adjacent segments of one polyline
+ * get their shared corner rounded or bevelled; end segments of two open polylines (or the first
+ * and last segments of one) are trimmed or extended to meet and joined into one polyline.
+ * A fillet that leaves the polyline open is a true arc entity between the trimmed polylines. On a
+ * closed outline the arc is tessellated into it, as with filleted offsets, so the outline stays
+ * one closed polyline (a room, with its fill and area); there are no arc segments in polylines.
+ *
+ * A corner is { type: 'fillet', radius } or { type: 'chamfer', distances: [d1, d2] } or
+ * { type: 'chamfer', distance, angle } (angle in degrees from the first segment). Radius 0 or
+ * distances 0 give a plain sharp corner.
+ */
+
+import { distance, lineIntersection, isClosedPolyline, arcPoints } from '../utils/math.js';
+import { createArc, normalizeRad } from './curves.js';
+
+const EPS = 1e-9;
+const FILLET_TOLERANCE = 0.5; // mm chord error of the tessellated arc
+
+function unit(from, to) {
+  const len = distance(from, to);
+  return len > EPS ? { x: (to.x - from.x) / len, y: (to.y - from.y) / len } : null;
+}
+
+function along(p, u, d) {
+  return { x: p.x + u.x * d, y: p.y + u.y * d };
+}
+
+/** The short arc about centre from a to b, either way round. */
+function arcBetween(centre, r, a, b) {
+  const start = Math.atan2(a.y - centre.y, a.x - centre.x);
+  const end = Math.atan2(b.y - centre.y, b.x - centre.x);
+  return normalizeRad(end - start) <= Math.PI ? createArc(centre, r, start, end) : createArc(centre, r, end, start);
+}
+
+/**
+ * Points replacing the corner X between two legs leaving it in directions u1, u2, from the first
+ * leg's side to the second's, and for a fillet the arc they approximate; null if the corner does
+ * not fit within the leg lengths.
+ * @returns {{ points: {x,y}[], arc?: import('./curves.js').Arc }|null}
+ */
+function cornerPoints(x, u1, len1, u2, len2, corner) {
+  const cos = Math.max(-1, Math.min(1, u1.x * u2.x + u1.y * u2.y));
+  const theta = Math.acos(cos); // angle between the legs
+  if (theta < 1e-6 || Math.PI - theta < 1e-6) return null;
+  const fits = (d1, d2) => d1 >= 0 && d2 >= 0 && d1 <= len1 + 1e-6 && d2 <= len2 + 1e-6;
+
+  if (corner.type === 'fillet') {
+    const r = corner.radius;
+    if (!(r > 0)) return { points: [{ x: x.x, y: x.y }] };
+    const d = r / Math.tan(theta / 2);
+    if (!fits(d, d)) return null;
+    const t1 = along(x, u1, d);
+    const t2 = along(x, u2, d);
+    const bisector = unit({ x: 0, y: 0 }, { x: u1.x + u2.x, y: u1.y + u2.y });
+    const centre = along(x, bisector, r / Math.sin(theta / 2));
+    // Sweep from t1 to t2 the short way round (always less than a half turn)
+    const cross = u1.x * u2.y - u1.y * u2.x;
+    const sweep = (Math.PI - theta) * (cross > 0 ? -1 : 1);
+    return { points: [t1, ...arcPoints(centre, t1, sweep, FILLET_TOLERANCE), t2], arc: arcBetween(centre, r, t1, t2) };
+  }
+
+  let d1;
+  let d2;
+  if (corner.distances) {
+    [d1, d2] = corner.distances;
+  } else {
+    // Triangle X, T1, T2: angle at X is theta, at T1 the chamfer angle
+    const alpha = (corner.angle * Math.PI) / 180;
+    const s = Math.sin(theta + alpha);
+    if (!(alpha > 0) || s <= EPS) return null;
+    d1 = corner.distance;
+    d2 = (d1 * Math.sin(alpha)) / s;
+  }
+  if (!fits(d1, d2)) return null;
+  if (d1 === 0 && d2 === 0) return { points: [{ x: x.x, y: x.y }] };
+  return { points: [along(x, u1, d1), along(x, u2, d2)] };
+}
+
+/** Copies of the points without consecutive duplicates (a corner that uses up a whole segment). */
+function dedupe(points) {
+  return points
+    .filter((p, i) => i === 0 || distance(p, points[i - 1]) > 1e-6)
+    .map((p) => ({ x: p.x, y: p.y }));
+}
+
+function closeRing(points) {
+  const ring = dedupe(points);
+  return [...ring, { x: ring[0].x, y: ring[0].y }];
+}
+
+/** Parameter of p projected on the segment a–b (0 at a, 1 at b). */
+function paramOn(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const l2 = dx * dx + dy * dy;
+  return l2 === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / l2;
+}
+
+/**
+ * An open result: the polyline through before, the corner and after, or with a fillet arc the
+ * polylines either side of it (a side the fillet uses up entirely is left out) and the arc.
+ */
+function openPieces(before, built, after) {
+  const pts = built.points;
+  if (!built.arc) return [dedupe([...before, ...pts, ...after])];
+  const sides = [dedupe([...before, pts[0]]), dedupe([pts[pts.length - 1], ...after])];
+  return [sides[0], built.arc, sides[1]].filter((piece) => !Array.isArray(piece) || piece.length >= 2);
+}
+
+/**
+ * The points kept of an end segment's polyline, ordered outwards from the corner x: the free end
+ * is cut back or extended to x. A single segment keeps the side that was picked.
+ * @returns {{x,y}[]|null} null for a middle segment
+ */
+function outwardPoints(points, segmentIndex, pick, x) {
+  const n = points.length;
+  if (n === 2) {
+    const keepEnd = paramOn(pick, points[0], points[1]) > paramOn(x, points[0], points[1]);
+    return [keepEnd ? points[1] : points[0]];
+  }
+  if (segmentIndex === 0) return points.slice(1);
+  if (segmentIndex === n - 2) return points.slice(0, -1).reverse();
+  return null;
+}
+
+/**
+ * For two segments of one polyline that share a vertex: the segment before the vertex (a), the
+ * one after it (b), and whether the user picked b first. Null if they are not neighbours.
+ */
+function adjacentSegments(points, first, second) {
+  const last = points.length - 2;
+  const closed = isClosedPolyline(points);
+  const follows = (i, j) => j === i + 1 || (closed && i === last && j === 0);
+  if (follows(first.segmentIndex, second.segmentIndex)) {
+    return { a: first.segmentIndex, b: second.segmentIndex, swapped: false };
+  }
+  if (follows(second.segmentIndex, first.segmentIndex)) {
+    return { a: second.segmentIndex, b: first.segmentIndex, swapped: true };
+  }
+  return null;
+}
+
+/**
+ * Fillet or chamfer the corner between two picked segments.
+ * @param {{ polyline: {x,y}[], segmentIndex: number, pick: {x,y} }} first
+ * @param {{ polyline: {x,y}[], segmentIndex: number, pick: {x,y} }} second
+ * @param {Object} corner - see module comment; chamfer distance / angle apply to the first segment
+ * @returns {{ remove: {x,y}[][], pieces: Array<{x,y}[]|import('./curves.js').Arc> }|null} polylines
+ *   to replace with the pieces (polylines, and a fillet arc when the result is open), or null if
+ *   the segments are parallel, not end segments, or too short for the corner
+ */
+export function filletSegments(first, second, corner) {
+  const same = first.polyline === second.polyline;
+  if (same && first.segmentIndex === second.segmentIndex) return null;
+  const points = first.polyline;
+
+  if (same) {
+    const adjacent = adjacentSegments(points, first, second);
+    if (adjacent) {
+      const { a, b, swapped } = adjacent;
+      const x = points[b];
+      const before = points[a];
+      const after = points[b + 1];
+      // Chamfer distances and angle belong to the first pick, so build the corner from its side
+      const [end1, end2] = swapped ? [after, before] : [before, after];
+      const u1 = unit(x, end1);
+      const u2 = unit(x, end2);
+      if (!u1 || !u2) return null;
+      const built = cornerPoints(x, u1, distance(x, end1), u2, distance(x, end2), corner);
+      if (!built) return null;
+      if (swapped) built.points.reverse();
+      if (!isClosedPolyline(points)) {
+        return { remove: [points], pieces: openPieces(points.slice(0, b), built, points.slice(b + 1)) };
+      }
+      // Closed: walk the ring from the corner, which may sit on the start point
+      const ring = points.slice(0, -1);
+      const pts = built.points;
+      return { remove: [points], pieces: [closeRing([...pts, ...ring.slice(b + 1), ...ring.slice(0, b)])] };
+    }
+    // First and last segments of one open polyline: close it
+    if (isClosedPolyline(points)) return null;
+    const ends = [first.segmentIndex, second.segmentIndex].sort((p, q) => p - q);
+    if (ends[0] !== 0 || ends[1] !== points.length - 2) return null;
+  }
+
+  const a = first.polyline;
+  const b = second.polyline;
+  if (a.length < 2 || b.length < 2) return null;
+  const hit = lineIntersection(
+    a[first.segmentIndex],
+    a[first.segmentIndex + 1],
+    b[second.segmentIndex],
+    b[second.segmentIndex + 1]
+  );
+  if (!hit) return null;
+  const x = hit.point;
+  const outA = outwardPoints(a, first.segmentIndex, first.pick, x);
+  const outB = outwardPoints(b, second.segmentIndex, second.pick, x);
+  if (!outA || !outB) return null;
+  const u1 = unit(x, outA[0]);
+  const u2 = unit(x, outB[0]);
+  if (!u1 || !u2) return null;
+  const built = cornerPoints(x, u1, distance(x, outA[0]), u2, distance(x, outB[0]), corner);
+  if (!built) return null;
+
+  if (same) {
+    // From the corner back along the polyline; its last point is the free end the corner replaces
+    return { remove: [a], pieces: [closeRing([...built.points, ...outB.slice(0, -1)])] };
+  }
+  return { remove: [a, b], pieces: openPieces(outA.slice().reverse(), built, outB) };
+}
+
+/**
+ * Fillet or chamfer every corner of a closed outline (rectangles and polygons as they are drawn).
+ * Each corner may use up to half of each side next to it, so neighbouring corners never overlap.
+ * @param {{x,y}[]} ring - closed polyline, first point repeated at the end
+ * @param {Object} corner - see module comment
+ * @returns {{x,y}[]|null} the closed outline, or null if a corner does not fit
+ */
+export function filletCorners(ring, corner) {
+  const pts = ring.slice(0, -1);
+  const n = pts.length;
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const x = pts[i];
+    const prev = pts[(i + n - 1) % n];
+    const next = pts[(i + 1) % n];
+    const u1 = unit(x, prev);
+    const u2 = unit(x, next);
+    if (!u1 || !u2) return null;
+    const built = cornerPoints(x, u1, distance(x, prev) / 2, u2, distance(x, next) / 2, corner);
+    if (!built) return null;
+    out.push(...built.points);
+  }
+  return closeRing(out);
+}
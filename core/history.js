@@ -0,0 +1,143 @@
+/**
+ * Undo/redo history. Every document edit is recorded as an operation { undo(), redo() };
+ * operations are grouped into transactions so a whole drag or multi-step command is one step.
+ */
+
+const DEFAULT_LIMIT = 200;
+
+/**
+ * @param {{ limit?: number, onChange?: () => void }} options
+ */
+export function createHistory(options = {}) {
+  const limit = options.limit ?? DEFAULT_LIMIT;
+  const undoStack = []; // [{ label, ops: [{ undo, redo }] }]
+  const redoStack = [];
+  let open = null; // { label, ops, depth } while a transaction is in progress
+  let replaying = false;
+
+  function notify() {
+    options.onChange?.();
+  }
+
+  function pushTransaction(tx) {
+    if (tx.ops.length === 0) return;
+    undoStack.push({ label: tx.label, ops: tx.ops });
+    if (undoStack.length > limit) undoStack.shift();
+    redoStack.length = 0;
+    notify();
+  }
+
+  /** Start a transaction. Nested begin/commit pairs fold into the outermost transaction. */
+  function begin(label = 'Edit') {
+    if (open) {
+      open.depth++;
+      return;
+    }
+    open = { label, ops: [], depth: 1 };
+  }
+
+  function commit() {
+    if (!open) return;
+    open.depth--;
+    if (open.depth > 0) return;
+    const tx = open;
+    open = null;
+    pushTransaction(tx);
+  }
+
+  /** Abort the open transaction, reverting everything recorded in it. */
+  function cancel() {
+    if (!open) return;
+    const tx = open;
+    open = null;
+    replaying = true;
+    for (let i = tx.ops.length - 1; i >= 0; i--) tx.ops[i].undo();
+    replaying = false;
+  }
+
+  /**
+   * Record an operation that has already been applied.
+   * Outside a transaction the operation becomes its own undo step.
+   * @param {{ undo: () => void, redo: () => void }} op
+   * @param {string} [label]
+   */
+  function record(op, label) {
+    if (replaying) return;
+    if (open) {
+      open.ops.push(op);
+      return;
+    }
+    pushTransaction({ label: label ?? 'Edit', ops: [op] });
+  }
+
+  /** Run fn inside a transaction; the transaction commits even if fn throws. */
+  function transact(label, fn) {
+    begin(label);
+    try {
+      return fn();
+    } finally {
+      commit();
+    }
+  }
+
+  function undo() {
+    if (open) commit();
+    const tx = undoStack.pop();
+    if (!tx) return null;
+    replaying = true;
+    for (let i = tx.ops.length - 1; i >= 0; i--) tx.ops[i].undo();
+    replaying = false;
+    redoStack.push(tx);
+    notify();
+    return tx.label;
+  }
+
+  function redo() {
+    if (open) commit();
+    const tx = redoStack.pop();
+    if (!tx) return null;
+    replaying = true;
+    for (const op of tx.ops) op.redo();
+    replaying = false;
+    undoStack.push(tx);
+    notify();
+    return tx.label;
+  }
+
+  function clear() {
+    open = null;
+    undoStack.length = 0;
+    redoStack.length = 0;
+    notify();
+  }
+
+  return {
+    begin,
+    commit,
+    cancel,
+    record,
+    transact,
+    undo,
+    redo,
+    clear,
+    isReplaying: () => replaying,
+    isOpen: () => open !== null,
+    canUndo: () => undoStack.length > 0 || (open !== null && open.ops.length > 0),
+    canRedo: () => redoStack.length > 0,
+    getUndoLabel: () => undoStack[undoStack.length - 1]?.label ?? null,
+    getRedoLabel: () => redoStack[redoStack.length - 1]?.label ?? null,
+  };
+}
+
+/** Copy point coordinates so they can be restored later. */
+export function snapshotPoints(points) {
+  return points.map((p) => ({ x: p.x, y: p.y }));
+}
+
+/** Write coordinates from a snapshot back into the same point objects (identity preserved). */
+export function restorePoints(points, snapshot) {
+  points.forEach((p, i) => {
+    p.x = snapshot[i].x;
+    p.y = snapshot[i].y;
+  });
+}
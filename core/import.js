@@ -0,0 +1,190 @@
+/**
+ * Import the structured rooms/walls JSON produced by export.js (or by downstream services)
+ * back into editable polylines. Converts to mm; rooms become closed polylines,
+ * circles/arcs, ellipses and splines become curve entities (their export `vertices` are ignored).
+ */
+
+import { isClosedPolyline } from '../utils/math.js';
+import { createCircle, createArc, createEllipse, createEllipseArc } from './curves.js';
+import { createSpline, minSplinePoints, SPLINE_METHODS } from './splines.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/** Length of one unit in mm. */
+export const UNIT_TO_MM = {
+  mm: 1,
+  cm: 10,
+  m: 1000,
+  in: 25.4,
+  ft: 304.8,
+};
+
+function isFiniteNumber(n) {
+  return typeof n === 'number' && Number.isFinite(n);
+}
+
+/**
+ * Validate and convert one rooms[] / walls[] entry.
+ * @returns {{ points?: {x,y}[], error?: string }}
+ */
+function readVertices(entry, factor, minPoints) {
+  if (!entry || typeof entry !== 'object') return { error: 'entry is not an object' };
+  if (!Array.isArray(entry.vertices)) return { error: 'missing "vertices" array' };
+  const bad = entry.vertices.findIndex((v) => !v || !isFiniteNumber(v.x) || !isFiniteNumber(v.y));
+  if (bad !== -1) return { error: `vertex ${bad} is not a finite {x, y}` };
+  if (entry.vertices.length < minPoints) {
+    return { error: `needs at least ${minPoints} vertices, has ${entry.vertices.length}` };
+  }
+  return { points: entry.vertices.map((v) => ({ x: v.x * factor, y: v.y * factor })) };
+}
+
+/** Validate and convert one circles[] / arcs[] entry (angles in degrees). */
+function readCurve(entry, factor, type) {
+  if (!entry || typeof entry !== 'object') return { error: 'entry is not an object' };
+  const c = entry.centre;
+  if (!c || !isFiniteNumber(c.x) || !isFiniteNumber(c.y)) return { error: 'missing a finite "centre"' };
+  if (!isFiniteNumber(entry.radius) || entry.radius <= 0) return { error: '"radius" must be a positive number' };
+  const centre = { x: c.x * factor, y: c.y * factor };
+  const radius = entry.radius * factor;
+  if (type === 'circle') return { curve: createCircle(centre, radius) };
+  if (!isFiniteNumber(entry.startAngle) || !isFiniteNumber(entry.endAngle)) {
+    return { error: '"startAngle" and "endAngle" must be numbers (degrees)' };
+  }
+  return { curve: createArc(centre, radius, entry.startAngle * DEG_TO_RAD, entry.endAngle * DEG_TO_RAD) };
+}
+
+/** Validate and convert one ellipses[] / ellipseArcs[] entry (angles in degrees). */
+function readEllipse(entry, factor, type) {
+  if (!entry || typeof entry !== 'object') return { error: 'entry is not an object' };
+  const c = entry.centre;
+  if (!c || !isFiniteNumber(c.x) || !isFiniteNumber(c.y)) return { error: 'missing a finite "centre"' };
+  if (![entry.radiusX, entry.radiusY].every((r) => isFiniteNumber(r) && r > 0)) {
+    return { error: '"radiusX" and "radiusY" must be positive numbers' };
+  }
+  const centre = { x: c.x * factor, y: c.y * factor };
+  const rotation = isFiniteNumber(entry.rotation) ? entry.rotation * DEG_TO_RAD : 0;
+  const [rx, ry] = [entry.radiusX * factor, entry.radiusY * factor];
+  if (type === 'ellipse') return { curve: createEllipse(centre, rx, ry, rotation) };
+  if (!isFiniteNumber(entry.startAngle) || !isFiniteNumber(entry.endAngle)) {
+    return { error: '"startAngle" and "endAngle" must be numbers (degrees)' };
+  }
+  const [start, end] = [entry.startAngle * DEG_TO_RAD, entry.endAngle * DEG_TO_RAD];
+  return { curve: createEllipseArc(centre, rx, ry, rotation, start, end) };
+}
+
+/** Validate and convert one splines[] entry. */
+function readSpline(entry, factor) {
+  if (!entry || typeof entry !== 'object') return { error: 'entry is not an object' };
+  if (!SPLINE_METHODS.includes(entry.method)) return { error: `"method" must be ${SPLINE_METHODS.join(' or ')}` };
+  const closed = entry.closed === true;
+  const { points, error } = readVertices({ vertices: entry.points }, factor, minSplinePoints(closed));
+  if (error) return { error: error.replace('vertices', 'points') };
+  return { curve: createSpline(points, entry.method, closed) };
+}
+
+function readLayerName(entry) {
+  return typeof entry.layer === 'string' && entry.layer !== '' ? entry.layer : null;
+}
+
+/** Room name and number as strings (a number may be given as a JSON number), or null. */
+function readRoomLabel(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Parse structured drawing JSON ({ units, areaUnit, rooms, walls, circles?, arcs?, ellipses?, ellipseArcs?,
+ * splines? }).
+ * Malformed entries are skipped and reported; a malformed file as a whole throws.
+ * @param {string|Object} input - JSON text or parsed object
+ * @returns {{ rooms: { points: {x,y}[], holes: {x,y}[][], layer: string|null, name: string|null, number: string|null }[], walls: { points: {x,y}[], layer: string|null }[], curves: { curve: Object, layer: string|null }[], layers: Object[], errors: string[], units: string }}
+ */
+export function parseStructuredDrawing(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`Not a valid JSON file: ${err.message}`);
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Expected an object with "rooms" and/or "walls"');
+  }
+  if (data.rooms != null && !Array.isArray(data.rooms)) throw new Error('"rooms" must be an array');
+  if (data.walls != null && !Array.isArray(data.walls)) throw new Error('"walls" must be an array');
+  const curveLists = ['circles', 'arcs', 'ellipses', 'ellipseArcs', 'splines'];
+  for (const key of curveLists) {
+    if (data[key] != null && !Array.isArray(data[key])) throw new Error(`"${key}" must be an array`);
+  }
+  if (data.rooms == null && data.walls == null && curveLists.every((key) => data[key] == null)) {
+    throw new Error('File has no "rooms", "walls", "circles", "arcs", "ellipses" or "splines"');
+  }
+
+  const units = data.units ?? 'mm';
+  const factor = UNIT_TO_MM[units];
+  if (factor == null) {
+    throw new Error(`Unknown units "${units}" (expected ${Object.keys(UNIT_TO_MM).join(', ')})`);
+  }
+
+  const rooms = [];
+  const walls = [];
+  const errors = [];
+  const label = (kind, entry, i) => `${kind} ${entry?.id ?? `#${i + 1}`}`;
+
+  (data.rooms ?? []).forEach((entry, i) => {
+    const { points, error } = readVertices(entry, factor, 3);
+    if (error) {
+      errors.push(`${label('Room', entry, i)}: ${error}`);
+      return;
+    }
+    // Close the vertex loop so the room stays a room (closed polyline) in the editor
+    const close = (ring) => (isClosedPolyline(ring) ? ring : [...ring, { x: ring[0].x, y: ring[0].y }]);
+    const holes = [];
+    for (const [k, hole] of (Array.isArray(entry.holes) ? entry.holes : []).entries()) {
+      const read = readVertices({ vertices: hole }, factor, 3);
+      if (read.error) errors.push(`${label('Room', entry, i)} hole ${k}: ${read.error}`);
+      else holes.push(close(read.points));
+    }
+    rooms.push({
+      points: close(points),
+      holes,
+      layer: readLayerName(entry),
+      name: readRoomLabel(entry.name),
+      number: readRoomLabel(entry.number),
+    });
+  });
+
+  (data.walls ?? []).forEach((entry, i) => {
+    const { points, error } = readVertices(entry, factor, 2);
+    if (error) {
+      errors.push(`${label('Wall', entry, i)}: ${error}`);
+      return;
+    }
+    walls.push({ points, layer: readLayerName(entry) });
+  });
+
+  const curves = [];
+  for (const [kind, read, list] of [
+    ['Circle', (entry) => readCurve(entry, factor, 'circle'), data.circles],
+    ['Arc', (entry) => readCurve(entry, factor, 'arc'), data.arcs],
+    ['Ellipse', (entry) => readEllipse(entry, factor, 'ellipse'), data.ellipses],
+    ['Elliptical arc', (entry) => readEllipse(entry, factor, 'ellipseArc'), data.ellipseArcs],
+    ['Spline', (entry) => readSpline(entry, factor), data.splines],
+  ]) {
+    (list ?? []).forEach((entry, i) => {
+      const { curve, error } = read(entry);
+      if (error) {
+        errors.push(`${label(kind, entry, i)}: ${error}`);
+        return;
+      }
+      curves.push({ curve, layer: readLayerName(entry) });
+    });
+  }
+
+  const layers = Array.isArray(data.layers)
+    ? data.layers.filter((l) => l && typeof l.name === 'string' && l.name !== '')
+    : [];
+
+  return { rooms, walls, curves, layers, errors, units };
+}
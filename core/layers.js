@@ -0,0 +1,76 @@
+/**
+ * Layers: named groups of geometry with visibility, lock, freeze and default colour / linetype / weight.
+ * Layer order in the list is draw order (first = bottom).
+ */
+
+/** Dash patterns in paper mm (scaled to screen by the drawing scale). Empty = continuous. */
+export const LINETYPES = {
+  continuous: [],
+  dashed: [3, 1.5],
+  hidden: [1.5, 0.75],
+  center: [6, 1.5, 1.5, 1.5],
+  dotted: [0.2, 1],
+};
+
+export const DEFAULT_LAYER_ID = '0';
+
+let nextLayerNumber = 1;
+
+/**
+ * @typedef {Object} Layer
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} visible - off layers are not drawn, snapped or selectable
+ * @property {boolean} locked - drawn, but not selectable or snappable
+ * @property {boolean} frozen - like off, and cannot be the current layer
+ * @property {string} color
+ * @property {string} linetype - key of LINETYPES
+ * @property {number} lineweight - pen width in paper mm
+ */
+
+/**
+ * @param {Partial<Layer>} props
+ * @returns {Layer}
+ */
+export function createLayer(props = {}) {
+  const id = props.id ?? `layer-${nextLayerNumber++}`;
+  return {
+    id,
+    name: props.name ?? id,
+    visible: props.visible ?? true,
+    locked: props.locked ?? false,
+    frozen: props.frozen ?? false,
+    color: props.color ?? '#000000',
+    linetype: LINETYPES[props.linetype] ? props.linetype : 'continuous',
+    lineweight: Number.isFinite(props.lineweight) ? props.lineweight : 0.25,
+  };
+}
+
+/** Starting layer set for a new drawing. */
+export function createDefaultLayers() {
+  return [
+    createLayer({ id: DEFAULT_LAYER_ID, name: '0' }),
+    createLayer({ name: 'Walls', color: '#000000', lineweight: 0.5 }),
+    createLayer({ name: 'Furniture', color: '#1f6fb2', lineweight: 0.18 }),
+    createLayer({ name: 'Hatch', color: '#7f7f7f', lineweight: 0.13 }),
+    createLayer({ name: 'Annotation', color: '#c0392b', lineweight: 0.18 }),
+  ];
+}
+
+/** Drawn on screen (on and thawed). */
+export function isLayerVisible(layer) {
+  return !!layer && layer.visible && !layer.frozen;
+}
+
+/** Visible and unlocked: geometry can be selected, snapped to and edited. */
+export function isLayerEditable(layer) {
+  return isLayerVisible(layer) && !layer.locked;
+}
+
+/** Keep generated layer ids unique after layers are loaded from a file. */
+export function reserveLayerIds(layers) {
+  for (const layer of layers) {
+    const m = /^layer-(\d+)$/.exec(layer.id);
+    if (m) nextLayerNumber = Math.max(nextLayerNumber, Number(m[1]) + 1);
+  }
+}
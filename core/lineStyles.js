@@ -0,0 +1,74 @@
+/**
+ * Per-entity line styles: a line type, a pen weight (paper mm) and a dash pattern.
+ * A null pen or a 'bylayer' pattern falls back to the entity's layer defaults.
+ */
+
+import { LINETYPES } from './layers.js';
+
+/**
+ * Line type presets from the Line Settings panel. `penMm` / `dash` are applied when the type is
+ * chosen; null pen keeps the layer's lineweight, a missing dash keeps the current pattern.
+ */
+export const LINE_TYPES = {
+  detail_line: { label: 'Detail Line', penMm: null },
+  ground_line: { label: 'Ground Line', penMm: 0.7, dash: 'solid' },
+  overhead_line: { label: 'Overhead Line', penMm: 0.25, dash: 'dashed' },
+  pen_01: { label: 'Pen 0.10', penMm: 0.1 },
+  pen_02: { label: 'Pen 0.25', penMm: 0.25 },
+  pen_03: { label: 'Pen 0.35', penMm: 0.35 },
+  pen_05: { label: 'Pen 0.50', penMm: 0.5 },
+  pen_07: { label: 'Pen 0.70', penMm: 0.7 },
+  pen_10: { label: 'Pen 1.00', penMm: 1.0 },
+  pen_14: { label: 'Pen 1.40', penMm: 1.4 },
+  pen_20: { label: 'Pen 2.00', penMm: 2.0 },
+  pen_30: { label: 'Pen 3.00', penMm: 3.0 },
+};
+
+/** Pattern choices mapped to layer linetypes (see LINETYPES); 'bylayer' uses the layer's. */
+export const DASH_PATTERNS = {
+  bylayer: null,
+  solid: 'continuous',
+  dashed: 'dashed',
+  dotted: 'dotted',
+};
+
+/**
+ * @typedef {Object} LineStyle
+ * @property {string} lineType - key of LINE_TYPES
+ * @property {number|null} penMm - pen width in paper mm, null = layer lineweight
+ * @property {string} dash - key of DASH_PATTERNS
+ */
+
+/** @returns {LineStyle} */
+export function createLineStyle(props = {}) {
+  return {
+    lineType: LINE_TYPES[props.lineType] ? props.lineType : 'detail_line',
+    penMm: Number.isFinite(props.penMm) && props.penMm > 0 ? props.penMm : null,
+    dash: props.dash in DASH_PATTERNS ? props.dash : 'bylayer',
+  };
+}
+
+/**
+ * Style patch for choosing a line type preset (keeps the current pattern unless the preset has one).
+ * @returns {Partial<LineStyle>}
+ */
+export function lineTypePatch(lineType) {
+  const preset = LINE_TYPES[lineType];
+  if (!preset) return {};
+  return { lineType, penMm: preset.penMm, ...(preset.dash ? { dash: preset.dash } : {}) };
+}
+
+/**
+ * Effective pen and linetype once layer defaults are applied.
+ * @param {LineStyle|undefined} style
+ * @param {import('./layers.js').Layer} layer
+ * @returns {{ lineType: string, penMm: number, linetype: string }}
+ */
+export function resolveLineStyle(style, layer) {
+  const linetype = DASH_PATTERNS[style?.dash] ?? layer.linetype;
+  return {
+    lineType: style?.lineType ?? 'detail_line',
+    penMm: style?.penMm ?? layer.lineweight,
+    linetype: LINETYPES[linetype] ? linetype : 'continuous',
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Polyline restructuring: delete individual segments (splitting the polyline into the runs that
+ * remain), Explode (one polyline per segment) and Join (chain polylines whose ends touch or whose
+ * end segments are collinear). Pure functions on point arrays; the engine applies the results.
+ */
+
+import { distance, isClosedPolyline, CLOSED_POLYGON_TOLERANCE } from '../utils/math.js';
+
+function copy(points) {
+  return points.map((p) => ({ x: p.x, y: p.y }));
+}
+
+/**
+ * The runs of a polyline left after removing some of its segments. A closed polyline's run may
+ * wrap past the start point; a polyline with every segment removed leaves nothing.
+ * @param {{x,y}[]} points
+ * @param {Iterable<number>} removed - segment indices
+ * @returns {{x,y}[][]}
+ */
+export function removeSegments(points, removed) {
+  const gone = new Set(removed);
+  const segCount = points.length - 1;
+  const runs = [];
+  let run = null;
+  for (let i = 0; i < segCount; i++) {
+    if (gone.has(i)) {
+      run = null;
+      continue;
+    }
+    if (!run) {
+      run = [points[i]];
+      runs.push(run);
+    }
+    run.push(points[i + 1]);
+  }
+  // Closed: the last run continues into the first through the start point
+  if (isClosedPolyline(points) && runs.length > 1 && !gone.has(0) && !gone.has(segCount - 1)) {
+    const tail = runs.pop();
+    runs[0] = [...tail, ...runs[0].slice(1)];
+  }
+  return runs.map(copy);
+}
+
+/** One two-point polyline per segment. */
+export function explodePolyline(points) {
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) segments.push(copy([points[i], points[i + 1]]));
+  return segments;
+}
+
+/** True if c lies on the infinite line through a and b (within tolerance mm). */
+function onLine(c, a, b, tolerance) {
+  const len = distance(a, b);
+  if (len === 0) return distance(a, c) <= tolerance;
+  return Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / len <= tolerance;
+}
+
+/**
+ * True if q's first segment carries straight on from p's last one: on the same line, in the same
+ * direction, starting beyond the start of p's last segment and reaching past its end.
+ */
+function continuesStraight(p, q, tolerance) {
+  const end = p[p.length - 1];
+  const before = p[p.length - 2];
+  const dir = { x: end.x - before.x, y: end.y - before.y };
+  const next = { x: q[1].x - q[0].x, y: q[1].y - q[0].y };
+  const ahead = (q[0].x - before.x) * dir.x + (q[0].y - before.y) * dir.y > 0;
+  const beyond = (q[1].x - end.x) * dir.x + (q[1].y - end.y) * dir.y > 0;
+  return (
+    onLine(q[0], before, end, tolerance) &&
+    onLine(q[1], before, end, tolerance) &&
+    ahead &&
+    beyond &&
+    dir.x * next.x + dir.y * next.y > 0
+  );
+}
+
+/**
+ * Chain b joined onto chain a, trying both ends of each: ends that touch are merged, and collinear
+ * end segments are bridged across a gap or overlap (dropping the vertices at the joint).
+ * @returns {{x,y}[]|null}
+ */
+function joinPair(a, b, tolerance) {
+  const options = [
+    [a, b],
+    [a, [...b].reverse()],
+    [[...a].reverse(), b],
+    [[...a].reverse(), [...b].reverse()],
+  ];
+  for (const [p, q] of options) {
+    if (distance(p[p.length - 1], q[0]) > tolerance) continue;
+    if (continuesStraight(p, q, tolerance)) return [...p.slice(0, -1), ...q.slice(1)];
+    return [...p, ...q.slice(1)];
+  }
+  for (const [p, q] of options) {
+    if (continuesStraight(p, q, tolerance)) return [...p.slice(0, -1), ...q.slice(1)];
+  }
+  return null;
+}
+
+/**
+ * Chain open polylines end to end. Ends within tolerance are merged; collinear end segments are
+ * bridged across a gap (or their overlap removed). A chain whose ends meet is closed. Closed polylines are left
+ * alone.
+ * @param {{x,y}[][]} polylines
+ * @param {number} [tolerance] - mm
+ * @returns {{ points: {x,y}[], sources: {x,y}[][] }[]} only chains made from two or more polylines
+ */
+export function joinPolylines(polylines, tolerance = CLOSED_POLYGON_TOLERANCE) {
+  let chains = polylines
+    .filter((p) => p.length >= 2 && !isClosedPolyline(p, tolerance))
+    .map((p) => ({ points: copy(p), sources: [p] }));
+  let merged = true;
+  while (merged) {
+    merged = false;
+    for (let i = 0; i < chains.length && !merged; i++) {
+      for (let j = i + 1; j < chains.length && !merged; j++) {
+        const points = joinPair(chains[i].points, chains[j].points, tolerance);
+        if (!points) continue;
+        const sources = [...chains[i].sources, ...chains[j].sources];
+        chains = [...chains.filter((_, k) => k !== i && k !== j), { points, sources }];
+        merged = true;
+      }
+    }
+  }
+  return chains
+    .filter((chain) => chain.sources.length > 1)
+    .map(({ points, sources }) => {
+      const first = points[0];
+      const last = points[points.length - 1];
+      if (points.length > 3 && distance(first, last) <= tolerance) {
+        points[points.length - 1] = { x: first.x, y: first.y };
+      }
+      return { points, sources };
+    });
+}
@@ -0,0 +1,364 @@
+/**
+ * Regions: closed polylines with optional holes (inner closed polylines), and the Boolean union,
+ * subtract and intersect of regions.
+ *
+ * A region is given as a list of closed rings read even-odd (outer ring plus holes; orientation
+ * does not matter). The Boolean works on the overlay of both regions' edges: every edge is split
+ * where it meets another, each piece is kept if the result is inside on exactly one side, and the
+ * kept pieces are linked back into rings. Shared and overlapping edges (rooms that share a wall)
+ * are handled by the same classification, so no special cases are needed for them.
+ */
+
+import { distance, pointToSegmentDistance } from '../utils/math.js';
+
+const VERTEX_TOLERANCE = 1e-5; // mm: split points closer than this are the same vertex
+const SIDE_OFFSET = 1e-3; // mm: how far either side of an edge piece is tested
+const PARAM_EPS = 1e-9;
+
+/**
+ * @typedef {{ outer: {x,y}[], holes: {x,y}[][] }} Region - rings closed (first point repeated)
+ */
+
+/** Signed shoelace area: positive when anticlockwise. */
+export function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i].x * ring[i + 1].y - ring[i + 1].x * ring[i].y;
+  }
+  return area / 2;
+}
+
+/** Area of a region: outer ring minus its holes (mm²). */
+export function regionArea(outer, holes = []) {
+  return holes.reduce((area, hole) => area - Math.abs(signedArea(hole)), Math.abs(signedArea(outer)));
+}
+
+/** Even-odd point-in-polygon test over closed rings. */
+export function pointInRings(p, rings) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i];
+      const b = ring[j];
+      if (a.y > p.y !== b.y > p.y && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+/** Distance from p to the nearest ring edge: positive inside the region, negative outside. */
+function signedDistanceToRings(p, rings) {
+  let best = Infinity;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      best = Math.min(best, pointToSegmentDistance(p, ring[j], ring[i]));
+    }
+  }
+  return pointInRings(p, rings) ? best : -best;
+}
+
+/**
+ * Pole of inaccessibility: the point inside a region farthest from its edges, where a label
+ * reads best (a centroid can fall in a corridor or outside an L-shaped room). Grid cells over
+ * the bounds are refined best-first until no cell can beat the best point by more than precision
+ * (as in Mapbox polylabel).
+ * @param {{x,y}[][]} rings - outer ring and holes, even-odd
+ * @param {number} [precision] - mm; defaults to a thousandth of the larger side
+ * @returns {{x,y}}
+ */
+export function poleOfInaccessibility(rings, precision) {
+  const outer = rings[0];
+  const xs = outer.map((p) => p.x);
+  const ys = outer.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  const cellSize = Math.min(width, height);
+  if (cellSize <= 0) return { x: outer[0].x, y: outer[0].y };
+  const tolerance = precision ?? Math.max(width, height) / 1000;
+
+  const cell = (x, y, h) => {
+    const d = signedDistanceToRings({ x, y }, rings);
+    return { x, y, h, d, max: d + h * Math.SQRT2 };
+  };
+  // Cells still to refine, kept sorted by how far inside they could reach (best last)
+  const queue = [];
+  const push = (c) => {
+    let lo = 0;
+    let hi = queue.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (queue[mid].max < c.max) lo = mid + 1;
+      else hi = mid;
+    }
+    queue.splice(lo, 0, c);
+  };
+  const h = cellSize / 2;
+  for (let x = minX; x < minX + width; x += cellSize) {
+    for (let y = minY; y < minY + height; y += cellSize) push(cell(x + h, y + h, h));
+  }
+  let best = cell(minX + width / 2, minY + height / 2, 0);
+  while (queue.length > 0) {
+    const c = queue.pop();
+    if (c.d > best.d) best = c;
+    if (c.max - best.d <= tolerance) continue;
+    const half = c.h / 2;
+    push(cell(c.x - half, c.y - half, half));
+    push(cell(c.x + half, c.y - half, half));
+    push(cell(c.x - half, c.y + half, half));
+    push(cell(c.x + half, c.y + half, half));
+  }
+  return { x: best.x, y: best.y };
+}
+
+/** Vertex ids for points, merging points within VERTEX_TOLERANCE (grid buckets plus neighbours). */
+function createVertexTable() {
+  const points = [];
+  const buckets = new Map();
+  const cell = (v) => Math.floor(v / VERTEX_TOLERANCE);
+  return {
+    points,
+    idOf(p) {
+      const cx = cell(p.x);
+      const cy = cell(p.y);
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (const id of buckets.get(`${cx + dx},${cy + dy}`) ?? []) {
+            if (distance(points[id], p) <= VERTEX_TOLERANCE) return id;
+          }
+        }
+      }
+      const id = points.length;
+      points.push({ x: p.x, y: p.y });
+      const key = `${cx},${cy}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(id);
+      return id;
+    },
+  };
+}
+
+function ringEdges(rings) {
+  const edges = [];
+  for (const ring of rings) {
+    const n = distance(ring[0], ring[ring.length - 1]) <= VERTEX_TOLERANCE ? ring.length - 1 : ring.length;
+    for (let i = 0; i < n; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % n];
+      if (distance(a, b) > VERTEX_TOLERANCE) edges.push({ a, b, splits: [] });
+    }
+  }
+  return edges;
+}
+
+/** Record where two edges cross, touch or overlap as split points on both. */
+function splitPair(e, f) {
+  if (
+    Math.max(e.a.x, e.b.x) < Math.min(f.a.x, f.b.x) - VERTEX_TOLERANCE ||
+    Math.max(f.a.x, f.b.x) < Math.min(e.a.x, e.b.x) - VERTEX_TOLERANCE ||
+    Math.max(e.a.y, e.b.y) < Math.min(f.a.y, f.b.y) - VERTEX_TOLERANCE ||
+    Math.max(f.a.y, f.b.y) < Math.min(e.a.y, e.b.y) - VERTEX_TOLERANCE
+  ) {
+    return;
+  }
+  const d1 = { x: e.b.x - e.a.x, y: e.b.y - e.a.y };
+  const d2 = { x: f.b.x - f.a.x, y: f.b.y - f.a.y };
+  const len1 = Math.hypot(d1.x, d1.y);
+  const len2 = Math.hypot(d2.x, d2.y);
+  const denom = d1.x * d2.y - d1.y * d2.x;
+  const w = { x: f.a.x - e.a.x, y: f.a.y - e.a.y };
+  const project = (p, edge, d, len) => ((p.x - edge.a.x) * d.x + (p.y - edge.a.y) * d.y) / (len * len);
+  const addSplit = (edge, t, point) => {
+    if (t > PARAM_EPS && t < 1 - PARAM_EPS) edge.splits.push({ t, point });
+  };
+
+  if (Math.abs(denom) > 1e-12 * len1 * len2) {
+    const t = (w.x * d2.y - w.y * d2.x) / denom;
+    const u = (w.x * d1.y - w.y * d1.x) / denom;
+    const tolT = VERTEX_TOLERANCE / len1;
+    const tolU = VERTEX_TOLERANCE / len2;
+    if (t < -tolT || t > 1 + tolT || u < -tolU || u > 1 + tolU) return;
+    const point = { x: e.a.x + d1.x * t, y: e.a.y + d1.y * t };
+    addSplit(e, t, point);
+    addSplit(f, u, point);
+    return;
+  }
+  // Parallel: only collinear overlaps split, at each other's end points
+  if (Math.abs(w.x * d1.y - w.y * d1.x) / len1 > VERTEX_TOLERANCE) return;
+  for (const p of [f.a, f.b]) addSplit(e, project(p, e, d1, len1), p);
+  for (const p of [e.a, e.b]) addSplit(f, project(p, f, d2, len2), p);
+}
+
+/** Edge pieces between split points, as vertex id pairs. */
+function splitEdges(edges, vertices) {
+  for (let i = 0; i < edges.length; i++) {
+    for (let j = i + 1; j < edges.length; j++) splitPair(edges[i], edges[j]);
+  }
+  const pieces = [];
+  for (const edge of edges) {
+    const stops = [
+      { t: 0, point: edge.a },
+      ...edge.splits.sort((p, q) => p.t - q.t),
+      { t: 1, point: edge.b },
+    ].map((s) => vertices.idOf(s.point));
+    for (let k = 0; k < stops.length - 1; k++) {
+      if (stops[k] !== stops[k + 1]) pieces.push([stops[k], stops[k + 1]]);
+    }
+  }
+  return pieces;
+}
+
+const OPERATIONS = {
+  union: (a, b) => a || b,
+  subtract: (a, b) => a && !b,
+  intersect: (a, b) => a && b,
+};
+
+/**
+ * Kept edge pieces, directed so the result lies on their left, without duplicates (pieces shared
+ * by both regions).
+ */
+function boundaryEdges(pieces, points, ringsA, ringsB, op) {
+  const inside = (p) => op(pointInRings(p, ringsA), pointInRings(p, ringsB));
+  const seen = new Set();
+  const kept = [];
+  for (const [u, v] of pieces) {
+    const p = points[u];
+    const q = points[v];
+    const len = distance(p, q);
+    const offset = Math.min(SIDE_OFFSET, len / 4);
+    const mid = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+    const n = { x: (-(q.y - p.y) / len) * offset, y: ((q.x - p.x) / len) * offset };
+    const left = inside({ x: mid.x + n.x, y: mid.y + n.y });
+    const right = inside({ x: mid.x - n.x, y: mid.y - n.y });
+    if (left === right) continue;
+    const [from, to] = left ? [u, v] : [v, u];
+    const key = `${from}>${to}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    kept.push({ from, to });
+  }
+  return kept;
+}
+
+/**
+ * Link directed edges into rings. At a vertex with several ways on, take the sharpest turn to the
+ * right, so regions that only touch at a point come out as separate rings.
+ */
+function linkRings(edges, points) {
+  const outgoing = new Map();
+  for (const edge of edges) {
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    outgoing.get(edge.from).push(edge);
+  }
+  const angle = (edge) =>
+    Math.atan2(points[edge.to].y - points[edge.from].y, points[edge.to].x - points[edge.from].x);
+  const used = new Set();
+  const rings = [];
+  for (const start of edges) {
+    if (used.has(start)) continue;
+    const ring = [points[start.from]];
+    let edge = start;
+    let closed = false;
+    while (!used.has(edge)) {
+      used.add(edge);
+      ring.push(points[edge.to]);
+      const back = angle(edge) + Math.PI;
+      let next = null;
+      let best = Infinity;
+      for (const candidate of outgoing.get(edge.to) ?? []) {
+        if (used.has(candidate) && candidate !== start) continue;
+        let turn = (back - angle(candidate)) % (2 * Math.PI);
+        if (turn <= 1e-12) turn += 2 * Math.PI;
+        if (turn < best) {
+          best = turn;
+          next = candidate;
+        }
+      }
+      if (next === start) {
+        closed = true;
+        break;
+      }
+      if (!next) break;
+      edge = next;
+    }
+    if (closed && ring.length >= 4) rings.push(ring);
+  }
+  return rings;
+}
+
+/** Drop vertices where a ring runs straight on (left by the edge splitting). */
+function dropStraightVertices(ring) {
+  const open = ring.slice(0, -1);
+  const kept = open.filter((p, i) => {
+    const prev = open[(i - 1 + open.length) % open.length];
+    const next = open[(i + 1) % open.length];
+    const cross = (p.x - prev.x) * (next.y - p.y) - (p.y - prev.y) * (next.x - p.x);
+    return Math.abs(cross) / (distance(prev, p) * distance(p, next) || 1) > 1e-9;
+  });
+  return [...kept, { x: kept[0].x, y: kept[0].y }];
+}
+
+/**
+ * Group rings into regions: anticlockwise rings are outers, clockwise ones are holes of the
+ * smallest outer around them.
+ */
+function toRegions(rings) {
+  const outers = [];
+  const holes = [];
+  for (const ring of rings.map(dropStraightVertices)) {
+    if (ring.length < 4) continue;
+    const area = signedArea(ring);
+    if (Math.abs(area) < VERTEX_TOLERANCE) continue;
+    (area > 0 ? outers : holes).push(ring);
+  }
+  const regions = outers.map((outer) => ({ outer, holes: [], area: signedArea(outer) }));
+  for (const hole of holes) {
+    // Just inside the region, next to the hole's first edge (the region lies left of a hole edge)
+    const [p, q] = hole;
+    const len = distance(p, q);
+    const probe = {
+      x: (p.x + q.x) / 2 - ((q.y - p.y) / len) * SIDE_OFFSET,
+      y: (p.y + q.y) / 2 + ((q.x - p.x) / len) * SIDE_OFFSET,
+    };
+    const owner = regions
+      .filter((r) => pointInRings(probe, [r.outer]))
+      .sort((r, s) => r.area - s.area)[0];
+    if (owner) owner.holes.push(hole);
+  }
+  return regions.map(({ outer, holes: inner }) => ({ outer, holes: inner }));
+}
+
+/**
+ * Boolean of two regions.
+ * @param {'union'|'subtract'|'intersect'} op - subtract is a minus b
+ * @param {{x,y}[][]} ringsA - closed rings of region a (outer and holes, even-odd)
+ * @param {{x,y}[][]} ringsB
+ * @returns {Region[]} anticlockwise outers with clockwise holes; empty if nothing is left
+ */
+export function booleanRegions(op, ringsA, ringsB) {
+  const vertices = createVertexTable();
+  const pieces = splitEdges([...ringEdges(ringsA), ...ringEdges(ringsB)], vertices);
+  const edges = boundaryEdges(pieces, vertices.points, ringsA, ringsB, OPERATIONS[op]);
+  return toRegions(linkRings(edges, vertices.points));
+}
+
+/**
+ * Fold a Boolean over several regions: union or intersect all of them, or subtract the rest from
+ * the first.
+ * @param {'union'|'subtract'|'intersect'} op
+ * @param {{x,y}[][][]} operands - each the closed rings of one region (at least two)
+ * @returns {Region[]}
+ */
+export function combineRegions(op, operands) {
+  let rings = operands[0];
+  let regions = [];
+  for (const next of operands.slice(1)) {
+    regions = booleanRegions(op, rings, next);
+    rings = regions.flatMap((r) => [r.outer, ...r.holes]);
+  }
+  return regions;
+}
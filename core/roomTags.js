@@ -0,0 +1,112 @@
+/**
+ * Room tags: a label on a room (a closed polyline, with any holes) showing its name, number and
+ * net area. The tag holds the room polyline itself, so it sits at the room's pole of
+ * inaccessibility and shows the area as the room is now: moving a vertex moves and re-measures
+ * the tag. It is drawn and hit tested as centred text (see core/text.js).
+ */
+
+import { MM2_TO_M2, isClosedPolyline } from '../utils/math.js';
+import { regionArea, poleOfInaccessibility } from './regions.js';
+import { createText, textBounds, distanceToText, drawText } from './text.js';
+
+export const ROOM_TAG_HEIGHT_MM = 2.5;
+
+/**
+ * @typedef {Object} RoomTag
+ * @property {'roomTag'} kind
+ * @property {{x,y}[]} room - the closed polyline
+ * @property {string} name
+ * @property {string} number
+ */
+
+/** Where each tag last sat, keyed by the room geometry it was computed for. */
+const poleCache = new WeakMap();
+
+export function isRoomTag(entity) {
+  return entity?.kind === 'roomTag';
+}
+
+/** @returns {RoomTag} */
+export function createRoomTag(room, name = 'Room', number = '') {
+  return { kind: 'roomTag', room, name, number };
+}
+
+/**
+ * Label position: the pole of inaccessibility of the room and its holes.
+ * @param {RoomTag} tag
+ * @param {{x,y}[][]} holes
+ */
+export function roomTagPosition(tag, holes) {
+  const rings = [tag.room, ...holes];
+  const key = rings.map((ring) => ring.map((p) => `${p.x},${p.y}`).join(';')).join('|');
+  const cached = poleCache.get(tag);
+  if (cached?.key === key) return cached.point;
+  const point = poleOfInaccessibility(rings);
+  poleCache.set(tag, { key, point });
+  return point;
+}
+
+/** Net area of the tagged room in m². */
+export function roomTagArea(tag, holes) {
+  return regionArea(tag.room, holes) * MM2_TO_M2;
+}
+
+/**
+ * The tag as centred text: name, number (if any) and area on separate lines.
+ * @param {RoomTag} tag
+ * @param {{x,y}[][]} holes - of the room, for the position and net area
+ */
+export function roomTagText(tag, holes) {
+  const lines = [tag.name, tag.number, `${roomTagArea(tag, holes).toFixed(2)} m²`].filter(Boolean);
+  return createText(roomTagPosition(tag, holes), lines.join('\n'), {
+    height: ROOM_TAG_HEIGHT_MM,
+    justify: 'MC',
+  });
+}
+
+export function roomTagBounds(tag, scaleDenom, holes) {
+  return textBounds(roomTagText(tag, holes), scaleDenom);
+}
+
+export function distanceToRoomTag(tag, p, scaleDenom, holes) {
+  return distanceToText(roomTagText(tag, holes), p, scaleDenom);
+}
+
+export function drawRoomTag(gfx, viewport, tag, scaleDenom, color, holes) {
+  drawText(gfx, viewport, roomTagText(tag, holes), scaleDenom, color);
+}
+
+/**
+ * New room for a tag whose room is being replaced by geometry rebuilt from it (fillet, chamfer,
+ * join, region operations): the first closed polyline among the pieces. Null if the room is not
+ * being replaced or nothing closed is left, in which case the tag goes with the room.
+ * @param {RoomTag} tag
+ * @param {Object[]} removed - polylines and curves going
+ * @param {Object[]} pieces - polylines and curves replacing them
+ * @returns {{ room: {x,y}[] }|null}
+ */
+export function reattachedRoom(tag, removed, pieces) {
+  if (!removed.includes(tag.room)) return null;
+  const room = pieces.find((piece) => Array.isArray(piece) && isClosedPolyline(piece));
+  return room ? { room } : null;
+}
+
+/**
+ * JSON form for the project file.
+ * @param {RoomTag} tag
+ * @param {{ polylineRef: function(Object): number }} refs - index of the room polyline
+ */
+export function roomTagToJSON(tag, refs) {
+  return { room: refs.polylineRef(tag.room), name: tag.name, number: tag.number };
+}
+
+/**
+ * @param {Object} json
+ * @param {{ polylineAt: function(number): (Object|undefined) }} refs
+ * @returns {RoomTag|null} null if malformed or the room does not resolve
+ */
+export function roomTagFromJSON(json, refs) {
+  if (!json || typeof json.name !== 'string' || typeof json.number !== 'string') return null;
+  const room = Number.isInteger(json.room) ? refs.polylineAt(json.room) : undefined;
+  return room ? createRoomTag(room, json.name, json.number) : null;
+}
@@ -0,0 +1,153 @@
+/**
+ * Rectangles and regular polygons, built as closed polylines (first point repeated at the end) so
+ * they count as rooms in export and take fills and hatches like any outline drawn point by point.
+ *
+ * Rectangle: by two opposite corners, by centre and a corner, or rotated by a base edge (two
+ * points) and a third point setting its width; corners may be filleted or chamfered. Polygon: N
+ * sides by centre and radius, inscribed (the radius reaches a vertex) or circumscribed (it reaches
+ * the middle of a side), or by one edge.
+ *
+ * World y points down: polygons by edge turn anticlockwise on paper from the first point.
+ */
+
+import { distance } from '../utils/math.js';
+import { filletCorners } from './fillet.js';
+
+export const RECTANGLE_MODES = ['corners', 'centre', 'rotated'];
+export const CORNER_TYPES = ['sharp', 'fillet', 'chamfer'];
+export const POLYGON_MODES = ['inscribed', 'circumscribed', 'edge'];
+export const MIN_POLYGON_SIDES = 3;
+export const MAX_POLYGON_SIDES = 1024;
+
+/**
+ * @typedef {{ rectangle: 'corners'|'centre'|'rotated', corner: 'sharp'|'fillet'|'chamfer',
+ *   cornerSize: number, sides: number, polygon: 'inscribed'|'circumscribed'|'edge' }} ShapeParams
+ *   - cornerSize: fillet radius or chamfer distance, mm
+ */
+
+export const DEFAULT_SHAPE_PARAMS = {
+  rectangle: 'corners',
+  corner: 'sharp',
+  cornerSize: 500,
+  sides: 6,
+  polygon: 'inscribed',
+};
+
+const EPS = 1e-9;
+
+function oneOf(value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback;
+}
+
+/** Validated copy of params over the defaults. */
+export function normalizeShapeParams(params = {}) {
+  const p = { ...DEFAULT_SHAPE_PARAMS, ...params };
+  const size = Number(p.cornerSize);
+  const sides = Math.round(Number(p.sides));
+  return {
+    rectangle: oneOf(p.rectangle, RECTANGLE_MODES, DEFAULT_SHAPE_PARAMS.rectangle),
+    corner: oneOf(p.corner, CORNER_TYPES, DEFAULT_SHAPE_PARAMS.corner),
+    cornerSize: Number.isFinite(size) && size >= 0 ? size : DEFAULT_SHAPE_PARAMS.cornerSize,
+    sides: Number.isFinite(sides)
+      ? Math.max(MIN_POLYGON_SIDES, Math.min(MAX_POLYGON_SIDES, sides))
+      : DEFAULT_SHAPE_PARAMS.sides,
+    polygon: oneOf(p.polygon, POLYGON_MODES, DEFAULT_SHAPE_PARAMS.polygon),
+  };
+}
+
+function ring(points) {
+  return [...points, { x: points[0].x, y: points[0].y }];
+}
+
+/** Axis-aligned rectangle with opposite corners a and b; null if it has no area. */
+export function rectangleFromCorners(a, b) {
+  if (Math.abs(b.x - a.x) < EPS || Math.abs(b.y - a.y) < EPS) return null;
+  return ring([
+    { x: a.x, y: a.y },
+    { x: b.x, y: a.y },
+    { x: b.x, y: b.y },
+    { x: a.x, y: b.y },
+  ]);
+}
+
+/** Axis-aligned rectangle centred on centre with one corner at corner; null if it has no area. */
+export function rectangleFromCentre(centre, corner) {
+  return rectangleFromCorners({ x: 2 * centre.x - corner.x, y: 2 * centre.y - corner.y }, corner);
+}
+
+/**
+ * Signed distance of p from the line through a and b, positive to the right of a→b on paper:
+ * rectangleFromBase(a, b, sideOffset(a, b, p)) lies on p's side.
+ */
+export function sideOffset(a, b, p) {
+  const len = distance(a, b);
+  if (len < EPS) return 0;
+  return ((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x)) / len;
+}
+
+/**
+ * Rectangle on the base edge a–b, width across it towards the side given by its sign (see
+ * sideOffset); null if it has no area.
+ */
+export function rectangleFromBase(a, b, width) {
+  const len = distance(a, b);
+  if (len < EPS || Math.abs(width) < EPS) return null;
+  const nx = (-(b.y - a.y) / len) * width;
+  const ny = ((b.x - a.x) / len) * width;
+  return ring([
+    { x: a.x, y: a.y },
+    { x: b.x, y: b.y },
+    { x: b.x + nx, y: b.y + ny },
+    { x: a.x + nx, y: a.y + ny },
+  ]);
+}
+
+/**
+ * Regular polygon about centre. Inscribed: through is a vertex; circumscribed: through is the
+ * middle of a side. Null if through is on the centre.
+ */
+export function polygonFromCentre(centre, through, sides, mode = 'inscribed') {
+  const r = distance(centre, through);
+  if (r < EPS) return null;
+  const step = (2 * Math.PI) / sides;
+  const start = Math.atan2(through.y - centre.y, through.x - centre.x);
+  // Circumscribed: the vertices sit half a step either side of the side's middle, further out
+  const vertexR = mode === 'circumscribed' ? r / Math.cos(step / 2) : r;
+  const offset = mode === 'circumscribed' ? step / 2 : 0;
+  const points = [];
+  for (let i = 0; i < sides; i++) {
+    const a = start + offset + i * step;
+    points.push({ x: centre.x + vertexR * Math.cos(a), y: centre.y + vertexR * Math.sin(a) });
+  }
+  return ring(points);
+}
+
+/** Regular polygon with its first side from a to b, turning anticlockwise on paper; null if a = b. */
+export function polygonFromEdge(a, b, sides) {
+  const len = distance(a, b);
+  if (len < EPS) return null;
+  const turn = -(2 * Math.PI) / sides; // anticlockwise on paper is a negative world angle
+  let angle = Math.atan2(b.y - a.y, b.x - a.x);
+  const points = [{ x: a.x, y: a.y }];
+  for (let i = 1; i < sides; i++) {
+    const p = points[i - 1];
+    points.push({ x: p.x + len * Math.cos(angle), y: p.y + len * Math.sin(angle) });
+    angle += turn;
+  }
+  return ring(points);
+}
+
+/**
+ * The outline with its corners filleted or chamfered as params say; unchanged when sharp or the
+ * size is 0, null if the corners do not fit.
+ * @param {{x,y}[]} outline - closed polyline
+ * @param {ShapeParams} params
+ */
+export function shapeCorners(outline, params) {
+  if (params.corner === 'sharp' || params.cornerSize === 0) return outline;
+  const corner =
+    params.corner === 'fillet'
+      ? { type: 'fillet', radius: params.cornerSize }
+      : { type: 'chamfer', distances: [params.cornerSize, params.cornerSize] };
+  return filletCorners(outline, corner);
+}
@@ -0,0 +1,280 @@
+/**
+ * Object snaps: the points on nearby geometry the cursor locks to, and the marker drawn for each
+ * kind. The engine passes the segments and curves within the snap aperture (spatial index), the
+ * active tool's base point (for Perpendicular and Tangent) and the points acquired by hovering
+ * snaps (core/tracking.js; endpoints for Extension); findObjectSnap returns the closest enabled
+ * candidate.
+ *
+ * Nearest and Extension lie on the geometry under the cursor or its continuation, so they would
+ * always be closest: they only apply when no other snap is within the aperture.
+ */
+
+import { distance, lineIntersection } from '../utils/math.js';
+import {
+  curveSnapPoints,
+  nearestPointOnCurve,
+  curvePerpendicularPoints,
+  curveTangentPoints,
+  curveLineIntersections,
+  curveCurveIntersections,
+} from './curves.js';
+
+/** Snap modes that can be switched on and off, with the type shown at the cursor. */
+export const OSNAP_MODES = [
+  { id: 'end', type: 'End', label: 'Endpoint' },
+  { id: 'mid', type: 'Mid', label: 'Midpoint' },
+  { id: 'centre', type: 'Centre', label: 'Centre' },
+  { id: 'quadrant', type: 'Quadrant', label: 'Quadrant' },
+  { id: 'intersection', type: 'Intersection', label: 'Intersection' },
+  { id: 'apparent', type: 'Apparent intersection', label: 'Apparent intersection' },
+  { id: 'perpendicular', type: 'Perpendicular', label: 'Perpendicular' },
+  { id: 'tangent', type: 'Tangent', label: 'Tangent' },
+  { id: 'nearest', type: 'Nearest', label: 'Nearest' },
+  { id: 'extension', type: 'Extension', label: 'Extension' },
+];
+
+/** Everything on except Nearest, which would catch every click near a line. */
+export const DEFAULT_OSNAPS = Object.fromEntries(OSNAP_MODES.map(({ id }) => [id, id !== 'nearest']));
+
+const MODE_OF_TYPE = Object.fromEntries(OSNAP_MODES.map(({ id, type }) => [type, id]));
+
+/** Endpoints shared by two segments meet there anyway; End covers them. */
+const VERTEX_EPS = 1e-9;
+
+/**
+ * @typedef {{ point: {x,y}, type: string, from?: {x,y}, ref?: {x,y} }} ObjectSnap - `from` on End
+ *   snaps of segments: the other end (so Extension can continue the segment once the endpoint is
+ *   acquired); `ref` on Extension snaps: the endpoint extended
+ */
+
+/** Fill in missing or malformed modes from the defaults. */
+export function normalizeOsnaps(modes) {
+  const out = { ...DEFAULT_OSNAPS };
+  for (const { id } of OSNAP_MODES) {
+    if (typeof modes?.[id] === 'boolean') out[id] = modes[id];
+  }
+  return out;
+}
+
+/** Foot of the perpendicular from p to segment a–b, or null if it falls outside the segment. */
+function perpendicularFoot(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const l2 = dx * dx + dy * dy;
+  if (l2 === 0) return null;
+  const t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / l2;
+  if (t < 0 || t > 1) return null;
+  return { x: a.x + t * dx, y: a.y + t * dy };
+}
+
+function nearestOnSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const l2 = dx * dx + dy * dy;
+  const t = l2 === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / l2));
+  return { x: a.x + t * dx, y: a.y + t * dy };
+}
+
+function atEnd(t) {
+  return Math.abs(t) < VERTEX_EPS || Math.abs(t - 1) < VERTEX_EPS;
+}
+
+function onSegment(t) {
+  return t >= -VERTEX_EPS && t <= 1 + VERTEX_EPS;
+}
+
+/**
+ * Crossings between the nearby segments and curves. Where two segments (or a segment and a
+ * curve) only meet when a segment is extended, the hit is an apparent intersection.
+ * @returns {{ point: {x,y}, type: string }[]}
+ */
+function intersections(segments, curves) {
+  const hits = [];
+  for (let i = 0; i < segments.length; i++) {
+    const [a, b] = segments[i];
+    for (let j = i + 1; j < segments.length; j++) {
+      const [c, d] = segments[j];
+      const hit = lineIntersection(a, b, c, d);
+      if (!hit || (atEnd(hit.t) && atEnd(hit.u))) continue;
+      const real = onSegment(hit.t) && onSegment(hit.u);
+      hits.push({ point: hit.point, type: real ? 'Intersection' : 'Apparent intersection' });
+    }
+    for (const curve of curves) {
+      for (const hit of curveLineIntersections(curve, a, b)) {
+        hits.push({ point: hit.point, type: onSegment(hit.t) ? 'Intersection' : 'Apparent intersection' });
+      }
+    }
+  }
+  for (let i = 0; i < curves.length; i++) {
+    for (let j = i + 1; j < curves.length; j++) {
+      for (const point of curveCurveIntersections(curves[i], curves[j])) {
+        hits.push({ point, type: 'Intersection' });
+      }
+    }
+  }
+  return hits;
+}
+
+/**
+ * The closest enabled snap to the cursor within the aperture.
+ * @param {{x,y}} cursor - world point
+ * @param {{ entity: Object, segmentIndex: number|null }[]} items - nearby segments and curves
+ * @param {{ aperture: number, modes: Object<string, boolean>, from?: {x,y}|null, acquired?: Object[] }} options
+ *   - aperture in world units; `from` is the tool's last picked point; `acquired` as kept by acquirePoint
+ * @returns {ObjectSnap|null}
+ */
+export function findObjectSnap(cursor, items, { aperture, modes, from = null, acquired = [] }) {
+  let best = null;
+  let bestDist = aperture;
+  const consider = (point, type, extra) => {
+    if (!modes[MODE_OF_TYPE[type]]) return;
+    const d = distance(cursor, point);
+    if (d < bestDist) {
+      best = { point, type, ...extra };
+      bestDist = d;
+    }
+  };
+
+  const segments = [];
+  const curves = [];
+  for (const { entity, segmentIndex } of items) {
+    if (segmentIndex === null) curves.push(entity);
+    else segments.push([entity[segmentIndex], entity[segmentIndex + 1]]);
+  }
+
+  for (const [a, b] of segments) {
+    consider(a, 'End', { from: b });
+    consider(b, 'End', { from: a });
+    consider({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }, 'Mid');
+    const foot = from && perpendicularFoot(from, a, b);
+    if (foot) consider(foot, 'Perpendicular');
+  }
+  for (const curve of curves) {
+    for (const { point, type } of curveSnapPoints(curve)) consider(point, type);
+    if (!from) continue;
+    for (const point of curvePerpendicularPoints(curve, from)) consider(point, 'Perpendicular');
+    for (const point of curveTangentPoints(curve, from)) consider(point, 'Tangent');
+  }
+  if (modes.intersection || modes.apparent) {
+    for (const { point, type } of intersections(segments, curves)) consider(point, type);
+  }
+  if (best) return best;
+
+  for (const [a, b] of segments) consider(nearestOnSegment(cursor, a, b), 'Nearest');
+  for (const curve of curves) consider(nearestPointOnCurve(curve, cursor), 'Nearest');
+  for (const { point: b, from: a } of acquired) {
+    const length = a ? distance(a, b) : 0;
+    if (length === 0) continue;
+    const ux = (b.x - a.x) / length;
+    const uy = (b.y - a.y) / length;
+    const s = (cursor.x - b.x) * ux + (cursor.y - b.y) * uy;
+    if (s > 0) consider({ x: b.x + s * ux, y: b.y + s * uy }, 'Extension', { ref: b });
+  }
+  return best;
+}
+
+/** Marker shapes by snap type, drawn around screen point (x, y) with half-size r. */
+const GLYPHS = {
+  End(gfx, x, y, r) {
+    gfx.strokeRect(x - r, y - r, 2 * r, 2 * r);
+  },
+  Mid(gfx, x, y, r) {
+    gfx.beginPath();
+    gfx.moveTo(x, y - r);
+    gfx.lineTo(x + r, y + r);
+    gfx.lineTo(x - r, y + r);
+    gfx.closePath();
+    gfx.stroke();
+  },
+  Centre(gfx, x, y, r) {
+    gfx.beginPath();
+    gfx.arc(x, y, r, 0, Math.PI * 2);
+    gfx.stroke();
+  },
+  Quadrant(gfx, x, y, r) {
+    gfx.beginPath();
+    gfx.moveTo(x, y - r);
+    gfx.lineTo(x + r, y);
+    gfx.lineTo(x, y + r);
+    gfx.lineTo(x - r, y);
+    gfx.closePath();
+    gfx.stroke();
+  },
+  Intersection(gfx, x, y, r) {
+    gfx.beginPath();
+    gfx.moveTo(x - r, y - r);
+    gfx.lineTo(x + r, y + r);
+    gfx.moveTo(x + r, y - r);
+    gfx.lineTo(x - r, y + r);
+    gfx.stroke();
+  },
+  'Apparent intersection'(gfx, x, y, r) {
+    GLYPHS.Intersection(gfx, x, y, r * 0.7);
+    gfx.strokeRect(x - r, y - r, 2 * r, 2 * r);
+  },
+  Perpendicular(gfx, x, y, r) {
+    gfx.beginPath();
+    gfx.moveTo(x - r, y - r);
+    gfx.lineTo(x - r, y + r);
+    gfx.lineTo(x + r, y + r);
+    gfx.moveTo(x - r, y);
+    gfx.lineTo(x, y);
+    gfx.lineTo(x, y + r);
+    gfx.stroke();
+  },
+  Tangent(gfx, x, y, r) {
+    GLYPHS.Centre(gfx, x, y, r * 0.8);
+    gfx.beginPath();
+    gfx.moveTo(x - r, y - r * 0.8);
+    gfx.lineTo(x + r, y - r * 0.8);
+    gfx.stroke();
+  },
+  Nearest(gfx, x, y, r) {
+    gfx.beginPath();
+    gfx.moveTo(x - r, y - r);
+    gfx.lineTo(x + r, y - r);
+    gfx.lineTo(x - r, y + r);
+    gfx.lineTo(x + r, y + r);
+    gfx.closePath();
+    gfx.stroke();
+  },
+  Extension(gfx, x, y, r) {
+    gfx.beginPath();
+    gfx.moveTo(x - r, y);
+    gfx.lineTo(x + r, y);
+    gfx.moveTo(x, y - r);
+    gfx.lineTo(x, y + r);
+    gfx.stroke();
+  },
+  Grid(gfx, x, y, r) {
+    gfx.beginPath();
+    gfx.arc(x, y, r * 0.7, 0, Math.PI * 2);
+    gfx.fill();
+  },
+};
+GLYPHS.Start = GLYPHS.End;
+GLYPHS.Polar = GLYPHS.Extension;
+GLYPHS.Tracking = GLYPHS.Extension;
+
+/**
+ * Draw the marker for a snap at screen point s; Extension also shows its dotted tracking line
+ * from the endpoint it extends (sRef, screen).
+ */
+export function drawSnapMarker(gfx, s, type, sRef = null, color = 'orange') {
+  gfx.save();
+  gfx.strokeStyle = color;
+  gfx.fillStyle = color;
+  gfx.lineWidth = 2;
+  if (sRef) {
+    gfx.lineWidth = 1;
+    gfx.setLineDash([2, 4]);
+    gfx.beginPath();
+    gfx.moveTo(sRef.x, sRef.y);
+    gfx.lineTo(s.x, s.y);
+    gfx.stroke();
+    gfx.setLineDash([]);
+    gfx.lineWidth = 2;
+  }
+  (GLYPHS[type] ?? GLYPHS.Grid)(gfx, s.x, s.y, 5);
+  gfx.restore();
+}
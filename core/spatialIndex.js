@@ -0,0 +1,209 @@
+/**
+ * Spatial index: a uniform hash grid of segment and curve bounding boxes, so snapping, hover and
+ * box selection only look at geometry near the cursor instead of every segment in the drawing.
+ *
+ * Entries are whole entities (a polyline or a curve); a polyline is indexed per segment.
+ * Geometry edited in place is re-indexed lazily: call invalidate(entity) and the next query
+ * refreshes it.
+ */
+
+import { curveBounds } from './curves.js';
+
+/** Cell size in world mm. Site plans at 1:100–1:500 hover within a few metres of the cursor. */
+const DEFAULT_CELL_SIZE = 2000;
+/** Items spanning more cells than this go in an unbounded list that every query checks. */
+const MAX_CELLS_PER_ITEM = 256;
+
+/**
+ * @typedef {{ entity: Object, segmentIndex: number|null }} SpatialItem - segmentIndex is null for curves
+ * @typedef {{ minX: number, minY: number, maxX: number, maxY: number }} Bounds
+ */
+
+function segmentBounds(a, b) {
+  return {
+    minX: Math.min(a.x, b.x),
+    minY: Math.min(a.y, b.y),
+    maxX: Math.max(a.x, b.x),
+    maxY: Math.max(a.y, b.y),
+  };
+}
+
+function unionBounds(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return {
+    minX: Math.min(a.minX, b.minX),
+    minY: Math.min(a.minY, b.minY),
+    maxX: Math.max(a.maxX, b.maxX),
+    maxY: Math.max(a.maxY, b.maxY),
+  };
+}
+
+function overlaps(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+/**
+ * @param {{ cellSize?: number }} [options]
+ */
+export function createSpatialIndex(options = {}) {
+  const cellSize = options.cellSize ?? DEFAULT_CELL_SIZE;
+  /** @type {Map<string, Set<Object>>} cell key → entries */
+  const cells = new Map();
+  /** Entries too large for the grid. */
+  const oversize = new Set();
+  /** @type {Map<Object, { entries: Object[], bounds: Bounds|null }>} */
+  const byEntity = new Map();
+  const dirty = new Set();
+  let totalBounds = null;
+  let totalBoundsValid = true;
+  let segmentCount = 0;
+
+  function cellRange(b) {
+    return {
+      x0: Math.floor(b.minX / cellSize),
+      y0: Math.floor(b.minY / cellSize),
+      x1: Math.floor(b.maxX / cellSize),
+      y1: Math.floor(b.maxY / cellSize),
+    };
+  }
+
+  function addEntry(entry) {
+    const r = cellRange(entry.bounds);
+    if ((r.x1 - r.x0 + 1) * (r.y1 - r.y0 + 1) > MAX_CELLS_PER_ITEM) {
+      oversize.add(entry);
+      return;
+    }
+    for (let cx = r.x0; cx <= r.x1; cx++) {
+      for (let cy = r.y0; cy <= r.y1; cy++) {
+        const key = `${cx},${cy}`;
+        let cell = cells.get(key);
+        if (!cell) cells.set(key, (cell = new Set()));
+        cell.add(entry);
+      }
+    }
+  }
+
+  function removeEntry(entry) {
+    if (oversize.delete(entry)) return;
+    const r = cellRange(entry.bounds);
+    for (let cx = r.x0; cx <= r.x1; cx++) {
+      for (let cy = r.y0; cy <= r.y1; cy++) {
+        const key = `${cx},${cy}`;
+        const cell = cells.get(key);
+        if (!cell) continue;
+        cell.delete(entry);
+        if (cell.size === 0) cells.delete(key);
+      }
+    }
+  }
+
+  /** Add a polyline (point array) or curve. */
+  function insert(entity) {
+    if (byEntity.has(entity)) remove(entity);
+    const entries = [];
+    let bounds = null;
+    if (Array.isArray(entity)) {
+      for (let i = 0; i < entity.length - 1; i++) {
+        entries.push({ entity, segmentIndex: i, bounds: segmentBounds(entity[i], entity[i + 1]) });
+      }
+      segmentCount += entries.length;
+      if (entity.length === 1) bounds = segmentBounds(entity[0], entity[0]);
+    } else {
+      entries.push({ entity, segmentIndex: null, bounds: curveBounds(entity) });
+    }
+    for (const entry of entries) {
+      addEntry(entry);
+      bounds = unionBounds(bounds, entry.bounds);
+    }
+    byEntity.set(entity, { entries, bounds });
+    if (totalBoundsValid) totalBounds = unionBounds(totalBounds, bounds);
+  }
+
+  function remove(entity) {
+    dirty.delete(entity);
+    const record = byEntity.get(entity);
+    if (!record) return;
+    for (const entry of record.entries) removeEntry(entry);
+    if (Array.isArray(entity)) segmentCount -= record.entries.length;
+    byEntity.delete(entity);
+    totalBoundsValid = false;
+  }
+
+  /** Mark an entity whose geometry changed in place; it is re-indexed before the next query. */
+  function invalidate(entity) {
+    if (byEntity.has(entity)) dirty.add(entity);
+  }
+
+  function flush() {
+    if (dirty.size === 0) return;
+    const entities = [...dirty];
+    dirty.clear();
+    for (const entity of entities) insert(entity);
+    totalBoundsValid = false;
+  }
+
+  function clear() {
+    cells.clear();
+    oversize.clear();
+    byEntity.clear();
+    dirty.clear();
+    totalBounds = null;
+    totalBoundsValid = true;
+    segmentCount = 0;
+  }
+
+  /**
+   * Segments and curves whose bounding boxes overlap the box.
+   * @param {Bounds} box
+   * @returns {SpatialItem[]}
+   */
+  function query(box) {
+    flush();
+    const found = new Set();
+    const r = cellRange(box);
+    // A huge box (zoomed-out window select) is cheaper to answer by scanning the entities
+    if ((r.x1 - r.x0 + 1) * (r.y1 - r.y0 + 1) > cells.size) {
+      for (const { entries } of byEntity.values()) {
+        for (const entry of entries) if (overlaps(entry.bounds, box)) found.add(entry);
+      }
+    } else {
+      for (let cx = r.x0; cx <= r.x1; cx++) {
+        for (let cy = r.y0; cy <= r.y1; cy++) {
+          const cell = cells.get(`${cx},${cy}`);
+          if (!cell) continue;
+          for (const entry of cell) if (overlaps(entry.bounds, box)) found.add(entry);
+        }
+      }
+      for (const entry of oversize) if (overlaps(entry.bounds, box)) found.add(entry);
+    }
+    return [...found].map(({ entity, segmentIndex }) => ({ entity, segmentIndex }));
+  }
+
+  /** Items within `radius` of a point (by bounding box). */
+  function queryPoint(p, radius) {
+    return query({ minX: p.x - radius, minY: p.y - radius, maxX: p.x + radius, maxY: p.y + radius });
+  }
+
+  /** Bounds of everything indexed, or null when empty. */
+  function getBounds() {
+    flush();
+    if (!totalBoundsValid) {
+      totalBounds = null;
+      for (const { bounds } of byEntity.values()) totalBounds = unionBounds(totalBounds, bounds);
+      totalBoundsValid = true;
+    }
+    return totalBounds ? { ...totalBounds } : null;
+  }
+
+  return {
+    insert,
+    remove,
+    invalidate,
+    clear,
+    query,
+    queryPoint,
+    getBounds,
+    getSegmentCount: () => segmentCount,
+  };
+}
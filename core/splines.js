@@ -0,0 +1,143 @@
+/**
+ * Spline geometry. A spline is stored by the points the user placed: fit points the curve passes
+ * through, or control vertices it is pulled towards. Either way it is evaluated as a chain of
+ * cubic Bézier segments, which canvas draws exactly and which stay Béziers under any similarity
+ * transform.
+ *
+ * Fit points: a cubic through every point, tangents from the neighbouring points scaled by chord
+ * length (so uneven spacing does not overshoot), parabolic ends. Control vertices: a uniform cubic
+ * B-spline; an open one is pinned to its first and last vertex.
+ */
+
+import { distance } from '../utils/math.js';
+
+export const SPLINE_METHODS = ['fit', 'control'];
+
+/**
+ * @typedef {{ type: 'spline', method: 'fit'|'control', points: {x,y}[], closed: boolean }} Spline
+ *   - points: fit points or control vertices, not repeated at the end when closed
+ * @typedef {[{x,y}, {x,y}, {x,y}, {x,y}]} Bezier - start, two control points, end
+ */
+
+/** Fewest points for an open / closed spline. */
+export function minSplinePoints(closed) {
+  return closed ? 3 : 2;
+}
+
+export function createSpline(points, method = 'fit', closed = false) {
+  return {
+    type: 'spline',
+    method: SPLINE_METHODS.includes(method) ? method : 'fit',
+    points: points.map((p) => ({ x: p.x, y: p.y })),
+    closed: !!closed,
+  };
+}
+
+function lerp(a, b, t) {
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+function combine(terms) {
+  let x = 0;
+  let y = 0;
+  for (const [w, p] of terms) {
+    x += w * p.x;
+    y += w * p.y;
+  }
+  return { x, y };
+}
+
+/** Tangent at each fit point, per unit of chord length. */
+function fitTangents(points, closed) {
+  const n = points.length;
+  const at = (i) => points[(i + n) % n];
+  const chord = (i) => distance(at(i), at(i + 1)) || 1;
+  const tangents = points.map((p, i) => {
+    if (!closed && (i === 0 || i === n - 1)) return null;
+    const d = chord(i - 1) + chord(i);
+    return { x: (at(i + 1).x - at(i - 1).x) / d, y: (at(i + 1).y - at(i - 1).y) / d };
+  });
+  if (closed) return tangents;
+  if (n === 2) {
+    const d = chord(0);
+    const t = { x: (points[1].x - points[0].x) / d, y: (points[1].y - points[0].y) / d };
+    return [t, t];
+  }
+  // Parabolic ends: the end tangent mirrors its neighbour's about the end chord
+  const end = (i, neighbour) => {
+    const d = chord(i);
+    const t = tangents[neighbour];
+    return { x: (2 * (at(i + 1).x - at(i).x)) / d - t.x, y: (2 * (at(i + 1).y - at(i).y)) / d - t.y };
+  };
+  tangents[0] = end(0, 1);
+  tangents[n - 1] = end(n - 2, n - 2);
+  return tangents;
+}
+
+function fitBeziers(points, closed) {
+  const n = points.length;
+  const tangents = fitTangents(points, closed);
+  const out = [];
+  for (let i = 0; i < (closed ? n : n - 1); i++) {
+    const a = points[i];
+    const b = points[(i + 1) % n];
+    const d = distance(a, b) / 3;
+    const ta = tangents[i];
+    const tb = tangents[(i + 1) % n];
+    out.push([a, { x: a.x + ta.x * d, y: a.y + ta.y * d }, { x: b.x - tb.x * d, y: b.y - tb.y * d }, b]);
+  }
+  return out;
+}
+
+function controlBeziers(points, closed) {
+  const n = points.length;
+  let q;
+  if (closed) {
+    q = [points[n - 1], ...points, points[0], points[1]];
+  } else {
+    // Phantom vertices mirrored through the ends pin the curve to the first and last vertex
+    q = [lerp(points[1], points[0], 2), ...points, lerp(points[n - 2], points[n - 1], 2)];
+  }
+  const out = [];
+  for (let j = 0; j + 3 < q.length; j++) {
+    const [p0, p1, p2, p3] = q.slice(j, j + 4);
+    out.push([
+      combine([[1 / 6, p0], [4 / 6, p1], [1 / 6, p2]]),
+      combine([[2 / 3, p1], [1 / 3, p2]]),
+      combine([[1 / 3, p1], [2 / 3, p2]]),
+      combine([[1 / 6, p1], [4 / 6, p2], [1 / 6, p3]]),
+    ]);
+  }
+  return out;
+}
+
+/**
+ * The spline as cubic Bézier segments, end to end (a closed spline's last segment ends where the
+ * first starts).
+ * @param {Spline} spline
+ * @returns {Bezier[]}
+ */
+export function splineBeziers(spline) {
+  const { points, closed } = spline;
+  if (points.length < minSplinePoints(closed)) return [];
+  return spline.method === 'control' ? controlBeziers(points, closed) : fitBeziers(points, closed);
+}
+
+/** Point on a Bézier segment at u in [0, 1]. */
+export function bezierPoint([p0, p1, p2, p3], u) {
+  const v = 1 - u;
+  const w0 = v * v * v;
+  const w1 = 3 * v * v * u;
+  const w2 = 3 * v * u * u;
+  const w3 = u * u * u;
+  return { x: w0 * p0.x + w1 * p1.x + w2 * p2.x + w3 * p3.x, y: w0 * p0.y + w1 * p1.y + w2 * p2.y + w3 * p3.y };
+}
+
+/** Derivative of a Bézier segment with respect to u. */
+export function bezierDerivative([p0, p1, p2, p3], u) {
+  const v = 1 - u;
+  return {
+    x: 3 * (v * v * (p1.x - p0.x) + 2 * v * u * (p2.x - p1.x) + u * u * (p3.x - p2.x)),
+    y: 3 * (v * v * (p1.y - p0.y) + 2 * v * u * (p2.y - p1.y) + u * u * (p3.y - p2.y)),
+  };
+}
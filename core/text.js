@@ -0,0 +1,262 @@
+/**
+ * Text and leader annotations.
+ *
+ * Text is single or multi-line (lines separated by '\n') with a font, a height in paper mm, a
+ * rotation and a justification (AutoCAD-style TL … BR: top / middle / baseline, left / centre /
+ * right) about its insertion point. A leader is an arrow at its first point, a polyline through
+ * the rest, and optional text beside its last point.
+ *
+ * Heights are in paper mm and scaled by the drawing scale (1:N), so text keeps its printed size
+ * when the scale changes. Widths for hit testing and bounds are estimated from the character
+ * count, so no canvas is needed to measure.
+ */
+
+import { distance, pointToSegmentDistance } from '../utils/math.js';
+import { DIMENSION_ARROW_MM, drawArrowhead } from './dimensions.js';
+
+export const TEXT_FONTS = ['Arial', 'Times New Roman', 'Courier New'];
+export const JUSTIFICATIONS = ['TL', 'TC', 'TR', 'ML', 'MC', 'MR', 'BL', 'BC', 'BR'];
+export const DEFAULT_TEXT_STYLE = { font: 'Arial', height: 2.5, rotation: 0, justify: 'BL' };
+const LINE_SPACING = 5 / 3; // baseline to baseline, in text heights
+const CHAR_WIDTH = 0.6; // average character width, in text heights
+const LEADER_GAP_MM = 1; // leader end to its text
+
+/**
+ * @typedef {Object} Text
+ * @property {'text'} kind
+ * @property {{x,y}} position - insertion point
+ * @property {string} content - lines separated by '\n'
+ * @property {string} font
+ * @property {number} height - paper mm
+ * @property {number} rotation - radians, anticlockwise as seen on paper
+ * @property {string} justify - one of JUSTIFICATIONS
+ */
+
+/**
+ * @typedef {Object} Leader
+ * @property {'leader'} kind
+ * @property {{x,y}[]} points - arrow tip first
+ * @property {string} content - text at the last point ('' for none)
+ * @property {string} font
+ * @property {number} height - paper mm
+ */
+
+export function isText(entity) {
+  return entity?.kind === 'text';
+}
+
+export function isLeader(entity) {
+  return entity?.kind === 'leader';
+}
+
+/** Font, height, rotation and justification from a style, with defaults for anything missing or invalid. */
+export function normalizeTextStyle(style = {}) {
+  const isNumber = (n) => typeof n === 'number' && Number.isFinite(n);
+  return {
+    font: typeof style.font === 'string' && style.font ? style.font : DEFAULT_TEXT_STYLE.font,
+    height: isNumber(style.height) && style.height > 0 ? style.height : DEFAULT_TEXT_STYLE.height,
+    rotation: isNumber(style.rotation) ? style.rotation : DEFAULT_TEXT_STYLE.rotation,
+    justify: JUSTIFICATIONS.includes(style.justify) ? style.justify : DEFAULT_TEXT_STYLE.justify,
+  };
+}
+
+/** @returns {Text} */
+export function createText(position, content, style) {
+  return { kind: 'text', position, content, ...normalizeTextStyle(style) };
+}
+
+/** @returns {Leader} */
+export function createLeader(points, content, style) {
+  const { font, height } = normalizeTextStyle(style);
+  return { kind: 'leader', points, content, font, height };
+}
+
+/**
+ * The text of a leader, as a Text: beside the last point, on the side the last segment runs
+ * towards, and horizontal.
+ * @param {Leader} leader
+ * @param {number} scaleDenom
+ * @returns {Text|null} null if the leader has no text
+ */
+export function leaderText(leader, scaleDenom) {
+  if (!leader.content) return null;
+  const last = leader.points[leader.points.length - 1];
+  const prev = leader.points[leader.points.length - 2] ?? last;
+  const side = last.x >= prev.x ? 1 : -1;
+  return createText({ x: last.x + side * LEADER_GAP_MM * scaleDenom, y: last.y }, leader.content, {
+    font: leader.font,
+    height: leader.height,
+    rotation: 0,
+    justify: side > 0 ? 'ML' : 'MR',
+  });
+}
+
+/**
+ * Layout of text in world mm: reading direction, up direction, and each line's start and
+ * baseline as distances along them from the insertion point.
+ * @param {Text} text
+ * @param {number} scaleDenom
+ * @returns {{ dir: {x,y}, up: {x,y}, height: number, lines: { content: string, start: number,
+ *   width: number, baseline: number }[], box: { left: number, right: number, bottom: number, top: number } }}
+ */
+export function textLayout(text, scaleDenom) {
+  const height = text.height * scaleDenom;
+  const spacing = height * LINE_SPACING;
+  const contents = text.content.split('\n');
+  const blockHeight = height + (contents.length - 1) * spacing;
+  const [vertical, horizontal] = text.justify;
+  const top = vertical === 'T' ? 0 : vertical === 'M' ? blockHeight / 2 : blockHeight;
+  const lines = contents.map((content, i) => {
+    const width = content.length * height * CHAR_WIDTH;
+    const start = horizontal === 'L' ? 0 : horizontal === 'C' ? -width / 2 : -width;
+    return { content, start, width, baseline: top - height - i * spacing };
+  });
+  // The world is y-down, so anticlockwise on paper turns towards -y
+  const dir = { x: Math.cos(text.rotation), y: -Math.sin(text.rotation) };
+  const up = { x: dir.y, y: -dir.x };
+  const box = {
+    left: Math.min(...lines.map((l) => l.start)),
+    right: Math.max(...lines.map((l) => l.start + l.width)),
+    bottom: top - blockHeight,
+    top,
+  };
+  return { dir, up, height, lines, box };
+}
+
+/** Corners of the text box in world mm. */
+function textOutline(text, scaleDenom) {
+  const { dir, up, box } = textLayout(text, scaleDenom);
+  const at = (s, t) => ({
+    x: text.position.x + dir.x * s + up.x * t,
+    y: text.position.y + dir.y * s + up.y * t,
+  });
+  return [at(box.left, box.bottom), at(box.right, box.bottom), at(box.right, box.top), at(box.left, box.top)];
+}
+
+/** Distance from p to the text box (0 inside). */
+function distanceToTextBox(text, p, scaleDenom) {
+  const { dir, up, box } = textLayout(text, scaleDenom);
+  const rel = { x: p.x - text.position.x, y: p.y - text.position.y };
+  const s = rel.x * dir.x + rel.y * dir.y;
+  const t = rel.x * up.x + rel.y * up.y;
+  return Math.hypot(Math.max(0, box.left - s, s - box.right), Math.max(0, box.bottom - t, t - box.top));
+}
+
+/** World bounding box of a text or leader. */
+export function textBounds(entity, scaleDenom) {
+  const points = isLeader(entity) ? [...entity.points] : textOutline(entity, scaleDenom);
+  const label = isLeader(entity) && leaderText(entity, scaleDenom);
+  if (label) points.push(...textOutline(label, scaleDenom));
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/** Distance from p to a text box, or to a leader's line or text. */
+export function distanceToText(entity, p, scaleDenom) {
+  if (!isLeader(entity)) return distanceToTextBox(entity, p, scaleDenom);
+  let best = Infinity;
+  const { points } = entity;
+  for (let i = 0; i < points.length - 1; i++) {
+    best = Math.min(best, pointToSegmentDistance(p, points[i], points[i + 1]));
+  }
+  const label = leaderText(entity, scaleDenom);
+  return label ? Math.min(best, distanceToTextBox(label, p, scaleDenom)) : best;
+}
+
+/**
+ * Screen placement of text, for drawing it or editing it in place.
+ * @returns {{ at: {x,y}, topLeft: {x,y}, angle: number, fontPx: number }} insertion point, top left
+ *   corner of the text box and reading direction on screen
+ */
+export function textScreenFrame(viewport, text, scaleDenom) {
+  const { dir, up, height, box } = textLayout(text, scaleDenom);
+  const toScreen = (s, t) =>
+    viewport.toScreen({ x: text.position.x + dir.x * s + up.x * t, y: text.position.y + dir.y * s + up.y * t });
+  const at = toScreen(0, 0);
+  const ahead = toScreen(1, 0);
+  const angle = Math.atan2(ahead.y - at.y, ahead.x - at.x);
+  return { at, topLeft: toScreen(box.left, box.top), angle, fontPx: height * viewport.getScale() };
+}
+
+function fillText(gfx, viewport, text, scaleDenom) {
+  const { at, angle, fontPx } = textScreenFrame(viewport, text, scaleDenom);
+  if (fontPx < 1) return;
+  const scale = viewport.getScale();
+  gfx.save();
+  gfx.translate(at.x, at.y);
+  gfx.rotate(angle);
+  gfx.font = `${fontPx}px ${text.font}`;
+  gfx.textAlign = 'left';
+  gfx.textBaseline = 'alphabetic';
+  // Up on paper is -y once the canvas is turned to the reading direction
+  for (const line of textLayout(text, scaleDenom).lines) {
+    gfx.fillText(line.content, line.start * scale, -line.baseline * scale);
+  }
+  gfx.restore();
+}
+
+/**
+ * Draw a text or leader.
+ * @param {CanvasRenderingContext2D} gfx
+ * @param {*} viewport - toScreen() and getScale()
+ * @param {Text|Leader} entity
+ * @param {number} scaleDenom
+ * @param {string} color
+ * @param {number} [lineWidth] - screen px, for the leader line
+ */
+export function drawText(gfx, viewport, entity, scaleDenom, color, lineWidth = 1) {
+  gfx.strokeStyle = color;
+  gfx.fillStyle = color;
+  if (!isLeader(entity)) {
+    fillText(gfx, viewport, entity, scaleDenom);
+    return;
+  }
+  const { points } = entity;
+  gfx.lineWidth = lineWidth;
+  gfx.beginPath();
+  points.forEach((p, i) => {
+    const s = viewport.toScreen(p);
+    if (i === 0) gfx.moveTo(s.x, s.y);
+    else gfx.lineTo(s.x, s.y);
+  });
+  gfx.stroke();
+  const [tip, next] = points;
+  if (next && distance(tip, next) > 0) {
+    const len = distance(tip, next);
+    const dir = { x: (tip.x - next.x) / len, y: (tip.y - next.y) / len };
+    drawArrowhead(gfx, viewport, tip, dir, DIMENSION_ARROW_MM * scaleDenom);
+  }
+  const label = leaderText(entity, scaleDenom);
+  if (label) fillText(gfx, viewport, label, scaleDenom);
+}
+
+/** The points of a text or leader that move with it (insertion point, leader vertices). */
+export function textPoints(entity) {
+  return isLeader(entity) ? entity.points : [entity.position];
+}
+
+/** JSON form for the project file. */
+export function textToJSON(entity) {
+  const { font, height, content } = entity;
+  if (isLeader(entity)) return { points: entity.points.map((p) => ({ x: p.x, y: p.y })), content, font, height };
+  const { position, rotation, justify } = entity;
+  return { position: { x: position.x, y: position.y }, content, font, height, rotation, justify };
+}
+
+/**
+ * Rebuild a text or leader from textToJSON output.
+ * @param {'text'|'leader'} kind
+ * @returns {Text|Leader|null} null if malformed
+ */
+export function textFromJSON(kind, json) {
+  const isNumber = (n) => typeof n === 'number' && Number.isFinite(n);
+  const isPoint = (p) => isNumber(p?.x) && isNumber(p?.y);
+  if (!json || typeof json.content !== 'string') return null;
+  if (kind === 'leader') {
+    if (!Array.isArray(json.points) || json.points.length < 2 || !json.points.every(isPoint)) return null;
+    return createLeader(json.points.map((p) => ({ x: p.x, y: p.y })), json.content, json);
+  }
+  if (kind !== 'text' || !isPoint(json.position)) return null;
+  return createText({ x: json.position.x, y: json.position.y }, json.content, json);
+}
@@ -0,0 +1,184 @@
+/**
+ * Polar and object-snap tracking. When no object snap is under the cursor, the point can lock to
+ * a ray from the tool's base point at a multiple of the polar increment (absolute, or relative to
+ * the previous segment), to the horizontal and vertical alignment lines through points acquired
+ * by hovering object snaps, or to where two of these lines cross. Tracking snaps carry the guide
+ * lines to draw dotted and a distance < angle readout.
+ *
+ * Angles are degrees as angleBetween (world, y down); readouts show them anticlockwise on paper.
+ */
+
+import { distance, angleBetween, normalizeAngle, lineIntersection } from '../utils/math.js';
+
+export const POLAR_INCREMENTS = [5, 15, 22.5, 30, 45];
+export const DEFAULT_POLAR_INCREMENT = 45;
+
+/** Points kept acquired; hovering another drops the oldest. */
+const MAX_ACQUIRED = 3;
+/** Snap types whose point can be acquired. */
+const ACQUIRABLE = new Set(['End', 'Mid', 'Centre', 'Quadrant', 'Intersection', 'Apparent intersection']);
+/** Half-size (screen px) of the cross marking an acquired point. */
+const ACQUIRED_MARK = 4;
+
+/**
+ * @typedef {{ point: {x,y}, from?: {x,y} }} AcquiredPoint - `from`: other end of the segment when
+ *   acquired at an endpoint (for Extension snaps)
+ * @typedef {{ origin: {x,y}, angle: number, type: 'Polar'|'Tracking' }} TrackingLine - a polar ray
+ *   from the base point, or an alignment line through an acquired point
+ * @typedef {{ point: {x,y}, type: 'Polar'|'Tracking', label: string, guides: TrackingLine[] }} TrackingSnap
+ */
+
+export function normalizePolarIncrement(increment) {
+  const n = Number(increment);
+  return POLAR_INCREMENTS.includes(n) ? n : DEFAULT_POLAR_INCREMENT;
+}
+
+/**
+ * Acquire the point of an object snap for tracking (and its segment for Extension).
+ * @param {AcquiredPoint[]} acquired
+ * @param {import('./snaps.js').ObjectSnap} snap
+ * @returns {AcquiredPoint[]} the new list, most recent last
+ */
+export function acquirePoint(acquired, snap) {
+  if (!ACQUIRABLE.has(snap.type)) return acquired;
+  const kept = acquired.filter((a) => a.point.x !== snap.point.x || a.point.y !== snap.point.y);
+  return [...kept, { point: snap.point, from: snap.from }].slice(-MAX_ACQUIRED);
+}
+
+function direction(angle) {
+  const rad = (angle * Math.PI) / 180;
+  return { x: Math.cos(rad), y: Math.sin(rad) };
+}
+
+/** A second point on the line, for lineIntersection. */
+function along({ origin, angle }) {
+  const d = direction(angle);
+  return { x: origin.x + d.x, y: origin.y + d.y };
+}
+
+/** Foot of the perpendicular from p on the line. */
+function project(p, { origin, angle }) {
+  const d = direction(angle);
+  const s = (p.x - origin.x) * d.x + (p.y - origin.y) * d.y;
+  return { x: origin.x + s * d.x, y: origin.y + s * d.y };
+}
+
+/** Closest multiple of increment, counted from offset, to angle. */
+function polarAngle(angle, increment, offset) {
+  return normalizeAngle(offset + Math.round((angle - offset) / increment) * increment);
+}
+
+/** Distance from the cursor to the line. */
+function offLine(cursor, line) {
+  return distance(cursor, project(cursor, line));
+}
+
+function readout(from, point) {
+  const angle = normalizeAngle(360 - angleBetween(from, point));
+  return `${Math.round(distance(from, point))} < ${Number(angle.toFixed(1))}°`;
+}
+
+/**
+ * Tracking snap for the cursor, or null.
+ * @param {{x,y}} cursor
+ * @param {{ aperture: number, base?: {x,y}|null, baseAngle?: number|null, increment?: number,
+ *   polar?: boolean, acquired?: AcquiredPoint[] }} options - aperture in world units; `base` is the
+ *   tool's last picked point and `baseAngle` the direction of its previous segment
+ * @returns {TrackingSnap|null}
+ */
+export function findTrackingSnap(cursor, options) {
+  const { aperture, base = null, baseAngle = null, increment = DEFAULT_POLAR_INCREMENT } = options;
+  const lines = [];
+  if (options.polar && base && distance(base, cursor) > aperture) {
+    const raw = angleBetween(base, cursor);
+    // Absolute angles, then relative to the previous segment if that lands closer
+    let ray = null;
+    for (const offset of baseAngle === null ? [0] : [0, baseAngle]) {
+      const candidate = { origin: base, angle: polarAngle(raw, increment, offset), type: 'Polar' };
+      if (offLine(cursor, candidate) < (ray ? offLine(cursor, ray) : aperture)) ray = candidate;
+    }
+    if (ray) lines.push(ray);
+  }
+  for (const { point } of options.acquired ?? []) {
+    for (const angle of [0, 90]) {
+      const line = { origin: point, angle, type: 'Tracking' };
+      if (offLine(cursor, line) < aperture) lines.push(line);
+    }
+  }
+
+  // Two lines crossing near the cursor beat either line alone
+  let best = null;
+  let bestDist = aperture;
+  for (let i = 0; i < lines.length; i++) {
+    for (let j = i + 1; j < lines.length; j++) {
+      const a = lines[i];
+      const b = lines[j];
+      const hit = lineIntersection(a.origin, along(a), b.origin, along(b));
+      if (!hit || distance(cursor, hit.point) >= bestDist) continue;
+      bestDist = distance(cursor, hit.point);
+      best = { point: hit.point, type: 'Tracking', guides: [a, b] };
+    }
+  }
+  if (best) {
+    const readouts = best.guides.map((g) => readout(g.origin, best.point));
+    return { ...best, label: `Intersection: ${readouts.join(', ')}` };
+  }
+
+  let bestLine = null;
+  let lineDist = Infinity;
+  for (const line of lines) {
+    const point = project(cursor, line);
+    const d = distance(cursor, point);
+    if (d < lineDist) {
+      lineDist = d;
+      bestLine = { point, line };
+    }
+  }
+  if (!bestLine) return null;
+  const { point, line } = bestLine;
+  return {
+    point,
+    type: line.type,
+    label: `${line.type}: ${readout(line.origin, point)}`,
+    guides: [line],
+  };
+}
+
+/**
+ * Dotted guide lines of a tracking snap, from each origin through the snap point and on to the
+ * edge of the canvas, and a small cross on each acquired point.
+ * @param {CanvasRenderingContext2D} gfx
+ * @param {import('./viewport.js').Viewport} viewport
+ * @param {TrackingLine[]} guides
+ * @param {{x,y}|null} point - world
+ * @param {AcquiredPoint[]} acquired
+ */
+export function drawTracking(gfx, viewport, guides, point, acquired) {
+  gfx.save();
+  gfx.strokeStyle = '#27ae60';
+  gfx.lineWidth = 1;
+  const reach = Math.hypot(gfx.canvas?.width ?? 4000, gfx.canvas?.height ?? 4000);
+  if (point) {
+    const s = viewport.toScreen(point);
+    gfx.setLineDash([2, 4]);
+    gfx.beginPath();
+    for (const { origin } of guides) {
+      const o = viewport.toScreen(origin);
+      const len = Math.hypot(s.x - o.x, s.y - o.y) || 1;
+      gfx.moveTo(o.x, o.y);
+      gfx.lineTo(s.x + ((s.x - o.x) / len) * reach, s.y + ((s.y - o.y) / len) * reach);
+    }
+    gfx.stroke();
+    gfx.setLineDash([]);
+  }
+  gfx.beginPath();
+  for (const { point: p } of acquired) {
+    const s = viewport.toScreen(p);
+    gfx.moveTo(s.x - ACQUIRED_MARK, s.y);
+    gfx.lineTo(s.x + ACQUIRED_MARK, s.y);
+    gfx.moveTo(s.x, s.y - ACQUIRED_MARK);
+    gfx.lineTo(s.x, s.y + ACQUIRED_MARK);
+  }
+  gfx.stroke();
+  gfx.restore();
+}
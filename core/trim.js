@@ -0,0 +1,236 @@
+/**
+ * Trim and Extend geometry. Cutting / boundary edges are polylines and curves; the target is the
+ * polyline or curve the user clicked. Nothing here touches the document: the results are new
+ * pieces (trim) or a new end position (extend) for the engine to apply.
+ *
+ * Positions along a polyline are parameters s = segmentIndex + t (0 ≤ t ≤ 1).
+ */
+
+import {
+  isClosedPolyline,
+  lineIntersection,
+  segmentIntersection,
+  pointToSegmentDistance,
+} from '../utils/math.js';
+import {
+  createArc,
+  isCircular,
+  arcSweep,
+  normalizeRad,
+  curveLineIntersections,
+  curveCurveIntersections,
+} from './curves.js';
+
+const EPS = 1e-9;
+const TWO_PI = Math.PI * 2;
+
+function pointAt(points, s) {
+  const i = Math.min(Math.floor(s), points.length - 2);
+  const t = s - i;
+  const a = points[i];
+  const b = points[i + 1];
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+/** Parameter of the point on the polyline nearest p. */
+export function nearestParam(points, p) {
+  let best = Infinity;
+  let param = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const d = pointToSegmentDistance(p, a, b);
+    if (d >= best) continue;
+    best = d;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const l2 = dx * dx + dy * dy;
+    const t = l2 === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / l2;
+    param = i + Math.max(0, Math.min(1, t));
+  }
+  return param;
+}
+
+/** The part of the polyline from parameter s0 to s1 (s0 < s1) as a new point array. */
+function slicePolyline(points, s0, s1) {
+  const out = [pointAt(points, s0)];
+  for (let k = Math.floor(s0) + 1; k < s1; k++) {
+    if (k > s0 + EPS && k < s1 - EPS) out.push({ x: points[k].x, y: points[k].y });
+  }
+  out.push(pointAt(points, s1));
+  return out;
+}
+
+function angleOf(curve, p) {
+  return Math.atan2(p.y - curve.centre.y, p.x - curve.centre.x);
+}
+
+/**
+ * Parameters where the polyline crosses the edges, sorted and without duplicates. The polyline
+ * may be among the edges: its own segments cut it except where they meet their neighbours.
+ */
+function polylineCuts(points, edges) {
+  const cuts = [];
+  const last = points.length - 2;
+  const closed = isClosedPolyline(points);
+  const neighbours = (i, j) =>
+    Math.abs(i - j) <= 1 || (closed && ((i === 0 && j === last) || (i === last && j === 0)));
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    for (const edge of edges) {
+      if (!Array.isArray(edge)) {
+        for (const hit of curveLineIntersections(edge, a, b)) {
+          if (hit.t >= -EPS && hit.t <= 1 + EPS) cuts.push(i + Math.max(0, Math.min(1, hit.t)));
+        }
+        continue;
+      }
+      for (let j = 0; j < edge.length - 1; j++) {
+        if (edge === points && neighbours(i, j)) continue;
+        const hit = segmentIntersection(a, b, edge[j], edge[j + 1]);
+        if (hit) cuts.push(i + Math.max(0, Math.min(1, hit.t)));
+      }
+    }
+  }
+  cuts.sort((x, y) => x - y);
+  return cuts.filter((s, k) => k === 0 || s - cuts[k - 1] > 1e-7);
+}
+
+/** Angles where the curve crosses the edges. */
+function curveCuts(curve, edges) {
+  const angles = [];
+  for (const edge of edges) {
+    if (!Array.isArray(edge)) {
+      for (const p of curveCurveIntersections(curve, edge)) angles.push(angleOf(curve, p));
+      continue;
+    }
+    for (let j = 0; j < edge.length - 1; j++) {
+      for (const hit of curveLineIntersections(curve, edge[j], edge[j + 1])) {
+        if (hit.t >= -EPS && hit.t <= 1 + EPS) angles.push(hit.angle);
+      }
+    }
+  }
+  return angles;
+}
+
+/**
+ * Remove the part of a polyline between the cutting edges (or its own crossings) on either side
+ * of the picked point.
+ * An open polyline keeps up to two pieces; a closed one needs two crossings and becomes one
+ * open polyline. Returns null when no edge bounds the picked part.
+ * @returns {{x,y}[][]|null}
+ */
+export function trimPolyline(points, pick, edges) {
+  const segCount = points.length - 1;
+  const sc = nearestParam(points, pick);
+  const closed = isClosedPolyline(points);
+  let cuts = polylineCuts(points, [...edges, points]);
+
+  if (!closed) {
+    cuts = cuts.filter((s) => s > 1e-7 && s < segCount - 1e-7);
+    const lo = cuts.filter((s) => s < sc).pop();
+    const hi = cuts.find((s) => s > sc);
+    if (lo === undefined && hi === undefined) return null;
+    const pieces = [];
+    if (lo !== undefined) pieces.push(slicePolyline(points, 0, lo));
+    if (hi !== undefined) pieces.push(slicePolyline(points, hi, segCount));
+    return pieces;
+  }
+
+  // Closed: the start/end point is one position, so a cut there counts once
+  if (cuts.length > 1 && cuts[cuts.length - 1] > segCount - 1e-7 && cuts[0] < 1e-7) cuts.pop();
+  if (cuts.length < 2) return null;
+  const lo = cuts.filter((s) => s < sc).pop() ?? cuts[cuts.length - 1] - segCount;
+  const hi = cuts.find((s) => s > sc) ?? cuts[0] + segCount;
+  // Walk from hi round to lo on a twice-repeated ring
+  const ring = [...points.slice(0, -1), ...points.slice(0, -1), points[0]];
+  const start = hi >= segCount ? hi - segCount : hi;
+  const end = hi >= segCount ? lo : lo + segCount;
+  return [slicePolyline(ring, start, end)];
+}
+
+/**
+ * Trim a circle or arc between the edges on either side of the picked point. A circle needs two
+ * crossings and becomes an arc; an arc may become two arcs. Returns null when nothing bounds it,
+ * and for ellipses and splines (which can be cutting edges but are not trimmed themselves).
+ * @returns {import('./curves.js').Curve[]|null}
+ */
+export function trimCurve(curve, pick, edges) {
+  if (!isCircular(curve)) return null;
+  const start = curve.type === 'circle' ? 0 : curve.startAngle;
+  const sweep = curve.type === 'circle' ? TWO_PI : arcSweep(curve);
+  // Angles measured from the start, along the curve
+  const along = (angle) => normalizeRad(angle - start);
+  const picked = along(angleOf(curve, pick));
+  let cuts = curveCuts(curve, edges)
+    .map(along)
+    .sort((x, y) => x - y)
+    .filter((u, k, all) => k === 0 || u - all[k - 1] > 1e-9);
+
+  if (curve.type === 'circle') {
+    if (cuts.length < 2) return null;
+    const lo = cuts.filter((u) => u < picked).pop() ?? cuts[cuts.length - 1];
+    const hi = cuts.find((u) => u > picked) ?? cuts[0];
+    return [createArc(curve.centre, curve.radius, start + hi, start + lo)];
+  }
+
+  cuts = cuts.filter((u) => u > 1e-9 && u < sweep - 1e-9);
+  const lo = cuts.filter((u) => u < picked).pop();
+  const hi = cuts.find((u) => u > picked);
+  if (lo === undefined && hi === undefined) return null;
+  const pieces = [];
+  if (lo !== undefined) pieces.push(createArc(curve.centre, curve.radius, start, start + lo));
+  if (hi !== undefined) pieces.push(createArc(curve.centre, curve.radius, start + hi, start + sweep));
+  return pieces;
+}
+
+/**
+ * Where the end of an open polyline nearest the picked point meets the first boundary edge
+ * straight ahead.
+ * @returns {{ vertex: {x,y}, to: {x,y} }|null} vertex is the end point object to move
+ */
+export function extendPolyline(points, pick, edges) {
+  if (points.length < 2 || isClosedPolyline(points)) return null;
+  const n = points.length;
+  const atStart = nearestParam(points, pick) < (n - 1) / 2;
+  const tip = atStart ? points[0] : points[n - 1];
+  const prev = atStart ? points[1] : points[n - 2];
+  let best = null;
+  const consider = (t, point) => {
+    if (t > 1 + 1e-7 && (!best || t < best.t)) best = { t, point };
+  };
+  // The polyline's own segments are boundaries too
+  for (const edge of [...edges, points]) {
+    if (!Array.isArray(edge)) {
+      for (const hit of curveLineIntersections(edge, prev, tip)) consider(hit.t, hit.point);
+      continue;
+    }
+    for (let j = 0; j < edge.length - 1; j++) {
+      const hit = lineIntersection(prev, tip, edge[j], edge[j + 1]);
+      if (hit && hit.u >= -EPS && hit.u <= 1 + EPS) consider(hit.t, hit.point);
+    }
+  }
+  return best ? { vertex: tip, to: best.point } : null;
+}
+
+/**
+ * New start or end angle for an arc extended along its circle to the first boundary edge past
+ * the end nearest the picked point.
+ * @returns {{ startAngle: number }|{ endAngle: number }|null}
+ */
+export function extendArc(arc, pick, edges) {
+  if (arc.type !== 'arc') return null;
+  const full = { type: 'circle', centre: arc.centre, radius: arc.radius };
+  const sweep = arcSweep(arc);
+  const picked = normalizeRad(angleOf(arc, pick) - arc.startAngle);
+  // A pick in the gap goes with whichever end it is angularly closer to
+  const nearStart = picked <= sweep ? picked < sweep / 2 : picked > (sweep + TWO_PI) / 2;
+  const gap = TWO_PI - sweep;
+  let best = null;
+  for (const angle of curveCuts(full, edges)) {
+    const ahead = normalizeRad(nearStart ? arc.startAngle - angle : angle - arc.endAngle);
+    if (ahead > 1e-9 && ahead < gap && (best === null || ahead < best.ahead)) best = { ahead, angle };
+  }
+  if (!best) return null;
+  return nearStart ? { startAngle: normalizeRad(best.angle) } : { endAngle: normalizeRad(best.angle) };
+}
@@ -11,6 +11,10 @@ function rotatePoint(p, angleRad) {
   return { x: p.x * c - p.y * s, y: p.x * s + p.y * c };
 }
 
+/**
+ * @param {HTMLCanvasElement} canvasEl
+ * @param {{ initialScale?: number, initialOffset?: {x,y}, onChange?: () => void }} [options] - onChange runs after any scale, offset or rotation change
+ */
 export function createViewport(canvasEl, options = {}) {
   const scale = options.initialScale ?? 1 / 100;
   const offset = options.initialOffset ?? { x: 50, y: 50 };
@@ -23,6 +27,10 @@ export function createViewport(canvasEl, options = {}) {
     rotationRad: 0,
   };
 
+  function notifyChange() {
+    options.onChange?.();
+  }
+
   function getScale() {
     return state.scale;
   }
@@ -37,20 +45,24 @@ export function createViewport(canvasEl, options = {}) {
 
   function setScale(s) {
     state.scale = s;
+    notifyChange();
   }
 
   function setOffset(o) {
     state.offset.x = o.x;
     state.offset.y = o.y;
+    notifyChange();
   }
 
   /** Add rotation in radians (e.g. Math.PI/2 for 90° clockwise). */
   function rotateBy(angleRad) {
     state.rotationRad += angleRad;
+    notifyChange();
   }
 
   function setRotationRad(angleRad) {
     state.rotationRad = angleRad;
+    notifyChange();
   }
 
   function toScreen(p) {
@@ -73,6 +85,7 @@ export function createViewport(canvasEl, options = {}) {
     const newScreen = toScreen(mouseWorld);
     state.offset.x += screenPoint.x - newScreen.x;
     state.offset.y += screenPoint.y - newScreen.y;
+    notifyChange();
   }
 
   /**
@@ -97,6 +110,7 @@ export function createViewport(canvasEl, options = {}) {
     const screenC = worldToScreen(rotatePoint({ x: cx, y: cy }, -state.rotationRad), state.scale, { x: 0, y: 0 });
     state.offset.x = w / 2 - screenC.x;
     state.offset.y = h / 2 - screenC.y;
+    notifyChange();
   }
 
   function installWheelHandler() {
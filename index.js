@@ -1,10 +1,18 @@
 /**
  * Entry point: mounts the CAD engine and wires the StackBlitz-style toolbar.
- * Integrates: tools (Select, Line, Polyline, Circle, Arc, Filled Region), View, Line Settings,
- * toggles (Lineweights, 1m Grid, Building Gridlines), Selection (area + fill), Export.
+ * Integrates: tools (Select, Line, Polyline, Circle, Arc, Filled Region, Rectangle, Polygon, Ellipse, Spline), View,
+ * Line Settings, toggles (Lineweights, 1m Grid, Building Gridlines), Selection (area + fill), Layers, Undo/Redo, Open/Save, Import, Export.
+ * The command line under the canvas (ui/commandLine.js) runs typed commands.
  */
 
 import { createEngine } from './core/engine.js';
+import { DOCUMENT_EXTENSION } from './core/document.js';
+import { createLayersPanel } from './ui/layersPanel.js';
+import { createTextEditor } from './ui/textEditor.js';
+import { createCommandLine } from './ui/commandLine.js';
+import { lineTypePatch } from './core/lineStyles.js';
+import { OSNAP_MODES } from './core/snaps.js';
+import { createBenchmarkDocument, BENCHMARK_SEGMENTS } from './core/benchmark.js';
 
 const canvas = document.getElementById('canvas');
 const btnSelect = document.getElementById('btn-select');
@@ -13,10 +21,75 @@ const btnPolyline = document.getElementById('btn-polyline');
 const btnCircle = document.getElementById('btn-circle');
 const btnArc = document.getElementById('btn-arc');
 const btnFilledRegion = document.getElementById('btn-filled-region');
+const btnRectangle = document.getElementById('btn-rectangle');
+const btnPolygon = document.getElementById('btn-polygon');
+const rectangleMode = document.getElementById('rectangle-mode');
+const rectangleCorner = document.getElementById('rectangle-corner');
+const rectangleCornerSize = document.getElementById('rectangle-corner-size');
+const polygonSides = document.getElementById('polygon-sides');
+const polygonMode = document.getElementById('polygon-mode');
+const btnEllipse = document.getElementById('btn-ellipse');
+const btnEllipseArc = document.getElementById('btn-ellipse-arc');
+const btnSpline = document.getElementById('btn-spline');
+const splineMethod = document.getElementById('spline-method');
+const btnMove = document.getElementById('btn-move');
+const btnCopy = document.getElementById('btn-copy');
+const btnRotate = document.getElementById('btn-rotate');
+const btnScale = document.getElementById('btn-scale');
+const btnMirror = document.getElementById('btn-mirror');
+const btnArray = document.getElementById('btn-array');
+const btnOffset = document.getElementById('btn-offset');
+const offsetCorners = document.getElementById('offset-corners');
+const btnTrim = document.getElementById('btn-trim');
+const btnExtend = document.getElementById('btn-extend');
+const btnFillet = document.getElementById('btn-fillet');
+const btnChamfer = document.getElementById('btn-chamfer');
+const btnJoin = document.getElementById('btn-join');
+const btnExplode = document.getElementById('btn-explode');
+const btnUnion = document.getElementById('btn-union');
+const btnSubtract = document.getElementById('btn-subtract');
+const btnIntersect = document.getElementById('btn-intersect');
+const btnDimLinear = document.getElementById('btn-dim-linear');
+const btnDimAligned = document.getElementById('btn-dim-aligned');
+const btnDimAngular = document.getElementById('btn-dim-angular');
+const btnDimRadius = document.getElementById('btn-dim-radius');
+const btnDimDiameter = document.getElementById('btn-dim-diameter');
+const btnDimBaseline = document.getElementById('btn-dim-baseline');
+const btnDimContinue = document.getElementById('btn-dim-continue');
+const btnText = document.getElementById('btn-text');
+const btnLeader = document.getElementById('btn-leader');
+const btnRoomTags = document.getElementById('btn-room-tags');
+const textFont = document.getElementById('text-font');
+const textHeight = document.getElementById('text-height');
+const textRotation = document.getElementById('text-rotation');
+const textJustify = document.getElementById('text-justify');
+const arrayReadout = document.getElementById('array-readout');
+const arrayMode = document.getElementById('array-mode');
+const arrayRectFields = document.getElementById('array-rect-fields');
+const arrayPolarFields = document.getElementById('array-polar-fields');
+const arrayAssociative = document.getElementById('array-associative');
+const arrayRotateItems = document.getElementById('array-rotate-items');
+// Numeric array settings by params key
+const arrayNumberInputs = {
+  rows: document.getElementById('array-rows'),
+  columns: document.getElementById('array-columns'),
+  rowSpacing: document.getElementById('array-row-spacing'),
+  columnSpacing: document.getElementById('array-column-spacing'),
+  count: document.getElementById('array-count'),
+  fillAngle: document.getElementById('array-fill-angle'),
+};
+const btnUndo = document.getElementById('btn-undo');
+const btnRedo = document.getElementById('btn-redo');
 const gridToggle = document.getElementById('grid-toggle');
 const viewToggle = document.getElementById('view-toggle');
 const keyrefToggle = document.getElementById('keyref-toggle');
 const btnExport = document.getElementById('btn-export');
+const btnOpen = document.getElementById('btn-open');
+const btnSave = document.getElementById('btn-save');
+const fileOpen = document.getElementById('file-open');
+const btnImport = document.getElementById('btn-import');
+const importMode = document.getElementById('import-mode');
+const fileImport = document.getElementById('file-import');
 const btnRotateView = document.getElementById('btn-rotate-view');
 const btnFitSheets = document.getElementById('btn-fit-sheets');
 const activeViewReadout = document.getElementById('active-view-readout');
@@ -29,13 +102,23 @@ const btnFillClear = document.getElementById('btn-fill-clear');
 const lineTypeSelector = document.getElementById('line-type-selector');
 const styleDash = document.getElementById('style-dash');
 const angleSnapMode = document.getElementById('angle-snap-mode');
+const polarIncrement = document.getElementById('polar-increment');
+const snapTracking = document.getElementById('snap-tracking');
+const osnapToggles = OSNAP_MODES.map(({ id }) => ({ id, input: document.getElementById(`osnap-${id}`) }));
 const scaleSelector = document.getElementById('scale-selector');
 
 let lastFillUiKey = null;
+let lastStyleUiKey = null;
+let lastTextUiKey = null;
+let lastArrayUiKey = null;
+let lastShapeUiKey = null;
+let layersPanel = null;
+let commandLine = null;
 
 const engine = createEngine(canvas, {
   initialScale: 1 / 100,
   initialOffset: { x: 50, y: 50 },
+  textEditor: createTextEditor(canvas),
   onToolChange(id) {
     btnSelect.classList.toggle('active', id === 'select');
     btnLine.classList.toggle('active', id === 'line');
@@ -43,6 +126,40 @@ const engine = createEngine(canvas, {
     btnCircle.classList.toggle('active', id === 'circle');
     btnArc.classList.toggle('active', id === 'arc');
     btnFilledRegion.classList.toggle('active', id === 'filledRegion');
+    btnRectangle.classList.toggle('active', id === 'rectangle');
+    btnPolygon.classList.toggle('active', id === 'polygon');
+    btnEllipse.classList.toggle('active', id === 'ellipse');
+    btnEllipseArc.classList.toggle('active', id === 'ellipseArc');
+    btnSpline.classList.toggle('active', id === 'spline');
+    btnMove.classList.toggle('active', id === 'move');
+    btnCopy.classList.toggle('active', id === 'copy');
+    btnRotate.classList.toggle('active', id === 'rotate');
+    btnScale.classList.toggle('active', id === 'scale');
+    btnMirror.classList.toggle('active', id === 'mirror');
+    btnArray.classList.toggle('active', id === 'array');
+    btnOffset.classList.toggle('active', id === 'offset');
+    btnTrim.classList.toggle('active', id === 'trim');
+    btnExtend.classList.toggle('active', id === 'extend');
+    btnFillet.classList.toggle('active', id === 'fillet');
+    btnChamfer.classList.toggle('active', id === 'chamfer');
+    btnDimLinear.classList.toggle('active', id === 'dimLinear');
+    btnDimAligned.classList.toggle('active', id === 'dimAligned');
+    btnDimAngular.classList.toggle('active', id === 'dimAngular');
+    btnDimRadius.classList.toggle('active', id === 'dimRadius');
+    btnDimDiameter.classList.toggle('active', id === 'dimDiameter');
+    btnDimBaseline.classList.toggle('active', id === 'dimBaseline');
+    btnDimContinue.classList.toggle('active', id === 'dimContinue');
+    btnText.classList.toggle('active', id === 'text');
+    btnLeader.classList.toggle('active', id === 'leader');
+  },
+  onHistoryChange() {
+    updateHistoryButtons();
+  },
+  onLayersChange() {
+    layersPanel?.render();
+  },
+  onMessage(message) {
+    commandLine?.echo(message);
   },
   onActiveViewChange(viewId) {
     if (activeViewReadout) {
@@ -52,11 +169,22 @@ const engine = createEngine(canvas, {
   },
 });
 
+layersPanel = createLayersPanel(document.getElementById('layers-panel'), engine);
+commandLine = createCommandLine(document.getElementById('command-line'), engine, {
+  onRun: updateSettingsControls,
+});
+
 // Initialise engine angle snap mode from UI (default: "always")
 if (angleSnapMode) {
   engine.setAngleSnapMode(angleSnapMode.value || 'always');
 }
 
+function updateOsnapToggles() {
+  const osnaps = engine.getOsnaps();
+  for (const { id, input } of osnapToggles) input.checked = osnaps[id];
+}
+updateOsnapToggles();
+
 // Tool buttons: Line and Polyline both use 'line' tool
 btnSelect.addEventListener('click', () => engine.setTool('select'));
 btnLine.addEventListener('click', () => engine.setTool('line'));
@@ -64,6 +192,38 @@ btnPolyline.addEventListener('click', () => engine.setTool('line'));
 btnCircle.addEventListener('click', () => engine.setTool('circle'));
 btnArc.addEventListener('click', () => engine.setTool('arc'));
 btnFilledRegion.addEventListener('click', () => engine.setTool('filledRegion'));
+btnRectangle.addEventListener('click', () => engine.setTool('rectangle'));
+btnPolygon.addEventListener('click', () => engine.setTool('polygon'));
+btnEllipse.addEventListener('click', () => engine.setTool('ellipse'));
+btnEllipseArc.addEventListener('click', () => engine.setTool('ellipseArc'));
+btnSpline.addEventListener('click', () => engine.setTool('spline'));
+btnMove.addEventListener('click', () => engine.setTool('move'));
+btnCopy.addEventListener('click', () => engine.setTool('copy'));
+btnRotate.addEventListener('click', () => engine.setTool('rotate'));
+btnScale.addEventListener('click', () => engine.setTool('scale'));
+btnMirror.addEventListener('click', () => engine.setTool('mirror'));
+btnArray.addEventListener('click', () => engine.setTool('array'));
+btnOffset.addEventListener('click', () => engine.setTool('offset'));
+offsetCorners.addEventListener('change', () => engine.setOffsetCorners(offsetCorners.value));
+btnTrim.addEventListener('click', () => engine.setTool('trim'));
+btnExtend.addEventListener('click', () => engine.setTool('extend'));
+btnFillet.addEventListener('click', () => engine.setTool('fillet'));
+btnChamfer.addEventListener('click', () => engine.setTool('chamfer'));
+btnDimLinear.addEventListener('click', () => engine.setTool('dimLinear'));
+btnDimAligned.addEventListener('click', () => engine.setTool('dimAligned'));
+btnDimAngular.addEventListener('click', () => engine.setTool('dimAngular'));
+btnDimRadius.addEventListener('click', () => engine.setTool('dimRadius'));
+btnDimDiameter.addEventListener('click', () => engine.setTool('dimDiameter'));
+btnDimBaseline.addEventListener('click', () => engine.setTool('dimBaseline'));
+btnDimContinue.addEventListener('click', () => engine.setTool('dimContinue'));
+btnText.addEventListener('click', () => engine.setTool('text'));
+btnLeader.addEventListener('click', () => engine.setTool('leader'));
+btnRoomTags.addEventListener('click', () => engine.tagRooms());
+btnJoin.addEventListener('click', () => engine.joinSelection());
+btnExplode.addEventListener('click', () => engine.explodeSelection());
+btnUnion.addEventListener('click', () => engine.combineSelection('union'));
+btnSubtract.addEventListener('click', () => engine.combineSelection('subtract'));
+btnIntersect.addEventListener('click', () => engine.combineSelection('intersect'));
 
 gridToggle.addEventListener('change', () => {
   engine.setGridEnabled(gridToggle.checked);
@@ -77,6 +237,18 @@ angleSnapMode.addEventListener('change', () => {
   engine.setAngleSnapMode(angleSnapMode.value);
 });
 
+polarIncrement.addEventListener('change', () => {
+  engine.setPolarIncrement(Number(polarIncrement.value));
+});
+
+snapTracking.addEventListener('change', () => {
+  engine.setSnapTrackingEnabled(snapTracking.checked);
+});
+
+for (const { id, input } of osnapToggles) {
+  input.addEventListener('change', () => engine.setOsnaps({ [id]: input.checked }));
+}
+
 scaleSelector.addEventListener('change', () => {
   engine.setScaleFromDenom(Number(scaleSelector.value) || 100);
 });
@@ -89,15 +261,74 @@ btnFitSheets.addEventListener('click', () => {
   engine.fitToSheets(40);
 });
 
-btnExport.addEventListener('click', () => {
-  const json = engine.exportDrawing();
+function downloadJson(json, filename) {
   const blob = new Blob([json], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = 'drawing.json';
+  a.download = filename;
   a.click();
   URL.revokeObjectURL(url);
+}
+
+btnExport.addEventListener('click', () => {
+  downloadJson(engine.exportDrawing(), 'drawing.json');
+});
+
+btnSave.addEventListener('click', () => {
+  downloadJson(engine.saveDocument(), `drawing${DOCUMENT_EXTENSION}`);
+});
+
+btnOpen.addEventListener('click', () => fileOpen.click());
+
+fileOpen.addEventListener('change', async () => {
+  const file = fileOpen.files?.[0];
+  fileOpen.value = '';
+  if (!file) return;
+  try {
+    engine.loadDocument(await file.text());
+  } catch (err) {
+    alert(`Could not open ${file.name}: ${err.message}`);
+    return;
+  }
+  updateSettingsControls();
+});
+
+// Settings controls follow the engine after a file is opened or a command changes them
+function updateSettingsControls() {
+  const settings = engine.getSettings();
+  gridToggle.checked = settings.gridEnabled;
+  keyrefToggle.checked = settings.buildingGridlinesEnabled;
+  angleSnapMode.value = settings.angleSnapMode;
+  polarIncrement.value = String(settings.polarIncrement);
+  snapTracking.checked = settings.snapTrackingEnabled;
+  updateOsnapToggles();
+  const denom = String(settings.scaleDenom);
+  if ([...scaleSelector.options].some((o) => o.value === denom)) scaleSelector.value = denom;
+  viewToggle.checked = settings.lineweightsEnabled;
+}
+
+btnImport.addEventListener('click', () => fileImport.click());
+
+fileImport.addEventListener('change', async () => {
+  const file = fileImport.files?.[0];
+  fileImport.value = '';
+  if (!file) return;
+  let report;
+  try {
+    report = engine.importStructuredDrawing(await file.text(), { mode: importMode.value });
+  } catch (err) {
+    alert(`Could not import ${file.name}: ${err.message}`);
+    return;
+  }
+  engine.fitToContent(40);
+  if (report.errors.length > 0) {
+    alert(
+      `Imported ${report.rooms} rooms, ${report.walls} walls and ${report.curves} curves ` +
+        `from ${file.name}.\n` +
+        `Skipped ${report.errors.length} malformed entries:\n- ${report.errors.join('\n- ')}`
+    );
+  }
 });
 
 function updateAreaDisplay() {
@@ -112,37 +343,29 @@ function updateAreaDisplay() {
 }
 
 function updateFillControls() {
-  const selectedSegments = engine.getSelectedSegments();
-  const uniquePolylines = [...new Set(selectedSegments.map((s) => s.polyline))];
-
-  if (uniquePolylines.length === 1) {
-    const polyline = uniquePolylines[0];
-    const isClosed =
-      polyline.length >= 3 &&
-      Math.hypot(
-        polyline[0].x - polyline[polyline.length - 1].x,
-        polyline[0].y - polyline[polyline.length - 1].y
-      ) < 1;
-
-    if (isClosed) {
-      fillControls.classList.add('visible');
-
-      const hatch = engine.getPolylineHatch(polyline);
-      const currentHatchPattern = hatch?.pattern || 'SOLID';
-      const currentHatchColor =
-        hatch?.color || engine.getPolylineFillColor(polyline) || fillColorPicker.value;
-
-      const polyIndex = engine.getPolylines().indexOf(polyline);
-      const key = `${polyIndex}:${currentHatchPattern}:${currentHatchColor}`;
-
-      if (key !== lastFillUiKey) {
-        hatchPatternSelect.value = currentHatchPattern;
-        fillColorPicker.value = currentHatchColor;
-        lastFillUiKey = key;
-      }
+  // A single closed polyline or circle can be filled
+  const target = engine.getSelectedFillTarget();
+
+  if (target) {
+    fillControls.classList.add('visible');
+
+    const hatch = engine.getPolylineHatch(target);
+    const currentHatchPattern = hatch?.pattern || 'SOLID';
+    const currentHatchColor =
+      hatch?.color || engine.getPolylineFillColor(target) || fillColorPicker.value;
+
+    const entityIndex = Array.isArray(target)
+      ? `p${engine.getPolylines().indexOf(target)}`
+      : `c${engine.getCurves().indexOf(target)}`;
+    const key = `${entityIndex}:${currentHatchPattern}:${currentHatchColor}`;
 
-      return;
+    if (key !== lastFillUiKey) {
+      hatchPatternSelect.value = currentHatchPattern;
+      fillColorPicker.value = currentHatchColor;
+      lastFillUiKey = key;
     }
+
+    return;
   }
 
   fillControls.classList.remove('visible');
@@ -150,38 +373,179 @@ function updateFillControls() {
 }
 
 btnFillApply.addEventListener('click', () => {
-  const selectedSegments = engine.getSelectedSegments();
-  const uniquePolylines = [...new Set(selectedSegments.map((s) => s.polyline))];
-  if (uniquePolylines.length === 1) {
-    const polyline = uniquePolylines[0];
+  const polyline = engine.getSelectedFillTarget();
+  if (polyline) {
     const pattern = hatchPatternSelect.value || 'SOLID';
     const color = fillColorPicker.value;
-    if (pattern === 'SOLID') {
-      engine.setPolylineFillColor(polyline, color);
-      engine.setPolylineHatch(polyline, null, null);
-    } else {
-      engine.setPolylineFillColor(polyline, null);
-      engine.setPolylineHatch(polyline, pattern, color);
-    }
+    engine.transact('Fill', () => {
+      if (pattern === 'SOLID') {
+        engine.setPolylineFillColor(polyline, color);
+        engine.setPolylineHatch(polyline, null, null);
+      } else {
+        engine.setPolylineFillColor(polyline, null);
+        engine.setPolylineHatch(polyline, pattern, color);
+      }
+    });
   }
 });
 
 btnFillClear.addEventListener('click', () => {
-  const selectedSegments = engine.getSelectedSegments();
-  const uniquePolylines = [...new Set(selectedSegments.map((s) => s.polyline))];
-  if (uniquePolylines.length === 1) {
-    const polyline = uniquePolylines[0];
-    engine.setPolylineFillColor(polyline, null);
-    engine.setPolylineHatch(polyline, null, null);
+  const polyline = engine.getSelectedFillTarget();
+  if (polyline) {
+    engine.transact('Clear fill', () => {
+      engine.setPolylineFillColor(polyline, null);
+      engine.setPolylineHatch(polyline, null, null);
+    });
   }
 });
 
-// Line type / dash: optional future use (engine could use for stroke style)
-lineTypeSelector.addEventListener('change', () => {});
-styleDash.addEventListener('change', () => {});
+btnUndo.addEventListener('click', () => engine.undo());
+btnRedo.addEventListener('click', () => engine.redo());
+
+function updateHistoryButtons() {
+  btnUndo.disabled = !engine.canUndo();
+  btnRedo.disabled = !engine.canRedo();
+}
+
+// Line type / pattern edit the selection when there is one, otherwise the style for new geometry
+function applyStylePatch(patch) {
+  const selected = engine.getSelectedEntities();
+  if (selected.length > 0) engine.setEntitiesStyle(selected, patch);
+  else engine.setCurrentStyle(patch);
+  lastStyleUiKey = null;
+}
 
-// Lineweights toggle: optional visual (e.g. thicker strokes when on)
-viewToggle.addEventListener('change', () => {});
+lineTypeSelector.addEventListener('change', () => {
+  applyStylePatch(lineTypePatch(lineTypeSelector.value));
+});
+styleDash.addEventListener('change', () => {
+  applyStylePatch({ dash: styleDash.value });
+});
+
+// Lineweights toggle: wireframe (1px) or pens at their paper width for the current scale
+viewToggle.addEventListener('change', () => {
+  engine.setLineweightsEnabled(viewToggle.checked);
+});
+
+function updateStyleControls() {
+  // Show the first selected entity's style, or the current style when nothing is selected
+  const first = engine.getSelectedEntities()[0];
+  const style = first ? engine.getEntityStyle(first) : engine.getCurrentStyle();
+  const entityIndex = !first
+    ? 'current'
+    : Array.isArray(first)
+      ? `p${engine.getPolylines().indexOf(first)}`
+      : `c${engine.getCurves().indexOf(first)}`;
+  const key = `${entityIndex}:${style.lineType}:${style.dash}`;
+  if (key === lastStyleUiKey) return;
+  lineTypeSelector.value = style.lineType;
+  styleDash.value = style.dash;
+  lastStyleUiKey = key;
+}
+
+// Text settings edit the selected text and leaders as well as the style for new text
+textFont.addEventListener('change', () => engine.setTextStyle({ font: textFont.value }));
+textJustify.addEventListener('change', () => engine.setTextStyle({ justify: textJustify.value }));
+textHeight.addEventListener('change', () => {
+  const value = Number(textHeight.value);
+  if (textHeight.value !== '' && value > 0) engine.setTextStyle({ height: value });
+});
+textRotation.addEventListener('change', () => {
+  const value = Number(textRotation.value);
+  if (textRotation.value !== '' && Number.isFinite(value)) engine.setTextStyle({ rotation: (value * Math.PI) / 180 });
+});
+
+function updateTextControls() {
+  // Show the first selected text or leader's style, or the style for new text
+  const first = engine.getSelectedAnnotations().find((a) => a.kind === 'text' || a.kind === 'leader');
+  const style = { ...engine.getTextStyle(), ...(first && { font: first.font, height: first.height }) };
+  if (first?.kind === 'text') Object.assign(style, { rotation: first.rotation, justify: first.justify });
+  const key = JSON.stringify(style);
+  if (key === lastTextUiKey) return;
+  lastTextUiKey = key;
+  textFont.value = style.font;
+  textHeight.value = style.height;
+  textRotation.value = Math.round(((style.rotation * 180) / Math.PI) * 100) / 100;
+  textJustify.value = style.justify;
+}
+
+// Array settings edit the selected associative array when there is one, otherwise the next array
+function applyArrayPatch(patch) {
+  const selected = engine.getSelectedArray();
+  if (selected) engine.updateArray(selected, patch);
+  else engine.setArrayParams(patch);
+  lastArrayUiKey = null;
+}
+
+arrayMode.addEventListener('change', () => applyArrayPatch({ mode: arrayMode.value }));
+arrayRotateItems.addEventListener('change', () => {
+  applyArrayPatch({ rotateItems: arrayRotateItems.checked });
+});
+arrayAssociative.addEventListener('change', () => {
+  engine.setArrayParams({ associative: arrayAssociative.checked });
+});
+for (const [key, input] of Object.entries(arrayNumberInputs)) {
+  input.addEventListener('change', () => {
+    const value = Number(input.value);
+    if (input.value !== '' && Number.isFinite(value)) applyArrayPatch({ [key]: value });
+  });
+}
+
+function updateArrayControls() {
+  // Show the selected associative array's settings, or those for the next array
+  const selected = engine.getSelectedArray();
+  const params = selected ? selected.params : engine.getArrayParams();
+  const key = JSON.stringify([selected?.items.length ?? null, params]);
+  if (key === lastArrayUiKey) return;
+  lastArrayUiKey = key;
+  arrayMode.value = params.mode;
+  arrayRectFields.hidden = params.mode !== 'rectangular';
+  arrayPolarFields.hidden = params.mode !== 'polar';
+  for (const [name, input] of Object.entries(arrayNumberInputs)) input.value = params[name];
+  arrayRotateItems.checked = params.rotateItems;
+  arrayAssociative.checked = engine.getArrayParams().associative;
+  arrayReadout.hidden = !selected;
+  if (selected) {
+    const objects = selected.sources.length + selected.items.length;
+    arrayReadout.textContent = `Editing associative array (${objects} objects)`;
+  }
+}
+
+rectangleMode.addEventListener('change', () => engine.setShapeParams({ rectangle: rectangleMode.value }));
+rectangleCorner.addEventListener('change', () => engine.setShapeParams({ corner: rectangleCorner.value }));
+rectangleCornerSize.addEventListener('change', () => {
+  const value = Number(rectangleCornerSize.value);
+  if (rectangleCornerSize.value !== '' && Number.isFinite(value)) engine.setShapeParams({ cornerSize: value });
+  lastShapeUiKey = null;
+});
+polygonSides.addEventListener('change', () => {
+  const value = Number(polygonSides.value);
+  if (polygonSides.value !== '' && Number.isFinite(value)) engine.setShapeParams({ sides: value });
+  lastShapeUiKey = null;
+});
+polygonMode.addEventListener('change', () => engine.setShapeParams({ polygon: polygonMode.value }));
+
+function updateShapeControls() {
+  // Modes can also change from the command line (tool options)
+  const params = engine.getShapeParams();
+  const key = JSON.stringify(params);
+  if (key === lastShapeUiKey) return;
+  lastShapeUiKey = key;
+  rectangleMode.value = params.rectangle;
+  rectangleCorner.value = params.corner;
+  rectangleCornerSize.value = params.cornerSize;
+  rectangleCornerSize.disabled = params.corner === 'sharp';
+  polygonSides.value = params.sides;
+  polygonMode.value = params.polygon;
+}
+
+splineMethod.addEventListener('change', () => engine.setSplineMethod(splineMethod.value));
+
+function updateSplineControls() {
+  // The method can also change from the command line (Spline tool options)
+  const method = engine.getSplineMethod();
+  if (splineMethod.value !== method) splineMethod.value = method;
+}
 
 if (activeViewReadout) {
   const viewId = engine.getActiveViewId();
@@ -195,13 +559,38 @@ if (canvasWrapper && canvas) {
     const h = canvasWrapper.clientHeight || 600;
     canvas.width = w;
     canvas.height = h;
+    engine.requestRender();
   };
   resize();
   window.addEventListener('resize', resize);
 }
 engine.fitToSheets(40);
+updateHistoryButtons();
+
+// Benchmark mode (?benchmark or ?benchmark=<segments>): synthetic drawing plus a frame-time readout
+const benchmarkParam = new URLSearchParams(window.location.search).get('benchmark');
+if (benchmarkParam !== null) {
+  engine.loadDocument(createBenchmarkDocument(Number(benchmarkParam) || BENCHMARK_SEGMENTS));
+  engine.fitToContent(40);
+  const readout = document.getElementById('benchmark-readout');
+  readout.hidden = false;
+  setInterval(() => {
+    const { drawMs, staticMs, pointerMs, segments } = engine.getFrameStats();
+    readout.textContent =
+      `${segments.toLocaleString()} segments\n` +
+      `frame  ${drawMs.avg.toFixed(1)} ms avg, ${drawMs.max.toFixed(1)} max\n` +
+      `static ${staticMs.avg.toFixed(1)} ms avg, ${staticMs.max.toFixed(1)} max (cache rebuilds)\n` +
+      `cursor ${pointerMs.avg.toFixed(2)} ms avg, ${pointerMs.max.toFixed(2)} max`;
+  }, 500);
+}
 
 setInterval(() => {
   updateAreaDisplay();
   updateFillControls();
+  updateStyleControls();
+  updateArrayControls();
+  updateShapeControls();
+  updateSplineControls();
+  updateTextControls();
+  commandLine.update();
 }, 150);
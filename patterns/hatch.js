@@ -138,8 +138,9 @@ function getPattern(name) {
  * @param {{x:number,y:number}[]} polygonWorld
  * @param {string} patternName
  * @param {string} color
+ * @param {{x:number,y:number}[][]} [holesWorld] - inner rings left unhatched
  */
-export function renderHatch(ctx, viewport, polygonWorld, patternName, color) {
+export function renderHatch(ctx, viewport, polygonWorld, patternName, color, holesWorld = []) {
   if (!polygonWorld || polygonWorld.length < 3) return;
   const pattern = getPattern(patternName);
   if (!pattern || pattern.type === 'solid') return;
@@ -162,14 +163,16 @@ export function renderHatch(ctx, viewport, polygonWorld, patternName, color) {
   const L = diag * 4;
 
   ctx.save();
-  // Clip to polygon
+  // Clip to polygon (minus any holes)
   ctx.beginPath();
-  screenPts.forEach((s, i) => {
-    if (i === 0) ctx.moveTo(s.x, s.y);
-    else ctx.lineTo(s.x, s.y);
-  });
-  ctx.closePath();
-  ctx.clip();
+  for (const ring of [screenPts, ...holesWorld.map((h) => h.map((p) => viewport.toScreen(p)))]) {
+    ring.forEach((s, i) => {
+      if (i === 0) ctx.moveTo(s.x, s.y);
+      else ctx.lineTo(s.x, s.y);
+    });
+    ctx.closePath();
+  }
+  ctx.clip('evenodd');
 
   ctx.strokeStyle = color;
   ctx.fillStyle = color;
@@ -1,31 +1,36 @@
 /**
  * Arc tool: click 1 = center, click 2 = radius + start angle, click 3 = end angle.
- * Adds an open polyline (arc approximation).
+ * Adds a true arc entity; the arc takes the shorter way round from start to end. The radius and
+ * start angle can be typed instead (Tab), and then the sweep: anticlockwise on paper if positive.
  */
 
-import {
-  angleBetween,
-  constrainToAngle,
-  normalizeAngle,
-  snapAngle,
-  ANGLE_SNAP_TOLERANCE,
-} from '../utils/math.js';
-
-const SEGMENTS = 32;
-
-function arcPoints(cx, cy, r, startRad, endRad) {
-  const pts = [];
-  let a0 = startRad;
-  let a1 = endRad;
-  let da = a1 - a0;
+import { distance } from '../utils/math.js';
+import { createArc, traceCurve } from '../core/curves.js';
+import { createDynamicInput, paperAngle, polarPoint } from './dynamicInput.js';
+
+const RADIUS_FIELDS = [
+  { id: 'radius', label: 'Radius' },
+  { id: 'start', label: 'Start', angle: true },
+];
+const SWEEP_FIELDS = [{ id: 'sweep', label: 'Sweep', angle: true }];
+
+/** Sweep in degrees anticlockwise on paper from startRad to endRad, the shorter way round. */
+function shortSweep(startRad, endRad) {
+  let da = endRad - startRad;
   if (da > Math.PI) da -= Math.PI * 2;
   if (da < -Math.PI) da += Math.PI * 2;
-  for (let i = 0; i <= SEGMENTS; i++) {
-    const t = i / SEGMENTS;
-    const a = a0 + da * t;
-    pts.push({ x: cx + r * Math.cos(a), y: cy + r * Math.sin(a) });
-  }
-  return pts;
+  return (-da * 180) / Math.PI;
+}
+
+/**
+ * Arc from startRad sweeping sweepDeg degrees, anticlockwise on paper if positive. World angles
+ * increase clockwise on paper (y down), so a positive sweep ends at a smaller world angle.
+ */
+function sweptArc(centre, r, startRad, sweepDeg) {
+  const sweep = (sweepDeg * Math.PI) / 180;
+  return sweep >= 0
+    ? createArc(centre, r, startRad - sweep, startRad)
+    : createArc(centre, r, startRad, startRad - sweep);
 }
 
 /**
@@ -36,11 +41,63 @@ export function createArcTool(engine) {
   let centre = null;
   let radius = null;
   let startAngleRad = null;
+  const input = createDynamicInput(() => {
+    if (!centre) return [];
+    return radius == null ? RADIUS_FIELDS : SWEEP_FIELDS;
+  });
+
+  function reset() {
+    centre = null;
+    radius = null;
+    startAngleRad = null;
+    input.clear();
+  }
+
+  function cursor(ctx) {
+    return ctx.getSnap()?.point ?? ctx.worldMouse;
+  }
+
+  /** Second pick: a typed point, radius and/or start angle, else the cursor. */
+  function radiusPoint(ctx) {
+    const pt = cursor(ctx);
+    return input.point(centre) ?? polarPoint(centre, pt, input.value('radius'), input.value('start')) ?? pt;
+  }
+
+  /** Sweep of the third pick: typed, else the short way round to a typed end point or the cursor. */
+  function nextSweep(ctx) {
+    const sweep = input.value('sweep');
+    if (sweep !== null) return sweep;
+    const end = input.point(centre) ?? cursor(ctx);
+    return shortSweep(startAngleRad, Math.atan2(end.y - centre.y, end.x - centre.x));
+  }
+
+  function pick(ctx) {
+    if (!centre) {
+      const pt = input.point(null) ?? cursor(ctx);
+      centre = { x: pt.x, y: pt.y };
+      input.clear();
+      return;
+    }
+    if (radius == null) {
+      const pt = radiusPoint(ctx);
+      radius = Math.max(1, distance(centre, pt));
+      startAngleRad = Math.atan2(pt.y - centre.y, pt.x - centre.x);
+      input.clear();
+      return;
+    }
+    ctx.addCurve(sweptArc(centre, radius, startAngleRad, nextSweep(ctx)));
+    reset();
+  }
 
   return {
     id: 'arc',
     name: 'Arc',
 
+    get prompt() {
+      if (!centre) return 'Specify centre point';
+      return radius == null ? 'Specify start point' : 'Specify end point or type sweep angle';
+    },
+
     get centre() {
       return centre;
     },
@@ -55,96 +112,62 @@ export function createArcTool(engine) {
       return centre !== null;
     },
 
+    getBasePoint() {
+      return centre;
+    },
+
     cancel() {
-      centre = null;
-      radius = null;
-      startAngleRad = null;
+      reset();
     },
 
     activate() {
-      centre = null;
-      radius = null;
-      startAngleRad = null;
+      reset();
     },
 
     deactivate() {
-      centre = null;
-      radius = null;
-      startAngleRad = null;
+      reset();
     },
 
     onClick(ctx) {
-      const { viewport, getSnap, addPolyline, worldMouse, angleSnapMode, shiftKey } = ctx;
-      const useAngleSnap = angleSnapMode === 'always' || (angleSnapMode === 'shift' && shiftKey);
-
-      const snap = getSnap();
-      const pt = snap ? snap.point : worldMouse;
-
-      if (!centre) {
-        centre = { x: pt.x, y: pt.y };
-        return true;
-      }
+      pick(ctx);
+      return true;
+    },
 
-      if (radius == null) {
-        let radiusPt = pt;
-        if (useAngleSnap) {
-          const rawAngle = angleBetween(centre, worldMouse);
-          const snapTargets = [0, 90, 180, 270];
-          for (let k = -2; k <= 2; k++) snapTargets.push(normalizeAngle(rawAngle + k * 45));
-          const snappedAngle = snapAngle(rawAngle, snapTargets, ANGLE_SNAP_TOLERANCE);
-          if (snappedAngle !== null) radiusPt = constrainToAngle(centre, worldMouse, snappedAngle);
-        }
-        const dx = radiusPt.x - centre.x;
-        const dy = radiusPt.y - centre.y;
-        radius = Math.max(1, Math.hypot(dx, dy));
-        startAngleRad = Math.atan2(dy, dx);
+    onKeyDown(ctx) {
+      if (ctx.ctrlKey) return false;
+      if (ctx.key === 'Enter' && input.hasInput()) {
+        pick(ctx);
         return true;
       }
-
-      let endPt = pt;
-      if (useAngleSnap) {
-        const rawAngle = angleBetween(centre, worldMouse);
-        const snapTargets = [0, 90, 180, 270];
-        for (let k = -2; k <= 2; k++) snapTargets.push(normalizeAngle(rawAngle + k * 45));
-        const snappedAngle = snapAngle(rawAngle, snapTargets, ANGLE_SNAP_TOLERANCE);
-        if (snappedAngle !== null) endPt = constrainToAngle(centre, worldMouse, snappedAngle);
-      }
-      const dx = endPt.x - centre.x;
-      const dy = endPt.y - centre.y;
-      const endAngleRad = Math.atan2(dy, dx);
-      const pts = arcPoints(centre.x, centre.y, radius, startAngleRad, endAngleRad);
-      addPolyline(pts);
-      centre = null;
-      radius = null;
-      startAngleRad = null;
-      return true;
+      return input.onKey(ctx.key);
     },
 
     draw(ctx) {
-      if (!centre || radius == null || startAngleRad == null) return;
-      const { viewport, getSnap, worldMouse, angleSnapMode, shiftKey, gfx } = ctx;
-      const useAngleSnap = angleSnapMode === 'always' || (angleSnapMode === 'shift' && shiftKey);
-      let endPt = getSnap()?.point ?? worldMouse;
-      if (useAngleSnap) {
-        const rawAngle = angleBetween(centre, worldMouse);
-        const snapTargets = [0, 90, 180, 270];
-        for (let k = -2; k <= 2; k++) snapTargets.push(normalizeAngle(rawAngle + k * 45));
-        const snappedAngle = snapAngle(rawAngle, snapTargets, ANGLE_SNAP_TOLERANCE);
-        if (snappedAngle !== null) endPt = constrainToAngle(centre, worldMouse, snappedAngle);
+      if (!centre) {
+        input.draw(ctx);
+        return;
       }
-      const dx = endPt.x - centre.x;
-      const dy = endPt.y - centre.y;
-      const endAngleRad = Math.atan2(dy, dx);
-      const pts = arcPoints(centre.x, centre.y, radius, startAngleRad, endAngleRad);
+      const { viewport, gfx } = ctx;
       gfx.strokeStyle = 'rgba(0,0,0,0.5)';
       gfx.lineWidth = 1;
+      if (radius == null) {
+        const pt = radiusPoint(ctx);
+        const c = viewport.toScreen(centre);
+        const s = viewport.toScreen(pt);
+        gfx.setLineDash?.([4, 4]);
+        gfx.beginPath();
+        gfx.moveTo(c.x, c.y);
+        gfx.lineTo(s.x, s.y);
+        gfx.stroke();
+        gfx.setLineDash?.([]);
+        input.draw(ctx, { radius: distance(centre, pt), start: paperAngle(centre, pt) });
+        return;
+      }
+      const sweep = nextSweep(ctx);
       gfx.beginPath();
-      pts.forEach((p, i) => {
-        const s = viewport.toScreen(p);
-        if (i === 0) gfx.moveTo(s.x, s.y);
-        else gfx.lineTo(s.x, s.y);
-      });
+      traceCurve(gfx, viewport, sweptArc(centre, radius, startAngleRad, sweep));
       gfx.stroke();
+      input.draw(ctx, { sweep });
     },
   };
 }
@@ -0,0 +1,59 @@
+/**
+ * Array tool: copies the selection in a rectangular grid or round a centre, using the settings in
+ * the Array panel (engine arrayParams). Rectangular: click or Enter to create. Polar: click the
+ * centre point. The preview follows the current settings (and, for polar, the cursor).
+ */
+
+import { arrayTransforms, arrayItemCount } from '../core/arrays.js';
+import { withSelectionStep, drawPrompt } from './selectionStep.js';
+import { drawTransformed } from './modify.js';
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @returns {import('./types.js').Tool}
+ */
+export function createArrayTool(engine) {
+  function promptText() {
+    return engine.getState().arrayParams.mode === 'polar' ? 'Centre point' : 'Click or Enter to create';
+  }
+
+  function paramsAt(ctx) {
+    const params = ctx.arrayParams;
+    if (params.mode !== 'polar') return params;
+    const centre = ctx.getSnap()?.point ?? ctx.worldMouse;
+    return { ...params, centre: { x: centre.x, y: centre.y } };
+  }
+
+  function create(ctx) {
+    ctx.createArray(ctx.getSelectedEntities(), paramsAt(ctx));
+    // Back to selecting: the next array starts from a fresh selection
+    ctx.selectEntities([]);
+  }
+
+  return withSelectionStep(engine, {
+    id: 'array',
+    name: 'Array',
+
+    get prompt() {
+      return promptText();
+    },
+
+    onClick(ctx) {
+      create(ctx);
+      return true;
+    },
+
+    onKeyDown(ctx) {
+      if (ctx.key !== 'Enter' || ctx.arrayParams.mode === 'polar') return false;
+      create(ctx);
+      return true;
+    },
+
+    draw(ctx) {
+      const params = paramsAt(ctx);
+      const sources = ctx.getSelectedEntities();
+      drawTransformed(ctx, sources, arrayTransforms(params, sources));
+      drawPrompt(ctx, `${promptText()} (${arrayItemCount(params)} items)`);
+    },
+  });
+}
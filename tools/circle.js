@@ -1,20 +1,16 @@
 /**
- * Circle tool: first click = center, second click = radius. Adds a closed polyline (circle approximation).
+ * Circle tool: first click = center, second click = radius. Adds a true circle entity (centre + radius).
+ * The centre can be typed as a coordinate and the size as a radius or diameter (Tab).
  */
 
 import { distance } from '../utils/math.js';
-import { angleBetween, constrainToAngle, normalizeAngle, snapAngle, ANGLE_SNAP_TOLERANCE } from '../utils/math.js';
+import { createCircle, traceCurve } from '../core/curves.js';
+import { createDynamicInput } from './dynamicInput.js';
 
-const SEGMENTS = 64;
-
-function circlePoints(cx, cy, r) {
-  const pts = [];
-  for (let i = 0; i <= SEGMENTS; i++) {
-    const a = (i / SEGMENTS) * Math.PI * 2;
-    pts.push({ x: cx + r * Math.cos(a), y: cy + r * Math.sin(a) });
-  }
-  return pts;
-}
+const SIZE_FIELDS = [
+  { id: 'radius', label: 'Radius' },
+  { id: 'diameter', label: 'Diameter' },
+];
 
 /**
  * @param {{ getState: function, viewport: object }} engine
@@ -22,11 +18,49 @@ function circlePoints(cx, cy, r) {
  */
 export function createCircleTool(engine) {
   let centre = null;
+  const input = createDynamicInput(() => (centre ? SIZE_FIELDS : []));
+
+  function cursor(ctx) {
+    return ctx.getSnap()?.point ?? ctx.worldMouse;
+  }
+
+  /** Radius: typed radius or diameter, else to a typed point or the cursor. */
+  function nextRadius(ctx) {
+    const diameter = input.value('diameter');
+    const typed = input.value('radius') ?? (diameter !== null ? diameter / 2 : null);
+    return Math.max(1, typed ?? distance(centre, input.point(centre) ?? cursor(ctx)));
+  }
+
+  function pick(ctx) {
+    if (!centre) {
+      const p = input.point(null) ?? cursor(ctx);
+      centre = { x: p.x, y: p.y };
+    } else {
+      ctx.addCurve(createCircle(centre, nextRadius(ctx)));
+      centre = null;
+    }
+    input.clear();
+  }
 
   return {
     id: 'circle',
     name: 'Circle',
 
+    get prompt() {
+      if (!centre) return 'Specify centre point';
+      return input.activeField() === 'diameter' ? 'Specify diameter' : 'Specify radius';
+    },
+
+    get options() {
+      return centre && input.activeField() !== 'diameter' ? [{ key: 'D', label: 'Diameter' }] : [];
+    },
+
+    onOption(ctx, key) {
+      if (key !== 'D' || !centre) return false;
+      input.focus('diameter');
+      return true;
+    },
+
     get centre() {
       return centre;
     },
@@ -35,75 +69,53 @@ export function createCircleTool(engine) {
       return centre !== null;
     },
 
+    getBasePoint() {
+      return centre;
+    },
+
     cancel() {
       centre = null;
+      input.clear();
     },
 
     activate() {
       centre = null;
+      input.clear();
     },
 
     deactivate() {
       centre = null;
+      input.clear();
     },
 
     onClick(ctx) {
-      const { viewport, getSnap, addPolyline, worldMouse, angleSnapMode, shiftKey } = ctx;
-      const scale = viewport.getScale();
-      const useAngleSnap = angleSnapMode === 'always' || (angleSnapMode === 'shift' && shiftKey);
+      pick(ctx);
+      return true;
+    },
 
-      if (!centre) {
-        const snap = getSnap();
-        centre = snap ? { x: snap.point.x, y: snap.point.y } : { x: worldMouse.x, y: worldMouse.y };
+    onKeyDown(ctx) {
+      if (ctx.ctrlKey) return false;
+      if (ctx.key === 'Enter' && input.hasInput()) {
+        pick(ctx);
         return true;
       }
-
-      let radiusPt = getSnap()?.point ?? worldMouse;
-      if (useAngleSnap) {
-        const rawAngle = angleBetween(centre, worldMouse);
-        const stepDeg = 45;
-        const snapTargets = [0, 90, 180, 270];
-        for (let k = -2; k <= 2; k++) snapTargets.push(normalizeAngle(rawAngle + k * stepDeg));
-        const snappedAngle = snapAngle(rawAngle, snapTargets, ANGLE_SNAP_TOLERANCE);
-        if (snappedAngle !== null) radiusPt = constrainToAngle(centre, worldMouse, snappedAngle);
-      }
-
-      const dx = radiusPt.x - centre.x;
-      const dy = radiusPt.y - centre.y;
-      const r = Math.max(1, Math.hypot(dx, dy));
-      const pts = circlePoints(centre.x, centre.y, r);
-      addPolyline(pts);
-      centre = null;
-      return true;
+      return input.onKey(ctx.key);
     },
 
     draw(ctx) {
-      if (!centre) return;
-      const { viewport, getSnap, worldMouse, angleSnapMode, shiftKey, gfx } = ctx;
-      const useAngleSnap = angleSnapMode === 'always' || (angleSnapMode === 'shift' && shiftKey);
-      let radiusPt = getSnap()?.point ?? worldMouse;
-      if (useAngleSnap) {
-        const rawAngle = angleBetween(centre, worldMouse);
-        const stepDeg = 45;
-        const snapTargets = [0, 90, 180, 270];
-        for (let k = -2; k <= 2; k++) snapTargets.push(normalizeAngle(rawAngle + k * stepDeg));
-        const snappedAngle = snapAngle(rawAngle, snapTargets, ANGLE_SNAP_TOLERANCE);
-        if (snappedAngle !== null) radiusPt = constrainToAngle(centre, worldMouse, snappedAngle);
+      if (!centre) {
+        input.draw(ctx);
+        return;
       }
-      const dx = radiusPt.x - centre.x;
-      const dy = radiusPt.y - centre.y;
-      const r = Math.max(1, Math.hypot(dx, dy));
-      const pts = circlePoints(centre.x, centre.y, r);
+      const { viewport, gfx } = ctx;
+      const r = nextRadius(ctx);
       gfx.strokeStyle = 'rgba(0,0,0,0.5)';
       gfx.lineWidth = 1;
       gfx.setLineDash?.([]);
       gfx.beginPath();
-      pts.forEach((p, i) => {
-        const s = viewport.toScreen(p);
-        if (i === 0) gfx.moveTo(s.x, s.y);
-        else gfx.lineTo(s.x, s.y);
-      });
+      traceCurve(gfx, viewport, createCircle(centre, r));
       gfx.stroke();
+      input.draw(ctx, { radius: r, diameter: 2 * r });
     },
   };
 }
@@ -0,0 +1,237 @@
+/**
+ * Dimension tools (AutoCAD DIMLINEAR / DIMALIGNED / DIMANGULAR / DIMRADIUS / DIMDIAMETER, and
+ * DIMBASELINE / DIMCONTINUE). Linear and aligned: click two points, then place the dimension line;
+ * points snapped to polyline vertices keep the dimension attached to them. Angular: pick two
+ * segments, then place the arc. Radius and diameter: pick a circle or arc, then place the line.
+ * Baseline and continue chain on from the selected linear or aligned dimension (or the last one
+ * drawn): click each next point.
+ */
+
+import { createDimension, placeDimension, chainDimension, drawDimension } from '../core/dimensions.js';
+import { isCircular } from '../core/curves.js';
+import { pickEntity, setHoveredEntity } from './pick.js';
+import { drawPrompt } from './selectionStep.js';
+
+const PREVIEW_COLOR = '#2980b9';
+
+const TOOL_IDS = {
+  linear: { id: 'dimLinear', name: 'Linear dimension' },
+  aligned: { id: 'dimAligned', name: 'Aligned dimension' },
+  angular: { id: 'dimAngular', name: 'Angular dimension' },
+  radius: { id: 'dimRadius', name: 'Radius dimension' },
+  diameter: { id: 'dimDiameter', name: 'Diameter dimension' },
+};
+
+/** Point to measure: a snapped vertex or centre itself (so the dimension follows it), else a copy of the cursor. */
+function pickPoint(ctx) {
+  return ctx.getSnap()?.point ?? { x: ctx.worldMouse.x, y: ctx.worldMouse.y };
+}
+
+function drawPreview(ctx, dim) {
+  if (dim) drawDimension(ctx.gfx, ctx.viewport, dim, ctx.scaleDenom, PREVIEW_COLOR);
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @param {'linear'|'aligned'|'angular'|'radius'|'diameter'} type
+ * @returns {import('./types.js').Tool}
+ */
+function createDimensionTool(engine, type) {
+  let picks = []; // points (linear, aligned), segment end points (angular) or [curve] (radial)
+
+  function reset() {
+    picks = [];
+  }
+
+  /** Picks needed before the dimension follows the cursor. */
+  const needed = type === 'angular' ? 4 : type === 'radius' || type === 'diameter' ? 1 : 2;
+
+  function promptText() {
+    if (picks.length === needed) return type === 'angular' ? 'Place dimension arc' : 'Place dimension line';
+    if (type === 'angular') return picks.length === 0 ? 'Select first line' : 'Select second line';
+    if (type === 'radius' || type === 'diameter') return 'Select circle or arc';
+    return picks.length === 0 ? 'Specify first point' : 'Specify second point';
+  }
+
+  /** The dimension being placed at the cursor, or null while still picking. */
+  function pending(ctx) {
+    if (picks.length < needed) return null;
+    const props = type === 'radius' || type === 'diameter' ? { curve: picks[0] } : { points: picks };
+    return placeDimension(createDimension(type, props), ctx.getSnap()?.point ?? ctx.worldMouse);
+  }
+
+  /** Segment (angular) or curve (radial) under the cursor. */
+  function pickObject(ctx) {
+    const hit = pickEntity(ctx);
+    if (!hit) return null;
+    if (type === 'angular') return hit.segmentIndex === null ? null : hit;
+    return hit.segmentIndex === null && isCircular(hit.entity) ? hit : null;
+  }
+
+  const picksObjects = type !== 'linear' && type !== 'aligned';
+
+  return {
+    ...TOOL_IDS[type],
+
+    get prompt() {
+      return promptText();
+    },
+
+    isActive() {
+      return picks.length > 0;
+    },
+
+    cancel: reset,
+    activate: reset,
+    deactivate: reset,
+
+    onMouseMove(ctx) {
+      if (!picksObjects || picks.length === needed) return;
+      const hit = pickObject(ctx);
+      if (type === 'angular') {
+        ctx.setHoveredSegment(hit ? { polyline: hit.entity, segmentIndex: hit.segmentIndex } : null);
+      } else {
+        setHoveredEntity(ctx, hit?.entity ?? null);
+      }
+    },
+
+    onMouseDown() {
+      return true;
+    },
+
+    onClick(ctx) {
+      if (picks.length === needed) {
+        ctx.addAnnotation(pending(ctx));
+        reset();
+        return true;
+      }
+      if (!picksObjects) {
+        picks.push(pickPoint(ctx));
+        return true;
+      }
+      const hit = pickObject(ctx);
+      if (!hit) return true;
+      if (type === 'angular') {
+        // The segment's own vertices: the angle follows them when they move
+        picks.push(hit.entity[hit.segmentIndex], hit.entity[hit.segmentIndex + 1]);
+      } else {
+        picks.push(hit.entity);
+      }
+      setHoveredEntity(ctx, null);
+      return true;
+    },
+
+    onKeyDown(ctx) {
+      if (ctx.key === 'Escape' && picks.length > 0) {
+        reset();
+        return true;
+      }
+      return false;
+    },
+
+    draw(ctx) {
+      const { gfx, viewport } = ctx;
+      if (!picksObjects && picks.length === 1) {
+        const a = viewport.toScreen(picks[0]);
+        const b = viewport.toScreen(ctx.getSnap()?.point ?? ctx.worldMouse);
+        gfx.strokeStyle = PREVIEW_COLOR;
+        gfx.lineWidth = 1;
+        gfx.setLineDash?.([6, 4]);
+        gfx.beginPath();
+        gfx.moveTo(a.x, a.y);
+        gfx.lineTo(b.x, b.y);
+        gfx.stroke();
+        gfx.setLineDash?.([]);
+      }
+      drawPreview(ctx, pending(ctx));
+      drawPrompt(ctx, promptText());
+    },
+  };
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @param {'baseline'|'continue'} mode
+ * @returns {import('./types.js').Tool}
+ */
+function createChainTool(engine, mode) {
+  let base = null; // dimension the next one chains from
+
+  function reset() {
+    base = null;
+  }
+
+  /** Selected linear or aligned dimension, else the last one drawn. */
+  function baseFor(ctx) {
+    if (base && ctx.annotations.includes(base)) return base;
+    const chainable = (a) => (a.type === 'linear' || a.type === 'aligned') && ctx.isEntityEditable(a);
+    base = ctx.selectedAnnotations.filter(chainable).pop() ?? ctx.annotations.filter(chainable).pop() ?? null;
+    return base;
+  }
+
+  function promptText() {
+    return base ? `Specify next point (${mode})` : 'Draw a linear or aligned dimension first';
+  }
+
+  return {
+    id: mode === 'baseline' ? 'dimBaseline' : 'dimContinue',
+    name: mode === 'baseline' ? 'Baseline dimension' : 'Continue dimension',
+
+    get prompt() {
+      return promptText();
+    },
+
+    cancel: reset,
+    activate: reset,
+    deactivate: reset,
+
+    onMouseDown() {
+      return true;
+    },
+
+    onClick(ctx) {
+      const from = baseFor(ctx);
+      if (!from) return true;
+      base = chainDimension(from, pickPoint(ctx), mode, ctx.scaleDenom);
+      ctx.addAnnotation(base);
+      return true;
+    },
+
+    draw(ctx) {
+      const from = baseFor(ctx);
+      if (from) {
+        const next = ctx.getSnap()?.point ?? ctx.worldMouse;
+        drawPreview(ctx, chainDimension(from, next, mode, ctx.scaleDenom));
+      }
+      drawPrompt(ctx, promptText());
+    },
+  };
+}
+
+export function createLinearDimensionTool(engine) {
+  return createDimensionTool(engine, 'linear');
+}
+
+export function createAlignedDimensionTool(engine) {
+  return createDimensionTool(engine, 'aligned');
+}
+
+export function createAngularDimensionTool(engine) {
+  return createDimensionTool(engine, 'angular');
+}
+
+export function createRadiusDimensionTool(engine) {
+  return createDimensionTool(engine, 'radius');
+}
+
+export function createDiameterDimensionTool(engine) {
+  return createDimensionTool(engine, 'diameter');
+}
+
+export function createBaselineDimensionTool(engine) {
+  return createChainTool(engine, 'baseline');
+}
+
+export function createContinueDimensionTool(engine) {
+  return createChainTool(engine, 'continue');
+}
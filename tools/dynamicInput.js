@@ -0,0 +1,216 @@
+/**
+ * Dynamic input: values typed at the cursor while a tool picks points, so sizes are exact rather
+ * than eyeballed. Each step of a tool has fields (e.g. Length and Angle); digits go to the active
+ * field, Tab moves to the next and `<` to the angle field. A field with a value locks it: the
+ * cursor supplies the rest. Typing `@dx,dy` enters a point relative to the base point, `#x,y` (or
+ * just `x,y`) an absolute one in world mm. The tool applies the input on click or Enter.
+ *
+ * Angles are degrees anticlockwise on paper (world y points down).
+ */
+
+const FIELD_KEYS = /^[0-9.-]$/;
+const COORD_KEYS = /^[0-9.,-]$/;
+const COORD = /^([@#]?)(-?\d*\.?\d+),(-?\d*\.?\d+)$/;
+const FIELD_COLOR = '#2980b9';
+
+/**
+ * @typedef {{ id: string, label: string, angle?: boolean }} InputField
+ */
+
+/** Fields for the next point of a line or outline. */
+export const LENGTH_ANGLE_FIELDS = [
+  { id: 'length', label: 'Length' },
+  { id: 'angle', label: 'Angle', angle: true },
+];
+
+/** Direction from a to b in degrees anticlockwise on paper, [0, 360). */
+export function paperAngle(a, b) {
+  const deg = (Math.atan2(a.y - b.y, b.x - a.x) * 180) / Math.PI;
+  return deg < 0 ? deg + 360 : deg;
+}
+
+/** Point at length along angle (degrees anticlockwise on paper) from base. */
+export function pointAtAngle(base, length, angle) {
+  const rad = (angle * Math.PI) / 180;
+  // Typed right angles give exact coordinates, not cos(90°) ≈ 6e-17
+  const exact = angle % 90 === 0;
+  const cos = exact ? Math.round(Math.cos(rad)) : Math.cos(rad);
+  const sin = exact ? Math.round(Math.sin(rad)) : Math.sin(rad);
+  return { x: base.x + length * cos, y: base.y - length * sin };
+}
+
+/**
+ * Point from base with a typed length and/or angle; what is not typed comes from the cursor (the
+ * direction to it, or its distance along a locked angle). Null when neither is typed.
+ */
+export function polarPoint(base, cursor, length, angle) {
+  if (length === null && angle === null) return null;
+  const a = angle ?? paperAngle(base, cursor);
+  if (length !== null) return pointAtAngle(base, length, a);
+  const rad = (a * Math.PI) / 180;
+  const along = (cursor.x - base.x) * Math.cos(rad) - (cursor.y - base.y) * Math.sin(rad);
+  return pointAtAngle(base, Math.max(0, along), a);
+}
+
+/**
+ * @param {function(): InputField[]} getFields - fields for the tool's current step; typed values
+ *   are dropped when the step changes
+ */
+export function createDynamicInput(getFields) {
+  let fields = [];
+  let fieldsKey = '';
+  let text = {}; // field id → typed text
+  let active = 0;
+  let coord = null; // typed coordinate entry ('@10,20', '#10,20', '10,20'), or null
+
+  function reset() {
+    text = {};
+    active = 0;
+    coord = null;
+  }
+
+  function sync() {
+    const next = getFields();
+    const key = next.map((f) => f.id).join();
+    if (key === fieldsKey) return;
+    fields = next;
+    fieldsKey = key;
+    reset();
+  }
+
+  /** Typed number for a field, or null. */
+  function value(id) {
+    sync();
+    const t = text[id];
+    const n = t ? Number(t) : NaN;
+    return Number.isFinite(n) ? n : null;
+  }
+
+  /** Typed coordinate as a world point (relative ones from base), or null if none or incomplete. */
+  function point(base) {
+    sync();
+    const m = coord && COORD.exec(coord);
+    if (!m) return null;
+    const x = Number(m[2]);
+    const y = Number(m[3]);
+    if (m[1] !== '@') return { x, y };
+    return base ? { x: base.x + x, y: base.y + y } : null;
+  }
+
+  /** Drop typed values (after the tool applied them). */
+  function clear() {
+    sync();
+    reset();
+  }
+
+  /** Send typed digits to a field (a tool option such as Diameter). */
+  function focus(id) {
+    sync();
+    const i = fields.findIndex((f) => f.id === id);
+    if (i >= 0) active = i;
+  }
+
+  /** Id of the field typed digits go to, or null. */
+  function activeField() {
+    sync();
+    return fields[active]?.id ?? null;
+  }
+
+  function hasInput() {
+    sync();
+    return coord !== null || Object.values(text).some(Boolean);
+  }
+
+  /** Consume a key (KeyboardEvent.key); false if it is not dynamic input. Enter is the tool's. */
+  function onKey(key) {
+    sync();
+    const field = fields[active];
+    if (key === 'Tab') {
+      if (fields.length === 0) return false;
+      coord = null;
+      active = (active + 1) % fields.length;
+      return true;
+    }
+    if (key === 'Escape' || key === 'Backspace') {
+      if (!hasInput()) return false;
+      if (key === 'Escape') reset();
+      else if (coord !== null) coord = coord.slice(0, -1) || null;
+      else if (text[field?.id]) text[field.id] = text[field.id].slice(0, -1);
+      else return false;
+      return true;
+    }
+    if (key === '@' || key === '#') {
+      coord = key;
+      return true;
+    }
+    if (coord !== null || !field) {
+      if (!COORD_KEYS.test(key)) return false;
+      coord = (coord ?? '') + key;
+      return true;
+    }
+    if (key === '<') {
+      const angleField = fields.findIndex((f) => f.angle);
+      if (angleField < 0) return false;
+      active = angleField;
+      return true;
+    }
+    if (key === ',') {
+      // x,y typed into a field: it was a coordinate all along
+      coord = `${text[field.id] ?? ''},`;
+      text[field.id] = '';
+      return true;
+    }
+    if (!FIELD_KEYS.test(key)) return false;
+    text[field.id] = (text[field.id] ?? '') + key;
+    return true;
+  }
+
+  /**
+   * Fields below the cursor: typed values in black, live values (what the cursor gives) in grey.
+   * @param {Object} ctx - tool context
+   * @param {Object<string, number>} live - by field id
+   */
+  function draw(ctx, live = {}) {
+    sync();
+    const { gfx, mouse } = ctx;
+    const boxes = [];
+    if (coord !== null || fields.length === 0) {
+      const w = ctx.worldMouse;
+      boxes.push({ label: 'Point', value: coord ?? `${Math.round(w.x)},${Math.round(w.y)}`, typed: coord !== null });
+    } else {
+      fields.forEach((f, i) => {
+        const typed = !!text[f.id];
+        const shown = typed ? text[f.id] : formatLive(live[f.id], f.angle);
+        boxes.push({ label: f.label, value: f.angle ? `${shown}°` : shown, typed, active: i === active });
+      });
+    }
+    gfx.save();
+    gfx.font = '11px Arial';
+    gfx.setLineDash?.([]);
+    gfx.lineWidth = 1;
+    let x = mouse.x + 15;
+    const y = mouse.y + 30;
+    for (const box of boxes) {
+      const label = `${box.label} `;
+      const labelW = gfx.measureText(label).width;
+      const valueW = Math.max(40, gfx.measureText(box.value).width + 8);
+      gfx.fillStyle = '#7f8c8d';
+      gfx.fillText(label, x, y + 12);
+      gfx.fillStyle = 'white';
+      gfx.fillRect(x + labelW, y, valueW, 16);
+      gfx.strokeStyle = box.active ? FIELD_COLOR : '#bdc3c7';
+      gfx.strokeRect(x + labelW, y, valueW, 16);
+      gfx.fillStyle = box.typed ? 'black' : '#95a5a6';
+      gfx.fillText(box.value, x + labelW + 4, y + 12);
+      x += labelW + valueW + 8;
+    }
+    gfx.restore();
+  }
+
+  return { value, point, hasInput, focus, activeField, onKey, clear, draw };
+}
+
+function formatLive(n, angle) {
+  if (n == null || !Number.isFinite(n)) return '';
+  return angle ? String(Number(n.toFixed(1))) : String(Math.round(n));
+}
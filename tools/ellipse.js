@@ -0,0 +1,242 @@
+/**
+ * Ellipse tool: centre, then the end of one axis (its radius and direction), then the distance to
+ * the other axis. Adds a true ellipse entity. The Arc option at the first prompt (or the Elliptical
+ * Arc tool) goes on to a start and end angle; the arc runs anticlockwise on paper from start to
+ * end. Radii and angles can be typed (Tab), angles as directions from the centre.
+ */
+
+import { distance } from '../utils/math.js';
+import { createEllipse, createEllipseArc, ellipseAngleOf, traceCurve } from '../core/curves.js';
+import { sideOffset } from '../core/shapes.js';
+import { createDynamicInput, paperAngle, polarPoint, pointAtAngle } from './dynamicInput.js';
+
+const AXIS_FIELDS = [
+  { id: 'radius', label: 'Radius' },
+  { id: 'angle', label: 'Angle', angle: true },
+];
+const OTHER_AXIS_FIELDS = [{ id: 'radius', label: 'Radius' }];
+const START_FIELDS = [{ id: 'start', label: 'Start', angle: true }];
+const END_FIELDS = [{ id: 'end', label: 'End', angle: true }];
+const FIELDS_BY_STEP = [[], AXIS_FIELDS, OTHER_AXIS_FIELDS, START_FIELDS, END_FIELDS];
+
+const PROMPTS = [
+  'Specify centre point',
+  'Specify endpoint of axis',
+  'Specify distance to other axis',
+  'Specify start angle',
+  'Specify end angle',
+];
+
+function cursor(ctx) {
+  return ctx.getSnap()?.point ?? ctx.worldMouse;
+}
+
+/**
+ * Shared by the Ellipse and Elliptical Arc tools: picks so far, then the step they are at
+ * (0 centre … 4 end angle).
+ */
+function createEllipsePicker(engine, { id, name, arc: startsAsArc }) {
+  let centre = null;
+  let ellipse = null; // once both axes are known
+  let axis = null; // { radius, rotation } once the first axis is known
+  let startAngle = null; // ellipse angle, once picked
+  let arc = startsAsArc;
+  const input = createDynamicInput(() => FIELDS_BY_STEP[step()]);
+
+  function step() {
+    if (!centre) return 0;
+    if (!axis) return 1;
+    if (!ellipse) return 2;
+    return startAngle === null ? 3 : 4;
+  }
+
+  function reset() {
+    centre = null;
+    ellipse = null;
+    axis = null;
+    startAngle = null;
+    arc = startsAsArc;
+    input.clear();
+  }
+
+  /** End of the first axis: a typed point, radius and/or angle, else the cursor. */
+  function axisPoint(ctx) {
+    const pt = cursor(ctx);
+    return input.point(centre) ?? polarPoint(centre, pt, input.value('radius'), input.value('angle')) ?? pt;
+  }
+
+  /** Distance to the other axis: typed, else how far the cursor is off the first axis. */
+  function otherRadius(ctx) {
+    const typed = input.value('radius');
+    if (typed !== null) return Math.max(1, Math.abs(typed));
+    const along = { x: centre.x + Math.cos(axis.rotation), y: centre.y + Math.sin(axis.rotation) };
+    return Math.max(1, Math.abs(sideOffset(centre, along, input.point(centre) ?? cursor(ctx))));
+  }
+
+  /** Point whose direction from the centre gives the angle being picked (typed, else the cursor). */
+  function anglePoint(ctx, field) {
+    const typed = input.value(field);
+    if (typed !== null) return pointAtAngle(centre, 1, typed);
+    return input.point(centre) ?? cursor(ctx);
+  }
+
+  /** Ellipse with the first axis and the other radius from the cursor. */
+  function pendingEllipse(ctx) {
+    return createEllipse(centre, axis.radius, otherRadius(ctx), axis.rotation);
+  }
+
+  /** Anticlockwise on paper from start to end: world angles run the other way. */
+  function pendingArc(ctx) {
+    const end = ellipseAngleOf(ellipse, anglePoint(ctx, 'end'));
+    const { radiusX, radiusY, rotation } = ellipse;
+    return createEllipseArc(centre, radiusX, radiusY, rotation, end, startAngle);
+  }
+
+  function pick(ctx) {
+    const current = step();
+    if (current === 0) {
+      const pt = input.point(null) ?? cursor(ctx);
+      centre = { x: pt.x, y: pt.y };
+    } else if (current === 1) {
+      const pt = axisPoint(ctx);
+      const radius = distance(centre, pt);
+      if (radius < 1) {
+        ctx.echo('Axis has no length');
+        return;
+      }
+      axis = { radius, rotation: Math.atan2(pt.y - centre.y, pt.x - centre.x) };
+    } else if (current === 2) {
+      ellipse = pendingEllipse(ctx);
+      if (!arc) {
+        ctx.addCurve(ellipse);
+        reset();
+        return;
+      }
+    } else if (current === 3) {
+      startAngle = ellipseAngleOf(ellipse, anglePoint(ctx, 'start'));
+    } else {
+      ctx.addCurve(pendingArc(ctx));
+      reset();
+      return;
+    }
+    input.clear();
+  }
+
+  function drawDashed(ctx, a, b) {
+    const { viewport, gfx } = ctx;
+    const s = viewport.toScreen(a);
+    const e = viewport.toScreen(b);
+    gfx.setLineDash?.([4, 4]);
+    gfx.beginPath();
+    gfx.moveTo(s.x, s.y);
+    gfx.lineTo(e.x, e.y);
+    gfx.stroke();
+    gfx.setLineDash?.([]);
+  }
+
+  function drawCurve(ctx, curve) {
+    const { viewport, gfx } = ctx;
+    gfx.beginPath();
+    traceCurve(gfx, viewport, curve);
+    gfx.stroke();
+  }
+
+  return {
+    id,
+    name,
+
+    get prompt() {
+      return PROMPTS[step()];
+    },
+
+    get options() {
+      return step() === 0 && !arc ? [{ key: 'A', label: 'Arc' }] : [];
+    },
+
+    onOption(ctx, key) {
+      if (key !== 'A' || step() !== 0 || arc) return false;
+      arc = true;
+      return true;
+    },
+
+    isActive() {
+      return centre !== null;
+    },
+
+    getBasePoint() {
+      return centre;
+    },
+
+    cancel: reset,
+    activate: reset,
+    deactivate: reset,
+
+    onClick(ctx) {
+      pick(ctx);
+      return true;
+    },
+
+    onKeyDown(ctx) {
+      if (ctx.ctrlKey) return false;
+      if (ctx.key === 'Enter' && input.hasInput()) {
+        pick(ctx);
+        return true;
+      }
+      if (ctx.key === 'Escape' && !input.hasInput() && centre) {
+        reset();
+        return true;
+      }
+      return input.onKey(ctx.key);
+    },
+
+    draw(ctx) {
+      const current = step();
+      if (current === 0) {
+        input.draw(ctx);
+        return;
+      }
+      const { gfx } = ctx;
+      gfx.strokeStyle = 'rgba(0,0,0,0.5)';
+      gfx.lineWidth = 1;
+      gfx.setLineDash?.([]);
+      if (current === 1) {
+        const pt = axisPoint(ctx);
+        drawDashed(ctx, centre, pt);
+        input.draw(ctx, { radius: distance(centre, pt), angle: paperAngle(centre, pt) });
+        return;
+      }
+      if (current === 2) {
+        const pending = pendingEllipse(ctx);
+        drawCurve(ctx, pending);
+        input.draw(ctx, { radius: pending.radiusY });
+        return;
+      }
+      const field = current === 3 ? 'start' : 'end';
+      const pt = anglePoint(ctx, field);
+      drawDashed(ctx, centre, pt);
+      if (current === 3) {
+        gfx.strokeStyle = 'rgba(0,0,0,0.25)';
+        drawCurve(ctx, ellipse);
+      } else {
+        drawCurve(ctx, pendingArc(ctx));
+      }
+      input.draw(ctx, { [field]: paperAngle(centre, pt) });
+    },
+  };
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @returns {import('./types.js').Tool}
+ */
+export function createEllipseTool(engine) {
+  return createEllipsePicker(engine, { id: 'ellipse', name: 'Ellipse', arc: false });
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @returns {import('./types.js').Tool}
+ */
+export function createEllipseArcTool(engine) {
+  return createEllipsePicker(engine, { id: 'ellipseArc', name: 'Elliptical Arc', arc: true });
+}
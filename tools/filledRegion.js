@@ -3,15 +3,9 @@
  * Adds a closed polyline; fill can be applied via Selection UI.
  */
 
-import {
-  distance,
-  CLOSE_LOOP_THRESHOLD,
-  angleBetween,
-  snapAngle,
-  constrainToAngle,
-  normalizeAngle,
-  ANGLE_SNAP_TOLERANCE,
-} from '../utils/math.js';
+import { distance, CLOSE_LOOP_THRESHOLD } from '../utils/math.js';
+import { createDynamicInput, polarPoint, paperAngle, LENGTH_ANGLE_FIELDS } from './dynamicInput.js';
+import { pointOptions } from './line.js';
 
 /**
  * @param {{ getState: function, viewport: object }} engine
@@ -19,115 +13,121 @@ import {
  */
 export function createFilledRegionTool(engine) {
   let current = [];
+  const input = createDynamicInput(() => (current.length > 0 ? LENGTH_ANGLE_FIELDS : []));
+
+  /** Next point: typed length / angle or coordinate, else the snapped cursor. */
+  function nextPoint(ctx) {
+    const cursor = ctx.getSnap()?.point ?? ctx.worldMouse;
+    const base = current[current.length - 1];
+    const typed = base ? polarPoint(base, cursor, input.value('length'), input.value('angle')) : null;
+    return input.point(base) ?? typed ?? cursor;
+  }
+
+  function addPoint(ctx, point) {
+    const { viewport, setSelectedLines, addPolyline } = ctx;
+    const scale = viewport.getScale();
+    const p = { x: point.x, y: point.y };
+    input.clear();
+
+    if (current.length >= 2) {
+      const first = current[0];
+      if (distance(p, first) < CLOSE_LOOP_THRESHOLD / scale) {
+        current.push({ x: first.x, y: first.y });
+        addPolyline([...current]);
+        current = [];
+        setSelectedLines([]);
+        return;
+      }
+    }
+
+    setSelectedLines([]);
+    current.push(p);
+  }
+
+  /** Returns closed points array to add, or null. Engine should add them. */
+  function finish() {
+    input.clear();
+    if (current.length < 3) {
+      current = [];
+      return null;
+    }
+    const pts = current.map((p) => ({ x: p.x, y: p.y }));
+    if (distance(pts[0], pts[pts.length - 1]) > 1) {
+      pts.push({ x: pts[0].x, y: pts[0].y });
+    }
+    current = [];
+    return pts;
+  }
 
   return {
     id: 'filledRegion',
     name: 'Filled Region',
 
+    get prompt() {
+      return current.length === 0 ? 'Specify first point' : 'Specify next point';
+    },
+
+    get options() {
+      return pointOptions(current.length);
+    },
+
+    onOption(ctx, key) {
+      if (key === 'C' && current.length >= 3) ctx.addPolyline(finish());
+      else if (key === 'U' && current.length > 0) current.pop();
+      else return false;
+      input.clear();
+      return true;
+    },
+
     getCurrentPoints() {
       return current;
     },
 
+    getBasePoint() {
+      return current[current.length - 1] ?? null;
+    },
+
     cancel() {
       current = [];
+      input.clear();
     },
 
     activate() {
       current = [];
+      input.clear();
     },
 
     deactivate() {
       current = [];
+      input.clear();
     },
 
-    /** Returns closed points array to add, or null. Engine should add them. */
-    finish() {
-      if (current.length < 3) {
-        current = [];
-        return null;
-      }
-      const pts = current.map((p) => ({ x: p.x, y: p.y }));
-      if (distance(pts[0], pts[pts.length - 1]) > 1) {
-        pts.push({ x: pts[0].x, y: pts[0].y });
-      }
-      current = [];
-      return pts;
-    },
+    finish,
 
     onClick(ctx) {
-      const { viewport, getSnap, addPolyline, setSelectedLines, worldMouse, angleSnapMode, shiftKey } = ctx;
-      const scale = viewport.getScale();
-      const useAngleSnap = angleSnapMode === 'always' || (angleSnapMode === 'shift' && shiftKey);
+      addPoint(ctx, nextPoint(ctx));
+      return true;
+    },
 
-      let p = getSnap()?.point ?? worldMouse;
-      const snap = getSnap();
-      if (!snap && current.length > 0 && useAngleSnap) {
-        const last = current[current.length - 1];
-        const rawAngle = angleBetween(last, worldMouse);
-        const snapTargets = [0, 90, 180, 270];
-        if (current.length >= 2) {
-          const prevAngle = angleBetween(current[current.length - 2], last);
-          snapTargets.push(
-            prevAngle,
-            normalizeAngle(prevAngle + 45),
-            normalizeAngle(prevAngle - 45),
-            normalizeAngle(prevAngle + 90),
-            normalizeAngle(prevAngle - 90),
-            normalizeAngle(prevAngle + 135),
-            normalizeAngle(prevAngle - 135),
-            normalizeAngle(prevAngle + 180)
-          );
-        }
-        const snappedAngle = snapAngle(rawAngle, snapTargets, ANGLE_SNAP_TOLERANCE);
-        if (snappedAngle !== null) p = constrainToAngle(last, worldMouse, snappedAngle);
-      } else {
-        p = { x: p.x, y: p.y };
+    onKeyDown(ctx) {
+      if (ctx.ctrlKey) return false;
+      if (ctx.key === 'Enter' && input.hasInput()) {
+        addPoint(ctx, nextPoint(ctx));
+        return true;
       }
-
-      if (current.length >= 2) {
-        const first = current[0];
-        if (distance(p, first) < CLOSE_LOOP_THRESHOLD / scale) {
-          current.push({ x: first.x, y: first.y });
-          addPolyline([...current]);
-          current = [];
-          setSelectedLines([]);
-          return true;
-        }
+      if (ctx.key === 'Enter' && current.length >= 3) {
+        // Nothing typed: close the region
+        ctx.addPolyline(finish());
+        return true;
       }
-
-      setSelectedLines([]);
-      current.push(p);
-      return true;
+      return input.onKey(ctx.key);
     },
 
     draw(ctx) {
-      const { viewport, mouse, getSnap, gfx, angleSnapMode, shiftKey } = ctx;
+      const { viewport, gfx } = ctx;
       const scale = viewport.getScale();
       const toScreen = viewport.toScreen.bind(viewport);
-      const useAngleSnap = angleSnapMode === 'always' || (angleSnapMode === 'shift' && shiftKey);
-
-      const snap = getSnap();
-      let worldMouse = snap?.point ?? ctx.worldMouse;
-      if (!snap && current.length > 0 && useAngleSnap) {
-        const last = current[current.length - 1];
-        const rawAngle = angleBetween(last, ctx.worldMouse);
-        const snapTargets = [0, 90, 180, 270];
-        if (current.length >= 2) {
-          const prevAngle = angleBetween(current[current.length - 2], last);
-          snapTargets.push(
-            prevAngle,
-            normalizeAngle(prevAngle + 45),
-            normalizeAngle(prevAngle - 45),
-            normalizeAngle(prevAngle + 90),
-            normalizeAngle(prevAngle - 90),
-            normalizeAngle(prevAngle + 135),
-            normalizeAngle(prevAngle - 135),
-            normalizeAngle(prevAngle + 180)
-          );
-        }
-        const snappedAngle = snapAngle(rawAngle, snapTargets, ANGLE_SNAP_TOLERANCE);
-        if (snappedAngle !== null) worldMouse = constrainToAngle(last, ctx.worldMouse, snappedAngle);
-      }
+      const worldMouse = nextPoint(ctx);
 
       const drawLine = (points) => {
         gfx.beginPath();
@@ -156,10 +156,9 @@ export function createFilledRegionTool(engine) {
         gfx.strokeStyle = 'black';
         gfx.lineWidth = 1;
         drawLine([...current, worldMouse]);
-        const len = distance(last, worldMouse).toFixed(1);
-        gfx.fillStyle = 'black';
-        gfx.font = '12px Arial';
-        gfx.fillText(`${len}`, mouse.x + 10, mouse.y - 10);
+        input.draw(ctx, { length: distance(last, worldMouse), angle: paperAngle(last, worldMouse) });
+      } else {
+        input.draw(ctx);
       }
     },
   };
@@ -0,0 +1,192 @@
+/**
+ * Fillet and Chamfer tools (AutoCAD FILLET / CHAMFER): pick two segments, either neighbours on one
+ * polyline (the corner between them) or end segments of two polylines (trimmed or extended to
+ * meet, then joined). A fillet that leaves the result open adds a true arc between the trimmed
+ * polylines. Fillet: type a radius and press Enter; 0 makes a clean corner. Chamfer: type two
+ * distances as "d1,d2", or a distance and angle as "d<angle"; one number sets both distances.
+ * The values are kept, so several corners can be done in a row.
+ */
+
+import { filletSegments } from '../core/fillet.js';
+import { traceCurve } from '../core/curves.js';
+import { pickEntity, setHoveredEntity } from './pick.js';
+import { drawPrompt } from './selectionStep.js';
+
+const PREVIEW_COLOR = '#2980b9';
+
+/** Picked polyline segment under the cursor, or null (curves cannot be filleted). */
+function pickSegment(ctx) {
+  const hit = pickEntity(ctx);
+  if (!hit || hit.segmentIndex === null) return null;
+  const pick = { x: ctx.worldMouse.x, y: ctx.worldMouse.y };
+  return { polyline: hit.entity, segmentIndex: hit.segmentIndex, pick };
+}
+
+/** Chamfer corner from typed text ("d", "d1,d2" or "d<angle"), or null if malformed. */
+function parseChamfer(text) {
+  const [d, angle] = text.split('<');
+  if (angle !== undefined) {
+    const distance = parseFloat(d);
+    const deg = parseFloat(angle);
+    return distance >= 0 && deg > 0 && deg < 180 ? { type: 'chamfer', distance, angle: deg } : null;
+  }
+  const parts = text.split(',').map(parseFloat);
+  const [d1, d2 = d1] = parts;
+  return parts.length <= 2 && d1 >= 0 && d2 >= 0 ? { type: 'chamfer', distances: [d1, d2] } : null;
+}
+
+function describe(corner) {
+  if (corner.type === 'fillet') return `radius ${corner.radius}`;
+  if (corner.distances) return `distances ${corner.distances[0]}, ${corner.distances[1]}`;
+  return `distance ${corner.distance}, angle ${corner.angle}°`;
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @param {'fillet'|'chamfer'} mode
+ * @returns {import('./types.js').Tool}
+ */
+function createCornerTool(engine, mode) {
+  let corner = mode === 'fillet' ? { type: 'fillet', radius: 0 } : { type: 'chamfer', distances: [0, 0] };
+  let typed = '';
+  let first = null;
+  let failed = false;
+  const keys = mode === 'fillet' ? /^[0-9.]$/ : /^[0-9.,<]$/;
+  const name = mode === 'fillet' ? 'Fillet' : 'Chamfer';
+
+  function reset() {
+    first = null;
+    typed = '';
+    failed = false;
+  }
+
+  function promptText() {
+    if (typed) return `${name} ${mode === 'fillet' ? 'radius' : 'd1,d2 or d<angle'}: ${typed}`;
+    if (failed) return `Cannot ${mode} these segments`;
+    if (first) return 'Select second segment';
+    return `Select first segment (${describe(corner)}; type to change)`;
+  }
+
+  function pending(ctx) {
+    if (!first) return null;
+    const second = pickSegment(ctx);
+    return second ? filletSegments(first, second, corner) : null;
+  }
+
+  return {
+    id: mode,
+    name,
+
+    get prompt() {
+      return promptText();
+    },
+
+    isActive() {
+      return first !== null || typed !== '';
+    },
+
+    cancel: reset,
+    activate: reset,
+    deactivate: reset,
+
+    onMouseMove(ctx) {
+      const hover = pickSegment(ctx);
+      ctx.setHoveredSegment(hover ? { polyline: hover.polyline, segmentIndex: hover.segmentIndex } : null);
+    },
+
+    onMouseDown() {
+      return true;
+    },
+
+    onClick(ctx) {
+      const picked = pickSegment(ctx);
+      failed = false;
+      if (first && !ctx.polylines.includes(first.polyline)) first = null; // undone meanwhile
+      if (!picked) return true;
+      if (!first) {
+        first = picked;
+        return true;
+      }
+      const result = filletSegments(first, picked, corner);
+      first = null;
+      if (!result) {
+        failed = true;
+        return true;
+      }
+      ctx.replaceEntities(result.remove, result.pieces, name);
+      setHoveredEntity(ctx, null);
+      return true;
+    },
+
+    onKeyDown(ctx) {
+      const { key, ctrlKey } = ctx;
+      if (ctrlKey) return false;
+      if (keys.test(key)) {
+        typed += key;
+        return true;
+      }
+      if (key === 'Backspace' && typed) {
+        typed = typed.slice(0, -1);
+        return true;
+      }
+      if (key === 'Enter') {
+        if (mode === 'fillet') {
+          const radius = parseFloat(typed);
+          if (radius >= 0) corner = { type: 'fillet', radius };
+        } else {
+          corner = parseChamfer(typed) ?? corner;
+        }
+        typed = '';
+        return true;
+      }
+      if (key === 'Escape' && (first || typed)) {
+        reset();
+        return true;
+      }
+      return false;
+    },
+
+    draw(ctx) {
+      const { gfx, viewport } = ctx;
+      if (first) {
+        const a = viewport.toScreen(first.polyline[first.segmentIndex]);
+        const b = viewport.toScreen(first.polyline[first.segmentIndex + 1]);
+        gfx.strokeStyle = PREVIEW_COLOR;
+        gfx.lineWidth = 3;
+        gfx.beginPath();
+        gfx.moveTo(a.x, a.y);
+        gfx.lineTo(b.x, b.y);
+        gfx.stroke();
+      }
+      const result = pending(ctx);
+      if (result) {
+        gfx.strokeStyle = PREVIEW_COLOR;
+        gfx.lineWidth = 1;
+        gfx.setLineDash?.([6, 4]);
+        gfx.beginPath();
+        for (const piece of result.pieces) {
+          if (!Array.isArray(piece)) {
+            traceCurve(gfx, viewport, piece);
+            continue;
+          }
+          piece.forEach((p, i) => {
+            const s = viewport.toScreen(p);
+            if (i === 0) gfx.moveTo(s.x, s.y);
+            else gfx.lineTo(s.x, s.y);
+          });
+        }
+        gfx.stroke();
+        gfx.setLineDash?.([]);
+      }
+      drawPrompt(ctx, promptText());
+    },
+  };
+}
+
+export function createFilletTool(engine) {
+  return createCornerTool(engine, 'fillet');
+}
+
+export function createChamferTool(engine) {
+  return createCornerTool(engine, 'chamfer');
+}
@@ -10,6 +10,32 @@ import { createSelectTool } from './select.js';
 import { createCircleTool } from './circle.js';
 import { createArcTool } from './arc.js';
 import { createFilledRegionTool } from './filledRegion.js';
+import { createRectangleTool, createPolygonTool } from './shapes.js';
+import { createEllipseTool, createEllipseArcTool } from './ellipse.js';
+import { createSplineTool } from './spline.js';
+import {
+  createMoveTool,
+  createCopyTool,
+  createRotateTool,
+  createScaleTool,
+  createMirrorTool,
+} from './modify.js';
+import { createArrayTool } from './array.js';
+import { createOffsetTool } from './offset.js';
+import { createTrimTool, createExtendTool } from './trim.js';
+import { createFilletTool, createChamferTool } from './fillet.js';
+import {
+  createLinearDimensionTool,
+  createAlignedDimensionTool,
+  createAngularDimensionTool,
+  createRadiusDimensionTool,
+  createDiameterDimensionTool,
+  createBaselineDimensionTool,
+  createContinueDimensionTool,
+} from './dimension.js';
+import { createTextTool, createLeaderTool } from './text.js';
+import { createDistanceTool } from './measure.js';
+import { createZoomWindowTool } from './zoom.js';
 
 /**
  * @param {{ getState: function, viewport: object }} engine
@@ -22,5 +48,32 @@ export function createTools(engine) {
     createCircleTool(engine),
     createArcTool(engine),
     createFilledRegionTool(engine),
+    createRectangleTool(engine),
+    createPolygonTool(engine),
+    createEllipseTool(engine),
+    createEllipseArcTool(engine),
+    createSplineTool(engine),
+    createMoveTool(engine),
+    createCopyTool(engine),
+    createRotateTool(engine),
+    createScaleTool(engine),
+    createMirrorTool(engine),
+    createArrayTool(engine),
+    createOffsetTool(engine),
+    createTrimTool(engine),
+    createExtendTool(engine),
+    createFilletTool(engine),
+    createChamferTool(engine),
+    createLinearDimensionTool(engine),
+    createAlignedDimensionTool(engine),
+    createAngularDimensionTool(engine),
+    createRadiusDimensionTool(engine),
+    createDiameterDimensionTool(engine),
+    createBaselineDimensionTool(engine),
+    createContinueDimensionTool(engine),
+    createTextTool(engine),
+    createLeaderTool(engine),
+    createDistanceTool(engine),
+    createZoomWindowTool(engine),
   ];
 }
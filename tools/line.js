@@ -1,17 +1,24 @@
 /**
  * Line (polyline) tool: click to add points, click near first point to close.
- * Supports angle snapping: global H/V axes and 45°/90° relative to previous segment.
+ * Polar tracking from the last point (absolute and relative to the previous segment) comes from
+ * the engine's snap (core/tracking.js).
  */
 
-import {
-  distance,
-  CLOSE_LOOP_THRESHOLD,
-  angleBetween,
-  snapAngle,
-  constrainToAngle,
-  normalizeAngle,
-  ANGLE_SNAP_TOLERANCE,
-} from '../utils/math.js';
+import { distance, CLOSE_LOOP_THRESHOLD } from '../utils/math.js';
+import { createDynamicInput, polarPoint, paperAngle, LENGTH_ANGLE_FIELDS } from './dynamicInput.js';
+
+/**
+ * Command-line options while picking points: Close once there are two segments, Undo (the last
+ * point) once there is one point.
+ * @param {number} count - points picked so far
+ * @returns {import('./types.js').ToolOption[]}
+ */
+export function pointOptions(count) {
+  const options = [];
+  if (count >= 3) options.push({ key: 'C', label: 'Close' });
+  if (count >= 1) options.push({ key: 'U', label: 'Undo' });
+  return options;
+}
 
 /**
  * @param {import('../core/engine.js').Engine} engine
@@ -19,105 +26,90 @@ import {
  */
 export function createLineTool(engine) {
   let current = [];
+  const input = createDynamicInput(() => (current.length > 0 ? LENGTH_ANGLE_FIELDS : []));
+
+  /** Next point: typed length / angle or coordinate, else the snapped cursor. */
+  function nextPoint(ctx) {
+    const cursor = ctx.getSnap()?.point ?? ctx.worldMouse;
+    const base = current[current.length - 1];
+    const typed = base ? polarPoint(base, cursor, input.value('length'), input.value('angle')) : null;
+    return input.point(base) ?? typed ?? cursor;
+  }
+
+  /** Back to the first point and add the closed polyline. */
+  function close(ctx) {
+    const first = current[0];
+    current.push({ x: first.x, y: first.y });
+    ctx.addPolyline([...current]);
+    current = [];
+    ctx.setSelectedLines([]);
+    input.clear();
+  }
+
+  function addPoint(ctx, point) {
+    const scale = ctx.viewport.getScale();
+    const p = { x: point.x, y: point.y };
+    input.clear();
+
+    if (current.length >= 2 && distance(p, current[0]) < CLOSE_LOOP_THRESHOLD / scale) {
+      close(ctx);
+      return;
+    }
+
+    ctx.setSelectedLines([]);
+    current.push(p);
+  }
 
   return {
     id: 'line',
     name: 'Line',
 
+    get prompt() {
+      return current.length === 0 ? 'Specify first point' : 'Specify next point';
+    },
+
+    get options() {
+      return pointOptions(current.length);
+    },
+
+    onOption(ctx, key) {
+      if (key === 'C' && current.length >= 3) close(ctx);
+      else if (key === 'U' && current.length > 0) current.pop();
+      else return false;
+      input.clear();
+      return true;
+    },
+
     deactivate() {
       current = [];
+      input.clear();
     },
 
     onClick(ctx) {
-      const { viewport, getSnap, addPolyline, setSelectedLines, worldMouse, angleSnapMode, shiftKey } = ctx;
-      const scale = viewport.getScale();
-      const useAngleSnap = angleSnapMode === 'always' || (angleSnapMode === 'shift' && shiftKey);
+      addPoint(ctx, nextPoint(ctx));
+      return true;
+    },
 
-      let p = getSnap()?.point ?? worldMouse;
-      const snap = getSnap();
-      if (!snap && current.length > 0 && useAngleSnap) {
-        const last = current[current.length - 1];
-        const rawAngle = angleBetween(last, worldMouse);
-        
-        const snapTargets = [0, 90, 180, 270]; // Global axes
-        if (current.length >= 2) {
-          const prevAngle = angleBetween(current[current.length - 2], last);
-          const relativeAngles = [
-            prevAngle,
-            normalizeAngle(prevAngle + 45),
-            normalizeAngle(prevAngle - 45),
-            normalizeAngle(prevAngle + 90),
-            normalizeAngle(prevAngle - 90),
-            normalizeAngle(prevAngle + 135),
-            normalizeAngle(prevAngle - 135),
-            normalizeAngle(prevAngle + 180),
-          ];
-          snapTargets.push(...relativeAngles);
-        }
-        
-        const snappedAngle = snapAngle(rawAngle, snapTargets, ANGLE_SNAP_TOLERANCE);
-        if (snappedAngle !== null) {
-          p = constrainToAngle(last, worldMouse, snappedAngle);
-        } else {
-          p = { x: worldMouse.x, y: worldMouse.y };
-        }
-      } else {
-        p = { x: p.x, y: p.y };
+    onKeyDown(ctx) {
+      if (ctx.ctrlKey) return false;
+      if (ctx.key === 'Enter' && input.hasInput()) {
+        addPoint(ctx, nextPoint(ctx));
+        return true;
       }
-
-      if (current.length >= 2) {
-        const first = current[0];
-        if (distance(p, first) < CLOSE_LOOP_THRESHOLD / scale) {
-          current.push({ x: first.x, y: first.y });
-          addPolyline([...current]);
-          current = [];
-          setSelectedLines([]);
-          return true;
-        }
+      if (ctx.key === 'Enter' && current.length >= 2) {
+        // Nothing typed: finish the open polyline
+        ctx.addPolyline([...current]);
+        current = [];
+        return true;
       }
-
-      setSelectedLines([]);
-      current.push(p);
-      return true;
+      return input.onKey(ctx.key);
     },
 
     draw(ctx) {
-      const { viewport, mouse, getSnap, polylines, selectedLines, angleSnapMode, shiftKey } = ctx;
+      const { viewport } = ctx;
       const scale = viewport.getScale();
       const toScreen = viewport.toScreen.bind(viewport);
-      const useAngleSnap = angleSnapMode === 'always' || (angleSnapMode === 'shift' && shiftKey);
-
-      const snap = getSnap();
-      let worldMouse = snap?.point ?? ctx.worldMouse;
-      if (!snap && current.length > 0 && useAngleSnap) {
-        const last = current[current.length - 1];
-        const rawAngle = angleBetween(last, ctx.worldMouse);
-        
-        // Build snap targets: global axes + relative angles
-        const snapTargets = [0, 90, 180, 270]; // Global horizontal/vertical
-        
-        // If we have at least one complete segment (2+ points), add relative angles
-        if (current.length >= 2) {
-          const prevAngle = angleBetween(current[current.length - 2], last);
-          // Add relative angles: same, ±45°, ±90°, ±135°, 180°
-          const relativeAngles = [
-            prevAngle, // Same direction
-            normalizeAngle(prevAngle + 45),
-            normalizeAngle(prevAngle - 45),
-            normalizeAngle(prevAngle + 90),
-            normalizeAngle(prevAngle - 90),
-            normalizeAngle(prevAngle + 135),
-            normalizeAngle(prevAngle - 135),
-            normalizeAngle(prevAngle + 180),
-          ];
-          snapTargets.push(...relativeAngles);
-        }
-        
-        const snappedAngle = snapAngle(rawAngle, snapTargets, ANGLE_SNAP_TOLERANCE);
-        if (snappedAngle !== null) {
-          worldMouse = constrainToAngle(last, ctx.worldMouse, snappedAngle);
-        }
-      }
+      const worldMouse = nextPoint(ctx);
 
       const gfx = ctx.gfx;
       const drawLine = (points) => {
@@ -149,15 +141,18 @@ export function createLineTool(engine) {
         gfx.strokeStyle = 'black';
         gfx.lineWidth = 1;
         drawLine([...current, worldMouse]);
-        const len = distance(last, worldMouse).toFixed(1);
-        gfx.fillStyle = 'black';
-        gfx.font = '12px Arial';
-        gfx.fillText(`${len}`, mouse.x + 10, mouse.y - 10);
+        input.draw(ctx, { length: distance(last, worldMouse), angle: paperAngle(last, worldMouse) });
+      } else {
+        input.draw(ctx);
       }
     },
 
     getCurrentPoints() {
       return current;
     },
+
+    getBasePoint() {
+      return current[current.length - 1] ?? null;
+    },
   };
 }
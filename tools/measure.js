@@ -0,0 +1,99 @@
+/**
+ * Distance tool: pick two points; the distance, angle and deltas are echoed on the command line.
+ */
+
+import { distance } from '../utils/math.js';
+import { paperAngle } from './dynamicInput.js';
+import { drawPrompt } from './selectionStep.js';
+
+/** Readout between two world points; angle anticlockwise on paper, ΔY up on paper. */
+function measure(a, b) {
+  const angle = Number(paperAngle(a, b).toFixed(1));
+  const dx = Math.round(b.x - a.x);
+  const dy = Math.round(a.y - b.y);
+  return `Distance = ${Math.round(distance(a, b))}, Angle = ${angle}°, ΔX = ${dx}, ΔY = ${dy}`;
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @returns {import('./types.js').Tool}
+ */
+export function createDistanceTool(engine) {
+  let first = null;
+
+  function cursor(ctx) {
+    return ctx.getSnap()?.point ?? ctx.worldMouse;
+  }
+
+  return {
+    id: 'distance',
+    name: 'Distance',
+
+    get prompt() {
+      return first ? 'Specify second point' : 'Specify first point';
+    },
+
+    isActive() {
+      return first !== null;
+    },
+
+    getBasePoint() {
+      return first;
+    },
+
+    cancel() {
+      first = null;
+    },
+
+    activate() {
+      first = null;
+    },
+
+    deactivate() {
+      first = null;
+    },
+
+    onMouseDown() {
+      return true;
+    },
+
+    onClick(ctx) {
+      const p = cursor(ctx);
+      if (!first) {
+        first = { x: p.x, y: p.y };
+        return true;
+      }
+      ctx.echo(measure(first, p));
+      first = null;
+      return true;
+    },
+
+    onKeyDown(ctx) {
+      if (ctx.key === 'Escape' && first) {
+        first = null;
+        return true;
+      }
+      return false;
+    },
+
+    draw(ctx) {
+      if (!first) {
+        drawPrompt(ctx, 'First point');
+        return;
+      }
+      const { gfx, viewport } = ctx;
+      const p = cursor(ctx);
+      const a = viewport.toScreen(first);
+      const b = viewport.toScreen(p);
+      gfx.strokeStyle = '#2980b9';
+      gfx.lineWidth = 1;
+      gfx.setLineDash?.([4, 4]);
+      gfx.beginPath();
+      gfx.moveTo(a.x, a.y);
+      gfx.lineTo(b.x, b.y);
+      gfx.stroke();
+      gfx.setLineDash?.([]);
+      drawPrompt(ctx, `${Math.round(distance(first, p))} < ${Number(paperAngle(first, p).toFixed(1))}°`);
+    },
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * Modify tools: Move, Copy, Rotate, Scale and Mirror act on the current selection.
+ * Flow: select objects (Enter to finish) → pick a base point → pick the target or type a value
+ * and press Enter. Move and Copy take a distance along the cursor direction, Rotate an angle in
+ * degrees, Scale a factor. Scale can also use a reference: click a reference point, then the new
+ * point. Mirror picks two points on the mirror line and keeps the originals.
+ */
+
+import { distance, angleBetween } from '../utils/math.js';
+import { translation, rotationAbout, scalingAbout, mirrorAcross } from '../utils/transform.js';
+import { transformCurve, traceCurve } from '../core/curves.js';
+import { withSelectionStep, drawPrompt } from './selectionStep.js';
+
+const PREVIEW_COLOR = '#2980b9';
+const NUMBER_KEYS = /^[0-9.-]$/;
+
+/** Dashed outline of the entities under each transform (command previews). */
+export function drawTransformed(ctx, entities, transforms) {
+  const { gfx, viewport } = ctx;
+  gfx.strokeStyle = PREVIEW_COLOR;
+  gfx.lineWidth = 1;
+  gfx.setLineDash?.([6, 4]);
+  gfx.beginPath();
+  for (const transform of transforms) {
+    for (const entity of entities) {
+      if (!Array.isArray(entity)) {
+        traceCurve(gfx, viewport, transformCurve(entity, transform));
+        continue;
+      }
+      entity.forEach((p, i) => {
+        const s = viewport.toScreen(transform.apply(p));
+        if (i === 0) gfx.moveTo(s.x, s.y);
+        else gfx.lineTo(s.x, s.y);
+      });
+    }
+  }
+  gfx.stroke();
+  gfx.setLineDash?.([]);
+}
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function moveSpec(id, name, copy) {
+  return {
+    id,
+    name,
+    copy,
+    repeat: copy, // Copy keeps the base point and places copies until Enter / Escape
+    prompts: ['Base point', 'Second point or type distance'],
+    fromPoints: ([base, target]) => translation(target.x - base.x, target.y - base.y),
+    fromValue([base], value, cursor) {
+      const angle = distance(base, cursor) > 0 ? toRad(angleBetween(base, cursor)) : 0;
+      return translation(value * Math.cos(angle), value * Math.sin(angle));
+    },
+    readout: ([base], cursor) => `${Math.round(distance(base, cursor))} mm`,
+  };
+}
+
+const SPECS = {
+  move: moveSpec('move', 'Move', false),
+  copy: moveSpec('copy', 'Copy', true),
+  rotate: {
+    id: 'rotate',
+    name: 'Rotate',
+    prompts: ['Base point', 'Rotation angle: click or type degrees'],
+    fromPoints: ([base, p]) => rotationAbout(base, toRad(angleBetween(base, p))),
+    fromValue: ([base], value) => rotationAbout(base, toRad(value)),
+    readout: ([base], cursor) => `${angleBetween(base, cursor).toFixed(1)}°`,
+  },
+  scale: {
+    id: 'scale',
+    name: 'Scale',
+    prompts: ['Base point', 'Scale factor, or click a reference point', 'New point or type new length'],
+    fromPoints([base, ref, p]) {
+      if (!p) return null; // the second click picks the reference
+      const refLength = distance(base, ref);
+      return refLength > 0 && distance(base, p) > 0 ? scalingAbout(base, distance(base, p) / refLength) : null;
+    },
+    fromValue([base, ref], value) {
+      const factor = ref ? value / distance(base, ref) : value;
+      return factor > 0 && Number.isFinite(factor) ? scalingAbout(base, factor) : null;
+    },
+    readout([base, ref], cursor) {
+      if (!ref) return `${Math.round(distance(base, cursor))} mm`;
+      return `×${(distance(base, cursor) / (distance(base, ref) || 1)).toFixed(3)}`;
+    },
+  },
+  mirror: {
+    id: 'mirror',
+    name: 'Mirror',
+    copy: true,
+    prompts: ['First point of mirror line', 'Second point of mirror line'],
+    fromPoints: ([a, b]) => (distance(a, b) > 0 ? mirrorAcross(a, b) : null),
+    fromValue: null,
+    readout: ([a], cursor) => `${angleBetween(a, cursor).toFixed(1)}°`,
+  },
+};
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @param {Object} spec - one of SPECS
+ * @returns {import('./types.js').Tool}
+ */
+function createModifyTool(engine, spec) {
+  let picks = [];
+  let typed = '';
+
+  function reset() {
+    picks = [];
+    typed = '';
+  }
+
+  /** Snapped cursor: object snap, or polar tracking from the last picked point (getBasePoint). */
+  function cursorPoint(ctx) {
+    return ctx.getSnap()?.point ?? ctx.worldMouse;
+  }
+
+  function currentPrompt() {
+    return spec.prompts[Math.min(picks.length, spec.prompts.length - 1)];
+  }
+
+  function typedValue() {
+    const value = parseFloat(typed);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /** Transform the command would apply now (typed value, else cursor as the last point), or null. */
+  function pendingTransform(ctx) {
+    if (picks.length === 0) return null;
+    const cursor = cursorPoint(ctx);
+    const value = typedValue();
+    if (value !== null && spec.fromValue) return spec.fromValue(picks, value, cursor);
+    if (picks.length < spec.prompts.length - 1) return null;
+    return spec.fromPoints([...picks, cursor]);
+  }
+
+  function apply(ctx, transform) {
+    const result = ctx.transformEntities(ctx.getSelectedEntities(), transform, {
+      copy: !!spec.copy,
+      label: spec.name,
+    });
+    typed = '';
+    if (spec.repeat) {
+      picks = picks.slice(0, 1);
+      return;
+    }
+    picks = [];
+    ctx.selectEntities(result);
+  }
+
+  return withSelectionStep(engine, {
+    id: spec.id,
+    name: spec.name,
+
+    get prompt() {
+      return currentPrompt();
+    },
+
+    isActive() {
+      return picks.length > 0;
+    },
+
+    getBasePoint() {
+      return picks[picks.length - 1] ?? null;
+    },
+
+    cancel: reset,
+    activate: reset,
+    deactivate: reset,
+
+    onClick(ctx) {
+      const point = cursorPoint(ctx);
+      if (picks.length < spec.prompts.length - 1) {
+        // Scale: a click after the base point picks the reference, unless a factor was typed
+        const transform = typed ? pendingTransform(ctx) : null;
+        if (transform) apply(ctx, transform);
+        else picks.push({ x: point.x, y: point.y });
+        return true;
+      }
+      const transform = pendingTransform(ctx);
+      if (transform) apply(ctx, transform);
+      return true;
+    },
+
+    onKeyDown(ctx) {
+      const { key } = ctx;
+      if (key === 'Enter') {
+        const transform = typed ? pendingTransform(ctx) : null;
+        if (transform) apply(ctx, transform);
+        else if (spec.repeat && picks.length > 0) picks = [];
+        return true;
+      }
+      if (key === 'Escape') {
+        if (typed) typed = '';
+        else if (picks.length > 0) picks = [];
+        else return false; // the engine clears the selection
+        return true;
+      }
+      if (picks.length === 0 || !spec.fromValue) return false;
+      if (NUMBER_KEYS.test(key)) {
+        typed += key;
+        return true;
+      }
+      if (key === 'Backspace' && typed) {
+        typed = typed.slice(0, -1);
+        return true;
+      }
+      return false;
+    },
+
+    draw(ctx) {
+      const { viewport, gfx } = ctx;
+      if (picks.length > 0) {
+        const cursor = cursorPoint(ctx);
+        const last = viewport.toScreen(picks[picks.length - 1]);
+        const c = viewport.toScreen(cursor);
+        gfx.strokeStyle = 'rgba(0,0,0,0.5)';
+        gfx.lineWidth = 1;
+        gfx.setLineDash?.([4, 4]);
+        gfx.beginPath();
+        gfx.moveTo(last.x, last.y);
+        gfx.lineTo(c.x, c.y);
+        gfx.stroke();
+
+        const transform = pendingTransform(ctx);
+        if (transform) drawTransformed(ctx, ctx.getSelectedEntities(), [transform]);
+        gfx.setLineDash?.([]);
+      }
+
+      const readout = picks.length > 0 ? spec.readout(picks, cursorPoint(ctx)) : '';
+      const prompt = currentPrompt();
+      drawPrompt(ctx, typed ? `${prompt}: ${typed}` : readout ? `${prompt} (${readout})` : prompt);
+    },
+  });
+}
+
+export function createMoveTool(engine) {
+  return createModifyTool(engine, SPECS.move);
+}
+
+export function createCopyTool(engine) {
+  return createModifyTool(engine, SPECS.copy);
+}
+
+export function createRotateTool(engine) {
+  return createModifyTool(engine, SPECS.rotate);
+}
+
+export function createScaleTool(engine) {
+  return createModifyTool(engine, SPECS.scale);
+}
+
+export function createMirrorTool(engine) {
+  return createModifyTool(engine, SPECS.mirror);
+}
@@ -0,0 +1,157 @@
+/**
+ * Offset tool (AutoCAD OFFSET): type a distance and press Enter, pick a polyline, circle or arc,
+ * then click the side for the parallel copy. Without a typed distance the side click is a
+ * "through" point. The distance is kept, so several objects can be offset in a row.
+ * Outside corners are mitred or filleted (engine offsetCorners).
+ */
+
+import { distance, offsetPolyline, distanceToPolyline, sideOfPolyline } from '../utils/math.js';
+import { offsetCurve, distanceToCurve, traceCurve, isCircular } from '../core/curves.js';
+import { pickEntity, setHoveredEntity } from './pick.js';
+import { drawPrompt } from './selectionStep.js';
+
+const PREVIEW_COLOR = '#2980b9';
+const NUMBER_KEYS = /^[0-9.]$/;
+
+/**
+ * Offset geometry of entity towards point p.
+ * @returns {Object[]} new polylines / curves (empty if the offset vanishes, or for an ellipse or
+ *   spline, which have no exact offset)
+ */
+function offsetTowards(entity, p, dist, corners) {
+  if (Array.isArray(entity)) {
+    return offsetPolyline(entity, sideOfPolyline(p, entity) * dist, { corners });
+  }
+  if (!isCircular(entity)) return [];
+  const outwards = distance(entity.centre, p) > entity.radius;
+  const curve = offsetCurve(entity, outwards ? dist : -dist);
+  return curve ? [curve] : [];
+}
+
+/** Distance from p to the entity, for "through" offsets. */
+function distanceTo(entity, p) {
+  return Array.isArray(entity) ? distanceToPolyline(p, entity) : distanceToCurve(entity, p);
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @returns {import('./types.js').Tool}
+ */
+export function createOffsetTool(engine) {
+  let dist = null; // null = through point
+  let typed = '';
+  let target = null;
+
+  function promptText() {
+    if (typed) return `Offset distance: ${typed}`;
+    const current = dist === null ? 'through' : `${dist} mm`;
+    return target ? 'Click side to offset' : `Select object to offset (${current}; type a distance)`;
+  }
+
+  /** Geometry the next side click would add at the cursor. */
+  function pending(ctx) {
+    if (!target) return [];
+    const p = ctx.getSnap()?.point ?? ctx.worldMouse;
+    const d = dist ?? distanceTo(target, p);
+    return d > 0 ? offsetTowards(target, p, d, ctx.offsetCorners) : [];
+  }
+
+  return {
+    id: 'offset',
+    name: 'Offset',
+
+    get prompt() {
+      return promptText();
+    },
+
+    isActive() {
+      return target !== null || typed !== '';
+    },
+
+    cancel() {
+      target = null;
+      typed = '';
+    },
+
+    activate() {
+      target = null;
+      typed = '';
+    },
+
+    deactivate() {
+      target = null;
+      typed = '';
+    },
+
+    onMouseMove(ctx) {
+      setHoveredEntity(ctx, target ?? pickEntity(ctx)?.entity ?? null);
+    },
+
+    onMouseDown() {
+      return true;
+    },
+
+    onClick(ctx) {
+      if (!target) {
+        target = pickEntity(ctx)?.entity ?? null;
+        return true;
+      }
+      const result = pending(ctx);
+      if (result.length > 0) ctx.addEntitiesLike(result, target, 'Offset');
+      target = null;
+      setHoveredEntity(ctx, null);
+      return true;
+    },
+
+    onKeyDown(ctx) {
+      const { key, ctrlKey } = ctx;
+      if (ctrlKey) return false;
+      if (NUMBER_KEYS.test(key)) {
+        typed += key;
+        return true;
+      }
+      if (key === 'Backspace' && typed) {
+        typed = typed.slice(0, -1);
+        return true;
+      }
+      if (key === 'Enter') {
+        const value = parseFloat(typed);
+        if (typed !== '') dist = value > 0 ? value : null;
+        typed = '';
+        return true;
+      }
+      if (key === 'Escape' && (target || typed)) {
+        target = null;
+        typed = '';
+        setHoveredEntity(ctx, null);
+        return true;
+      }
+      return false;
+    },
+
+    draw(ctx) {
+      const { gfx, viewport } = ctx;
+      const result = pending(ctx);
+      if (result.length > 0) {
+        gfx.strokeStyle = PREVIEW_COLOR;
+        gfx.lineWidth = 1;
+        gfx.setLineDash?.([6, 4]);
+        gfx.beginPath();
+        for (const entity of result) {
+          if (!Array.isArray(entity)) {
+            traceCurve(gfx, viewport, entity);
+            continue;
+          }
+          entity.forEach((p, i) => {
+            const s = viewport.toScreen(p);
+            if (i === 0) gfx.moveTo(s.x, s.y);
+            else gfx.lineTo(s.x, s.y);
+          });
+        }
+        gfx.stroke();
+        gfx.setLineDash?.([]);
+      }
+      drawPrompt(ctx, promptText());
+    },
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Object picking for commands that act on one entity under the cursor (Offset, Trim, Fillet…).
+ */
+
+import { pointToSegmentDistance, HIT_TOLERANCE } from '../utils/math.js';
+import { distanceToCurve } from '../core/curves.js';
+
+/**
+ * Nearest editable segment or curve within the hit tolerance of the cursor; segments win over
+ * curves at equal distance, as in the select tool.
+ * @param {import('./types.js').ToolContext} ctx
+ * @param {{x,y}} [point] - world point to test (defaults to the cursor)
+ * @returns {{ entity: Object, segmentIndex: number|null }|null} segmentIndex is null for curves
+ */
+export function pickEntity(ctx, point = ctx.worldMouse) {
+  const tolerance = HIT_TOLERANCE / ctx.viewport.getScale();
+  const nearby = ctx
+    .queryEntities({
+      minX: point.x - tolerance,
+      minY: point.y - tolerance,
+      maxX: point.x + tolerance,
+      maxY: point.y + tolerance,
+    })
+    .filter(({ entity }) => ctx.isEntityEditable(entity));
+  let best = null;
+  let bestDist = tolerance;
+  for (const item of nearby) {
+    const { entity, segmentIndex } = item;
+    const d =
+      segmentIndex === null
+        ? distanceToCurve(entity, point)
+        : pointToSegmentDistance(point, entity[segmentIndex], entity[segmentIndex + 1]);
+    if (d < bestDist || (d === bestDist && best?.segmentIndex === null && segmentIndex !== null)) {
+      best = item;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+/** Hover highlight for a picked entity (or none). */
+export function setHoveredEntity(ctx, entity) {
+  ctx.setHoveredLine(Array.isArray(entity) ? entity : null);
+  ctx.setHoveredCurve(entity && !Array.isArray(entity) ? entity : null);
+}
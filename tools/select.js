@@ -1,5 +1,6 @@
 /**
- * Select tool: click to select one line, box select, drag selected, drag grip handles.
+ * Select tool: click to select one line, curve or annotation, box select, drag selected, drag grip
+ * handles (vertices, curve grips, text insertion points and leader vertices).
  */
 
 import {
@@ -10,6 +11,18 @@ import {
   HANDLE_SIZE,
   HIT_TOLERANCE,
 } from '../utils/math.js';
+import {
+  distanceToCurve,
+  curveGrips,
+  applyCurveGrip,
+  curveIntersectsBox,
+  curveInBox,
+  snapshotCurve,
+  restoreCurve,
+  transformCurve,
+} from '../core/curves.js';
+import { translation } from '../utils/transform.js';
+import { annotationPoints } from '../core/annotations.js';
 
 /**
  * @param {import('../core/engine.js').Engine} engine
@@ -18,7 +31,9 @@ import {
 export function createSelectTool(engine) {
   let hoveredLine = null;
   let hoveredSegment = null; // { polyline, segmentIndex }
-  let hoveredHandle = null;
+  let hoveredCurve = null;
+  let hoveredAnnotation = null;
+  let hoveredHandle = null; // { point } for vertices, { curve, grip, point } for curve grips
   let activeHandle = null;
   let isSelecting = false;
   let selectStart = null;
@@ -26,6 +41,8 @@ export function createSelectTool(engine) {
   let isDragging = false;
   let dragStartWorld = null;
   let dragOriginalSegments = null; // Store original positions of selected segments
+  let dragOriginalCurves = null; // ...and of selected curves
+  let dragOriginalAnnotationPoints = null; // ...and of points selected text and leaders own
   let didJustFinishBoxSelect = false;
 
   return {
@@ -33,11 +50,24 @@ export function createSelectTool(engine) {
     name: 'Select',
 
     onMouseMove(ctx) {
-      const { viewport, worldMouse, polylines, selectedSegments, setHoveredLine, setHoveredSegment } = ctx;
+      const {
+        viewport,
+        worldMouse,
+        selectedSegments,
+        selectedCurves,
+        setHoveredLine,
+        setHoveredSegment,
+        setHoveredCurve,
+        setHoveredAnnotation,
+        queryEntities,
+        isEntityEditable,
+      } = ctx;
       const scale = viewport.getScale();
 
       setHoveredLine(null);
       setHoveredSegment(null);
+      setHoveredCurve(null);
+      setHoveredAnnotation(null);
 
       if (isDragging) {
         const dx = worldMouse.x - dragStartWorld.x;
@@ -53,6 +83,18 @@ export function createSelectTool(engine) {
             polyline[segmentIndex + 1].y = orig.end.y + dy;
           }
         });
+        selectedCurves.forEach((curve, i) => {
+          restoreCurve(curve, transformCurve(dragOriginalCurves[i], translation(dx, dy)));
+        });
+        dragOriginalAnnotationPoints.forEach(({ point, x, y }) => {
+          point.x = x + dx;
+          point.y = y + dy;
+        });
+        return;
+      }
+
+      if (activeHandle?.curve) {
+        applyCurveGrip(activeHandle.curve, activeHandle.grip, worldMouse);
         return;
       }
 
@@ -67,7 +109,7 @@ export function createSelectTool(engine) {
         return;
       }
 
-      // Hit test handles first (from selected segments)
+      // Hit test handles first (from selected segments, text and leaders)
       hoveredHandle = null;
       const selectedPoints = new Set();
       selectedSegments.forEach(({ polyline, segmentIndex }) => {
@@ -76,43 +118,103 @@ export function createSelectTool(engine) {
           selectedPoints.add(polyline[segmentIndex + 1]);
         }
       });
+      for (const annotation of ctx.selectedAnnotations) {
+        annotationPoints(annotation).forEach((p) => selectedPoints.add(p));
+      }
       for (const p of selectedPoints) {
         if (distance(worldMouse, p) < HANDLE_SIZE / scale) {
           hoveredHandle = { point: p };
           return;
         }
       }
-
-      // Then hit test segments
-      hoveredSegment = null;
-      for (const line of polylines) {
-        for (let i = 0; i < line.length - 1; i++) {
-          const d = pointToSegmentDistance(worldMouse, line[i], line[i + 1]);
-          if (d < HIT_TOLERANCE / scale) {
-            hoveredSegment = { polyline: line, segmentIndex: i };
-            setHoveredSegment(hoveredSegment);
+      for (const curve of selectedCurves) {
+        for (const grip of curveGrips(curve)) {
+          if (distance(worldMouse, grip.point) < HANDLE_SIZE / scale) {
+            hoveredHandle = { curve, grip, point: grip.point };
             return;
           }
         }
       }
-      setHoveredSegment(null);
+
+      // Then hit test segments, then curves (only those near the cursor: spatial index), then annotations
+      hoveredSegment = null;
+      hoveredCurve = null;
+      hoveredAnnotation = null;
+      const tolerance = HIT_TOLERANCE / scale;
+      const nearby = queryEntities({
+        minX: worldMouse.x - tolerance,
+        minY: worldMouse.y - tolerance,
+        maxX: worldMouse.x + tolerance,
+        maxY: worldMouse.y + tolerance,
+      }).filter(({ entity }) => isEntityEditable(entity));
+      let best = tolerance;
+      for (const { entity: line, segmentIndex: i } of nearby) {
+        if (i === null) continue;
+        const d = pointToSegmentDistance(worldMouse, line[i], line[i + 1]);
+        if (d < best) {
+          best = d;
+          hoveredSegment = { polyline: line, segmentIndex: i };
+        }
+      }
+      if (hoveredSegment) {
+        setHoveredSegment(hoveredSegment);
+        return;
+      }
+      best = tolerance;
+      for (const { entity: curve, segmentIndex } of nearby) {
+        if (segmentIndex !== null) continue;
+        const d = distanceToCurve(curve, worldMouse);
+        if (d < best) {
+          best = d;
+          hoveredCurve = curve;
+        }
+      }
+      if (hoveredCurve) {
+        setHoveredCurve(hoveredCurve);
+        return;
+      }
+      hoveredAnnotation = ctx.pickAnnotation(worldMouse);
+      setHoveredAnnotation(hoveredAnnotation);
     },
 
     onMouseDown(ctx) {
-      const { worldMouse, selectedSegments } = ctx;
+      const { worldMouse, selectedSegments, selectedCurves, selectedAnnotations, beginPointEdit } = ctx;
+
+      if (hoveredHandle?.curve) {
+        activeHandle = hoveredHandle;
+        beginPointEdit([], 'Edit curve', [activeHandle.curve]);
+        return true;
+      }
 
       if (hoveredHandle) {
         activeHandle = hoveredHandle;
+        beginPointEdit([activeHandle.point], 'Move vertex');
         return true;
       }
 
-      if (hoveredSegment && selectedSegments.some((s) => s.polyline === hoveredSegment.polyline && s.segmentIndex === hoveredSegment.segmentIndex)) {
+      const grabsSelection =
+        (hoveredSegment &&
+          selectedSegments.some(
+            (s) => s.polyline === hoveredSegment.polyline && s.segmentIndex === hoveredSegment.segmentIndex
+          )) ||
+        (hoveredCurve && selectedCurves.includes(hoveredCurve)) ||
+        (hoveredAnnotation && selectedAnnotations.includes(hoveredAnnotation));
+      if (grabsSelection) {
         isDragging = true;
         dragStartWorld = worldMouse;
         dragOriginalSegments = selectedSegments.map(({ polyline, segmentIndex }) => ({
           start: { x: polyline[segmentIndex].x, y: polyline[segmentIndex].y },
           end: { x: polyline[segmentIndex + 1].x, y: polyline[segmentIndex + 1].y },
         }));
+        const movedPoints = new Set();
+        selectedSegments.forEach(({ polyline, segmentIndex }) => {
+          movedPoints.add(polyline[segmentIndex]);
+          movedPoints.add(polyline[segmentIndex + 1]);
+        });
+        dragOriginalCurves = selectedCurves.map(snapshotCurve);
+        const ownPoints = selectedAnnotations.flatMap(annotationPoints);
+        dragOriginalAnnotationPoints = ownPoints.map((point) => ({ point, x: point.x, y: point.y }));
+        beginPointEdit([...movedPoints, ...ownPoints], 'Move', selectedCurves);
         return true;
       }
 
@@ -123,16 +225,27 @@ export function createSelectTool(engine) {
     },
 
     onMouseUp(ctx) {
-      const { polylines, setSelectedSegments } = ctx;
+      const {
+        setSelectedSegments,
+        setSelectedCurves,
+        setSelectedAnnotations,
+        endPointEdit,
+        queryEntities,
+        isEntityEditable,
+      } = ctx;
 
       if (activeHandle) {
         activeHandle = null;
+        endPointEdit();
         return true;
       }
 
       if (isDragging) {
         isDragging = false;
         dragOriginalSegments = null;
+        dragOriginalCurves = null;
+        dragOriginalAnnotationPoints = null;
+        endPointEdit();
         return true;
       }
 
@@ -150,20 +263,31 @@ export function createSelectTool(engine) {
       // Crossing selection: right-to-left OR bottom-to-top (CAD standard)
       const crossing = box.x2 < box.x1 || box.y2 < box.y1;
       const nextSelection = [];
-      
+      const nextCurves = [];
+      // Anything selected by either mode has its bounding box overlapping the selection box
+      const candidates = queryEntities({
+        minX: Math.min(box.x1, box.x2),
+        minY: Math.min(box.y1, box.y2),
+        maxX: Math.max(box.x1, box.x2),
+        maxY: Math.max(box.y1, box.y2),
+      }).filter(({ entity }) => isEntityEditable(entity));
+      const candidateCurves = candidates.filter((c) => c.segmentIndex === null).map((c) => c.entity);
+
       if (crossing) {
         // Crossing selection: select individual segments that intersect the box
         // This is CAD-standard behavior - back-select only touches what it crosses
-        for (const line of polylines) {
-          for (let i = 0; i < line.length - 1; i++) {
-            if (segmentIntersectsBox(line[i], line[i + 1], box)) {
-              nextSelection.push({ polyline: line, segmentIndex: i });
-            }
+        for (const { entity: line, segmentIndex: i } of candidates) {
+          if (i !== null && segmentIntersectsBox(line[i], line[i + 1], box)) {
+            nextSelection.push({ polyline: line, segmentIndex: i });
           }
         }
+        for (const curve of candidateCurves) {
+          if (curveIntersectsBox(curve, box)) nextCurves.push(curve);
+        }
       } else {
         // Window selection: select all segments of polylines where all points are inside
-        for (const line of polylines) {
+        const lines = new Set(candidates.filter((c) => c.segmentIndex !== null).map((c) => c.entity));
+        for (const line of lines) {
           if (lineInBox(line, box, false)) {
             // Select all segments of this polyline
             for (let i = 0; i < line.length - 1; i++) {
@@ -171,9 +295,14 @@ export function createSelectTool(engine) {
             }
           }
         }
+        for (const curve of candidateCurves) {
+          if (curveInBox(curve, box)) nextCurves.push(curve);
+        }
       }
-      
+
       setSelectedSegments(nextSelection);
+      setSelectedCurves(nextCurves);
+      setSelectedAnnotations(ctx.annotationsInBox(box, crossing));
       isSelecting = false;
       selectStart = null;
       selectEnd = null;
@@ -182,7 +311,15 @@ export function createSelectTool(engine) {
     },
 
     onClick(ctx) {
-      const { setSelectedSegments, selectedSegments, shiftKey } = ctx;
+      const {
+        setSelectedSegments,
+        selectedSegments,
+        setSelectedCurves,
+        selectedCurves,
+        setSelectedAnnotations,
+        selectedAnnotations,
+        shiftKey,
+      } = ctx;
       if (didJustFinishBoxSelect) {
         didJustFinishBoxSelect = false;
         return true; // consume click so we don't replace box selection with single-segment
@@ -213,6 +350,36 @@ export function createSelectTool(engine) {
         } else {
           // Normal click: replace selection
           setSelectedSegments([hoveredSegment]);
+          setSelectedCurves([]);
+          setSelectedAnnotations([]);
+        }
+        return true;
+      }
+      if (hoveredCurve) {
+        if (shiftKey) {
+          setSelectedCurves(
+            selectedCurves.includes(hoveredCurve)
+              ? selectedCurves.filter((c) => c !== hoveredCurve)
+              : [...selectedCurves, hoveredCurve]
+          );
+        } else {
+          setSelectedSegments([]);
+          setSelectedCurves([hoveredCurve]);
+          setSelectedAnnotations([]);
+        }
+        return true;
+      }
+      if (hoveredAnnotation) {
+        if (shiftKey) {
+          setSelectedAnnotations(
+            selectedAnnotations.includes(hoveredAnnotation)
+              ? selectedAnnotations.filter((a) => a !== hoveredAnnotation)
+              : [...selectedAnnotations, hoveredAnnotation]
+          );
+        } else {
+          setSelectedSegments([]);
+          setSelectedCurves([]);
+          setSelectedAnnotations([hoveredAnnotation]);
         }
         return true;
       }
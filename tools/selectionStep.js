@@ -0,0 +1,117 @@
+/**
+ * Shared "select objects, then Enter" step for commands that act on the selection (Move, Array…).
+ * While nothing is selected, or until Enter is pressed when the command started without a
+ * selection, events go to an embedded select tool; after that they go to the command.
+ * With allowEmpty (Trim, Extend) Enter on an empty selection also starts the command, which then
+ * treats "nothing selected" as "everything".
+ */
+
+import { createSelectTool } from './select.js';
+
+const SELECT_PROMPT = 'Select objects, Enter to finish';
+
+/** Command prompt next to the cursor. */
+export function drawPrompt(ctx, text) {
+  const { gfx, mouse } = ctx;
+  gfx.fillStyle = 'black';
+  gfx.font = '12px Arial';
+  gfx.fillText(text, mouse.x + 15, mouse.y + 25);
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @param {import('./types.js').Tool} command - receives events only once objects are selected; its
+ *   cancel() is called if the selection disappears (undo, Escape)
+ * @param {{ allowEmpty?: boolean }} [options]
+ * @returns {import('./types.js').Tool}
+ */
+export function withSelectionStep(engine, command, { allowEmpty = false } = {}) {
+  const selector = createSelectTool(engine);
+  let phase = null; // 'select' | 'command'; null until the first event shows whether a selection exists
+  const prompt = allowEmpty ? 'Select objects, Enter to finish (none = all)' : SELECT_PROMPT;
+
+  function resolvePhase(ctx) {
+    const hasSelection = ctx.getSelectedEntities().length > 0;
+    if (phase === null) phase = hasSelection ? 'command' : 'select';
+    if (phase === 'command' && !hasSelection && !allowEmpty) {
+      phase = 'select';
+      command.cancel?.();
+    }
+    return phase;
+  }
+
+  return {
+    id: command.id,
+    name: command.name,
+
+    /** Current step, for prompts in the UI. */
+    get prompt() {
+      return phase === 'select' ? prompt : command.prompt;
+    },
+
+    isActive() {
+      return phase === 'command' && (command.isActive?.() ?? false);
+    },
+
+    getBasePoint() {
+      return phase === 'command' ? (command.getBasePoint?.() ?? null) : null;
+    },
+
+    cancel() {
+      command.cancel?.();
+    },
+
+    activate() {
+      phase = null;
+      selector.activate?.();
+      command.activate?.();
+    },
+
+    deactivate() {
+      phase = null;
+      selector.deactivate?.();
+      command.deactivate?.();
+    },
+
+    onMouseDown(ctx) {
+      if (resolvePhase(ctx) === 'select') return selector.onMouseDown?.(ctx);
+      return command.onMouseDown?.(ctx) ?? true;
+    },
+
+    onMouseMove(ctx) {
+      if (resolvePhase(ctx) === 'select') selector.onMouseMove?.(ctx);
+      else command.onMouseMove?.(ctx);
+    },
+
+    onMouseUp(ctx) {
+      if (resolvePhase(ctx) === 'select') return selector.onMouseUp?.(ctx);
+      return command.onMouseUp?.(ctx) ?? true;
+    },
+
+    onClick(ctx) {
+      if (resolvePhase(ctx) === 'select') return selector.onClick?.(ctx);
+      return command.onClick?.(ctx) ?? true;
+    },
+
+    onKeyDown(ctx) {
+      if (ctx.ctrlKey) return false;
+      if (resolvePhase(ctx) === 'command') return command.onKeyDown?.(ctx) ?? false;
+      if (ctx.key !== 'Enter') return false;
+      if (allowEmpty || ctx.getSelectedEntities().length > 0) {
+        phase = 'command';
+        ctx.setHoveredLine(null);
+        ctx.setHoveredCurve(null);
+      }
+      return true;
+    },
+
+    draw(ctx) {
+      if (resolvePhase(ctx) === 'command') {
+        command.draw?.(ctx);
+        return;
+      }
+      selector.draw?.(ctx);
+      drawPrompt(ctx, prompt);
+    },
+  };
+}
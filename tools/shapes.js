@@ -0,0 +1,287 @@
+/**
+ * Rectangle and Polygon tools: closed polylines from a few picks (core/shapes.js), with the mode,
+ * corners and number of sides from the Rectangle / Polygon panel (ctx.shapeParams). The mode can
+ * also be chosen at the first prompt on the command line.
+ *
+ * Rectangle: two corners or centre and corner (Width / Height can be typed), or rotated: a base
+ * edge (Length / Angle) and then its Width across. Polygon: centre and Radius / Angle, or an edge.
+ */
+
+import {
+  rectangleFromCorners,
+  rectangleFromCentre,
+  rectangleFromBase,
+  sideOffset,
+  polygonFromCentre,
+  polygonFromEdge,
+  shapeCorners,
+} from '../core/shapes.js';
+import { createDynamicInput, polarPoint, paperAngle, LENGTH_ANGLE_FIELDS } from './dynamicInput.js';
+
+const SIZE_FIELDS = [
+  { id: 'width', label: 'Width' },
+  { id: 'height', label: 'Height' },
+];
+const WIDTH_FIELDS = [{ id: 'width', label: 'Width' }];
+const RADIUS_FIELDS = [
+  { id: 'radius', label: 'Radius' },
+  { id: 'angle', label: 'Angle', angle: true },
+];
+
+const RECTANGLE_OPTIONS = [
+  { key: 'CO', label: 'Corners' },
+  { key: 'CE', label: 'Centre' },
+  { key: 'R', label: 'Rotated' },
+];
+const POLYGON_OPTIONS = [
+  { key: 'I', label: 'Inscribed' },
+  { key: 'C', label: 'Circumscribed' },
+  { key: 'E', label: 'Edge' },
+];
+const RECTANGLE_MODE_OF_OPTION = { CO: 'corners', CE: 'centre', R: 'rotated' };
+const POLYGON_MODE_OF_OPTION = { I: 'inscribed', C: 'circumscribed', E: 'edge' };
+
+function cursor(ctx) {
+  return ctx.getSnap()?.point ?? ctx.worldMouse;
+}
+
+function drawOutline(ctx, points) {
+  const { gfx, viewport } = ctx;
+  gfx.strokeStyle = 'rgba(0,0,0,0.5)';
+  gfx.lineWidth = 1;
+  gfx.setLineDash?.([]);
+  gfx.beginPath();
+  points.forEach((p, i) => {
+    const s = viewport.toScreen(p);
+    if (i === 0) gfx.moveTo(s.x, s.y);
+    else gfx.lineTo(s.x, s.y);
+  });
+  gfx.stroke();
+}
+
+/**
+ * Shared pick sequence: points picked so far, the mode fixed at the first pick, dynamic input for
+ * the next one. `spec.next(ctx, mode, picks, input)` gives the next point, `spec.build(ctx, mode,
+ * points)` the outline once `spec.picks(mode)` points are known (null while degenerate, and
+ * `spec.invalid` is echoed if picked then).
+ */
+function createShapeTool(engine, spec) {
+  let picks = [];
+  let mode = null;
+  const input = createDynamicInput(() => (picks.length > 0 ? spec.fields(mode, picks.length) : []));
+
+  function reset() {
+    picks = [];
+    mode = null;
+    input.clear();
+  }
+
+  /** The outline with the cursor (or typed input) as the next pick, or null. */
+  function pending(ctx) {
+    const points = [...picks, spec.next(ctx, mode, picks, input)];
+    return points.length >= 2 ? spec.build(ctx, mode, points) : null;
+  }
+
+  function pick(ctx) {
+    if (picks.length === 0) mode = spec.mode(ctx.shapeParams);
+    if (picks.length + 1 === spec.picks(mode)) {
+      const outline = pending(ctx);
+      if (!outline) {
+        ctx.echo(spec.invalid);
+        return;
+      }
+      ctx.addPolyline(outline);
+      ctx.setSelectedLines([]);
+      reset();
+      return;
+    }
+    const p = spec.next(ctx, mode, picks, input);
+    picks.push({ x: p.x, y: p.y });
+    input.clear();
+  }
+
+  return {
+    id: spec.id,
+    name: spec.name,
+
+    get prompt() {
+      return spec.prompt(mode ?? spec.mode(engine.getState().shapeParams), picks.length);
+    },
+
+    get options() {
+      return picks.length === 0 ? spec.options : [];
+    },
+
+    onOption(ctx, key) {
+      if (picks.length > 0) return false;
+      ctx.setShapeParams(spec.patchForOption(key));
+      return true;
+    },
+
+    isActive() {
+      return picks.length > 0;
+    },
+
+    getBasePoint() {
+      return picks[picks.length - 1] ?? null;
+    },
+
+    cancel: reset,
+    activate: reset,
+    deactivate: reset,
+
+    onClick(ctx) {
+      pick(ctx);
+      return true;
+    },
+
+    onKeyDown(ctx) {
+      if (ctx.ctrlKey) return false;
+      if (ctx.key === 'Enter' && input.hasInput()) {
+        pick(ctx);
+        return true;
+      }
+      if (ctx.key === 'Escape' && !input.hasInput() && picks.length > 0) {
+        reset();
+        return true;
+      }
+      return input.onKey(ctx.key);
+    },
+
+    draw(ctx) {
+      if (picks.length === 0) {
+        input.draw(ctx);
+        return;
+      }
+      const next = spec.next(ctx, mode, picks, input);
+      const outline = pending(ctx);
+      if (outline) drawOutline(ctx, outline);
+      else drawOutline(ctx, [...picks, next]);
+      input.draw(ctx, spec.live(mode, [...picks, next]));
+    },
+  };
+}
+
+/**
+ * Corner from base with typed width / height (mm, full size; halved about a centre), each going
+ * the way of the cursor; a typed @dx,dy or the cursor otherwise.
+ */
+function sizedCorner(base, pt, input, half) {
+  const typed = input.point(base);
+  if (typed) return typed;
+  const width = input.value('width');
+  const height = input.value('height');
+  const f = half ? 0.5 : 1;
+  return {
+    x: width === null ? pt.x : base.x + Math.sign(pt.x - base.x || 1) * Math.abs(width) * f,
+    y: height === null ? pt.y : base.y + Math.sign(pt.y - base.y || 1) * Math.abs(height) * f,
+  };
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @returns {import('./types.js').Tool}
+ */
+export function createRectangleTool(engine) {
+  return createShapeTool(engine, {
+    id: 'rectangle',
+    name: 'Rectangle',
+    invalid: 'Rectangle has no area, or its corners do not fit',
+    options: RECTANGLE_OPTIONS,
+    mode: (params) => params.rectangle,
+    patchForOption: (key) => ({ rectangle: RECTANGLE_MODE_OF_OPTION[key] }),
+    picks: (mode) => (mode === 'rotated' ? 3 : 2),
+
+    fields(mode, count) {
+      if (mode !== 'rotated') return SIZE_FIELDS;
+      return count === 1 ? LENGTH_ANGLE_FIELDS : WIDTH_FIELDS;
+    },
+
+    prompt(mode, count) {
+      if (mode === 'centre') return count === 0 ? 'Specify centre' : 'Specify corner';
+      if (mode === 'corners') return count === 0 ? 'Specify first corner' : 'Specify other corner';
+      if (count === 0) return 'Specify first point of base edge';
+      return count === 1 ? 'Specify second point of base edge' : 'Specify width';
+    },
+
+    next(ctx, mode, picks, input) {
+      const pt = cursor(ctx);
+      const base = picks[picks.length - 1];
+      if (!base) return input.point(null) ?? pt;
+      if (mode !== 'rotated') return sizedCorner(base, pt, input, mode === 'centre');
+      if (picks.length === 1) {
+        return input.point(base) ?? polarPoint(base, pt, input.value('length'), input.value('angle')) ?? pt;
+      }
+      // Third point: only its distance across the base edge counts
+      const width = input.value('width');
+      if (width === null) return input.point(base) ?? pt;
+      const [a, b] = picks;
+      const side = Math.sign(sideOffset(a, b, pt)) || 1;
+      const len = Math.hypot(b.x - a.x, b.y - a.y);
+      return { x: b.x - ((b.y - a.y) / len) * width * side, y: b.y + ((b.x - a.x) / len) * width * side };
+    },
+
+    build(ctx, mode, points) {
+      let outline;
+      if (mode === 'corners') outline = rectangleFromCorners(points[0], points[1]);
+      else if (mode === 'centre') outline = rectangleFromCentre(points[0], points[1]);
+      else if (points.length === 3) outline = rectangleFromBase(points[0], points[1], sideOffset(...points));
+      else return null;
+      return outline && shapeCorners(outline, ctx.shapeParams);
+    },
+
+    live(mode, points) {
+      const [a, b, c] = points;
+      if (mode === 'rotated') {
+        if (!c) return { length: Math.hypot(b.x - a.x, b.y - a.y), angle: paperAngle(a, b) };
+        return { width: Math.abs(sideOffset(a, b, c)) };
+      }
+      const f = mode === 'centre' ? 2 : 1;
+      return { width: Math.abs(b.x - a.x) * f, height: Math.abs(b.y - a.y) * f };
+    },
+  });
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @returns {import('./types.js').Tool}
+ */
+export function createPolygonTool(engine) {
+  return createShapeTool(engine, {
+    id: 'polygon',
+    name: 'Polygon',
+    invalid: 'Polygon has no size',
+    options: POLYGON_OPTIONS,
+    mode: (params) => params.polygon,
+    patchForOption: (key) => ({ polygon: POLYGON_MODE_OF_OPTION[key] }),
+    picks: () => 2,
+    fields: (mode) => (mode === 'edge' ? LENGTH_ANGLE_FIELDS : RADIUS_FIELDS),
+
+    prompt(mode, count) {
+      const sides = engine.getState().shapeParams.sides;
+      if (mode === 'edge') {
+        return count === 0 ? `Specify first endpoint of edge (${sides} sides)` : 'Specify second endpoint of edge';
+      }
+      if (count === 0) return `Specify centre of polygon (${sides} sides)`;
+      return mode === 'inscribed' ? 'Specify radius to a vertex' : 'Specify radius to the middle of a side';
+    },
+
+    next(ctx, mode, picks, input) {
+      const pt = cursor(ctx);
+      const base = picks[0];
+      if (!base) return input.point(null) ?? pt;
+      const length = input.value(mode === 'edge' ? 'length' : 'radius');
+      return input.point(base) ?? polarPoint(base, pt, length, input.value('angle')) ?? pt;
+    },
+
+    build(ctx, mode, [a, b]) {
+      const { sides } = ctx.shapeParams;
+      return mode === 'edge' ? polygonFromEdge(a, b, sides) : polygonFromCentre(a, b, sides, mode);
+    },
+
+    live(mode, [a, b]) {
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      return mode === 'edge' ? { length, angle: paperAngle(a, b) } : { radius: length, angle: paperAngle(a, b) };
+    },
+  });
+}
@@ -0,0 +1,148 @@
+/**
+ * Spline tool: click fit points the curve passes through, or control vertices it is pulled towards
+ * (the method from the Ellipse / Spline panel, or Fit / Control at the first prompt). Enter finishes
+ * an open spline; Close, or a click on the first point, a closed one. Adds a true spline entity
+ * (core/splines.js). Points can be typed as Length / Angle from the last one, or as coordinates.
+ */
+
+import { distance, CLOSE_LOOP_THRESHOLD } from '../utils/math.js';
+import { traceCurve } from '../core/curves.js';
+import { createSpline, minSplinePoints } from '../core/splines.js';
+import { createDynamicInput, polarPoint, paperAngle, LENGTH_ANGLE_FIELDS } from './dynamicInput.js';
+import { pointOptions } from './line.js';
+
+const METHOD_OPTIONS = [
+  { key: 'F', label: 'Fit' },
+  { key: 'CV', label: 'Control' },
+];
+const METHOD_OF_OPTION = { F: 'fit', CV: 'control' };
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @returns {import('./types.js').Tool}
+ */
+export function createSplineTool(engine) {
+  let current = [];
+  let method = null; // fixed at the first pick
+  const input = createDynamicInput(() => (current.length > 0 ? LENGTH_ANGLE_FIELDS : []));
+
+  function reset() {
+    current = [];
+    method = null;
+    input.clear();
+  }
+
+  /** Next point: typed length / angle or coordinate, else the snapped cursor. */
+  function nextPoint(ctx) {
+    const cursor = ctx.getSnap()?.point ?? ctx.worldMouse;
+    const base = current[current.length - 1];
+    const typed = base ? polarPoint(base, cursor, input.value('length'), input.value('angle')) : null;
+    return input.point(base) ?? typed ?? cursor;
+  }
+
+  function finish(ctx, closed) {
+    ctx.addCurve(createSpline(current, method, closed));
+    reset();
+  }
+
+  function addPoint(ctx, point) {
+    const scale = ctx.viewport.getScale();
+    input.clear();
+    if (current.length >= minSplinePoints(true) && distance(point, current[0]) < CLOSE_LOOP_THRESHOLD / scale) {
+      finish(ctx, true);
+      return;
+    }
+    if (current.length === 0) method = ctx.splineMethod;
+    current.push({ x: point.x, y: point.y });
+  }
+
+  return {
+    id: 'spline',
+    name: 'Spline',
+
+    get prompt() {
+      const vertex = (method ?? engine.getState().splineMethod) === 'control';
+      const what = vertex ? 'control vertex' : 'fit point';
+      return current.length === 0 ? `Specify first ${what}` : `Specify next ${what}`;
+    },
+
+    get options() {
+      return current.length === 0 ? METHOD_OPTIONS : pointOptions(current.length);
+    },
+
+    onOption(ctx, key) {
+      if (current.length === 0 && METHOD_OF_OPTION[key]) ctx.setSplineMethod(METHOD_OF_OPTION[key]);
+      else if (key === 'C' && current.length >= minSplinePoints(true)) finish(ctx, true);
+      else if (key === 'U' && current.length > 0) current.pop();
+      else return false;
+      input.clear();
+      return true;
+    },
+
+    isActive() {
+      return current.length > 0;
+    },
+
+    getBasePoint() {
+      return current[current.length - 1] ?? null;
+    },
+
+    cancel: reset,
+    activate: reset,
+    deactivate: reset,
+
+    onClick(ctx) {
+      addPoint(ctx, nextPoint(ctx));
+      return true;
+    },
+
+    onKeyDown(ctx) {
+      if (ctx.ctrlKey) return false;
+      if (ctx.key === 'Enter' && input.hasInput()) {
+        addPoint(ctx, nextPoint(ctx));
+        return true;
+      }
+      if (ctx.key === 'Enter' && current.length >= minSplinePoints(false)) {
+        // Nothing typed: finish the open spline
+        finish(ctx, false);
+        return true;
+      }
+      if (ctx.key === 'Escape' && !input.hasInput() && current.length > 0) {
+        reset();
+        return true;
+      }
+      return input.onKey(ctx.key);
+    },
+
+    draw(ctx) {
+      if (current.length === 0) {
+        input.draw(ctx);
+        return;
+      }
+      const { viewport, gfx } = ctx;
+      const next = nextPoint(ctx);
+      const points = [...current, next];
+
+      gfx.lineWidth = 1;
+      if (method === 'control') {
+        // Control polygon through the picks and the cursor
+        gfx.strokeStyle = 'rgba(0,0,0,0.35)';
+        gfx.setLineDash?.([4, 4]);
+        gfx.beginPath();
+        points.forEach((p, i) => {
+          const s = viewport.toScreen(p);
+          if (i === 0) gfx.moveTo(s.x, s.y);
+          else gfx.lineTo(s.x, s.y);
+        });
+        gfx.stroke();
+        gfx.setLineDash?.([]);
+      }
+      gfx.strokeStyle = 'black';
+      gfx.beginPath();
+      traceCurve(gfx, viewport, createSpline(points, method, false));
+      gfx.stroke();
+      const last = current[current.length - 1];
+      input.draw(ctx, { length: distance(last, next), angle: paperAngle(last, next) });
+    },
+  };
+}
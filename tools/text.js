@@ -0,0 +1,118 @@
+/**
+ * Text and Leader tools. Text: click the insertion point, then type in place (Enter for a new
+ * line, Ctrl+Enter or click away to finish). Leader: click the arrow tip and each further point,
+ * Enter, then type the text the same way. Font, height, rotation and justification come from the
+ * Text panel (ctx.textStyle).
+ */
+
+import { createText, createLeader, leaderText, drawText } from '../core/text.js';
+import { drawPrompt } from './selectionStep.js';
+
+const PREVIEW_COLOR = '#2980b9';
+
+function pickPoint(ctx) {
+  const p = ctx.getSnap()?.point ?? ctx.worldMouse;
+  return { x: p.x, y: p.y };
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @returns {import('./types.js').Tool}
+ */
+export function createTextTool(engine) {
+  return {
+    id: 'text',
+    name: 'Text',
+
+    get prompt() {
+      return 'Specify insertion point';
+    },
+
+    onMouseDown() {
+      return true;
+    },
+
+    onClick(ctx) {
+      const position = pickPoint(ctx);
+      const style = { ...ctx.textStyle };
+      ctx.editText(createText(position, '', style), (content) => {
+        if (content.trim()) ctx.addAnnotation(createText(position, content, style));
+      });
+      return true;
+    },
+
+    draw(ctx) {
+      drawPrompt(ctx, 'Specify insertion point');
+    },
+  };
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @returns {import('./types.js').Tool}
+ */
+export function createLeaderTool(engine) {
+  let points = [];
+
+  function reset() {
+    points = [];
+  }
+
+  function promptText() {
+    if (points.length === 0) return 'Specify arrow point';
+    return points.length === 1 ? 'Specify next point' : 'Specify next point, Enter for text';
+  }
+
+  return {
+    id: 'leader',
+    name: 'Leader',
+
+    get prompt() {
+      return promptText();
+    },
+
+    isActive() {
+      return points.length > 0;
+    },
+
+    getBasePoint() {
+      return points[points.length - 1] ?? null;
+    },
+
+    cancel: reset,
+    activate: reset,
+    deactivate: reset,
+
+    onMouseDown() {
+      return true;
+    },
+
+    onClick(ctx) {
+      points.push(pickPoint(ctx));
+      return true;
+    },
+
+    onKeyDown(ctx) {
+      if (ctx.key === 'Escape' && points.length > 0) {
+        reset();
+        return true;
+      }
+      if (ctx.key !== 'Enter' || points.length < 2) return false;
+      const leader = createLeader(points, '', ctx.textStyle);
+      reset();
+      // Edit where the text will sit; a leader without text is kept as just the arrow
+      ctx.editText(leaderText({ ...leader, content: ' ' }, ctx.scaleDenom), (content) => {
+        ctx.addAnnotation({ ...leader, content: content.trim() ? content : '' });
+      });
+      return true;
+    },
+
+    draw(ctx) {
+      if (points.length > 0) {
+        const preview = createLeader([...points, ctx.getSnap()?.point ?? ctx.worldMouse], '', ctx.textStyle);
+        drawText(ctx.gfx, ctx.viewport, preview, ctx.scaleDenom, PREVIEW_COLOR);
+      }
+      drawPrompt(ctx, promptText());
+    },
+  };
+}
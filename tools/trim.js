@@ -0,0 +1,118 @@
+/**
+ * Trim and Extend tools (AutoCAD TRIM / EXTEND). Select the cutting or boundary edges and press
+ * Enter (Enter with nothing selected uses every object), then click the part of a polyline, circle
+ * or arc to cut away, or near the end of an open polyline or arc to lengthen it to the next edge.
+ */
+
+import { isClosedPolyline } from '../utils/math.js';
+import { curveBounds } from '../core/curves.js';
+import { trimPolyline, trimCurve, extendPolyline, extendArc } from '../core/trim.js';
+import { pickEntity, setHoveredEntity } from './pick.js';
+import { withSelectionStep, drawPrompt } from './selectionStep.js';
+
+function entityBounds(entity) {
+  if (!Array.isArray(entity)) return curveBounds(entity);
+  const xs = entity.map((p) => p.x);
+  const ys = entity.map((p) => p.y);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @param {'trim'|'extend'} mode
+ * @returns {import('./types.js').Tool}
+ */
+function createCutTool(engine, mode) {
+  let edges = null; // chosen edges, captured when the command starts; [] = every object
+
+  function reset() {
+    edges = null;
+  }
+
+  /** Edges acting on target: the chosen ones, or every editable object near it (trim) / anywhere (extend). */
+  function edgesFor(ctx, target) {
+    if (edges === null) edges = ctx.getSelectedEntities();
+    const live = edges.filter((e) => e !== target && ctx.isEntityEditable(e));
+    if (edges.length > 0) return live;
+    if (mode === 'extend') {
+      return [...ctx.polylines, ...ctx.curves].filter((e) => e !== target && ctx.isEntityEditable(e));
+    }
+    const near = new Set(ctx.queryEntities(entityBounds(target)).map((item) => item.entity));
+    near.delete(target);
+    return [...near].filter((e) => ctx.isEntityEditable(e));
+  }
+
+  function trim(ctx, target, pick) {
+    const found = edgesFor(ctx, target);
+    const pieces = Array.isArray(target) ? trimPolyline(target, pick, found) : trimCurve(target, pick, found);
+    if (!pieces) return;
+    ctx.replaceEntities([target], pieces, 'Trim');
+    // What is left of a trimmed edge is still an edge
+    const i = edges.indexOf(target);
+    if (i !== -1) edges.splice(i, 1, ...pieces);
+  }
+
+  function extend(ctx, target, pick) {
+    const found = edgesFor(ctx, target);
+    if (Array.isArray(target)) {
+      if (isClosedPolyline(target)) return;
+      const end = extendPolyline(target, pick, found);
+      if (!end) return;
+      ctx.beginPointEdit([end.vertex], 'Extend');
+      end.vertex.x = end.to.x;
+      end.vertex.y = end.to.y;
+      ctx.endPointEdit();
+      return;
+    }
+    const angles = extendArc(target, pick, found);
+    if (!angles) return;
+    ctx.beginPointEdit([], 'Extend', [target]);
+    Object.assign(target, angles);
+    ctx.endPointEdit();
+  }
+
+  const promptText = () => (mode === 'trim' ? 'Click the part to trim' : 'Click near the end to extend');
+
+  return withSelectionStep(
+    engine,
+    {
+      id: mode,
+      name: mode === 'trim' ? 'Trim' : 'Extend',
+
+      get prompt() {
+        return promptText();
+      },
+
+      cancel: reset,
+      activate: reset,
+      deactivate: reset,
+
+      onMouseMove(ctx) {
+        setHoveredEntity(ctx, pickEntity(ctx)?.entity ?? null);
+      },
+
+      onClick(ctx) {
+        const target = pickEntity(ctx)?.entity;
+        if (!target) return true;
+        const pick = { x: ctx.worldMouse.x, y: ctx.worldMouse.y };
+        if (mode === 'trim') trim(ctx, target, pick);
+        else extend(ctx, target, pick);
+        setHoveredEntity(ctx, null);
+        return true;
+      },
+
+      draw(ctx) {
+        drawPrompt(ctx, promptText());
+      },
+    },
+    { allowEmpty: true }
+  );
+}
+
+export function createTrimTool(engine) {
+  return createCutTool(engine, 'trim');
+}
+
+export function createExtendTool(engine) {
+  return createCutTool(engine, 'extend');
+}
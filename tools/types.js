@@ -7,11 +7,46 @@
  * @property {{x: number, y: number}} mouse - screen coords
  * @property {{x: number, y: number}} worldMouse
  * @property {Object[][]} polylines
+ * @property {import('../core/curves.js').Curve[]} curves - circles, arcs, ellipses and splines
+ * @property {import('../core/curves.js').Curve[]} selectedCurves
+ * @property {function(import('../core/curves.js').Curve[]): void} setSelectedCurves
+ * @property {function(import('../core/curves.js').Curve|null): void} setHoveredCurve
  * @property {Object[][]} selectedLines
  * @property {function(Object[][]): void} setSelectedLines
  * @property {function(): {point: {x,y}, type: string}|null} getSnap
  * @property {function(Object): void} addPolyline
+ * @property {function(import('../core/curves.js').Curve): void} addCurve
  * @property {function(Object[]): void} removePolylines
+ * @property {function({minX,minY,maxX,maxY}): {entity: Object, segmentIndex: number|null}[]} queryEntities - segments / curves whose bounds overlap the box (spatial index)
+ * @property {function({x,y}[], string=, Object[]=): void} beginPointEdit - start an undoable edit of existing points and curves (drag/grip)
+ * @property {function(): void} endPointEdit - finish the edit as one undo step
+ * @property {function(Object): boolean} isEntityEditable - false on hidden, frozen or locked layers
+ * @property {function(): Object[]} getSelectedEntities - polylines of selected segments plus selected curves
+ * @property {function(Object[]): void} selectEntities - select whole polylines and curves
+ * @property {function(Object[], import('../utils/transform.js').Transform, {copy?: boolean, label?: string}=): Object[]} transformEntities - move/rotate/scale/mirror (or copy) as one undo step; fills and hatches are kept
+ * @property {import('../core/arrays.js').ArrayParams} arrayParams - settings for the next array
+ * @property {function(Object[], Object): Object[]} createArray - array entities as one undo step; returns the copies
+ * @property {import('../core/shapes.js').ShapeParams} shapeParams - modes, corners and sides for Rectangle and Polygon
+ * @property {function(Object): void} setShapeParams - change them (an option chosen on the command line)
+ * @property {'fit'|'control'} splineMethod - whether new splines are drawn by fit points or control vertices
+ * @property {function(string): void} setSplineMethod - change it (an option chosen on the command line)
+ * @property {'mitre'|'fillet'} offsetCorners - outside corner style for Offset
+ * @property {function(Object[], Object, string=): void} addEntitiesLike - add entities on the source's layer and line style (one undo step)
+ * @property {function(Object[], Object[], string=): void} replaceEntities - swap entities for geometry made from them (trim, fillet, join) as one undo step; fill and hatch stay on closed results only
+ * @property {Object[]} annotations - dimensions, text and leaders (core/annotations.js)
+ * @property {Object[]} selectedAnnotations
+ * @property {function(Object[]): void} setSelectedAnnotations
+ * @property {function(Object|null): void} setHoveredAnnotation
+ * @property {function({x,y}): Object|null} pickAnnotation - editable annotation under a world point
+ * @property {function({minX,minY,maxX,maxY}, boolean): Object[]} annotationsInBox - window, or crossing when true
+ * @property {function(Object): void} addAnnotation - add on the current layer as one undo step
+ * @property {number} scaleDenom - drawing scale 1:N (paper mm → world mm)
+ * @property {{ font: string, height: number, rotation: number, justify: string }} textStyle - for new text and leaders
+ * @property {function(import('../core/text.js').Text, function(string): void): void} editText - type text in place over where it is drawn; the callback gets the content
+ * @property {function(string): void} echo - report a result (a measured distance) on the command line
+ * @property {function({minX,minY,maxX,maxY}): void} zoomToWindow - fit the view to a world box, back to the previous tool
+ * @property {string} [key] - onKeyDown only: KeyboardEvent.key
+ * @property {boolean} [ctrlKey] - onKeyDown only: Ctrl or Cmd held
  *
  * @typedef {Object} Tool
  * @property {string} id
@@ -23,6 +58,13 @@
  * @property {function(ToolContext): void} [onMouseUp]
  * @property {function(ToolContext): boolean} [onClick] - return true if consumed
  * @property {function(ToolContext): void} [draw] - draw tool-specific overlay/preview
+ * @property {function(ToolContext): boolean} [onKeyDown] - return true if consumed (typed values, Enter)
+ * @property {function(): ({x,y}|null)} [getBasePoint] - last picked point, for Perpendicular and Tangent snaps
+ * @property {string} [prompt] - what the tool asks for next ("Specify next point"), shown on the command line
+ * @property {ToolOption[]} [options] - choices at this step, shown as "[Close/Undo]" after the prompt
+ * @property {function(ToolContext, string): boolean} [onOption] - an option chosen by key; false if not taken
+ *
+ * @typedef {{ key: string, label: string }} ToolOption - key: what to type for it (C for Close)
  */
 
 export default {};
@@ -0,0 +1,85 @@
+/**
+ * Zoom Window tool: pick two corners; the view fits the box and the previous tool comes back.
+ */
+
+import { drawPrompt } from './selectionStep.js';
+
+/**
+ * @param {{ getState: function, viewport: object }} engine
+ * @returns {import('./types.js').Tool}
+ */
+export function createZoomWindowTool(engine) {
+  let first = null;
+
+  function cursor(ctx) {
+    return ctx.getSnap()?.point ?? ctx.worldMouse;
+  }
+
+  return {
+    id: 'zoomWindow',
+    name: 'Zoom Window',
+
+    get prompt() {
+      return first ? 'Specify opposite corner' : 'Specify first corner';
+    },
+
+    isActive() {
+      return first !== null;
+    },
+
+    cancel() {
+      first = null;
+    },
+
+    activate() {
+      first = null;
+    },
+
+    deactivate() {
+      first = null;
+    },
+
+    onMouseDown() {
+      return true;
+    },
+
+    onClick(ctx) {
+      const p = cursor(ctx);
+      if (!first) {
+        first = { x: p.x, y: p.y };
+        return true;
+      }
+      const box = {
+        minX: Math.min(first.x, p.x),
+        minY: Math.min(first.y, p.y),
+        maxX: Math.max(first.x, p.x),
+        maxY: Math.max(first.y, p.y),
+      };
+      first = null;
+      if (box.maxX > box.minX && box.maxY > box.minY) ctx.zoomToWindow(box);
+      return true;
+    },
+
+    onKeyDown(ctx) {
+      if (ctx.key === 'Escape' && first) {
+        first = null;
+        return true;
+      }
+      return false;
+    },
+
+    draw(ctx) {
+      if (first) {
+        const { gfx, viewport } = ctx;
+        const a = viewport.toScreen(first);
+        const b = viewport.toScreen(cursor(ctx));
+        gfx.strokeStyle = '#2980b9';
+        gfx.lineWidth = 1;
+        gfx.setLineDash?.([4, 4]);
+        gfx.strokeRect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+        gfx.setLineDash?.([]);
+      }
+      drawPrompt(ctx, first ? 'Opposite corner' : 'First corner of zoom window');
+    },
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * Command line docked under the canvas: type a command or alias (core/commands.js), an option of
+ * the running tool ("C" for Close) or a value for it (a length, `@dx,dy`); Enter runs it, Enter on
+ * an empty line finishes the tool or repeats the last command. Up / Down recall earlier entries.
+ * The prompt shows what the current tool asks for; results and errors are echoed above it.
+ * Letters typed over the canvas start a command here.
+ */
+
+import { findCommand, runCommand } from '../core/commands.js';
+
+const MAX_LOG_LINES = 200;
+
+function isTextField(el) {
+  return !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+}
+
+/** "Specify next point or [Close/Undo]:", or "Command:" when no tool is asking. */
+function promptLabel({ prompt, options }) {
+  if (!prompt) return 'Command:';
+  const choices = options.length > 0 ? ` or [${options.map((o) => o.label).join('/')}]` : '';
+  return `${prompt}${choices}:`;
+}
+
+/**
+ * @param {HTMLElement} container
+ * @param {ReturnType<import('../core/engine.js').createEngine>} engine
+ * @param {{ onRun?: () => void }} [options] - onRun: after each entry, to refresh controls a command
+ *   may have changed (grid, scale)
+ * @returns {{ update: () => void, echo: (message: string) => void }}
+ */
+export function createCommandLine(container, engine, { onRun } = {}) {
+  container.innerHTML = `
+    <div class="command-log"></div>
+    <div class="command-row">
+      <label class="command-prompt" for="command-input">Command:</label>
+      <input type="text" id="command-input" class="command-input" autocomplete="off" spellcheck="false" />
+    </div>
+  `;
+  const log = container.querySelector('.command-log');
+  const promptEl = container.querySelector('.command-prompt');
+  const input = container.querySelector('.command-input');
+
+  const entries = []; // earlier entries, oldest first
+  let recall = 0; // index into entries while browsing with Up / Down
+  let lastCommand = null;
+
+  function echo(message, className = '') {
+    const line = document.createElement('div');
+    line.className = className;
+    line.textContent = message;
+    log.appendChild(line);
+    while (log.childElementCount > MAX_LOG_LINES) log.firstElementChild.remove();
+    log.scrollTop = log.scrollHeight;
+  }
+
+  function run(text) {
+    const asking = engine.getToolPrompt();
+    echo(`${promptLabel(asking)} ${text}`, 'command-entry');
+    const [name = ''] = text.split(/\s+/);
+    // An option of the running tool wins over a command of the same name (C: Close, not Circle)
+    if (text && engine.chooseToolOption(text)) return;
+    if (text && findCommand(name)) {
+      lastCommand = text;
+      const message = runCommand(engine, text);
+      if (message) echo(message);
+      return;
+    }
+    if (asking.prompt && engine.sendToolInput(text)) return;
+    if (!text && lastCommand) {
+      run(lastCommand);
+      return;
+    }
+    if (text) throw new Error(asking.prompt ? `Invalid input "${text}"` : `Unknown command "${name}"`);
+  }
+
+  function submit() {
+    const text = input.value.trim();
+    input.value = '';
+    if (text && entries[entries.length - 1] !== text) entries.push(text);
+    recall = entries.length;
+    try {
+      run(text);
+    } catch (err) {
+      echo(err.message, 'command-error');
+    }
+    onRun?.();
+    update();
+  }
+
+  function browse(step) {
+    if (entries.length === 0) return;
+    recall = Math.max(0, Math.min(entries.length, recall + step));
+    input.value = entries[recall] ?? '';
+  }
+
+  // Keys typed here are the command line's, not drawing shortcuts; Escape also cancels the tool
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      input.value = '';
+      return;
+    }
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      submit();
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      browse(e.key === 'ArrowUp' ? -1 : 1);
+    }
+  });
+
+  // A letter typed over the drawing that the tool did not take starts a command
+  window.addEventListener('keydown', (e) => {
+    if (e.defaultPrevented || isTextField(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (!/^[a-z]$/i.test(e.key)) return;
+    e.preventDefault();
+    input.focus();
+    input.value += e.key;
+  });
+
+  function update() {
+    const label = promptLabel(engine.getToolPrompt());
+    if (promptEl.textContent !== label) promptEl.textContent = label;
+  }
+
+  update();
+  return { update, echo };
+}
@@ -0,0 +1,133 @@
+/**
+ * Layers panel: list layers with current / on / lock / freeze / colour controls,
+ * create, rename (double-click name), reorder, and edit the current layer's linetype and weight.
+ */
+
+import { LINETYPES } from '../core/layers.js';
+
+const LINEWEIGHTS_MM = [0.05, 0.09, 0.13, 0.18, 0.25, 0.35, 0.5, 0.7, 1.0, 1.4, 2.0];
+
+function iconButton(label, title, active, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = `layer-icon${active ? ' on' : ''}`;
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+/**
+ * @param {HTMLElement} container
+ * @param {ReturnType<import('../core/engine.js').createEngine>} engine
+ * @returns {{ render: () => void }}
+ */
+export function createLayersPanel(container, engine) {
+  container.innerHTML = `
+    <h3>Layers</h3>
+    <div class="layer-list"></div>
+    <label>Linetype (current layer)</label>
+    <select class="layer-linetype"></select>
+    <label>Lineweight (current layer)</label>
+    <select class="layer-lineweight"></select>
+    <div class="btn-row">
+      <button type="button" class="layer-new">New layer</button>
+      <button type="button" class="layer-assign" title="Move selected geometry to the current layer">Move selection here</button>
+    </div>
+  `;
+  const list = container.querySelector('.layer-list');
+  const linetypeSelect = container.querySelector('.layer-linetype');
+  const lineweightSelect = container.querySelector('.layer-lineweight');
+
+  for (const name of Object.keys(LINETYPES)) {
+    linetypeSelect.add(new Option(name.charAt(0).toUpperCase() + name.slice(1), name));
+  }
+  for (const mm of LINEWEIGHTS_MM) {
+    lineweightSelect.add(new Option(`${mm.toFixed(2)} mm`, String(mm)));
+  }
+
+  container.querySelector('.layer-new').addEventListener('click', () => {
+    const name = prompt('New layer name', `Layer ${engine.getLayers().length}`);
+    if (!name) return;
+    const layer = engine.addLayer({ name: name.trim() });
+    engine.setCurrentLayer(layer.id);
+  });
+
+  container.querySelector('.layer-assign').addEventListener('click', () => {
+    engine.setEntitiesLayer(engine.getSelectedEntities(), engine.getCurrentLayerId());
+  });
+
+  linetypeSelect.addEventListener('change', () => {
+    engine.updateLayer(engine.getCurrentLayerId(), { linetype: linetypeSelect.value });
+  });
+
+  lineweightSelect.addEventListener('change', () => {
+    engine.updateLayer(engine.getCurrentLayerId(), { lineweight: Number(lineweightSelect.value) });
+  });
+
+  function renderRow(layer, index, count) {
+    const row = document.createElement('div');
+    const isCurrent = layer.id === engine.getCurrentLayerId();
+    row.className = `layer-row${isCurrent ? ' current' : ''}${layer.frozen ? ' frozen' : ''}`;
+
+    const current = document.createElement('input');
+    current.type = 'radio';
+    current.name = 'current-layer';
+    current.checked = isCurrent;
+    current.disabled = layer.frozen;
+    current.title = 'Set current layer';
+    current.addEventListener('change', () => engine.setCurrentLayer(layer.id));
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = layer.color;
+    color.title = 'Layer colour';
+    color.addEventListener('change', () => engine.updateLayer(layer.id, { color: color.value }));
+
+    const name = document.createElement('span');
+    name.className = 'layer-name';
+    name.textContent = layer.name;
+    name.title = 'Double-click to rename';
+    name.addEventListener('dblclick', () => {
+      const next = prompt('Rename layer', layer.name);
+      if (next && next.trim()) engine.updateLayer(layer.id, { name: next.trim() });
+    });
+
+    row.append(
+      current,
+      color,
+      name,
+      iconButton('On', 'On / off', layer.visible, () =>
+        engine.updateLayer(layer.id, { visible: !layer.visible })
+      ),
+      iconButton('Lk', 'Lock / unlock', layer.locked, () =>
+        engine.updateLayer(layer.id, { locked: !layer.locked })
+      ),
+      iconButton('Fz', 'Freeze / thaw (the current layer cannot be frozen)', layer.frozen, () =>
+        engine.updateLayer(layer.id, { frozen: !layer.frozen })
+      ),
+      iconButton('▲', 'Move up (draw later)', false, () => engine.moveLayer(layer.id, 1)),
+      iconButton('▼', 'Move down (draw earlier)', false, () => engine.moveLayer(layer.id, -1))
+    );
+    row.lastChild.disabled = index === 0;
+    row.lastChild.previousSibling.disabled = index === count - 1;
+    return row;
+  }
+
+  function render() {
+    const layers = engine.getLayers();
+    list.replaceChildren();
+    // Topmost (last drawn) layer first, like a layer stack
+    for (let i = layers.length - 1; i >= 0; i--) {
+      list.append(renderRow(layers[i], i, layers.length));
+    }
+    const current = engine.getLayer(engine.getCurrentLayerId());
+    if (current) {
+      linetypeSelect.value = current.linetype;
+      lineweightSelect.value = String(current.lineweight);
+    }
+  }
+
+  render();
+  return { render };
+}
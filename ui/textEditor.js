@@ -0,0 +1,59 @@
+/**
+ * In-place text editor: a textarea laid over the canvas where the text is drawn, at its size and
+ * angle. Enter adds a line; Ctrl+Enter or clicking away finishes; Escape abandons the edit.
+ */
+
+/**
+ * @param {HTMLCanvasElement} canvas - the editor is placed in the canvas's parent, over the canvas
+ * @returns {{ open: (request: { at: {x,y}, angle: number, fontPx: number, font: string, value: string,
+ *   onCommit: (value: string) => void }) => void, close: () => void }}
+ */
+export function createTextEditor(canvas) {
+  let active = null; // { textarea, onCommit } while editing
+
+  function close(commit = false) {
+    if (!active) return;
+    const { textarea, onCommit } = active;
+    active = null;
+    textarea.remove();
+    if (commit) onCommit(textarea.value);
+  }
+
+  /** Grow the textarea to fit its lines. */
+  function fit(textarea) {
+    const lines = textarea.value.split('\n');
+    textarea.rows = lines.length;
+    textarea.cols = Math.max(4, ...lines.map((l) => l.length + 1));
+  }
+
+  function open({ at, angle, fontPx, font, value, onCommit }) {
+    close(true);
+    const textarea = document.createElement('textarea');
+    textarea.className = 'text-editor';
+    textarea.value = value;
+    textarea.wrap = 'off';
+    Object.assign(textarea.style, {
+      left: `${canvas.offsetLeft + at.x}px`,
+      top: `${canvas.offsetTop + at.y}px`,
+      font: `${Math.max(10, fontPx)}px ${font}`,
+      transform: `rotate(${angle}rad)`,
+    });
+    fit(textarea);
+    // Keys typed here are text, not drawing shortcuts (Delete, Ctrl+Z, tool keys)
+    textarea.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') close(false);
+      else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) close(true);
+    });
+    textarea.addEventListener('input', () => fit(textarea));
+    textarea.addEventListener('blur', () => {
+      if (active?.textarea === textarea) close(true);
+    });
+    canvas.parentElement.appendChild(textarea);
+    active = { textarea, onCommit };
+    textarea.focus();
+    textarea.select();
+  }
+
+  return { open, close: () => close(true) };
+}
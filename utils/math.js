@@ -241,3 +241,278 @@ export function constrainToAngle(reference, target, snapAngleDeg) {
     y: reference.y + dist * Math.sin(radians),
   };
 }
+
+/**
+ * Intersection of the infinite lines through a–b and c–d.
+ * @returns {{ point: {x,y}, t: number, u: number }|null} t along a→b, u along c→d (0..1 on the
+ *   segments); null if the lines are parallel
+ */
+export function lineIntersection(a, b, c, d) {
+  const rx = b.x - a.x;
+  const ry = b.y - a.y;
+  const sx = d.x - c.x;
+  const sy = d.y - c.y;
+  const denom = rx * sy - ry * sx;
+  if (Math.abs(denom) <= 1e-12 * Math.hypot(rx, ry) * Math.hypot(sx, sy)) return null;
+  const qx = c.x - a.x;
+  const qy = c.y - a.y;
+  const t = (qx * sy - qy * sx) / denom;
+  const u = (qx * ry - qy * rx) / denom;
+  return { point: { x: a.x + t * rx, y: a.y + t * ry }, t, u };
+}
+
+/**
+ * Intersection of segments a–b and c–d (endpoints included), or null.
+ * @returns {{ point: {x,y}, t: number, u: number }|null}
+ */
+export function segmentIntersection(a, b, c, d) {
+  const hit = lineIntersection(a, b, c, d);
+  const eps = 1e-9;
+  if (!hit || hit.t < -eps || hit.t > 1 + eps || hit.u < -eps || hit.u > 1 + eps) return null;
+  return hit;
+}
+
+/**
+ * Where the infinite line through a–b meets the circle.
+ * @returns {{ point: {x,y}, t: number }[]} t along a→b (0..1 on the segment); 0, 1 or 2 hits
+ */
+export function lineCircleIntersections(a, b, centre, radius) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const fx = a.x - centre.x;
+  const fy = a.y - centre.y;
+  const A = dx * dx + dy * dy;
+  if (A === 0) return [];
+  const B = 2 * (fx * dx + fy * dy);
+  const C = fx * fx + fy * fy - radius * radius;
+  const disc = B * B - 4 * A * C;
+  if (disc < 0) return [];
+  const root = Math.sqrt(disc);
+  const ts = root === 0 ? [-B / (2 * A)] : [(-B - root) / (2 * A), (-B + root) / (2 * A)];
+  return ts.map((t) => ({ point: { x: a.x + t * dx, y: a.y + t * dy }, t }));
+}
+
+/** Intersection points of two circles (none when apart, nested or concentric). */
+export function circleCircleIntersections(c1, r1, c2, r2) {
+  const d = distance(c1, c2);
+  if (d === 0 || d > r1 + r2 || d < Math.abs(r1 - r2)) return [];
+  const a = (r1 * r1 - r2 * r2 + d * d) / (2 * d);
+  const h = Math.sqrt(Math.max(0, r1 * r1 - a * a));
+  const mx = c1.x + (a * (c2.x - c1.x)) / d;
+  const my = c1.y + (a * (c2.y - c1.y)) / d;
+  const ox = (h * (c2.y - c1.y)) / d;
+  const oy = (h * (c2.x - c1.x)) / d;
+  if (h === 0) return [{ x: mx, y: my }];
+  return [
+    { x: mx + ox, y: my - oy },
+    { x: mx - ox, y: my + oy },
+  ];
+}
+
+/** Shortest distance from p to any segment of the polyline. */
+export function distanceToPolyline(p, points) {
+  let best = Infinity;
+  for (let i = 0; i < points.length - 1; i++) {
+    best = Math.min(best, pointToSegmentDistance(p, points[i], points[i + 1]));
+  }
+  return best;
+}
+
+/** Which side of the polyline p lies on: 1 = left of the direction of travel, -1 = right. */
+export function sideOfPolyline(p, points) {
+  let best = Infinity;
+  let side = 1;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const d = pointToSegmentDistance(p, a, b);
+    if (d < best) {
+      best = d;
+      side = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x) >= 0 ? 1 : -1;
+    }
+  }
+  return side;
+}
+
+/**
+ * Points strictly between from and to on a circle about centre, turning by sweep radians
+ * (positive = anticlockwise), spaced so the chord error stays below tolerance (mm).
+ */
+export function arcPoints(centre, from, sweep, tolerance) {
+  const r = distance(centre, from);
+  const start = Math.atan2(from.y - centre.y, from.x - centre.x);
+  const maxStep = r > tolerance ? 2 * Math.acos(1 - tolerance / r) : Math.PI / 2;
+  const n = Math.max(1, Math.ceil(Math.abs(sweep) / maxStep));
+  const pts = [];
+  for (let i = 1; i < n; i++) {
+    const a = start + (sweep * i) / n;
+    pts.push({ x: centre.x + r * Math.cos(a), y: centre.y + r * Math.sin(a) });
+  }
+  return pts;
+}
+
+/**
+ * Parallel copy of a polyline at a signed distance: positive offsets to the left of the direction
+ * of travel, negative to the right. Outside corners are mitred (bevelled when the mitre would
+ * reach further than mitreLimit × distance) or filleted with a tessellated arc; inside corners are
+ * trimmed. Where the offset folds back on itself (segments shorter than the distance, narrow
+ * necks) the self-intersection loops are cut out, which can split the result into several pieces.
+ * @param {{x,y}[]} points - open, or closed (first point equals last)
+ * @param {number} dist
+ * @param {{ corners?: 'mitre'|'fillet', tolerance?: number, mitreLimit?: number }} [options]
+ *   tolerance is the chord error (mm) of filleted corners
+ * @returns {{x,y}[][]} offset polylines (closed ones repeat their first point)
+ */
+export function offsetPolyline(points, dist, options = {}) {
+  const { corners = 'mitre', tolerance = 0.5, mitreLimit = 10 } = options;
+  const pts = [];
+  for (const p of points ?? []) {
+    if (pts.length === 0 || distance(p, pts[pts.length - 1]) > 1e-9) pts.push({ x: p.x, y: p.y });
+  }
+  if (pts.length < 2 || !Number.isFinite(dist) || dist === 0) return [];
+  const closed = isClosedPolyline(pts);
+  if (closed) pts[pts.length - 1] = pts[0];
+  const abs = Math.abs(dist);
+
+  // Each segment moved along its left normal
+  const segs = [];
+  for (let i = 0; i < pts.length - 1; i++) {
+    const a = pts[i];
+    const b = pts[i + 1];
+    const len = distance(a, b);
+    const dir = { x: (b.x - a.x) / len, y: (b.y - a.y) / len };
+    const n = { x: -dir.y * dist, y: dir.x * dist };
+    segs.push({ a: { x: a.x + n.x, y: a.y + n.y }, b: { x: b.x + n.x, y: b.y + n.y }, dir, end: b });
+  }
+
+  const raw = [];
+  const join = (s1, s2) => {
+    const vertex = s1.end;
+    const turn = Math.atan2(
+      s1.dir.x * s2.dir.y - s1.dir.y * s2.dir.x,
+      s1.dir.x * s2.dir.x + s1.dir.y * s2.dir.y
+    );
+    if (Math.abs(turn) < 1e-9) {
+      raw.push(s1.b);
+      return;
+    }
+    if (turn * dist > 0) {
+      // Inside corner: trim both segments back to their crossing; when they miss each other, route
+      // through the vertex so the fold-back is cut away as a loop
+      const hit = segmentIntersection(s1.a, s1.b, s2.a, s2.b);
+      if (hit) raw.push(hit.point);
+      else raw.push(s1.b, vertex, s2.a);
+      return;
+    }
+    // Outside corner; a U-turn (|turn| = π) goes round the far side
+    const sweep = Math.abs(Math.abs(turn) - Math.PI) < 1e-9 ? -Math.sign(dist) * Math.PI : turn;
+    if (corners === 'fillet') {
+      raw.push(s1.b, ...arcPoints(vertex, s1.b, sweep, tolerance), s2.a);
+      return;
+    }
+    const mitre = lineIntersection(s1.a, s1.b, s2.a, s2.b);
+    if (mitre && distance(mitre.point, vertex) <= mitreLimit * abs) raw.push(mitre.point);
+    else raw.push(s1.b, s2.a);
+  };
+  if (closed) {
+    for (let i = 0; i < segs.length; i++) join(segs[i], segs[(i + 1) % segs.length]);
+    raw.push(raw[0]);
+  } else {
+    raw.push(segs[0].a);
+    for (let i = 0; i < segs.length - 1; i++) join(segs[i], segs[i + 1]);
+    raw.push(segs[segs.length - 1].b);
+  }
+
+  const pieces = splitAtSelfIntersections(raw, closed);
+  // A piece belongs to the offset only if it keeps the full distance from the original (chord
+  // midpoints of filleted corners sit up to the tolerance closer)
+  const minDistance = abs - (1e-4 + abs * 1e-6);
+  const chordSlack = corners === 'fillet' ? tolerance : 0;
+  const valid = pieces.filter((piece) => {
+    for (let i = 0; i < piece.length - 1; i++) {
+      const a = piece[i];
+      const b = piece[i + 1];
+      if (i > 0 && distanceToPolyline(a, pts) < minDistance) return false;
+      const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      if (distanceToPolyline(mid, pts) < minDistance - chordSlack) return false;
+    }
+    return true;
+  });
+  return stitchPieces(valid);
+}
+
+/**
+ * Split a polyline wherever it crosses itself. Closed input is rotated to start at a crossing.
+ * @returns {{x,y}[][]} pieces; consecutive pieces share their end / start point
+ */
+function splitAtSelfIntersections(raw, closed) {
+  const m = raw.length - 1;
+  const cuts = Array.from({ length: m }, () => []);
+  for (let i = 0; i < m; i++) {
+    for (let j = i + 2; j < m; j++) {
+      if (closed && i === 0 && j === m - 1) continue; // adjacent across the closing point
+      const hit = segmentIntersection(raw[i], raw[i + 1], raw[j], raw[j + 1]);
+      if (!hit) continue;
+      cuts[i].push(hit.t);
+      cuts[j].push(hit.u);
+    }
+  }
+  const eps = 1e-9;
+  const nodes = [{ p: raw[0], cut: false }];
+  for (let i = 0; i < m; i++) {
+    const end = { p: raw[i + 1], cut: false };
+    for (const t of cuts[i].sort((a, b) => a - b)) {
+      if (t <= eps) nodes[nodes.length - 1].cut = true;
+      else if (t >= 1 - eps) end.cut = true;
+      else {
+        const a = raw[i];
+        const b = raw[i + 1];
+        nodes.push({ p: { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t }, cut: true });
+      }
+    }
+    nodes.push(end);
+  }
+
+  let sequence = nodes;
+  if (closed) {
+    const first = nodes.findIndex((n) => n.cut);
+    if (first === -1) return [raw];
+    if (nodes[nodes.length - 1].cut) nodes[0].cut = true; // the closing point is raw[0]
+    const ring = nodes.slice(0, -1);
+    sequence = [...ring.slice(first), ...ring.slice(0, first), ring[first]];
+  }
+  const pieces = [];
+  let current = [sequence[0].p];
+  for (let k = 1; k < sequence.length; k++) {
+    current.push(sequence[k].p);
+    if (sequence[k].cut && k < sequence.length - 1) {
+      pieces.push(current);
+      current = [sequence[k].p];
+    }
+  }
+  pieces.push(current);
+  return pieces.filter((piece) => piece.length >= 2);
+}
+
+/** Join pieces end-to-start into polylines; a chain that returns to its start is closed. */
+function stitchPieces(pieces) {
+  const near = (a, b) => distance(a, b) <= 1e-6;
+  // Collinear overlaps leave the same piece twice
+  const same = (p, q) => p.length === q.length && p.every((pt, i) => near(pt, q[i]));
+  const used = new Set(pieces.filter((p, i) => pieces.slice(0, i).some((q) => same(p, q))));
+  const result = [];
+  for (const piece of pieces) {
+    if (used.has(piece)) continue;
+    used.add(piece);
+    const chain = [...piece];
+    for (;;) {
+      const next = pieces.find((p) => !used.has(p) && near(p[0], chain[chain.length - 1]));
+      if (!next) break;
+      used.add(next);
+      chain.push(...next.slice(1));
+    }
+    if (chain.length > 2 && near(chain[0], chain[chain.length - 1])) chain[chain.length - 1] = chain[0];
+    result.push(chain.map((p) => ({ x: p.x, y: p.y })));
+  }
+  return result;
+}
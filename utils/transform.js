@@ -11,3 +11,55 @@ export function screenToWorld(p, scale, offset) {
     y: (p.y - offset.y) / scale,
   };
 }
+
+/**
+ * Similarity transforms for the editing commands (Move, Rotate, Scale, Mirror).
+ * @typedef {{ apply: function({x,y}): {x,y}, scale: number, mirrored: boolean }} Transform
+ * scale is the uniform length factor; mirrored is true when orientation is reversed.
+ */
+
+/** @returns {Transform} */
+export function translation(dx, dy) {
+  return { apply: (p) => ({ x: p.x + dx, y: p.y + dy }), scale: 1, mirrored: false };
+}
+
+/** Rotate by angleRad (world angle direction, as angleBetween) about centre. @returns {Transform} */
+export function rotationAbout(centre, angleRad) {
+  const cos = Math.cos(angleRad);
+  const sin = Math.sin(angleRad);
+  return {
+    apply: (p) => {
+      const dx = p.x - centre.x;
+      const dy = p.y - centre.y;
+      return { x: centre.x + dx * cos - dy * sin, y: centre.y + dx * sin + dy * cos };
+    },
+    scale: 1,
+    mirrored: false,
+  };
+}
+
+/** Uniform scale about centre; factor must be positive. @returns {Transform} */
+export function scalingAbout(centre, factor) {
+  return {
+    apply: (p) => ({ x: centre.x + (p.x - centre.x) * factor, y: centre.y + (p.y - centre.y) * factor }),
+    scale: factor,
+    mirrored: false,
+  };
+}
+
+/** Reflect across the line through a and b. @returns {Transform} */
+export function mirrorAcross(a, b) {
+  const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+  const ux = (b.x - a.x) / len;
+  const uy = (b.y - a.y) / len;
+  return {
+    apply: (p) => {
+      const dx = p.x - a.x;
+      const dy = p.y - a.y;
+      const t = dx * ux + dy * uy;
+      return { x: a.x + 2 * t * ux - dx, y: a.y + 2 * t * uy - dy };
+    },
+    scale: 1,
+    mirrored: true,
+  };
+}